@@ -5,6 +5,7 @@
     // preferred keys
     root: 'tt_root_token',
     auth: 'auth_token',
+    refresh: 'tt_refresh_token',
     // legacy keys we still read
     legacy_admin: 'tt_admin_token',
     legacy_auth: 'TT_TOKEN',
@@ -41,6 +42,46 @@
   function clearAuth() {
     localStorage.removeItem(K.auth);
     localStorage.removeItem(K.legacy_auth);
+    localStorage.removeItem(K.refresh);
+  }
+  function getRefresh() {
+    return localStorage.getItem(K.refresh) || '';
+  }
+  // store a /auth/login or /auth/refresh response; the login page also mirrors the access token into the root slot
+  function setSession(s) {
+    if (!s || !s.access_token) return;
+    const prev = getAuth();
+    if (prev && getRoot() === prev) setRoot(s.access_token);
+    setAuth(s.access_token);
+    if (s.refresh_token) localStorage.setItem(K.refresh, s.refresh_token);
+  }
+
+  // one refresh at a time: parallel 401s wait on the same call (refresh tokens are single-use)
+  let refreshing = null;
+  function refreshSession() {
+    if (!refreshing) {
+      refreshing = (async () => {
+        const rt = getRefresh();
+        if (!rt) return false;
+        try {
+          const res = await fetch(`${BASE()}/auth/refresh`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ refresh_token: rt }),
+          });
+          if (!res.ok) {
+            if (getRoot() === getAuth()) clearRoot();
+            clearAuth();
+            return false;
+          }
+          setSession(await res.json());
+          return true;
+        } catch {
+          return false;
+        }
+      })().finally(() => { refreshing = null; });
+    }
+    return refreshing;
   }
 
   // ---- state (localStorage-backed) for misc app data
@@ -76,7 +117,8 @@
     return pairs.length ? `?${pairs.join('&')}` : '';
   };
 
-  async function j(path, { method = 'GET', body, headers = {} } = {}) {
+  // idempotencyKey: sent as Idempotency-Key; the request is then safe to resend after a dropped connection
+  async function j(path, { method = 'GET', body, headers = {}, retried = false, idempotencyKey } = {}) {
     const hasBody = body !== undefined && body !== null;
     const h = {
       ...(hasBody ? { 'Content-Type': 'application/json' } : {}),
@@ -86,12 +128,29 @@
     const authTok = getAuth();
     if (rootTok) h['x-admin-token'] = rootTok;
     if (authTok) h['Authorization'] = `Bearer ${authTok}`;
+    if (idempotencyKey) h['Idempotency-Key'] = idempotencyKey;
 
-    const res = await fetch(`${BASE()}${path}`, {
+    const send = () => fetch(`${BASE()}${path}`, {
       method,
       headers: h,
       body: hasBody ? JSON.stringify(body) : undefined,
     });
+    let res;
+    for (let attempt = 0; ; attempt++) {
+      try {
+        res = await send();
+        // 409: the first attempt is still running on the server; ask again shortly
+        if (!(idempotencyKey && res.status === 409 && res.headers.get('Retry-After') && attempt < 3)) break;
+      } catch (e) {
+        if (!idempotencyKey || attempt >= 2) throw e;
+      }
+      await new Promise((r) => setTimeout(r, 1000 * (attempt + 1)));
+    }
+
+    // expired access token: refresh once and replay
+    if (res.status === 401 && !retried && authTok && getRefresh() && await refreshSession()) {
+      return j(path, { method, body, headers, retried: true, idempotencyKey });
+    }
 
     // try to surface API error text
     const text = await res.text();
@@ -104,7 +163,14 @@
     try { return JSON.parse(text); } catch { return { raw: text }; }
   }
 
-  function logout(redirect = '/auth/role-select.html') {
+  function newIdempotencyKey() {
+    if (window.crypto && crypto.randomUUID) return crypto.randomUUID();
+    return `${Date.now().toString(36)}-${Math.random().toString(36).slice(2)}${Math.random().toString(36).slice(2)}`;
+  }
+
+  // revoke the session server-side first (needs the token), then forget it locally
+  async function logout(redirect = '/auth/role-select.html') {
+    try { if (getAuth()) await j('/auth/logout', { method: 'POST', body: {}, retried: true }); } catch {}
     try { clearAuth(); } catch {}
     try { clearRoot(); } catch {}
     if (redirect) location.href = redirect;
@@ -115,15 +181,27 @@
     // tokens / session
     getRoot, setRoot, clearRoot,
     getAuth, setAuth, clearAuth,
+    getRefresh, setSession, refreshSession,
     logout,
+    session:      ()        => TT.get('/api/auth/session'), // { loggedIn, role, user, saccos, matatus }
+    forgotPassword: (email) => TT.post('/auth/forgot-password', { email }),
+    changeEmail:  (newEmail, password) => TT.post('/auth/change-email', { new_email: newEmail, password }), // → pending_email until confirmed
+    redeemInvite: (token)   => TT.postOnce('/auth/invites/redeem', { invite_token: token }),
+    otpRequest:   (phone)   => TT.post('/auth/otp/request', { phone }),
+    otpVerify:    (phone, code) => TT.post('/auth/otp/verify', { phone, code }), // same payload as login; store it with setSession
+    linkPhone:    (phone)   => TT.post('/auth/phone', { phone }), // code goes to the new number
+    verifyPhone:  (phone, code) => TT.post('/auth/phone/verify', { phone, code }),
 
     state: S,
 
     // generic
     get:  (p, params) => j(p + (params ? qstr(params) : '')),
     post: (p, b)     => j(p, { method: 'POST', body: b }),
+    patch: (p, b)    => j(p, { method: 'PATCH', body: b }),
     del:  (p)        => j(p, { method: 'DELETE' }),
     jpost: (p, b)    => j(p, { method: 'POST', body: b }), // alias for convenience
+    // creates/records: retried with one Idempotency-Key, so a flaky network cannot write twice
+    postOnce: (p, b, key = newIdempotencyKey()) => j(p, { method: 'POST', body: b, idempotencyKey: key }),
 
     // headers helper (for simple fetch calls)
     authHeader: () => {
@@ -133,38 +211,101 @@
 
     // admin: saccos / matatus
     listSaccos:   (q)       => TT.get('/api/admin/saccos', q ? { q } : undefined),
-    createSacco:  (b)       => TT.post('/api/admin/register-sacco', b),
+    createSacco:  (b)       => TT.postOnce('/api/admin/register-sacco', b),
     updateSacco:  (b)       => TT.post('/api/admin/update-sacco', b),
     deleteSacco:  (id)      => TT.del(`/api/admin/delete-sacco/${encodeURIComponent(id)}`),
 
     listMatatus:  (filters) => TT.get('/api/admin/matatus', filters),
-    createMatatu: (b)       => TT.post('/api/admin/register-matatu', b),
+    createMatatu: (b)       => TT.postOnce('/api/admin/register-matatu', b),
     updateMatatu: (b)       => TT.post('/api/admin/update-matatu', b),
     deleteMatatu: (id)      => TT.del(`/api/admin/delete-matatu/${encodeURIComponent(id)}`),
+    // kind = 'bodabodas' | 'taxis'
+    listVehicles: (kind, saccoId) => TT.get(`/api/admin/${kind}`, saccoId ? { sacco_id: saccoId } : undefined),
+    addVehicle:   (kind, b) => TT.postOnce(`/api/admin/${kind}`, b),
+    updateVehicle:(kind, id, b) => TT.patch(`/api/admin/${kind}/${encodeURIComponent(id)}`, b),
+    deleteVehicle:(kind, id) => TT.del(`/api/admin/${kind}/${encodeURIComponent(id)}`),
 
     // rules / fees
     getRules:     (saccoId) => TT.get(`/api/admin/rulesets/${encodeURIComponent(saccoId)}`),
-    updateRules:  (b)       => TT.post('/api/admin/rulesets', b),
+    updateRules:  (b)       => TT.postOnce('/api/admin/rulesets', b),
     feeQuote:     (b)       => TT.post('/api/fees/quote', b),
 
     // ussd pool
     poolAvailable:(pfx)     => TT.get('/api/admin/ussd/pool/available', pfx ? { prefix: pfx } : undefined),
     poolAllocated:(pfx)     => TT.get('/api/admin/ussd/pool/allocated', pfx ? { prefix: pfx } : undefined),
-    poolAssignNext:(b)      => TT.post('/api/admin/ussd/pool/assign-next', b),
-    poolBindManual:(b)      => TT.post('/api/admin/ussd/bind-from-pool', b),
+    poolAssignNext:(b)      => TT.postOnce('/api/admin/ussd/pool/assign-next', b),
+    poolBindManual:(b)      => TT.postOnce('/api/admin/ussd/bind-from-pool', b),
+    poolRelease:  (b)       => TT.postOnce('/api/admin/ussd/release', b),
+    poolReassign: (b)       => TT.postOnce('/api/admin/ussd/reassign', b),
+    poolSuspend:  (b)       => TT.post('/api/admin/ussd/suspend', b),
+    poolUnsuspend:(b)       => TT.post('/api/admin/ussd/unsuspend', b),
+    poolHistory:  (q)       => TT.get('/api/admin/ussd/history', q),
+    ussdPrefixes: ()        => TT.get('/api/admin/ussd/prefixes'),
+    addUssdPrefix:(b)       => TT.postOnce('/api/admin/ussd/prefixes', b),
+    updateUssdPrefix:(id, b) => TT.patch(`/api/admin/ussd/prefixes/${encodeURIComponent(id)}`, b),
+    seedUssdPrefix:(id, b)  => TT.postOnce(`/api/admin/ussd/prefixes/${encodeURIComponent(id)}/seed`, b),
 
     // transactions / reports (admin)
     txFeesToday:  ()        => TT.get('/api/admin/transactions/fees'),
     txLoansToday: ()        => TT.get('/api/admin/transactions/loans'),
     settlements:  (saccoId, date) => TT.get('/api/admin/settlements', { sacco_id: saccoId, date }),
+    settlement:   (id)      => TT.get(`/api/admin/settlements/${encodeURIComponent(id)}`),
+    closeSettlement: (saccoId, date) => TT.postOnce('/api/admin/settlements/close', { sacco_id: saccoId, date }),
+    markSettlementPaid: (id, b) => TT.postOnce(`/api/admin/settlements/${encodeURIComponent(id)}/mark-paid`, b || {}),
+    sendPayouts:  (id)      => TT.postOnce(`/api/admin/settlements/${encodeURIComponent(id)}/payouts`, {}),
+    payouts:      (filters) => TT.get('/api/admin/payouts', filters),
+    retryPayout:  (id)      => TT.postOnce(`/api/admin/payouts/${encodeURIComponent(id)}/retry`, {}),
+    payoutStatusQuery: (id) => TT.postOnce(`/api/admin/payouts/${encodeURIComponent(id)}/status-query`, {}),
+    reconcileStatement: (b) => TT.postOnce('/api/admin/reconciliations', b), // { sacco_id, till_number, csv, filename? }
+    reconciliations: (filters) => TT.get('/api/admin/reconciliations', filters),
+    reconciliation: (id, filters) => TT.get(`/api/admin/reconciliations/${encodeURIComponent(id)}`, filters),
+    resolveReconItem: (id, itemId, note) => TT.post(`/api/admin/reconciliations/${encodeURIComponent(id)}/items/${encodeURIComponent(itemId)}/resolve`, { note }),
+
+    // API keys (root / '*' keys only)
+    apiKeys:      (includeRevoked) => TT.get('/api/admin/api-keys', includeRevoked ? { include_revoked: 1 } : undefined),
+    createApiKey: (b)       => TT.post('/api/admin/api-keys', b), // { name, scopes:[...], expires_in_days? } → data.key shown once
+    revokeApiKey: (id)      => TT.post(`/api/admin/api-keys/${encodeURIComponent(id)}/revoke`, {}),
+    audit:        (filters) => TT.get('/api/admin/audit', filters), // { entity, entity_id, action, actor, from, to, limit, offset }
 
     // public/lookup (used by staff/owner/conductor)
     publicSaccos: ()        => TT.get('/api/public/saccos'),
     lookupMatatu: (params)  => TT.get('/api/lookup/matatu', params), // { plate } or { till }
+    lookupBoda:   (params)  => TT.get('/api/lookup/boda', params),
+    lookupTaxi:   (params)  => TT.get('/api/lookup/taxi', params),
 
     // member-scoped reads (if you use Supabase auth flows)
     mySaccos:     ()        => TT.get('/u/my-saccos'),
     saccoSummary: (id, range)=> TT.get(`/u/sacco/${encodeURIComponent(id)}/summary`, range),
+    saccoTransactions: (id, filters) => TT.get(`/u/sacco/${encodeURIComponent(id)}/transactions`, filters),
+    saccoMatatus: (id)      => TT.get(`/u/sacco/${encodeURIComponent(id)}/matatus`),
+    saccoCashiers: (id)     => TT.get(`/u/sacco/${encodeURIComponent(id)}/cashiers`),
+    saccoActivity: (id, params) => TT.get(`/u/sacco/${encodeURIComponent(id)}/activity`, params),
+
+    // invites (SACCO_ADMIN): b = { role, email?, expires_in_hours? } or { matatu_id, member_role, ... } → data.token / data.link shown once
+    saccoInvites: (id, status) => TT.get(`/api/sacco/${encodeURIComponent(id)}/invites`, status ? { status } : undefined),
+    createSaccoInvite: (id, b) => TT.postOnce(`/api/sacco/${encodeURIComponent(id)}/invites`, b),
+    revokeSaccoInvite: (id, inviteId) => TT.del(`/api/sacco/${encodeURIComponent(id)}/invites/${encodeURIComponent(inviteId)}`),
+
+    // matatu owner (caller must be the owner)
+    ownerMembers: (matatuId) => TT.get('/api/owner/members', { matatu_id: matatuId }),
+    ownerAddConductor: (matatuId, email) => TT.postOnce(`/api/owner/members?matatu_id=${encodeURIComponent(matatuId)}`, { email }),
+    ownerAddConductorByPhone: (matatuId, msisdn) => TT.postOnce(`/api/owner/members?matatu_id=${encodeURIComponent(matatuId)}`, { msisdn }), // pending until their first OTP sign-in
+    ownerRemoveConductor: (matatuId, userId) => TT.del(`/api/owner/members/${encodeURIComponent(userId)}?matatu_id=${encodeURIComponent(matatuId)}`),
+    ownerInvites: (matatuId, status) => TT.get('/api/owner/invites', { matatu_id: matatuId, ...(status ? { status } : {}) }),
+    ownerInviteConductor: (matatuId, b) => TT.postOnce(`/api/owner/invites?matatu_id=${encodeURIComponent(matatuId)}`, b || {}), // { email?, expires_in_hours? }
+    ownerRevokeInvite: (matatuId, inviteId) => TT.del(`/api/owner/invites/${encodeURIComponent(inviteId)}?matatu_id=${encodeURIComponent(matatuId)}`),
+    ownerTransactions: (matatuId, filters) => TT.get('/api/owner/transactions', { ...(filters || {}), matatu_id: matatuId }),
+    ownerLedger:  (matatuId, range) => TT.get('/api/owner/ledger', { ...(range || {}), matatu_id: matatuId }),
+
+    // taxi/boda cashbooks: ns = 'taxi' | 'boda', book = 'cash' | 'expenses'
+    cashbook:     (ns, book, range) => TT.get(`/api/${ns}/${book}`, range),
+    addCashbook:  (ns, book, b) => TT.postOnce(`/api/${ns}/${book}`, b),
+    editCashbook: (ns, book, id, b) => TT.patch(`/api/${ns}/${book}/${encodeURIComponent(id)}`, b),
+    deleteCashbook: (ns, book, id) => TT.del(`/api/${ns}/${book}/${encodeURIComponent(id)}`),
+    cashbookSummary: (ns, range) => TT.get(`/api/${ns}/summary`, range),
+
+    // crew writes
+    recordDailyFee: (b)     => TT.postOnce('/fees/record', b), // { matatu_id, amount, paid_at? }
   };
 
   window.TT = TT;
@@ -194,11 +335,15 @@
 
   // Allow page when user has ANY of the provided roles; else send to role-select
   if (typeof window.protectAny !== 'function') {
-    window.protectAny = async function(roles){
+    window.protectAny = async function(roles, retried){
       try {
         const headers = (TT && typeof TT.authHeader === 'function') ? TT.authHeader() : {};
         const res = await fetch('/api/my-roles', { headers });
-        if (res.status === 401) { location.replace('/auth/login.html'); return; }
+        if (res.status === 401) {
+          if (!retried && await refreshSession()) return window.protectAny(roles, true);
+          location.replace('/auth/login.html');
+          return;
+        }
         const json = await res.json().catch(()=>({}));
         const arr = Array.isArray(json?.roles) ? json.roles : (Array.isArray(json?.data?.roles) ? json.data.roles : []);
         const set = new Set(arr.map(r => String(r||'').toUpperCase()));
@@ -0,0 +1,14 @@
+/* scripts/mock-auth.js */
+// Run a local Supabase Auth stand-in, then point the backend at it:
+//   MOCK_AUTH_UPSTREAM=https://<project>.supabase.co SUPABASE_JWT_SECRET=<secret> npm run mock:auth
+//   SUPABASE_URL=http://localhost:5056 SUPABASE_JWT_SECRET=<same secret> npm run dev
+// Mails (signup confirm, password reset, email change) land in GET /__mock/outbox instead of an inbox.
+require('dotenv').config();
+const { createMockAuth } = require('../src/auth/mock');
+
+const PORT = Number(process.env.MOCK_AUTH_PORT || 5056);
+
+const app = createMockAuth();
+app.listen(PORT, () => {
+  console.log(`[mock-auth] Listening on :${PORT}`);
+});
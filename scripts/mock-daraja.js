@@ -0,0 +1,13 @@
+/* scripts/mock-daraja.js */
+// Run a local Daraja stand-in, then point the backend at it:
+//   DARAJA_BASE_URL=http://localhost:5055 DARAJA_CONSUMER_KEY=x DARAJA_CONSUMER_SECRET=y \
+//   DARAJA_SHORTCODE=174379 DARAJA_PASSKEY=z npm run dev
+require('dotenv').config();
+const { createMockDaraja } = require('../src/daraja/mock');
+
+const PORT = Number(process.env.MOCK_DARAJA_PORT || 5055);
+
+const app = createMockDaraja();
+app.listen(PORT, () => {
+  console.log(`[mock-daraja] Listening on :${PORT}`);
+});
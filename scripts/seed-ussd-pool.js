@@ -23,18 +23,30 @@ async function main() {
   const countRaw = parseInt(process.env.SEED_COUNT || defCount, 10);
   const safeStart = Number.isFinite(startRaw) ? startRaw : 110;
   const safeCount = Number.isFinite(countRaw) && countRaw > 0 ? countRaw : 30;
+  // SEED_PREFIX picks the prefix (pool owner); default prefix when unset. POST /api/admin/ussd/prefixes/:id/seed does the same online.
+  const prefixCode = process.env.SEED_PREFIX || '';
+  let pq = sb.from('ussd_prefixes').select('id, code');
+  pq = prefixCode ? pq.eq('code', prefixCode) : pq.eq('is_default', true);
+  const { data: prefix, error: pErr } = await pq.maybeSingle();
+  if (pErr || !prefix) {
+    console.error('Seed failed:', pErr?.message || `prefix ${prefixCode || '(default)'} not found – apply supabase/024_ussd_prefixes.sql / add it first`);
+    process.exit(1);
+  }
+
   const rows = [];
-  for (let i = safeStart; i < safeStart + safeCount; i++) {
+  for (let i = safeStart; i < safeStart + safeCount && i <= 999; i++) {
     const base = String(i).padStart(3, '0');
-    rows.push({ base, checksum: digitalRoot(base), allocated: false });
+    if (digitalRoot(base) === '0') continue; // 000 has no check digit
+    rows.push({ prefix_id: prefix.id, base, checksum: digitalRoot(base), allocated: false });
   }
 
-  const { error } = await sb.from('ussd_pool').upsert(rows, { onConflict: 'base' });
+  // existing bases (allocated or not) are left alone
+  const { error } = await sb.from('ussd_pool').upsert(rows, { onConflict: 'prefix_id,base', ignoreDuplicates: true });
   if (error) {
     console.error('Seed failed:', error.message || error);
     process.exit(1);
   }
-  console.log(`Seeded/ensured ${rows.length} USSD bases (${safeStart}..${safeStart + safeCount - 1}) [SEED_ENV=${envName || 'default'}]`);
+  console.log(`Seeded/ensured ${rows.length} USSD bases (${safeStart}..${safeStart + safeCount - 1}) under ${prefix.code} [SEED_ENV=${envName || 'default'}]`);
 }
 
 main().catch((e) => { console.error(e); process.exit(1); });
@@ -0,0 +1,17 @@
+/* scripts/sweep-pending.js */
+// One-shot run of the pending STK sweeper (same logic as the in-process timer).
+//   PENDING_TIMEOUT_MINUTES=10 npm run sweep:pending
+require('dotenv').config();
+const { sweepPendingTransactions } = require('../server');
+
+(async () => {
+  try {
+    const limit = Number(process.env.SWEEP_LIMIT || 200);
+    const r = await sweepPendingTransactions({ limit });
+    console.log(`[sweep] scanned=${r.scanned} success=${r.SUCCESS} failed=${r.FAILED} timeout=${r.TIMEOUT} skipped=${r.skipped} errors=${r.errors} (cutoff ${r.cutoff})`);
+    process.exit(r.errors ? 1 : 0);
+  } catch (e) {
+    console.error('[sweep] failed:', e.message || e);
+    process.exit(1);
+  }
+})();
@@ -11,7 +11,12 @@ const jwt = require('jsonwebtoken');
 const helmet = require('helmet');
 const rateLimit = require('express-rate-limit');
 const compression = require('compression');
-const { randomUUID } = require('crypto');
+const { randomUUID, randomBytes, createHash, timingSafeEqual } = require('crypto');
+const { stkPush, stkQuery, stkResultStatus, STK_STILL_PROCESSING, stkUnknownCheckout, normalizeMsisdn, parseStkCallback } = require('./src/daraja/stk');
+const { b2cPayment, b2cStatusQuery, parseB2cResult, parseB2cStatusResult } = require('./src/daraja/b2c');
+const { parseStatementCsv, matchStatement } = require('./src/reconciliation/statement');
+const { sendSms } = require('./src/sms/sender');
+const { verifyWebhook } = require('./src/auth/webhook');
 
 // ---- Env (no secrets logged) ----
 const {
@@ -21,7 +26,8 @@ const {
   SUPABASE_ANON_KEY,
   SUPABASE_SERVICE_ROLE,
   SUPABASE_JWT_SECRET,
-  ADMIN_TOKEN = 'claire.1leah.2seline.3zara.4',
+  INVITE_SECRET,
+  ADMIN_TOKEN,
   APP_URL = '',
   API_URL = '',
   PRETTY_LOGS = '0',
@@ -122,13 +128,21 @@ app.use(
       return cb(new Error('Not allowed by CORS: ' + origin));
     },
     credentials: true,
-    exposedHeaders: ['X-Request-ID', 'RateLimit-Limit', 'RateLimit-Remaining', 'RateLimit-Reset'],
+    exposedHeaders: ['X-Request-ID', 'RateLimit-Limit', 'RateLimit-Remaining', 'RateLimit-Reset', 'Idempotent-Replayed'],
     methods: ['GET', 'POST', 'PUT', 'PATCH', 'DELETE', 'OPTIONS'],
-    allowedHeaders: ['Content-Type', 'Authorization', 'x-admin-token'],
+    allowedHeaders: ['Content-Type', 'Authorization', 'x-admin-token', 'Idempotency-Key'],
   })
 );
 
-app.use(express.json({ limit: '1mb' }));
+app.use(
+  express.json({
+    limit: '1mb',
+    // auth hooks are signed over the exact bytes received
+    verify: (req, _res, buf) => {
+      if (req.url.startsWith('/auth/hooks/')) req.rawBody = buf.toString('utf8');
+    },
+  })
+);
 app.use(express.urlencoded({ extended: true }));
 
 // Request ID middleware
@@ -150,26 +164,28 @@ const pretty = PRETTY_LOGS === '1' && NODE_ENV !== 'production';
 function minimalReqHeaders(h) {
   return { host: h.host, 'user-agent': h['user-agent'], 'x-request-id': h['x-request-id'], origin: h.origin, referer: h.referer };
 }
-app.use(
-  pinoHttp({
-    autoLogging: { ignore: (req) => req.url === '/ping' },
-    customProps: (req, res) => ({
-      request_id: req.id,
-      user_id: req.user?.id || null,
-      route: req.route?.path || null,
-      statusCode: res.statusCode,
-    }),
-    transport: pretty ? { target: 'pino-pretty', options: { colorize: true, translateTime: true, singleLine: true } } : undefined,
-    serializers: {
-      req(req) {
-        return { method: req.method, url: req.url, id: req.id, headers: minimalReqHeaders(req.headers) };
-      },
-      res(res) {
-        return { statusCode: res.statusCode };
-      },
+const httpLogger = pinoHttp({
+  level: process.env.LOG_LEVEL || 'info',
+  autoLogging: { ignore: (req) => req.url === '/ping' },
+  customProps: (req, res) => ({
+    request_id: req.id,
+    user_id: req.user?.id || null,
+    route: req.route?.path || null,
+    statusCode: res.statusCode,
+  }),
+  transport: pretty ? { target: 'pino-pretty', options: { colorize: true, translateTime: true, singleLine: true } } : undefined,
+  serializers: {
+    req(req) {
+      return { method: req.method, url: req.url, id: req.id, headers: minimalReqHeaders(req.headers) };
     },
-  })
-);
+    res(res) {
+      return { statusCode: res.statusCode };
+    },
+  },
+});
+app.use(httpLogger);
+// Same logger for work outside a request (timers, scripts)
+const jobLog = httpLogger.logger;
 
 // =======================
 // Static dashboards at root (+ cache control) BEFORE routes
@@ -224,10 +240,30 @@ app.get(['/login', '/auth/login'], (_req, res) => res.redirect(308, '/auth/login
 // Rate limiters
 // =======================
 const authLimiter = rateLimit({ windowMs: 5 * 60 * 1000, max: 100, standardHeaders: true, legacyHeaders: false });
-app.use(['/api/auth/login', '/api/me'], authLimiter);
+app.use(['/api/auth/login', '/auth/refresh', '/auth/signup', '/auth/forgot-password', '/auth/reset-password', '/auth/change-email', '/auth/invites', '/auth/otp', '/auth/phone', '/api/me'], authLimiter);
+// OTP routes are also limited per phone number (codes cost an SMS and are short); no usable phone → per IP
+const otpKey = (req) => normalizeMsisdn(req.body?.phone) || req.ip;
+const otpSendLimiter = rateLimit({
+  windowMs: 15 * 60 * 1000,
+  max: Math.max(1, Number(process.env.OTP_SENDS_PER_15MIN || 3)),
+  keyGenerator: otpKey,
+  standardHeaders: true,
+  legacyHeaders: false,
+  message: { ok: false, error: 'too many codes requested for this number; try again later' },
+});
+const otpVerifyLimiter = rateLimit({
+  windowMs: 15 * 60 * 1000,
+  max: Math.max(1, Number(process.env.OTP_VERIFY_ATTEMPTS_PER_15MIN || 5)),
+  keyGenerator: otpKey,
+  skipSuccessfulRequests: true,
+  standardHeaders: true,
+  legacyHeaders: false,
+  message: { ok: false, error: 'too many wrong codes for this number; request a new code later' },
+});
 const quoteLimiter = rateLimit({ windowMs: 5 * 60 * 1000, max: 120, standardHeaders: true, legacyHeaders: false });
 const writeLimiter = rateLimit({ windowMs: 5 * 60 * 1000, max: 60, standardHeaders: true, legacyHeaders: false });
 const adminLimiter = rateLimit({ windowMs: 60 * 1000, max: 120, standardHeaders: true, legacyHeaders: false });
+const payLimiter = rateLimit({ windowMs: 5 * 60 * 1000, max: 30, standardHeaders: true, legacyHeaders: false });
 app.use('/api/admin', adminLimiter);
 
 // =======================
@@ -246,6 +282,8 @@ app.get('/__health', (_req, res) => {
         has_SUPABASE_ANON_KEY: !!SUPABASE_ANON_KEY,
         has_SUPABASE_SERVICE_ROLE: !!SUPABASE_SERVICE_ROLE,
         has_ADMIN_TOKEN: !!ADMIN_TOKEN,
+        has_DARAJA_CALLBACK_TOKEN: !!process.env.DARAJA_CALLBACK_TOKEN,
+        has_USSD_GATEWAY_TOKEN: !!process.env.USSD_GATEWAY_TOKEN,
       },
     },
   });
@@ -264,14 +302,18 @@ app.get('/__healthz', (_req, res) => {
   res.json({ ok, has_db: !!(SUPABASE_URL && SUPABASE_ANON_KEY), has_db_admin: !!(SUPABASE_URL && SUPABASE_SERVICE_ROLE) });
 });
 
-// Prometheus metrics (admin-gated)
-app.get('/metrics/prom', (req, res) => {
+// Prometheus metrics (root token or an API key with metrics:read)
+app.get('/metrics/prom', async (req, res) => {
   const auth = (req.headers.authorization || '').trim();
   const bearer = auth.startsWith('Bearer ') ? auth.slice(7) : '';
-  const legacy = req.headers['x-admin-token'];
-  if (!ADMIN_TOKEN || (bearer !== ADMIN_TOKEN && legacy !== ADMIN_TOKEN)) {
-    return res.status(401).type('text/plain').send('# unauthorized\n');
+  let cred = null;
+  try {
+    cred = await resolveAdminCredential(bearer || req.headers['x-admin-token'] || '');
+  } catch (e) {
+    req.log.error({ err: String(e.message || e) }, 'metrics auth lookup failed');
   }
+  if (!cred) return res.status(401).type('text/plain').send('# unauthorized\n');
+  if (!hasScope(cred.scopes, 'metrics:read')) return res.status(403).type('text/plain').send('# forbidden\n');
   const lines = [];
   lines.push('# HELP teketeke_up 1 if the app is up');
   lines.push('# TYPE teketeke_up gauge');
@@ -283,6 +325,9 @@ app.get('/metrics/prom', (req, res) => {
   lines.push('# HELP process_uptime_seconds Process uptime in seconds');
   lines.push('# TYPE process_uptime_seconds counter');
   lines.push('process_uptime_seconds ' + Math.floor(process.uptime()));
+  lines.push('# HELP teketeke_audit_write_failures_total Audit rows that could not be written since start');
+  lines.push('# TYPE teketeke_audit_write_failures_total counter');
+  lines.push('teketeke_audit_write_failures_total ' + auditWriteFailures);
   res.setHeader('Content-Type', 'text/plain; version=0.0.4');
   res.send(lines.join('\n') + '\n');
 });
@@ -409,7 +454,7 @@ async function requireUser(req, res, next) {
     if (!token) return res.status(401).json({ ok: false, error: 'Unauthorized' });
 
     // Root token acts as SYSTEM_ADMIN
-    if (ADMIN_TOKEN && token === ADMIN_TOKEN) {
+    if (isRootToken(token)) {
       req.user = { id: 'admin', email: 'admin@skyyalla.com', role: 'SYSTEM_ADMIN' };
       return next();
     }
@@ -432,12 +477,238 @@ async function requireUser(req, res, next) {
     res.status(401).json({ ok: false, error: 'Unauthorized' });
   }
 }
-function requireAdmin(req, res, next) {
-  const token = req.headers['x-admin-token'] || '';
-  if (!token || token !== ADMIN_TOKEN) return res.status(401).json({ success: false, error: 'Unauthorized' });
+
+// ---- Admin credentials: ADMIN_TOKEN (root, break-glass) or a scoped API key from api_keys ----
+// Keys look like tk_<32 chars>; only their sha256 is stored. ':write' implies ':read', '*' implies everything.
+const API_KEY_SCOPES = ['*', 'saccos:admin', 'ussd:read', 'ussd:write', 'finance:read', 'finance:write', 'metrics:read', 'audit:read'];
+const ADMIN_SCOPE_AREAS = [
+  [/^\/api\/admin\/ussd\//, 'ussd'],
+  [/^\/api\/admin\/audit$/, 'audit:read'],
+  [/^\/api\/admin\/(transactions|settlements|payouts|reconciliations)(\/|$)/, 'finance'],
+  [/^\/api\/admin\/(saccos|matatus|bodabodas|taxis|cashier|rulesets|register-|update-|delete-|system-overview|sacco-overview)/, 'saccos:admin'],
+];
+// Scope an admin request needs; anything not listed (api-keys, user admin, new routes) needs '*'
+function adminScopeFor(req) {
+  const hit = ADMIN_SCOPE_AREAS.find(([rx]) => rx.test(req.path));
+  if (!hit) return '*';
+  if (hit[1].includes(':')) return hit[1];
+  return `${hit[1]}:${req.method === 'GET' ? 'read' : 'write'}`;
+}
+function hasScope(scopes, want) {
+  const have = new Set(scopes || []);
+  return have.has('*') || have.has(want) || (want.endsWith(':read') && have.has(want.replace(/:read$/, ':write')));
+}
+const hashApiKey = (key) => createHash('sha256').update(String(key)).digest('hex');
+function isRootToken(token) {
+  if (!ADMIN_TOKEN || !token) return false;
+  return timingSafeEqual(createHash('sha256').update(String(token)).digest(), createHash('sha256').update(ADMIN_TOKEN).digest());
+}
+
+const _apiKeyCache = new Map();
+const _API_KEY_TTL_MS = 30 * 1000;
+const _API_KEY_TOUCH_MS = 60 * 1000;
+// → { kind:'root', scopes:['*'] } | { kind:'key', id, name, scopes } | null
+async function resolveAdminCredential(token) {
+  if (isRootToken(token)) return { kind: 'root', scopes: ['*'] };
+  if (!token || !String(token).startsWith('tk_') || !sbAdmin) return null;
+  const hash = hashApiKey(token);
+  let hit = _apiKeyCache.get(hash);
+  if (!hit || Date.now() - hit.at > _API_KEY_TTL_MS) {
+    const { data, error } = await sbAdmin.from('api_keys').select('id, name, scopes, expires_at, revoked_at').eq('key_hash', hash).maybeSingle();
+    if (error) throw error;
+    if (_apiKeyCache.size > _ROLE_MAX) _apiKeyCache.delete(_apiKeyCache.keys().next().value);
+    hit = { row: data || null, at: Date.now(), touched: hit?.touched || 0 };
+    _apiKeyCache.set(hash, hit);
+  }
+  const row = hit.row;
+  if (!row || row.revoked_at || (row.expires_at && Date.parse(row.expires_at) <= Date.now())) return null;
+  if (Date.now() - hit.touched > _API_KEY_TOUCH_MS) {
+    hit.touched = Date.now();
+    sbAdmin.from('api_keys').update({ last_used_at: new Date().toISOString() }).eq('id', row.id).then(() => {}, () => {});
+  }
+  return { kind: 'key', id: row.id, name: row.name, scopes: row.scopes || [] };
+}
+
+async function requireAdmin(req, res, next) {
+  try {
+    const cred = await resolveAdminCredential(req.headers['x-admin-token'] || '');
+    if (!cred) return res.status(401).json({ success: false, error: 'Unauthorized' });
+    const scope = adminScopeFor(req);
+    if (!hasScope(cred.scopes, scope)) return res.status(403).json({ success: false, error: `API key lacks scope ${scope}` });
+    if (cred.kind === 'key') req.apiKey = cred;
+    else req.adminToken = true;
+    next();
+  } catch (e) {
+    res.status(500).json({ success: false, error: String(e.message || e) });
+  }
+}
+// Who made an admin change (recorded on versioned/audited rows)
+function adminActor(req) {
+  return req.user?.id || (req.apiKey ? `api-key:${req.apiKey.id}` : 'admin-token');
+}
+
+// ---- Audit trail: one audit_log row per admin/financial write (the table rejects UPDATE/DELETE) ----
+// `system` names the automated caller ('daraja', 'stk-sweeper', 'passenger', ...) for writes no user or key made.
+function auditActor(req, system = null) {
+  if (req.apiKey) return { actor: req.apiKey.id, actor_type: 'api_key' };
+  if (req.user?.id && req.user.role !== 'SYSTEM_ADMIN') return { actor: req.user.id, actor_type: 'user' };
+  if (system) return { actor: system, actor_type: 'system' };
+  return { actor: 'admin-token', actor_type: 'admin_token' };
+}
+let auditWriteFailures = 0; // exported on /metrics/prom
+// Never throws: the change has already happened, so a failed insert is counted and logged with the whole row
+// (enough to re-insert it by hand) instead of turned into a 500.
+// req may be a stand-in ({ id?, log }) for work outside a request, e.g. the sweeper.
+async function audit(req, { entity, action, entity_id = null, before = null, after = null, system = null }) {
+  if (!sbAdmin) return;
+  const row = {
+    ...auditActor(req, system),
+    entity,
+    action,
+    entity_id: entity_id == null ? null : String(entity_id),
+    request_id: req.id || null,
+    ip: req.ip || null,
+    before,
+    after,
+  };
+  try {
+    const { error } = await sbAdmin.from('audit_log').insert([row]);
+    if (error) throw error;
+  } catch (e) {
+    auditWriteFailures++;
+    req.log.error({ err: String(e.message || e), audit_row: row, failures: auditWriteFailures }, 'audit write failed');
+  }
+}
+// Current row for a before-snapshot (null when missing or no service role)
+async function auditSnapshot(table, match) {
+  if (!sbAdmin) return null;
+  let q = sbAdmin.from(table).select('*');
+  for (const [k, v] of Object.entries(match)) q = q.eq(k, v);
+  const { data } = await q.maybeSingle();
+  return data || null;
+}
+
+// ---- Idempotency-Key: a retried write replays the first response instead of running again ----
+// One idempotency_keys row per caller + route + key (shared by every instance), kept IDEMPOTENCY_TTL_HOURS.
+// The row is claimed before the handler runs and filled in with the response before it is sent.
+const IDEMPOTENCY_TTL_HOURS = Math.max(1, Number(process.env.IDEMPOTENCY_TTL_HOURS || 24));
+const IDEMPOTENCY_LOCK_MS = 60 * 1000; // an unfinished claim older than this belongs to a request that died
+const IDEMPOTENCY_KEY_RE = /^[\x21-\x7e]{1,255}$/;
+
+// Same request = same query string and same JSON body, whatever the key order
+function canonicalJson(v) {
+  if (Array.isArray(v)) return `[${v.map(canonicalJson).join(',')}]`;
+  if (v && typeof v === 'object') {
+    return `{${Object.keys(v).sort().map((k) => `${JSON.stringify(k)}:${canonicalJson(v[k])}`).join(',')}}`;
+  }
+  return JSON.stringify(v ?? null);
+}
+
+// A response that cannot be replayed byte for byte (not JSON, or streamed with res.write) is stored as this
+// 409 instead, so a retry never runs the write a second time
+const IDEMPOTENCY_UNREPLAYABLE = { success: false, error: 'the first request finished but its response cannot be replayed; check the result before retrying' };
+
+// Stored form of a finished response: { status_code, response } (response null = no body)
+function idempotentRecord(res, chunk) {
+  if (res.headersSent) return { status_code: 409, response: IDEMPOTENCY_UNREPLAYABLE };
+  if (chunk == null || chunk.length === 0) return { status_code: res.statusCode, response: null };
+  if (!/\bjson\b/i.test(res.get('Content-Type') || '')) return { status_code: 409, response: IDEMPOTENCY_UNREPLAYABLE };
+  try {
+    const text = Buffer.isBuffer(chunk) ? chunk.toString() : String(chunk);
+    return { status_code: res.statusCode, response: JSON.parse(text) };
+  } catch {
+    return { status_code: 409, response: IDEMPOTENCY_UNREPLAYABLE };
+  }
+}
+
+// Wraps res.end (res.json, res.send and res.sendStatus all end there) so the response is stored before it goes out;
+// 5xx and 429 free the key so the retry runs again
+function recordIdempotentResponse(req, res, id, next) {
+  const end = res.end.bind(res);
+  let recorded = false;
+  res.end = (chunk, encoding, cb) => {
+    if (recorded) return end(chunk, encoding, cb);
+    recorded = true;
+    const status = res.statusCode;
+    (async () => {
+      try {
+        const store = status >= 500 || status === 429
+          ? sbAdmin.from('idempotency_keys').delete().match(id)
+          : sbAdmin.from('idempotency_keys').update(idempotentRecord(res, chunk)).match(id);
+        const { error } = await store;
+        if (error) throw error;
+      } catch (e) {
+        req.log.error({ err: String(e.message || e), route: id.route }, 'idempotency record failed');
+      }
+      end(chunk, encoding, cb);
+    })();
+    return res;
+  };
+  sbAdmin.from('idempotency_keys').delete().eq('caller', id.caller).lt('expires_at', new Date().toISOString()).then(() => {}, () => {});
   next();
 }
 
+// Keys are scoped per signed-in user, API key or admin token; unauthenticated routes (the passenger STK push)
+// share one 'anonymous' namespace, so their clients must send a fresh UUID per payment
+function idempotencyCaller(req) {
+  return req.user?.id || req.apiKey || req.adminToken ? adminActor(req) : 'anonymous';
+}
+
+// Route middleware, after the auth guard (the caller is part of the key). No header → runs as before.
+async function idempotent(req, res, next) {
+  const key = req.get('Idempotency-Key');
+  if (key === undefined) return next();
+  if (!IDEMPOTENCY_KEY_RE.test(key)) return res.status(400).json({ success: false, error: 'Idempotency-Key must be 1-255 visible ASCII characters' });
+  if (!sbAdmin) return next(); // nowhere shared to keep responses (local runs without the service role)
+  const id = { caller: idempotencyCaller(req), route: `${req.method} ${req.path}`, key };
+  const query = req.originalUrl.includes('?') ? req.originalUrl.slice(req.originalUrl.indexOf('?') + 1) : '';
+  const request_hash = createHash('sha256').update(`${query}\n${canonicalJson(req.body || {})}`).digest('hex');
+  try {
+    for (let attempt = 0; attempt < 2; attempt++) {
+      const expires_at = new Date(Date.now() + IDEMPOTENCY_TTL_HOURS * 3600 * 1000).toISOString();
+      const { error } = await sbAdmin.from('idempotency_keys').insert([{ ...id, request_hash, expires_at }]);
+      if (!error) return recordIdempotentResponse(req, res, id, next);
+      if (error.code !== '23505') throw error;
+
+      const { data: row, error: readErr } = await sbAdmin
+        .from('idempotency_keys')
+        .select('request_hash, status_code, response, locked_at, expires_at')
+        .match(id)
+        .maybeSingle();
+      if (readErr) throw readErr;
+      if (!row) continue;
+      if (new Date(row.expires_at).getTime() <= Date.now()) {
+        await sbAdmin.from('idempotency_keys').delete().match(id).eq('expires_at', row.expires_at);
+        continue;
+      }
+      if (row.request_hash !== request_hash) {
+        return res.status(422).json({ success: false, error: 'Idempotency-Key was already used for a different request' });
+      }
+      if (row.status_code != null) {
+        res.set('Idempotent-Replayed', 'true');
+        if (row.response === null) return res.status(row.status_code).end();
+        return res.status(row.status_code).json(row.response);
+      }
+      const stale = new Date(Date.now() - IDEMPOTENCY_LOCK_MS).toISOString();
+      const { data: took, error: takeErr } = await sbAdmin
+        .from('idempotency_keys')
+        .update({ locked_at: new Date().toISOString() })
+        .match(id)
+        .is('status_code', null)
+        .lt('locked_at', stale)
+        .select('key');
+      if (takeErr) throw takeErr;
+      if (took?.length) return recordIdempotentResponse(req, res, id, next);
+      break;
+    }
+    res.set('Retry-After', '2');
+    return res.status(409).json({ success: false, error: 'a request with this Idempotency-Key is still in progress' });
+  } catch (e) {
+    req.log.error({ err: String(e.message || e), route: id.route }, 'idempotency check failed');
+    return res.status(503).json({ success: false, error: 'could not check Idempotency-Key; retry' });
+  }
+}
+
 // Role helpers (SACCO_ADMIN or SYSTEM_ADMIN)
 const _roleCache = new Map();
 const _ROLE_TTL_MS = 60 * 1000;
@@ -472,9 +743,12 @@ function requireRole(...roles) {
     try {
       const want = new Set(roles.map((r) => String(r || '').toUpperCase()));
       if (req.user?.role && want.has(String(req.user.role).toUpperCase())) return next();
-      if (want.has('SYSTEM_ADMIN')) {
-        const root = req.headers['x-admin-token'];
-        if (root && root === ADMIN_TOKEN) return next();
+      if (want.has('SYSTEM_ADMIN') && req.headers['x-admin-token']) {
+        const cred = await resolveAdminCredential(req.headers['x-admin-token']);
+        if (cred && hasScope(cred.scopes, adminScopeFor(req))) {
+          if (cred.kind === 'key') req.apiKey = cred;
+          return next();
+        }
       }
       if (want.has('SACCO_ADMIN') && req.user?.id) {
         if (await isSaccoAdmin(req.user.id)) return next();
@@ -492,44 +766,110 @@ app.get('/config.json', (_req, res) => {
 });
 
 // -------- AUTH routes --------
-async function doLogin(email, password) {
-  const { data, error } = await sb.auth.signInWithPassword({ email, password });
-  if (error) throw error;
+// Sign-in/refresh on a throwaway client: the shared anon client must never carry a user's session
+function authClient() {
+  if (!_supabaseCreateClient || !SUPABASE_URL || !SUPABASE_ANON_KEY) throw new Error('auth unavailable (Supabase not configured)');
+  return _supabaseCreateClient(SUPABASE_URL, SUPABASE_ANON_KEY, { auth: { persistSession: false, autoRefreshToken: false } }).auth;
+}
+
+const PASSWORD_MIN = 8;
+const EMAIL_RE = /^[^@\s]+@[^@\s]+\.[^@\s]+$/;
 
-  const { data: su } = await sb
+// Absolute link into the web app for auth mails (GoTrue falls back to its Site URL when undefined)
+function appUrl(pathname) {
+  return APP_URL ? `${String(APP_URL).replace(/\/+$/, '')}${pathname}` : undefined;
+}
+
+// PUT /auth/v1/user as the user themself, so GoTrue runs its own checks and sends the confirmation mails
+async function authUserUpdate(token, attrs, redirectTo) {
+  if (!SUPABASE_URL || !SUPABASE_ANON_KEY) throw new Error('auth unavailable (Supabase not configured)');
+  const qs = redirectTo ? `?redirect_to=${encodeURIComponent(redirectTo)}` : '';
+  const r = await fetch(`${String(SUPABASE_URL).replace(/\/+$/, '')}/auth/v1/user${qs}`, {
+    method: 'PUT',
+    headers: { apikey: SUPABASE_ANON_KEY, Authorization: `Bearer ${token}`, 'Content-Type': 'application/json' },
+    body: JSON.stringify(attrs),
+  });
+  const json = await r.json().catch(() => ({}));
+  if (!r.ok) return { ok: false, status: r.status, code: json.error_code || null, error: json.msg || json.error_description || json.message || `auth responded ${r.status}` };
+  return { ok: true, user: json };
+}
+
+// Login/refresh response: tokens + memberships (read server-side; RLS hides them from the anon client)
+async function sessionPayload(session, user) {
+  const svc = sbAdmin || sb;
+  const { data: su } = await svc
     .from('sacco_users')
     .select('sacco_id, role, saccos(name,default_till)')
-    .eq('user_id', data.user.id);
+    .eq('user_id', user.id);
 
-  const { data: mm } = await sb
+  const { data: mm } = await svc
     .from('matatu_members')
     .select('matatu_id, member_role, matatus(number_plate,sacco_id)')
-    .eq('user_id', data.user.id);
+    .eq('user_id', user.id);
 
   return {
-    access_token: data.session?.access_token,
-    refresh_token: data.session?.refresh_token,
-    user: { id: data.user?.id, email: data.user?.email },
+    access_token: session?.access_token,
+    refresh_token: session?.refresh_token,
+    expires_at: session?.expires_at || null,
+    user: { id: user.id, email: user.email, phone: user.phone || null },
     saccos: (su || []).map((r) => ({ sacco_id: r.sacco_id, role: r.role, sacco_name: r.saccos?.name || '', default_till: r.saccos?.default_till || null })),
     matatus: (mm || []).map((r) => ({ matatu_id: r.matatu_id, member_role: r.member_role, plate: r.matatus?.number_plate || '', sacco_id: r.matatus?.sacco_id || null })),
   };
 }
 
+async function doLogin(email, password) {
+  const { data, error } = await authClient().signInWithPassword({ email, password });
+  if (error) throw error;
+  return sessionPayload(data.session, data.user);
+}
+
+// Accounts open against an invite only: the invite row, never the request body, decides the SACCO/matatu role granted
 app.post('/auth/signup', async (req, res) => {
   try {
-    const { email, password, sacco_id, sacco_role = 'STAFF', matatu_id, member_role = 'conductor' } = req.body || {};
+    const { email, password, invite_token } = req.body || {};
+    if (req.body?.sacco_id || req.body?.matatu_id) {
+      return res.status(400).json({ ok: false, error: 'memberships come from invites: send invite_token instead of sacco_id/matatu_id' });
+    }
     if (!email || !password) return res.status(400).json({ ok: false, error: 'email & password required' });
+    if (!invite_token) return res.status(400).json({ ok: false, error: 'invite_token required' });
+    if (String(password).length < PASSWORD_MIN) return res.status(422).json({ ok: false, error: `password must be at least ${PASSWORD_MIN} characters` });
+    if (!sbAdmin) return res.status(503).json({ ok: false, error: 'signup unavailable (service role not configured)' });
 
-    const { data, error } = await sb.auth.signUp({ email, password });
-    if (error) throw error;
+    const invite = await readInvite(invite_token);
+    const addr = String(email).trim().toLowerCase();
+    if (invite.email && invite.email !== addr) return res.status(403).json({ ok: false, error: 'this invite is for a different email address' });
 
-    const userId = data.user?.id;
-    if (userId && sacco_id && sbAdmin) await sbAdmin.from('sacco_users').insert([{ sacco_id, user_id: userId, role: sacco_role }]);
-    if (userId && matatu_id && sbAdmin) await sbAdmin.from('matatu_members').upsert({ user_id: userId, matatu_id, member_role });
+    // Claim first: a used or concurrently redeemed invite is refused before any account exists.
+    // Any failure after the claim hands the invite back, and removes the account if one was created.
+    const claimedAt = await claimInvite(invite);
+    let createdId = null;
+    try {
+      const { data, error } = await authClient().signUp({ email: addr, password, options: { emailRedirectTo: appUrl('/auth/login.html') } });
+      const exists = httpError(409, 'an account with this email exists: sign in and redeem the invite instead');
+      if (error && (error.code === 'user_already_exists' || /already registered/i.test(error.message))) throw exists;
+      if (error) throw error;
+      // With confirmations on, GoTrue answers for an existing address with an identity-less placeholder user
+      const user = data.user;
+      if (!user?.id || (Array.isArray(user.identities) && !user.identities.length)) throw exists;
+      createdId = user.id;
 
-    res.json({ ok: true, needs_confirmation: !data.session, session: data.session || null });
+      req.user = { id: user.id, email: addr };
+      const membership = await redeemInvite(req, invite, { claimedAt });
+      res.json({ ok: true, needs_confirmation: !data.session, session: data.session || null, membership });
+    } catch (e) {
+      await releaseInvite(invite, claimedAt).catch((err) => req.log.error({ invite_id: invite.id, err: err.message }, 'invite release failed'));
+      if (createdId) {
+        try {
+          const { error: delErr } = await sbAdmin.auth.admin.deleteUser(createdId);
+          if (delErr) throw delErr;
+        } catch (err) {
+          req.log.error({ user_id: createdId, err: err.message }, 'signup rollback: user not deleted');
+        }
+      }
+      throw e;
+    }
   } catch (e) {
-    res.status(500).json({ ok: false, error: e.message });
+    res.status(e.status || 500).json({ ok: false, error: e.message });
   }
 });
 app.post('/auth/login', async (req, res) => {
@@ -552,29 +892,263 @@ app.post('/api/auth/login', async (req, res) => {
     res.status(401).json({ success: false, error: e.message });
   }
 });
-app.post('/auth/logout', requireUser, async (_req, res) => {
+
+// Swap a refresh token for a new access token (refresh tokens are single-use; store the new one)
+app.post('/auth/refresh', async (req, res) => {
+  try {
+    const refresh_token = String(req.body?.refresh_token || '').trim();
+    if (!refresh_token) return res.status(400).json({ ok: false, error: 'refresh_token required' });
+    const { data, error } = await authClient().refreshSession({ refresh_token });
+    if (error || !data?.session) return res.status(401).json({ ok: false, error: error?.message || 'invalid refresh token' });
+    res.json({ ok: true, ...(await sessionPayload(data.session, data.user)) });
+  } catch (e) {
+    res.status(500).json({ ok: false, error: e.message });
+  }
+});
+
+// Revokes the caller's session server-side (its refresh token stops working); { scope: 'global' } signs out every device.
+// The access token itself stays valid until it expires, so clients drop it too.
+async function logoutHandler(req, res) {
+  try {
+    const scope = ['global', 'others'].includes(req.body?.scope) ? req.body.scope : 'local';
+    if (req.user.role !== 'SYSTEM_ADMIN') {
+      const token = req.headers.authorization.slice(7);
+      const { error } = await (sbAdmin || sb).auth.admin.signOut(token, scope);
+      // 401/403/404: the session is already gone (e.g. ended by a password reset)
+      if (error && ![401, 403, 404].includes(error.status)) throw error;
+    }
+    res.json({ ok: true, scope });
+  } catch (e) {
+    res.status(500).json({ ok: false, error: e.message });
+  }
+}
+app.post('/auth/logout', requireUser, logoutHandler);
+app.post('/api/auth/logout', requireUser, logoutHandler);
+
+// Always ok, so the endpoint cannot be used to probe which emails have accounts; the mail links to /auth/reset.html
+app.post('/auth/forgot-password', async (req, res) => {
+  const email = String(req.body?.email || '').trim().toLowerCase();
+  if (!EMAIL_RE.test(email)) return res.status(422).json({ ok: false, error: 'valid email required' });
   try {
-    await sb.auth.signOut();
+    const { error } = await authClient().resetPasswordForEmail(email, { redirectTo: appUrl('/auth/reset.html') });
+    if (error) throw error;
+  } catch (e) {
+    req.log.warn({ err: String(e.message || e) }, 'password reset mail failed');
+  }
+  res.json({ ok: true });
+});
+
+// Second half of the reset mail: token_hash (?token_hash= links) or the access_token GoTrue puts in the redirect fragment.
+// Every session of the account is signed out afterwards, so the user signs in again with the new password.
+app.post('/auth/reset-password', async (req, res) => {
+  try {
+    const { token_hash, access_token, password } = req.body || {};
+    if (!password || String(password).length < PASSWORD_MIN) {
+      return res.status(422).json({ ok: false, error: `password must be at least ${PASSWORD_MIN} characters` });
+    }
+    let token = access_token || null;
+    if (token_hash) {
+      const { data, error } = await authClient().verifyOtp({ token_hash, type: 'recovery' });
+      if (error || !data?.session) return res.status(400).json({ ok: false, error: 'reset link is invalid or has expired' });
+      token = data.session.access_token;
+    }
+    if (!token) return res.status(400).json({ ok: false, error: 'token_hash or access_token required' });
+    const r = await authUserUpdate(token, { password });
+    if (!r.ok) return res.status(r.status === 422 ? 422 : 401).json({ ok: false, error: r.error });
+    await (sbAdmin || sb).auth.admin.signOut(token, 'global');
     res.json({ ok: true });
-  } catch {
+  } catch (e) {
+    res.status(500).json({ ok: false, error: e.message });
+  }
+});
+
+// Re-checks the password, then GoTrue mails a link to the new address; the email only changes once that link is opened
+app.post('/auth/change-email', requireUser, async (req, res) => {
+  try {
+    if (req.user.role === 'SYSTEM_ADMIN') return res.status(400).json({ ok: false, error: 'the admin token has no email to change' });
+    const new_email = String(req.body?.new_email || '').trim().toLowerCase();
+    const password = req.body?.password;
+    if (!EMAIL_RE.test(new_email)) return res.status(422).json({ ok: false, error: 'valid new_email required' });
+    if (!password) return res.status(400).json({ ok: false, error: 'password required' });
+    if (new_email === String(req.user.email || '').toLowerCase()) return res.status(422).json({ ok: false, error: 'that is already your email' });
+
+    const { data: re, error: reErr } = await authClient().signInWithPassword({ email: req.user.email, password });
+    if (reErr || !re?.session) return res.status(401).json({ ok: false, error: 'password incorrect' });
+    const token = re.session.access_token;
+    let r;
+    try {
+      r = await authUserUpdate(token, { email: new_email }, appUrl('/auth/login.html'));
+    } finally {
+      // the re-check session is never handed out
+      await (sbAdmin || sb).auth.admin.signOut(token, 'local');
+    }
+    if (!r.ok) {
+      const status = r.code === 'email_exists' ? 409 : r.status === 422 ? 422 : 502;
+      return res.status(status).json({ ok: false, error: r.error });
+    }
+    req.log.info({ user_id: req.user.id }, 'email change requested');
+    res.json({ ok: true, email: req.user.email, pending_email: r.user?.new_email || new_email, needs_confirmation: true });
+  } catch (e) {
+    res.status(500).json({ ok: false, error: e.message });
+  }
+});
+
+// -------- Phone (OTP) login --------
+// Supabase phone auth issues and checks the codes; it hands each code to /auth/hooks/send-sms, which sends it through our SMS sender.
+// OTP_SIGNUP=known (default): only numbers already on an account or on a crew row get a code; open: any Kenyan mobile.
+const OTP_SIGNUP = String(process.env.OTP_SIGNUP || 'known').toLowerCase();
+const OTP_CODE_RE = /^\d{4,10}$/;
+
+// Supabase Auth "Send SMS" hook (Standard Webhooks signature with SEND_SMS_HOOK_SECRET)
+app.post('/auth/hooks/send-sms', async (req, res) => {
+  const secret = process.env.SEND_SMS_HOOK_SECRET;
+  if (!secret) return res.status(503).json({ error: { http_code: 503, message: 'SEND_SMS_HOOK_SECRET not configured' } });
+  if (!verifyWebhook(secret, req.headers, req.rawBody || '')) return res.status(401).json({ error: { http_code: 401, message: 'invalid signature' } });
+  const phone = req.body?.user?.phone_change || req.body?.user?.phone;
+  const otp = req.body?.sms?.otp;
+  if (!phone || !otp) return res.status(400).json({ error: { http_code: 400, message: 'user.phone and sms.otp required' } });
+  try {
+    const sent = await sendSms({ to: phone, message: `Your TekeTeke code is ${otp}. Do not share it with anyone.`, requestId: req.id });
+    req.log.info({ to: maskMsisdn(phone), provider: sent.provider }, 'otp sms sent');
+    res.json({});
+  } catch (e) {
+    req.log.error({ to: maskMsisdn(phone), err: String(e.message || e) }, 'otp sms failed');
+    res.status(500).json({ error: { http_code: 500, message: 'sms send failed' } });
+  }
+});
+
+async function isCrewPhone(msisdn) {
+  const { data, error } = await (sbAdmin || sb).from('matatu_members').select('id').eq('msisdn', msisdn).limit(1);
+  if (error) throw error;
+  return !!(data && data.length);
+}
+
+// Stamps the number on the user's crew rows and claims rows an owner added by phone before the user had an account.
+// A claimed row for a matatu the user is already on is dropped instead. → number of rows claimed
+async function linkPhoneMembers(req, userId, msisdn) {
+  if (!sbAdmin) return 0;
+  const { data: pending, error } = await sbAdmin.from('matatu_members').select('id, matatu_id, member_role').eq('msisdn', msisdn).is('user_id', null);
+  if (error) throw error;
+  const { data: mine, error: mineErr } = await sbAdmin.from('matatu_members').select('matatu_id').eq('user_id', userId);
+  if (mineErr) throw mineErr;
+  const have = new Set((mine || []).map((r) => r.matatu_id));
+  let claimed = 0;
+  for (const row of pending || []) {
+    if (have.has(row.matatu_id)) {
+      // already crew on that matatu: the phone-only row is a duplicate
+      const { data: gone, error: delErr } = await sbAdmin.from('matatu_members').delete().eq('id', row.id).is('user_id', null).select('id');
+      if (delErr) throw delErr;
+      if (gone?.length) await audit(req, { entity: 'matatu_member', action: 'delete', entity_id: row.id, before: { ...row, msisdn, user_id: null } });
+      continue;
+    }
+    const { data: won, error: claimErr } = await sbAdmin.from('matatu_members').update({ user_id: userId }).eq('id', row.id).is('user_id', null).select('id');
+    if (claimErr) throw claimErr;
+    if (!won?.length) continue;
+    claimed++;
+    await audit(req, { entity: 'matatu_member', action: 'claim', entity_id: row.id, before: { ...row, msisdn, user_id: null }, after: { ...row, msisdn, user_id: userId } });
+  }
+  const { error: phoneErr } = await sbAdmin.from('matatu_members').update({ msisdn }).eq('user_id', userId);
+  if (phoneErr) throw phoneErr;
+  return claimed;
+}
+
+// Always ok for well-formed numbers, so the endpoint cannot be used to probe which numbers have accounts
+app.post('/auth/otp/request', otpSendLimiter, async (req, res) => {
+  const msisdn = normalizeMsisdn(req.body?.phone);
+  if (!msisdn) return res.status(422).json({ ok: false, error: 'valid Kenyan mobile number required' });
+  try {
+    const shouldCreateUser = OTP_SIGNUP === 'open' || (await isCrewPhone(msisdn));
+    const { error } = await authClient().signInWithOtp({ phone: `+${msisdn}`, options: { shouldCreateUser, channel: 'sms' } });
+    if (error?.status === 429) return res.status(429).json({ ok: false, error: error.message });
+    if (error && !shouldCreateUser && error.status === 422) {
+      req.log.info({ phone: maskMsisdn(msisdn) }, 'otp requested for unknown number');
+    } else if (error) {
+      throw error;
+    }
     res.json({ ok: true });
+  } catch (e) {
+    req.log.warn({ phone: maskMsisdn(msisdn), err: String(e.message || e) }, 'otp request failed');
+    res.status(502).json({ ok: false, error: 'could not send the code; try again' });
+  }
+});
+
+// Same payload as /auth/login (plus user.phone); crew rows waiting on this number are linked first
+app.post('/auth/otp/verify', otpVerifyLimiter, async (req, res) => {
+  try {
+    const msisdn = normalizeMsisdn(req.body?.phone);
+    const code = String(req.body?.code || '').trim();
+    if (!msisdn || !OTP_CODE_RE.test(code)) return res.status(422).json({ ok: false, error: 'phone and code required' });
+    const { data, error } = await authClient().verifyOtp({ phone: `+${msisdn}`, token: code, type: 'sms' });
+    if (error || !data?.session) return res.status(401).json({ ok: false, error: 'invalid or expired code' });
+    req.user = { id: data.user.id, phone: msisdn };
+    const claimed = await linkPhoneMembers(req, data.user.id, msisdn);
+    if (claimed) req.log.info({ user_id: data.user.id, claimed }, 'crew rows linked to phone login');
+    res.json({ ok: true, ...(await sessionPayload(data.session, data.user)) });
+  } catch (e) {
+    res.status(500).json({ ok: false, error: e.message });
+  }
+});
+
+// Adds a phone to the signed-in (email) account; the code goes to the new number. Afterwards OTP login lands on this account.
+app.post('/auth/phone', requireUser, otpSendLimiter, async (req, res) => {
+  try {
+    if (req.user.role === 'SYSTEM_ADMIN') return res.status(400).json({ ok: false, error: 'the admin token has no account to link' });
+    const msisdn = normalizeMsisdn(req.body?.phone);
+    if (!msisdn) return res.status(422).json({ ok: false, error: 'valid Kenyan mobile number required' });
+    const r = await authUserUpdate(req.headers.authorization.slice(7), { phone: `+${msisdn}` });
+    if (!r.ok) {
+      const status = r.code === 'phone_exists' ? 409 : [422, 429].includes(r.status) ? r.status : 502;
+      return res.status(status).json({ ok: false, error: r.error });
+    }
+    res.json({ ok: true, pending_phone: msisdn });
+  } catch (e) {
+    res.status(500).json({ ok: false, error: e.message });
+  }
+});
+
+app.post('/auth/phone/verify', requireUser, otpVerifyLimiter, async (req, res) => {
+  try {
+    if (req.user.role === 'SYSTEM_ADMIN') return res.status(400).json({ ok: false, error: 'the admin token has no account to link' });
+    const msisdn = normalizeMsisdn(req.body?.phone);
+    const code = String(req.body?.code || '').trim();
+    if (!msisdn || !OTP_CODE_RE.test(code)) return res.status(422).json({ ok: false, error: 'phone and code required' });
+    const { data, error } = await authClient().verifyOtp({ phone: `+${msisdn}`, token: code, type: 'phone_change' });
+    if (error || !data?.session) return res.status(401).json({ ok: false, error: 'invalid or expired code' });
+    // verifyOtp opened a session of its own; it is never handed out
+    await (sbAdmin || sb).auth.admin.signOut(data.session.access_token, 'local');
+    if (data.user?.id !== req.user.id) return res.status(403).json({ ok: false, error: 'code belongs to another account' });
+    const linked = await linkPhoneMembers(req, req.user.id, msisdn);
+    res.json({ ok: true, phone: msisdn, linked });
+  } catch (e) {
+    res.status(500).json({ ok: false, error: e.message });
   }
 });
 
-// Legacy stubs (keep for old dashboards)
-app.get('/api/auth/session', (_req, res) => res.json({ loggedIn: true, role: 'SACCO_ADMIN', cashierId: 'CASHIER-001' }));
-app.post('/api/auth/logout', (_req, res) => res.json({ ok: true }));
+// Who is signed in, with memberships; role is the legacy single-role field old dashboards read
+app.get('/api/auth/session', requireUser, async (req, res) => {
+  try {
+    if (req.user.role === 'SYSTEM_ADMIN') {
+      return res.json({ loggedIn: true, role: 'SYSTEM_ADMIN', user: { id: req.user.id, email: req.user.email }, saccos: [], matatus: [] });
+    }
+    const [saccos, matatus] = await Promise.all([getSaccoRoles(req.user.id), getMatatuRoles(req.user.id)]);
+    const role = saccos[0]?.role || (matatus[0] ? String(matatus[0].member_role).toUpperCase() : null);
+    res.json({ loggedIn: true, role, user: { id: req.user.id, email: req.user.email }, saccos, matatus });
+  } catch (e) {
+    res.status(500).json({ ok: false, error: e.message });
+  }
+});
 
 // Who am I & roles
 app.get('/api/me', requireUser, (req, res) => res.json({ id: req.user.id, email: req.user.email }));
 
+// Membership checks run server-side for an already-verified user id; the anon client cannot see these rows under RLS
 async function getSaccoRoles(userId) {
-  const { data, error } = await sb.from('sacco_users').select('sacco_id, role, saccos!inner(name)').eq('user_id', userId);
+  const { data, error } = await (sbAdmin || sb).from('sacco_users').select('sacco_id, role, saccos!inner(name)').eq('user_id', userId);
   if (error) throw error;
   return (data || []).map((r) => ({ sacco_id: r.sacco_id, role: r.role, sacco_name: r.saccos?.name || '' }));
 }
 async function getMatatuRoles(userId) {
-  const { data, error } = await sb.from('matatu_members').select('matatu_id, member_role, matatus!inner(number_plate, sacco_id)').eq('user_id', userId);
+  const { data, error } = await (sbAdmin || sb).from('matatu_members').select('matatu_id, member_role, matatus!inner(number_plate, sacco_id)').eq('user_id', userId);
   if (error) throw error;
   return (data || []).map((r) => ({
     matatu_id: r.matatu_id,
@@ -613,7 +1187,7 @@ app.get('/api/admin/saccos', requireAdmin, async (req, res) => {
     const { q = '', limit = 100, offset = 0 } = req.query;
     let query = sb
       .from('saccos')
-      .select('id,name,contact_name,contact_phone,contact_email,default_till,created_at', { count: 'exact' })
+      .select('id,name,contact_name,contact_phone,contact_email,default_till,business_tz,day_cutoff_hour,created_at', { count: 'exact' })
       .order('created_at', { ascending: false })
       .range(Number(offset), Number(offset) + Number(limit) - 1);
     if (q) query = query.ilike('name', `%${q}%`);
@@ -642,17 +1216,20 @@ app.get('/api/admin/matatus', requireAdmin, async (req, res) => {
   }
 });
 
-app.post('/api/admin/register-sacco', requireAdmin, async (req, res) => {
+app.post('/api/admin/register-sacco', requireAdmin, idempotent, async (req, res) => {
   try {
     const { name, contact_name, contact_phone, contact_email, default_till } = req.body || {};
     if (!name) return res.status(400).json({ success: false, error: 'name required' });
+    const bday = businessDayFields(req.body);
+    if (bday.error) return res.status(400).json({ success: false, error: bday.error });
     const { data, error } = await sbAdmin
       .from('saccos')
-      .insert([{ name, contact_name, contact_phone, contact_email, default_till }])
+      .insert([{ name, contact_name, contact_phone, contact_email, default_till, ...bday.fields }])
       .select()
       .single();
     if (error) throw error;
     await sbAdmin.from('sacco_settings').upsert({ sacco_id: data.id }).eq('sacco_id', data.id);
+    await audit(req, { entity: 'sacco', action: 'create', entity_id: data.id, after: data });
     return res.json({ success: true, data: { id: data.id } });
   } catch (err) {
     return res.status(500).json({ success: false, error: String(err.message || err) });
@@ -663,8 +1240,13 @@ app.post('/api/admin/update-sacco', requireAdmin, async (req, res) => {
   try {
     const { id, ...fields } = req.body || {};
     if (!id) return res.status(400).json({ success: false, error: 'id required' });
-    const { error } = await sbAdmin.from('saccos').update(fields).eq('id', id);
+    const bday = businessDayFields(fields);
+    if (bday.error) return res.status(400).json({ success: false, error: bday.error });
+    const before = await auditSnapshot('saccos', { id });
+    const { data, error } = await sbAdmin.from('saccos').update({ ...fields, ...bday.fields }).eq('id', id).select();
     if (error) throw error;
+    _bdayCache.delete(id);
+    if (data?.length) await audit(req, { entity: 'sacco', action: 'update', entity_id: id, before, after: data[0] });
     return res.json({ success: true, updated: true });
   } catch (err) {
     return res.status(500).json({ success: false, error: String(err.message || err) });
@@ -673,24 +1255,27 @@ app.post('/api/admin/update-sacco', requireAdmin, async (req, res) => {
 
 app.delete('/api/admin/delete-sacco/:id', requireAdmin, async (req, res) => {
   try {
+    const before = await auditSnapshot('saccos', { id: req.params.id });
     const { error } = await sbAdmin.from('saccos').delete().eq('id', req.params.id);
     if (error) throw error;
+    if (before) await audit(req, { entity: 'sacco', action: 'delete', entity_id: req.params.id, before });
     return res.json({ success: true, deleted: true });
   } catch (err) {
     return res.status(500).json({ success: false, error: String(err.message || err) });
   }
 });
 
-app.post('/api/admin/register-matatu', requireAdmin, async (req, res) => {
+app.post('/api/admin/register-matatu', requireAdmin, idempotent, async (req, res) => {
   try {
-    const { sacco_id, number_plate, owner_name, owner_phone, vehicle_type, tlb_number, till_number } = req.body || {};
+    const { sacco_id, number_plate, owner_name, owner_phone, vehicle_type, tlb_number, till_number, route } = req.body || {};
     if (!sacco_id || !number_plate) return res.status(400).json({ success: false, error: 'sacco_id & number_plate required' });
     const { data, error } = await sbAdmin
       .from('matatus')
-      .insert([{ sacco_id, number_plate, owner_name, owner_phone, vehicle_type, tlb_number, till_number }])
+      .insert([{ sacco_id, number_plate, owner_name, owner_phone, vehicle_type, tlb_number, till_number, route }])
       .select()
       .single();
     if (error) throw error;
+    await audit(req, { entity: 'matatu', action: 'create', entity_id: data.id, after: data });
     return res.json({ success: true, data: { id: data.id } });
   } catch (err) {
     return res.status(500).json({ success: false, error: String(err.message || err) });
@@ -701,8 +1286,10 @@ app.post('/api/admin/update-matatu', requireAdmin, async (req, res) => {
   try {
     const { id, ...fields } = req.body || {};
     if (!id) return res.status(400).json({ success: false, error: 'id required' });
-    const { error } = await sbAdmin.from('matatus').update(fields).eq('id', id);
+    const before = await auditSnapshot('matatus', { id });
+    const { data, error } = await sbAdmin.from('matatus').update(fields).eq('id', id).select();
     if (error) throw error;
+    if (data?.length) await audit(req, { entity: 'matatu', action: 'update', entity_id: id, before, after: data[0] });
     return res.json({ success: true, updated: true });
   } catch (err) {
     return res.status(500).json({ success: false, error: String(err.message || err) });
@@ -711,76 +1298,276 @@ app.post('/api/admin/update-matatu', requireAdmin, async (req, res) => {
 
 app.delete('/api/admin/delete-matatu/:id', requireAdmin, async (req, res) => {
   try {
+    const before = await auditSnapshot('matatus', { id: req.params.id });
     const { error } = await sbAdmin.from('matatus').delete().eq('id', req.params.id);
     if (error) throw error;
+    if (before) await audit(req, { entity: 'matatu', action: 'delete', entity_id: req.params.id, before });
     return res.json({ success: true, deleted: true });
   } catch (err) {
     return res.status(500).json({ success: false, error: String(err.message || err) });
   }
 });
 
-app.post('/api/admin/cashier', requireAdmin, async (req, res) => {
+// Boda/taxi registries: same fields as matatus minus matatu-only ones (vehicle_type, tlb_number, route)
+const VEHICLE_FIELDS = ['sacco_id', 'number_plate', 'owner_name', 'owner_phone', 'till_number'];
+const VEHICLE_COLUMNS = 'id,sacco_id,number_plate,owner_name,owner_phone,till_number,created_at';
+function _bindVehicleRegistry({ table, path, lookup, entity }) {
+  app.get(`/api/admin/${path}`, requireAdmin, async (req, res) => {
+    try {
+      const { sacco_id = '', limit = 200, offset = 0 } = req.query;
+      // RLS on bodabodas/taxis has no anon policy: reads go through the service role like the writes
+      let query = (sbAdmin || sb)
+        .from(table)
+        .select(VEHICLE_COLUMNS, { count: 'exact' })
+        .order('created_at', { ascending: false })
+        .range(Number(offset), Number(offset) + Number(limit) - 1);
+      if (sacco_id) query = query.eq('sacco_id', sacco_id);
+      const { data, error, count } = await query;
+      if (error) throw error;
+      return res.json({ success: true, items: data || [], count: count || 0 });
+    } catch (err) {
+      return res.status(500).json({ success: false, error: String(err.message || err) });
+    }
+  });
+
+  app.post(`/api/admin/${path}`, requireAdmin, idempotent, async (req, res) => {
+    try {
+      const row = {};
+      for (const k of VEHICLE_FIELDS) if (req.body?.[k] !== undefined) row[k] = req.body[k];
+      if (!row.sacco_id || !row.number_plate) return res.status(400).json({ success: false, error: 'sacco_id & number_plate required' });
+      row.number_plate = String(row.number_plate).trim().toUpperCase();
+      const { data, error } = await sbAdmin.from(table).insert([row]).select().single();
+      if (error) throw error;
+      await audit(req, { entity, action: 'create', entity_id: data.id, after: data });
+      return res.json({ success: true, data: { id: data.id } });
+    } catch (err) {
+      return res.status(500).json({ success: false, error: String(err.message || err) });
+    }
+  });
+
+  app.patch(`/api/admin/${path}/:id`, requireAdmin, async (req, res) => {
+    try {
+      const fields = {};
+      for (const k of VEHICLE_FIELDS) if (req.body?.[k] !== undefined) fields[k] = req.body[k];
+      if (fields.number_plate) fields.number_plate = String(fields.number_plate).trim().toUpperCase();
+      if (!Object.keys(fields).length) return res.status(400).json({ success: false, error: 'nothing to update' });
+      const before = await auditSnapshot(table, { id: req.params.id });
+      const { data, error } = await sbAdmin.from(table).update(fields).eq('id', req.params.id).select();
+      if (error) throw error;
+      if (!data || !data.length) return res.status(404).json({ success: false, error: 'not found' });
+      await audit(req, { entity, action: 'update', entity_id: req.params.id, before, after: data[0] });
+      return res.json({ success: true, updated: true });
+    } catch (err) {
+      return res.status(500).json({ success: false, error: String(err.message || err) });
+    }
+  });
+
+  app.delete(`/api/admin/${path}/:id`, requireAdmin, async (req, res) => {
+    try {
+      const before = await auditSnapshot(table, { id: req.params.id });
+      const { error } = await sbAdmin.from(table).delete().eq('id', req.params.id);
+      if (error) throw error;
+      if (before) await audit(req, { entity, action: 'delete', entity_id: req.params.id, before });
+      return res.json({ success: true, deleted: true });
+    } catch (err) {
+      return res.status(500).json({ success: false, error: String(err.message || err) });
+    }
+  });
+
+  app.get(`/api/lookup/${lookup}`, async (req, res) => {
+    try {
+      const { plate, till } = req.query;
+      let q = (sbAdmin || sb).from(table).select(VEHICLE_COLUMNS).limit(1);
+      if (plate) q = q.eq('number_plate', String(plate).trim().toUpperCase());
+      else if (till) q = q.eq('till_number', till);
+      else return res.status(400).json({ error: 'provide plate or till' });
+      const { data, error } = await q.single();
+      if (error) throw error;
+      res.json(data);
+    } catch (e) {
+      res.status(404).json({ error: e.message });
+    }
+  });
+}
+_bindVehicleRegistry({ table: 'bodabodas', path: 'bodabodas', lookup: 'boda', entity: 'bodaboda' });
+_bindVehicleRegistry({ table: 'taxis', path: 'taxis', lookup: 'taxi', entity: 'taxi' });
+
+app.post('/api/admin/cashier', requireAdmin, idempotent, async (req, res) => {
   try {
     const { sacco_id, branch_id = null, matatu_id = null, name, phone = null, ussd_code } = req.body || {};
     if (!sacco_id || !name || !ussd_code) return res.status(400).json({ success: false, error: 'sacco_id, name, ussd_code required' });
     const { data, error } = await sbAdmin.from('cashiers').insert([{ sacco_id, branch_id, matatu_id, name, phone, ussd_code }]).select().single();
     if (error) throw error;
+    await audit(req, { entity: 'cashier', action: 'create', entity_id: data.id, after: data });
     res.json({ success: true, cashier: data });
   } catch (err) {
     res.status(500).json({ success: false, error: err.message });
   }
 });
 
+// Rulesets are versioned: every change is a new row in sacco_ruleset_versions with an
+// effective_from, so past fares can always be traced to the rules they were charged under.
 app.get('/api/admin/rulesets/:saccoId', requireAdmin, async (req, res) => {
   try {
     const { saccoId } = req.params;
-    const { data, error } = await sb.from('sacco_settings').select('*').eq('sacco_id', saccoId).maybeSingle();
+    const at = req.query.at ? new Date(req.query.at) : new Date();
+    if (isNaN(at.getTime())) return res.status(400).json({ success: false, error: 'invalid at timestamp' });
+    const rules = await getRuleset(saccoId, at);
+    return res.json({ success: true, rules });
+  } catch (err) {
+    return res.status(500).json({ success: false, error: String(err.message || err) });
+  }
+});
+
+app.get('/api/admin/rulesets/:saccoId/versions', requireAdmin, async (req, res) => {
+  try {
+    const { saccoId } = req.params;
+    const { data, error, count } = await (sbAdmin || sb)
+      .from('sacco_ruleset_versions')
+      .select('*', { count: 'exact' })
+      .eq('sacco_id', saccoId)
+      .order('effective_from', { ascending: false })
+      .order('version', { ascending: false });
     if (error) throw error;
-    return res.json({ success: true, rules: data });
+    const now = Date.now();
+    const inForce = (r) => new Date(r.effective_from).getTime() <= now;
+    const current = (data || []).find(inForce) || null;
+    const items = (data || []).map((r) => ({
+      ...r,
+      state: !inForce(r) ? 'SCHEDULED' : current && r.id === current.id ? 'CURRENT' : 'SUPERSEDED',
+    }));
+    return res.json({ success: true, items, count: count || 0 });
   } catch (err) {
     return res.status(500).json({ success: false, error: String(err.message || err) });
   }
 });
 
-app.post('/api/admin/rulesets', requireAdmin, async (req, res) => {
+// Create a new version (immediately, or scheduled via a future effective_from)
+app.post('/api/admin/rulesets', requireAdmin, idempotent, async (req, res) => {
   try {
-    const { sacco_id, fare_fee_flat_kes = 2.5, savings_percent = 5, sacco_daily_fee_kes = 50, loan_repay_percent = 0 } = req.body || {};
+    const { sacco_id, fare_fee_flat_kes = 2.5, savings_percent = 5, sacco_daily_fee_kes = 50, loan_repay_percent = 0, effective_from, note = null } = req.body || {};
     if (!sacco_id) return res.status(400).json({ success: false, error: 'sacco_id required' });
+    let fee_rules;
+    try {
+      fee_rules = normalizeFeeRules(req.body.fee_rules);
+    } catch (e) {
+      return res.status(422).json({ success: false, error: e.message });
+    }
+    const caps = {};
+    for (const k of ['savings_min_kes', 'savings_max_kes', 'loan_repay_min_kes', 'loan_repay_max_kes']) {
+      const v = req.body[k];
+      if (v == null || v === '') { caps[k] = null; continue; }
+      if (!Number.isFinite(Number(v)) || Number(v) < 0) return res.status(422).json({ success: false, error: `${k} must be a number >= 0` });
+      caps[k] = round2(v);
+    }
+    if (caps.savings_min_kes != null && caps.savings_max_kes != null && caps.savings_min_kes > caps.savings_max_kes) {
+      return res.status(422).json({ success: false, error: 'savings_min_kes is above savings_max_kes' });
+    }
+    if (caps.loan_repay_min_kes != null && caps.loan_repay_max_kes != null && caps.loan_repay_min_kes > caps.loan_repay_max_kes) {
+      return res.status(422).json({ success: false, error: 'loan_repay_min_kes is above loan_repay_max_kes' });
+    }
+    const now = Date.now();
+    const eff = effective_from ? new Date(effective_from) : new Date(now);
+    if (isNaN(eff.getTime())) return res.status(422).json({ success: false, error: 'effective_from must be an ISO timestamp' });
+    if (eff.getTime() < now - 60 * 1000) return res.status(422).json({ success: false, error: 'effective_from cannot be in the past' });
+
+    const { data: last, error: lErr } = await sbAdmin
+      .from('sacco_ruleset_versions')
+      .select('version')
+      .eq('sacco_id', sacco_id)
+      .order('version', { ascending: false })
+      .limit(1)
+      .maybeSingle();
+    if (lErr) throw lErr;
+
     const payload = {
       sacco_id,
+      version: (last?.version || 0) + 1,
       fare_fee_flat_kes: Math.round(Number(fare_fee_flat_kes) * 100) / 100,
       savings_percent: Number(savings_percent),
       sacco_daily_fee_kes: Math.round(Number(sacco_daily_fee_kes) * 100) / 100,
       loan_repay_percent: Number(loan_repay_percent),
-      updated_at: new Date().toISOString(),
+      fee_rules,
+      ...caps,
+      effective_from: eff.toISOString(),
+      created_by: adminActor(req),
+      note,
     };
-    const { error } = await sbAdmin.from('sacco_settings').upsert(payload).eq('sacco_id', sacco_id);
+    const { data, error } = await sbAdmin.from('sacco_ruleset_versions').insert([payload]).select().single();
+    if (error) {
+      if (error.code === '23505') return res.status(409).json({ success: false, error: 'concurrent ruleset change; retry' });
+      throw error;
+    }
+    await audit(req, { entity: 'ruleset_version', action: 'create', entity_id: data.id, after: data });
+    return res.json({ success: true, rules: data, scheduled: eff.getTime() > now });
+  } catch (err) {
+    return res.status(500).json({ success: false, error: String(err.message || err) });
+  }
+});
+
+// Withdraw a scheduled version before it takes effect (versions in force are immutable)
+app.delete('/api/admin/rulesets/:saccoId/versions/:versionId', requireAdmin, async (req, res) => {
+  try {
+    const { saccoId, versionId } = req.params;
+    const { data, error } = await sbAdmin
+      .from('sacco_ruleset_versions')
+      .delete()
+      .eq('id', versionId)
+      .eq('sacco_id', saccoId)
+      .gt('effective_from', new Date().toISOString())
+      .select();
     if (error) throw error;
-    return res.json({ success: true, rules: payload });
+    if (!data || !data.length) return res.status(409).json({ success: false, error: 'only scheduled (future) versions can be withdrawn' });
+    await audit(req, { entity: 'ruleset_version', action: 'withdraw', entity_id: versionId, before: data[0] });
+    return res.json({ success: true, deleted: true });
   } catch (err) {
     return res.status(500).json({ success: false, error: String(err.message || err) });
   }
 });
 
+// Auth admin API has no lookup by email: page through users
+async function findAuthUserByEmail(email) {
+  const want = String(email || '').trim().toLowerCase();
+  const perPage = 1000;
+  for (let page = 1; ; page += 1) {
+    const { data, error } = await sbAdmin.auth.admin.listUsers({ page, perPage });
+    if (error) throw error;
+    const users = data?.users || [];
+    const hit = users.find((u) => (u.email || '').toLowerCase() === want);
+    if (hit) return hit;
+    if (users.length < perPage) return null;
+  }
+}
+
+// Same for phone logins (GoTrue stores 2547XXXXXXXX without the +)
+async function findAuthUserByPhone(msisdn) {
+  const perPage = 1000;
+  for (let page = 1; ; page += 1) {
+    const { data, error } = await sbAdmin.auth.admin.listUsers({ page, perPage });
+    if (error) throw error;
+    const users = data?.users || [];
+    const hit = users.find((u) => String(u.phone || '').replace(/\D/g, '') === msisdn);
+    if (hit) return hit;
+    if (users.length < perPage) return null;
+  }
+}
+
 // Admin: manual email confirm (dev helper)
 app.post('/admin/users/confirm', requireAdmin, async (req, res) => {
   try {
     const { email } = req.body || {};
     if (!email) return res.status(400).json({ ok: false, error: 'Missing email' });
-    let target = null;
-    let page = 1;
-    const perPage = 1000;
-    while (!target) {
-      const { data, error } = await sbAdmin.auth.admin.listUsers({ page, perPage });
-      if (error) throw error;
-      const users = data?.users || [];
-      target = users.find((u) => (u.email || '').toLowerCase() === email.toLowerCase());
-      if (!target && users.length < perPage) break;
-      page += 1;
-    }
+    const target = await findAuthUserByEmail(email);
     if (!target) return res.status(404).json({ ok: false, error: 'User not found' });
     const { error: upErr } = await sbAdmin.auth.admin.updateUserById(target.id, { email_confirm: true });
     if (upErr) throw upErr;
+    await audit(req, {
+      entity: 'auth_user',
+      action: 'confirm_email',
+      entity_id: target.id,
+      before: { email: target.email, email_confirmed_at: target.email_confirmed_at || null },
+      after: { email: target.email, email_confirmed: true },
+    });
     res.json({ ok: true, message: `Email ${email} confirmed successfully` });
   } catch (e) {
     res.status(500).json({ ok: false, error: e.message });
@@ -788,22 +1575,139 @@ app.post('/admin/users/confirm', requireAdmin, async (req, res) => {
 });
 
 // =======================
-// Member-scoped utilities (RLS)
+// Admin: API keys (the plaintext key is returned once, at creation)
 // =======================
-async function requireSaccoMember(req, res, next) {
+const API_KEY_COLUMNS = 'id, name, prefix, scopes, expires_at, last_used_at, revoked_at, created_by, created_at';
+
+app.get('/api/admin/api-keys', requireAdmin, async (req, res) => {
   try {
-    const saccoId = req.params.saccoId || req.query.sacco_id || req.body.sacco_id;
-    if (!saccoId) return res.status(400).json({ error: 'sacco_id required' });
-    const roles = await getSaccoRoles(req.user.id);
-    const row = roles.find((r) => r.sacco_id === saccoId);
-    if (!row) return res.status(403).json({ error: 'Forbidden (not a member)' });
-    req.saccoRole = row.role;
-    next();
-  } catch (e) {
-    res.status(500).json({ error: e.message });
+    if (!sbAdmin) return res.status(503).json({ success: false, error: 'api keys unavailable (service role not configured)' });
+    let q = sbAdmin.from('api_keys').select(API_KEY_COLUMNS, { count: 'exact' }).order('created_at', { ascending: false });
+    if (!['1', 'true'].includes(String(req.query.include_revoked || ''))) q = q.is('revoked_at', null);
+    const { data, error, count } = await q;
+    if (error) throw error;
+    return res.json({ success: true, items: data || [], count: count || 0 });
+  } catch (err) {
+    return res.status(500).json({ success: false, error: String(err.message || err) });
   }
-}
-function requireSaccoRole(allowed = []) {
+});
+
+// { name, scopes:[...], expires_at? | expires_in_days? }
+app.post('/api/admin/api-keys', requireAdmin, async (req, res) => {
+  try {
+    if (!sbAdmin) return res.status(503).json({ success: false, error: 'api keys unavailable (service role not configured)' });
+    const { name, scopes, expires_at, expires_in_days } = req.body || {};
+    if (!String(name || '').trim()) return res.status(400).json({ success: false, error: 'name required' });
+    const list = Array.isArray(scopes) ? [...new Set(scopes.map(String))] : [];
+    const unknown = list.filter((sc) => !API_KEY_SCOPES.includes(sc));
+    if (!list.length || unknown.length) {
+      return res.status(422).json({ success: false, error: `scopes must be a non-empty subset of ${API_KEY_SCOPES.join(', ')}` });
+    }
+    let expires = null;
+    if (expires_at) expires = new Date(expires_at);
+    else if (expires_in_days) expires = new Date(Date.now() + Number(expires_in_days) * 24 * 60 * 60 * 1000);
+    if (expires && (isNaN(expires.getTime()) || expires.getTime() <= Date.now())) {
+      return res.status(422).json({ success: false, error: 'expiry must be a future date' });
+    }
+    const key = 'tk_' + randomBytes(24).toString('base64url');
+    const { data, error } = await sbAdmin
+      .from('api_keys')
+      .insert({
+        name: String(name).trim(),
+        prefix: key.slice(0, 10),
+        key_hash: hashApiKey(key),
+        scopes: list,
+        expires_at: expires ? expires.toISOString() : null,
+        created_by: adminActor(req),
+      })
+      .select(API_KEY_COLUMNS)
+      .single();
+    if (error) throw error;
+    req.log.info({ api_key_id: data.id, scopes: list }, 'api key created');
+    await audit(req, { entity: 'api_key', action: 'create', entity_id: data.id, after: data });
+    return res.status(201).json({ success: true, data: { ...data, key } });
+  } catch (err) {
+    return res.status(500).json({ success: false, error: String(err.message || err) });
+  }
+});
+
+app.post('/api/admin/api-keys/:id/revoke', requireAdmin, async (req, res) => {
+  try {
+    if (!sbAdmin) return res.status(503).json({ success: false, error: 'api keys unavailable (service role not configured)' });
+    const { data, error } = await sbAdmin
+      .from('api_keys')
+      .update({ revoked_at: new Date().toISOString() })
+      .eq('id', req.params.id)
+      .is('revoked_at', null)
+      .select(API_KEY_COLUMNS);
+    if (error) throw error;
+    if (!data?.length) {
+      const { data: cur } = await sbAdmin.from('api_keys').select('id').eq('id', req.params.id).maybeSingle();
+      if (!cur) return res.status(404).json({ success: false, error: 'api key not found' });
+      return res.status(409).json({ success: false, error: 'api key already revoked' });
+    }
+    _apiKeyCache.clear();
+    req.log.info({ api_key_id: req.params.id }, 'api key revoked');
+    await audit(req, { entity: 'api_key', action: 'revoke', entity_id: req.params.id, after: data[0] });
+    return res.json({ success: true, data: data[0] });
+  } catch (err) {
+    return res.status(500).json({ success: false, error: String(err.message || err) });
+  }
+});
+
+// =======================
+// Admin: audit log (read-only over the API)
+// =======================
+// ?entity&entity_id&action&actor&from&to (ISO or YYYY-MM-DD; to is exclusive) &limit=100 (max 500) &offset
+app.get('/api/admin/audit', requireAdmin, async (req, res) => {
+  try {
+    if (!sbAdmin) return res.status(503).json({ success: false, error: 'audit log unavailable (service role not configured)' });
+    const { entity, entity_id, action, actor, from, to } = req.query;
+    const limit = Math.min(Math.max(parseInt(req.query.limit || '100', 10), 1), 500);
+    const offset = Math.max(parseInt(req.query.offset || '0', 10), 0);
+    const bound = (v) => (v ? new Date(/^\d{4}-\d{2}-\d{2}$/.test(String(v)) ? `${v}T00:00:00` : v) : null);
+    const fromD = bound(from);
+    const toD = bound(to);
+    if ((fromD && isNaN(fromD.getTime())) || (toD && isNaN(toD.getTime()))) {
+      return res.status(400).json({ success: false, error: 'from/to must be ISO timestamps or YYYY-MM-DD' });
+    }
+    let q = sbAdmin
+      .from('audit_log')
+      .select('*', { count: 'exact' })
+      .order('created_at', { ascending: false })
+      .order('id', { ascending: false })
+      .range(offset, offset + limit - 1);
+    if (entity) q = q.eq('entity', entity);
+    if (entity_id) q = q.eq('entity_id', entity_id);
+    if (action) q = q.eq('action', action);
+    if (actor) q = q.eq('actor', actor);
+    if (fromD) q = q.gte('created_at', fromD.toISOString());
+    if (toD) q = q.lt('created_at', toD.toISOString());
+    const { data, error, count } = await q;
+    if (error) throw error;
+    return res.json({ success: true, items: data || [], count: count || 0 });
+  } catch (err) {
+    return res.status(500).json({ success: false, error: String(err.message || err) });
+  }
+});
+
+// =======================
+// Member-scoped utilities (RLS)
+// =======================
+async function requireSaccoMember(req, res, next) {
+  try {
+    const saccoId = req.params.saccoId || req.query.sacco_id || req.body.sacco_id;
+    if (!saccoId) return res.status(400).json({ error: 'sacco_id required' });
+    const roles = await getSaccoRoles(req.user.id);
+    const row = roles.find((r) => r.sacco_id === saccoId);
+    if (!row) return res.status(403).json({ error: 'Forbidden (not a member)' });
+    req.saccoRole = row.role;
+    next();
+  } catch (e) {
+    res.status(500).json({ error: e.message });
+  }
+}
+function requireSaccoRole(allowed = []) {
   return async (req, res, next) => {
     try {
       const saccoId = req.params.saccoId || req.query.sacco_id || req.body.sacco_id;
@@ -836,49 +1740,340 @@ function requireMatatuRole(allowed = ['owner', 'conductor']) {
   };
 }
 
+// =======================
+// Business day (per-SACCO time zone and day cutoff)
+// =======================
+// A SACCO's business day D runs from D cutoff:00 to D+1 cutoff:00 on its own wall clock (saccos.business_tz,
+// saccos.day_cutoff_hour), so late trips before the cutoff still count for the day before. Data not tied to one SACCO
+// (rider cashbooks, cross-SACCO admin lists) uses the platform default.
+const BUSINESS_TZ = 'Africa/Nairobi';
+const DEFAULT_BUSINESS_DAY = Object.freeze({ tz: BUSINESS_TZ, cutoff: 0 });
+const DATE_RE = /^\d{4}-\d{2}-\d{2}$/;
+const _pad2 = (n) => String(n).padStart(2, '0');
+
+function isTimeZone(tz) {
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone: tz });
+    return true;
+  } catch {
+    return false;
+  }
+}
+const _wallFormats = new Map();
+function _wallClock(at, tz) {
+  let f = _wallFormats.get(tz);
+  if (!f) {
+    const opts = { timeZone: tz, year: 'numeric', month: '2-digit', day: '2-digit', hour: '2-digit', minute: '2-digit', second: '2-digit', hourCycle: 'h23' };
+    f = new Intl.DateTimeFormat('en-US', opts);
+    _wallFormats.set(tz, f);
+  }
+  const p = Object.fromEntries(f.formatToParts(new Date(at)).map((x) => [x.type, Number(x.value)]));
+  return { y: p.year, m: p.month, d: p.day, h: p.hour, mi: p.minute, s: p.second };
+}
+// UTC instant of a wall-clock hour in tz (the second pass settles DST edges)
+function _zonedToUTC(y, m, d, h, tz) {
+  const want = Date.UTC(y, m - 1, d, h);
+  let t = want;
+  for (let i = 0; i < 2; i++) {
+    const w = _wallClock(t, tz);
+    t += want - Date.UTC(w.y, w.m - 1, w.d, w.h, w.mi, w.s);
+  }
+  return new Date(t);
+}
+const _addDays = (date, n) => {
+  const [y, m, d] = date.split('-').map(Number);
+  return new Date(Date.UTC(y, m - 1, d + n)).toISOString().slice(0, 10);
+};
+
+// Business date (YYYY-MM-DD) an instant falls on
+function businessDate(at = new Date(), bday = DEFAULT_BUSINESS_DAY) {
+  const w = _wallClock(new Date(at).getTime() - bday.cutoff * 3600 * 1000, bday.tz);
+  return `${w.y}-${_pad2(w.m)}-${_pad2(w.d)}`;
+}
+// HH:MM:SS on the business wall clock
+function businessTime(at, bday = DEFAULT_BUSINESS_DAY) {
+  const w = _wallClock(at, bday.tz);
+  return `${_pad2(w.h)}:${_pad2(w.mi)}:${_pad2(w.s)}`;
+}
+// d: a YYYY-MM-DD business date, or any instant inside the day
+function startOfDayISO(d = new Date(), bday = DEFAULT_BUSINESS_DAY) {
+  const date = typeof d === 'string' && DATE_RE.test(d) ? d : businessDate(d, bday);
+  const [y, m, day] = date.split('-').map(Number);
+  return _zonedToUTC(y, m, day, bday.cutoff, bday.tz).toISOString();
+}
+function endOfDayISO(d = new Date(), bday = DEFAULT_BUSINESS_DAY) {
+  const date = typeof d === 'string' && DATE_RE.test(d) ? d : businessDate(d, bday);
+  return startOfDayISO(_addDays(date, 1), bday);
+}
+// ?from&to | ?date → [from, to) covering whole business days; default today
+function parseRange(q, bday = DEFAULT_BUSINESS_DAY) {
+  if (q.from || q.to) return { from: startOfDayISO(q.from || new Date(), bday), to: endOfDayISO(q.to || new Date(), bday) };
+  if (q.date) return { from: startOfDayISO(q.date, bday), to: endOfDayISO(q.date, bday) };
+  return { from: startOfDayISO(new Date(), bday), to: endOfDayISO(new Date(), bday) };
+}
+
+// Validate business_tz / day_cutoff_hour from an admin payload; returns { fields } or { error }
+function businessDayFields(body) {
+  const fields = {};
+  if (body.business_tz !== undefined) {
+    const tz = String(body.business_tz || '').trim();
+    if (!isTimeZone(tz)) return { error: 'business_tz must be an IANA time zone, e.g. Africa/Nairobi' };
+    fields.business_tz = tz;
+  }
+  if (body.day_cutoff_hour !== undefined) {
+    const h = Number(body.day_cutoff_hour);
+    if (!Number.isInteger(h) || h < 0 || h > 23) return { error: 'day_cutoff_hour must be a whole hour 0-23' };
+    fields.day_cutoff_hour = h;
+  }
+  return { fields };
+}
+
+const _bdayCache = new Map();
+const _BDAY_TTL_MS = 60 * 1000;
+async function saccoBusinessDay(sacco_id) {
+  if (!sacco_id) return DEFAULT_BUSINESS_DAY;
+  const hit = _bdayCache.get(sacco_id);
+  if (hit && Date.now() - hit.at < _BDAY_TTL_MS) return hit.val;
+  const { data, error } = await (sbAdmin || sb).from('saccos').select('business_tz, day_cutoff_hour').eq('id', sacco_id).maybeSingle();
+  // 42703: columns missing until supabase/020_business_day.sql is applied
+  if (error && error.code !== '42703') throw error;
+  const val = data?.business_tz ? { tz: data.business_tz, cutoff: Number(data.day_cutoff_hour) || 0 } : DEFAULT_BUSINESS_DAY;
+  _bdayCache.set(sacco_id, { val, at: Date.now() });
+  return val;
+}
+async function matatuBusinessDay(matatu_id) {
+  if (!matatu_id) return DEFAULT_BUSINESS_DAY;
+  const { data, error } = await (sbAdmin || sb).from('matatus').select('sacco_id').eq('id', matatu_id).maybeSingle();
+  if (error) throw error;
+  return saccoBusinessDay(data?.sacco_id);
+}
+
 // =======================
 // Pricing helpers
 // =======================
 const round2 = (n) => Math.round(Number(n || 0) * 100) / 100;
-async function getRuleset(sacco_id) {
+// Ruleset version in force at `at`; falls back to legacy sacco_settings, then platform defaults
+async function getRuleset(sacco_id, at = new Date()) {
+  const svc = sbAdmin || sb;
+  const { data: v, error: vErr } = await svc
+    .from('sacco_ruleset_versions')
+    .select('*')
+    .eq('sacco_id', sacco_id)
+    .lte('effective_from', new Date(at).toISOString())
+    .order('effective_from', { ascending: false })
+    .order('version', { ascending: false })
+    .limit(1)
+    .maybeSingle();
+  if (vErr) throw vErr;
+  const deductions = await getSaccoDeductions(sacco_id, at);
+  const business_day = await saccoBusinessDay(sacco_id);
+  if (v) return { ...v, ruleset_version_id: v.id, deductions, business_day };
   const { data, error } = await sb.from('sacco_settings').select('*').eq('sacco_id', sacco_id).maybeSingle();
   if (error) throw error;
-  return data || { sacco_id, fare_fee_flat_kes: 2.5, savings_percent: 5, sacco_daily_fee_kes: 50, loan_repay_percent: 0 };
+  const base = data || { sacco_id, fare_fee_flat_kes: 2.5, savings_percent: 5, sacco_daily_fee_kes: 50, loan_repay_percent: 0 };
+  return { ...base, ruleset_version_id: null, version: 0, deductions, business_day };
 }
-async function hasPaidSaccoFeeToday(matatu_id) {
-  const today = new Date(); today.setHours(0,0,0,0);
-  const { data, error } = await sb.from('ledger_entries').select('id').eq('matatu_id', matatu_id).eq('type', 'SACCO_FEE').gte('created_at', today.toISOString());
+// SACCO-defined deductions (insurance, welfare, ...) active at `at`; each posts under its own ledger type = code
+async function getSaccoDeductions(sacco_id, at = new Date()) {
+  const svc = sbAdmin || sb;
+  const iso = new Date(at).toISOString();
+  const { data, error } = await svc
+    .from('sacco_deduction_versions')
+    .select('id:deduction_id, code, name, calc, value, frequency')
+    .eq('sacco_id', sacco_id)
+    .eq('active', true)
+    .lte('valid_from', iso)
+    .or(`valid_to.is.null,valid_to.gt.${iso}`)
+    .order('deduction_created_at', { ascending: true });
+  if (!error) return data || [];
+  // 42P01 / PGRST205: table missing until supabase/027_deduction_versions.sql is applied; current deductions only
+  if (error.code !== '42P01' && error.code !== 'PGRST205') throw error;
+  const { data: cur, error: curErr } = await svc
+    .from('sacco_deductions')
+    .select('id, code, name, calc, value, frequency')
+    .eq('sacco_id', sacco_id)
+    .eq('active', true)
+    .order('created_at', { ascending: true });
+  if (curErr) throw curErr;
+  return cur || [];
+}
+// Once-a-day charge types (SACCO_FEE + DAILY deductions) already posted for a matatu on the SACCO business day of `at`
+async function dailyChargesTakenToday(matatu_id, rules, at = new Date()) {
+  if (!matatu_id) return new Set();
+  const types = ['SACCO_FEE', ...(rules?.deductions || []).filter((d) => d.frequency === 'DAILY').map((d) => d.code)];
+  const bday = rules?.business_day || DEFAULT_BUSINESS_DAY;
+  const svc = sbAdmin || sb;
+  const from = Date.parse(startOfDayISO(at, bday));
+  const to = Date.parse(endOfDayISO(at, bday));
+  // A fare's rows are posted when it settles, possibly after the cutoff: date them by their transaction (as 032 does)
+  const { data, error } = await svc
+    .from('ledger_entries')
+    .select('type, created_at, transactions(created_at)')
+    .eq('matatu_id', matatu_id)
+    .in('type', types)
+    .gte('created_at', new Date(from).toISOString());
   if (error) throw error;
-  return (data || []).length > 0;
+  const onDay = (r) => {
+    const t = Date.parse(r.transactions?.created_at || r.created_at);
+    return t >= from && t < to;
+  };
+  return new Set((data || []).filter(onDay).map((r) => r.type));
+}
+// Fee rule times/days are read on the SACCO's business clock
+const _DOW = { Sun: 0, Mon: 1, Tue: 2, Wed: 3, Thu: 4, Fri: 5, Sat: 6 };
+function businessClock(at = new Date(), timeZone = BUSINESS_TZ) {
+  const parts = Object.fromEntries(
+    new Intl.DateTimeFormat('en-US', { timeZone, weekday: 'short', hour: '2-digit', minute: '2-digit', hourCycle: 'h23' })
+      .formatToParts(new Date(at))
+      .map((p) => [p.type, p.value])
+  );
+  return { day: _DOW[parts.weekday], minutes: Number(parts.hour) * 60 + Number(parts.minute) };
+}
+const hhmmToMinutes = (v) => {
+  const m = /^([01]?\d|2[0-3]):([0-5]\d)$/.exec(String(v || ''));
+  return m ? Number(m[1]) * 60 + Number(m[2]) : null;
+};
+
+// Validate/normalize fee_rules from an admin payload; throws with a user-facing message
+function normalizeFeeRules(list) {
+  if (list == null) return [];
+  if (!Array.isArray(list)) throw new Error('fee_rules must be an array');
+  const rules = list.map((r, i) => {
+    const at = `fee_rules[${i}]`;
+    if (!r || typeof r !== 'object') throw new Error(`${at} must be an object`);
+    const fee = Number(r.fee_kes);
+    if (!Number.isFinite(fee) || fee < 0) throw new Error(`${at}.fee_kes must be a number >= 0`);
+    const out = { fee_kes: round2(fee) };
+    if (r.name) out.name = String(r.name).slice(0, 40);
+    for (const k of ['min_fare_kes', 'max_fare_kes']) {
+      if (r[k] == null) continue;
+      if (!Number.isFinite(Number(r[k])) || Number(r[k]) < 0) throw new Error(`${at}.${k} must be a number >= 0`);
+      out[k] = round2(r[k]);
+    }
+    if (out.min_fare_kes != null && out.max_fare_kes != null && out.min_fare_kes >= out.max_fare_kes) {
+      throw new Error(`${at}: min_fare_kes must be below max_fare_kes (bands are [min, max))`);
+    }
+    if (r.from != null || r.to != null) {
+      if (hhmmToMinutes(r.from) === null || hhmmToMinutes(r.to) === null) throw new Error(`${at}: from/to must both be HH:MM`);
+      out.from = r.from;
+      out.to = r.to;
+    }
+    if (r.days != null) {
+      if (!Array.isArray(r.days) || !r.days.every((d) => Number.isInteger(d) && d >= 0 && d <= 6)) {
+        throw new Error(`${at}.days must be weekday numbers 0 (Sun) to 6 (Sat)`);
+      }
+      out.days = r.days;
+    }
+    if (r.routes != null) {
+      if (!Array.isArray(r.routes) || !r.routes.length) throw new Error(`${at}.routes must be a non-empty array`);
+      out.routes = r.routes.map(String);
+    }
+    return out;
+  });
+  assertBandsContiguous(rules);
+  return rules;
+}
+
+// Fare bands under the same time/day/route conditions must meet: 0-50 then 51-100 would leave 50.50 to the flat fee
+function assertBandsContiguous(rules) {
+  const groups = new Map();
+  rules.forEach((r, i) => {
+    if (r.min_fare_kes == null && r.max_fare_kes == null) return;
+    const key = JSON.stringify([r.from, r.to, r.days, r.routes]);
+    if (!groups.has(key)) groups.set(key, []);
+    groups.get(key).push({ i, min: r.min_fare_kes ?? 0, max: r.max_fare_kes ?? Infinity });
+  });
+  for (const bands of groups.values()) {
+    bands.sort((a, b) => a.min - b.min);
+    let reach = bands[0];
+    for (const b of bands.slice(1)) {
+      if (b.min > reach.max) {
+        throw new Error(`fee_rules[${reach.i}] and fee_rules[${b.i}] leave fares from ${reach.max} up to ${b.min} uncovered; bands are [min, max), so end one where the next starts`);
+      }
+      if (b.max > reach.max) reach = b;
+    }
+  }
+}
+
+// Bands are half-open [min_fare_kes, max_fare_kes); a from/to window may wrap midnight (e.g. 22:00-05:00)
+function feeRuleMatches(rule, { fare, clock, route }) {
+  if (rule.min_fare_kes != null && fare < rule.min_fare_kes) return false;
+  if (rule.max_fare_kes != null && fare >= rule.max_fare_kes) return false;
+  if (rule.days && !rule.days.includes(clock.day)) return false;
+  if (rule.from != null) {
+    const from = hhmmToMinutes(rule.from), to = hhmmToMinutes(rule.to);
+    const inside = from <= to ? clock.minutes >= from && clock.minutes < to : clock.minutes >= from || clock.minutes < to;
+    if (!inside) return false;
+  }
+  if (rule.routes) {
+    const r = String(route || '').trim().toLowerCase();
+    if (!r || !rule.routes.some((x) => x.trim().toLowerCase() === r)) return false;
+  }
+  return true;
+}
+
+function capAmount(value, min, max) {
+  let v = value, rule = 'percent';
+  if (min != null && v < Number(min)) { v = round2(min); rule = 'percent:min_cap'; }
+  if (max != null && v > Number(max)) { v = round2(max); rule = 'percent:max_cap'; }
+  return { amount: v, rule };
 }
-function computeSplits({ amount, rules, takeDailyFee }) {
+
+// Each part carries `rule`: which rule produced it (flat, fee_rules[i][:name], percent, percent:min_cap|max_cap, daily, deduction:<code>)
+// `dailyDone` holds once-a-day types (SACCO_FEE, DAILY deductions) already taken today for the matatu.
+function computeSplits({ amount, rules, dailyDone = new Set(), takeDailyFee = !dailyDone.has('SACCO_FEE'), at = new Date(), route = null }) {
   const fare = round2(amount);
-  const serviceFee = round2(rules.fare_fee_flat_kes ?? 2.5);
-  const savings = round2((rules.savings_percent / 100) * fare);
-  const loanRepay = round2((rules.loan_repay_percent / 100) * fare);
+  const clock = businessClock(at, rules.business_day?.tz);
+  const feeRules = Array.isArray(rules.fee_rules) ? rules.fee_rules : [];
+  const idx = feeRules.findIndex((r) => feeRuleMatches(r, { fare, clock, route }));
+  const serviceFee = idx >= 0 ? round2(feeRules[idx].fee_kes) : round2(rules.fare_fee_flat_kes ?? 2.5);
+  const serviceRule = idx >= 0 ? `fee_rules[${idx}]` + (feeRules[idx].name ? `:${feeRules[idx].name}` : '') : 'flat';
+
+  // Caps only apply when the percentage is switched on
+  const savings = Number(rules.savings_percent) > 0
+    ? capAmount(round2((rules.savings_percent / 100) * fare), rules.savings_min_kes, rules.savings_max_kes)
+    : { amount: 0 };
+  const loanRepay = Number(rules.loan_repay_percent) > 0
+    ? capAmount(round2((rules.loan_repay_percent / 100) * fare), rules.loan_repay_min_kes, rules.loan_repay_max_kes)
+    : { amount: 0 };
   const saccoDaily = takeDailyFee ? round2(rules.sacco_daily_fee_kes) : 0;
 
   const parts = [
-    { type: 'FARE', amount_kes: fare },
-    { type: 'SERVICE_FEE', amount_kes: serviceFee },
+    { type: 'FARE', amount_kes: fare, rule: 'fare' },
+    { type: 'SERVICE_FEE', amount_kes: serviceFee, rule: serviceRule },
   ];
-  if (saccoDaily > 0) parts.push({ type: 'SACCO_FEE', amount_kes: saccoDaily });
-  if (savings > 0) parts.push({ type: 'SAVINGS', amount_kes: savings });
-  if (loanRepay > 0) parts.push({ type: 'LOAN_REPAY', amount_kes: loanRepay });
+  if (saccoDaily > 0) parts.push({ type: 'SACCO_FEE', amount_kes: saccoDaily, rule: 'daily' });
+  if (savings.amount > 0) parts.push({ type: 'SAVINGS', amount_kes: savings.amount, rule: savings.rule });
+  if (loanRepay.amount > 0) parts.push({ type: 'LOAN_REPAY', amount_kes: loanRepay.amount, rule: loanRepay.rule });
+  for (const d of rules.deductions || []) {
+    if (d.frequency === 'DAILY' && dailyDone.has(d.code)) continue;
+    const amt = d.calc === 'PERCENT' ? round2((Number(d.value) / 100) * fare) : round2(d.value);
+    if (amt > 0) parts.push({ type: d.code, amount_kes: amt, rule: `deduction:${d.code}`, label: d.name });
+  }
   return parts;
 }
+async function matatuRoute(matatu_id) {
+  if (!matatu_id) return null;
+  const { data, error } = await (sbAdmin || sb).from('matatus').select('route').eq('id', matatu_id).maybeSingle();
+  if (error) throw error;
+  return data?.route || null;
+}
 
 // =======================
 // Fee quote
 // =======================
 app.post('/api/fees/quote', quoteLimiter, async (req, res) => {
   try {
-    const { sacco_id, matatu_id, amount } = req.body || {};
+    const { sacco_id, matatu_id, amount, at: atRaw } = req.body || {};
     if (!sacco_id || !amount) return res.status(400).json({ success: false, error: 'sacco_id & amount required' });
-    const rules = await getRuleset(sacco_id);
-    const dailyDone = matatu_id ? await hasPaidSaccoFeeToday(matatu_id) : false;
-    const splits = computeSplits({ amount, rules, takeDailyFee: !dailyDone });
-    res.json({ success: true, splits });
+    // `at` previews the fee at another time of day (peak/off-peak) or under a scheduled version
+    const at = atRaw ? new Date(atRaw) : new Date();
+    if (isNaN(at.getTime())) return res.status(400).json({ success: false, error: 'invalid at timestamp' });
+    const rules = await getRuleset(sacco_id, at);
+    const dailyDone = await dailyChargesTakenToday(matatu_id, rules, at);
+    const route = req.body.route || (await matatuRoute(matatu_id));
+    const splits = computeSplits({ amount, rules, dailyDone, at, route });
+    res.json({ success: true, splits, ruleset: { version_id: rules.ruleset_version_id, version: rules.version } });
   } catch (err) {
     res.status(500).json({ success: false, error: err.message });
   }
@@ -887,7 +2082,7 @@ app.post('/api/fees/quote', quoteLimiter, async (req, res) => {
 // =======================
 // POS latest amount (prefill)
 // =======================
-app.post('/api/pos/latest', requireUser, writeLimiter, async (req, res) => {
+app.post('/api/pos/latest', requireUser, writeLimiter, idempotent, async (req, res) => {
   try {
     const sbr = getSbFor(req);
     const { cashier_id, amount } = req.body || {};
@@ -899,12 +2094,366 @@ app.post('/api/pos/latest', requireUser, writeLimiter, async (req, res) => {
       { onConflict: 'cashier_id' }
     );
     if (error) return res.status(403).json({ success: false, error: error.message || String(error) });
+    await audit(req, { entity: 'pos_latest', action: 'set', entity_id: cashier_id, after: { cashier_id, amount_kes: round2(amount) } });
     res.json({ success: true });
   } catch (err) {
     res.status(500).json({ success: false, error: err.message });
   }
 });
 
+// =======================
+// M-Pesa STK push (Daraja)
+// =======================
+// Resolve an allocated pool code (e.g. *001*1102#) to the SACCO/matatu it is bound to; suspended codes resolve to nothing
+async function resolveUssdTarget(ussd_code) {
+  const parsed = parseUssdCode(ussd_code);
+  if (!parsed || String(digitalRoot(parsed.base)) !== parsed.check) return null;
+  // a code without its prefix belongs to the default prefix
+  const prefix = await ussdPrefix(parsed.prefix);
+  if (!prefix) return null;
+  const svc = sbAdmin || sb;
+  const { data, error } = await svc
+    .from('ussd_pool')
+    .select('base, level, sacco_id, matatu_id, boda_id, taxi_id')
+    .eq('prefix_id', prefix.id)
+    .eq('base', parsed.base)
+    .eq('allocated', true)
+    .is('suspended_at', null)
+    .maybeSingle();
+  if (error) throw error;
+  if (!data) return null;
+  if (data.level === 'MATATU') return resolveMatatuTarget(data.matatu_id);
+  // Bodas/taxis pay into their SACCO (no matatu ledger); the plate is the account reference
+  if (data.level === 'BODA' || data.level === 'TAXI') {
+    const { data: v } = await svc
+      .from(data.level === 'BODA' ? 'bodabodas' : 'taxis')
+      .select('sacco_id, number_plate')
+      .eq('id', data.level === 'BODA' ? data.boda_id : data.taxi_id)
+      .maybeSingle();
+    if (!v) return null;
+    return { sacco_id: v.sacco_id, matatu_id: null, account_ref: v.number_plate, label: v.number_plate };
+  }
+  if (data.level === 'SACCO') {
+    const { data: sacco } = await svc.from('saccos').select('name').eq('id', data.sacco_id).maybeSingle();
+    return { sacco_id: data.sacco_id, matatu_id: null, account_ref: parsed.base, label: sacco?.name || 'SACCO' };
+  }
+  return null;
+}
+async function resolveMatatuTarget(matatu_id) {
+  const svc = sbAdmin || sb;
+  const { data, error } = await svc.from('matatus').select('id, sacco_id, number_plate, route').eq('id', matatu_id).maybeSingle();
+  if (error) throw error;
+  if (!data) return null;
+  return { sacco_id: data.sacco_id, matatu_id: data.id, account_ref: data.number_plate, label: data.number_plate, route: data.route || null };
+}
+
+// DARAJA_CALLBACK_URL wins; otherwise derive it from API_URL/APP_URL (+ shared token when set)
+function stkCallbackUrl() {
+  if (process.env.DARAJA_CALLBACK_URL) return process.env.DARAJA_CALLBACK_URL;
+  const base = String(API_URL || APP_URL || '').replace(/\/+$/, '');
+  if (!base) return '';
+  const token = process.env.DARAJA_CALLBACK_TOKEN;
+  return `${base}/api/pay/stk/callback` + (token ? `?token=${encodeURIComponent(token)}` : '');
+}
+
+const STK_ID_WRITE_ATTEMPTS = 3;
+// Record the PENDING transaction, then send the STK push and attach its checkout id (the settlement anchor).
+// The row exists before the passenger sees the prompt, so a callback can never beat it. Only a push that never left
+// or that Daraja refused marks it FAILED (and throws); otherwise the result carries `unconfirmed` (no checkout id:
+// Daraja may or may not have prompted) or `unrecorded` (prompted, but the id is not on the row).
+async function initiateStkPayment({ target, msisdn, fare, ussd_code = null, requestId, log }) {
+  const rules = await getRuleset(target.sacco_id);
+  const route = target.route !== undefined ? target.route : await matatuRoute(target.matatu_id);
+  const serviceFee = computeSplits({ amount: fare, rules, takeDailyFee: false, route }).find((p) => p.type === 'SERVICE_FEE');
+  const { data: tx, error } = await sbAdmin
+    .from('transactions')
+    .insert([
+      {
+        sacco_id: target.sacco_id,
+        matatu_id: target.matatu_id,
+        ussd_code,
+        passenger_msisdn: msisdn,
+        fare_amount_kes: round2(fare),
+        service_fee_kes: serviceFee.amount_kes,
+        status: 'PENDING',
+        ruleset_version_id: rules.ruleset_version_id,
+      },
+    ])
+    .select('id')
+    .single();
+  if (error) throw error;
+
+  let push;
+  try {
+    push = await stkPush({
+      msisdn,
+      amount: fare,
+      accountRef: target.account_ref,
+      description: 'Fare',
+      callbackUrl: stkCallbackUrl(),
+      requestId,
+    });
+  } catch (e) {
+    // Unclear whether the passenger was prompted: the row stays PENDING for the callback or the sweeper
+    if (e.sent !== false && !e.rejected) {
+      log?.warn({ transaction_id: tx.id, err: sanitizeErr(e) }, 'stk push outcome unknown; left PENDING');
+      return { transaction_id: tx.id, checkoutRequestId: null, merchantRequestId: null, customerMessage: '', unconfirmed: true };
+    }
+    const { error: failErr } = await sbAdmin.from('transactions').update({ status: 'FAILED' }).eq('id', tx.id).eq('status', 'PENDING');
+    if (failErr) log?.error({ transaction_id: tx.id, err: failErr.message }, 'stk push failed and the row could not be marked FAILED');
+    throw e;
+  }
+
+  // The prompt is on the passenger's phone; without the id the callback cannot find this row, so try harder than once.
+  // Never throw from here: a 5xx would free the Idempotency-Key and the retry would push a second prompt.
+  for (let attempt = 1; attempt <= STK_ID_WRITE_ATTEMPTS; attempt++) {
+    const { error: idErr } = await sbAdmin.from('transactions').update({ mpesa_checkout_id: push.checkoutRequestId }).eq('id', tx.id);
+    if (!idErr) return { transaction_id: tx.id, ...push };
+    log?.error({ transaction_id: tx.id, checkout_id: push.checkoutRequestId, attempt, err: idErr.message }, 'stk checkout id not recorded');
+    if (attempt < STK_ID_WRITE_ATTEMPTS) await new Promise((r) => setTimeout(r, 200 * attempt));
+  }
+  return { transaction_id: tx.id, ...push, unrecorded: true };
+}
+
+app.post('/api/pay/stk', payLimiter, idempotent, async (req, res) => {
+  try {
+    if (!sbAdmin) return res.status(503).json({ success: false, error: 'payments unavailable (service role not configured)' });
+    const { ussd_code, matatu_id, msisdn, phone, amount } = req.body || {};
+    const fare = Number(amount);
+    if (!Number.isInteger(fare) || fare < 1) return res.status(422).json({ success: false, error: 'amount must be a whole number of KES (>= 1)' });
+    const passenger = normalizeMsisdn(msisdn || phone);
+    if (!passenger) return res.status(422).json({ success: false, error: 'valid Safaricom msisdn required (e.g. 2547XXXXXXXX)' });
+    if (!ussd_code && !matatu_id) return res.status(400).json({ success: false, error: 'ussd_code or matatu_id required' });
+
+    const target = ussd_code ? await resolveUssdTarget(ussd_code) : await resolveMatatuTarget(matatu_id);
+    if (!target) return res.status(404).json({ success: false, error: ussd_code ? 'code not allocated' : 'matatu not found' });
+
+    const out = await initiateStkPayment({ target, msisdn: passenger, fare, ussd_code: ussd_code || null, requestId: req.id, log: req.log });
+    await audit(req, {
+      entity: 'transaction',
+      action: 'stk_push',
+      entity_id: out.transaction_id,
+      after: { sacco_id: target.sacco_id, matatu_id: target.matatu_id, ussd_code: ussd_code || null, fare_amount_kes: fare, checkout_id: out.checkoutRequestId },
+      system: 'passenger',
+    });
+    // 202: Daraja's answer was lost, so the prompt may or may not be on the phone; the sweeper settles the row
+    res.status(out.unconfirmed ? 202 : 200).json({
+      success: true,
+      data: {
+        transaction_id: out.transaction_id,
+        checkout_request_id: out.checkoutRequestId,
+        merchant_request_id: out.merchantRequestId,
+        customer_message: out.unconfirmed ? 'Payment request may still reach your phone. Do not pay again until it is final.' : out.customerMessage,
+        amount_kes: fare,
+        status: 'PENDING',
+      },
+    });
+  } catch (err) {
+    const code = err.details ? 502 : 500;
+    res.status(code).json({ success: false, error: sanitizeErr(err) });
+  }
+});
+
+// Settle a PENDING STK transaction; splits are computed (and posted) only on SUCCESS.
+// The status flip and ledger rows land in one DB call, and non-PENDING rows are left alone.
+// Once-a-day parts are sent with the day's bounds; the DB drops any already taken (under a per-matatu/day lock).
+// `amount` (callback metadata; the status query has none) must equal the fare we pushed, or nothing is settled.
+async function settleStkTransaction({ checkoutId, status, receipt = null, amount }) {
+  let parts = [];
+  let rulesetVersionId = null;
+  let daily = { types: [], from: null, to: null };
+  if (status === 'SUCCESS') {
+    const { data: tx, error } = await sbAdmin
+      .from('transactions')
+      .select('id, sacco_id, matatu_id, fare_amount_kes, status, created_at')
+      .eq('mpesa_checkout_id', checkoutId)
+      .maybeSingle();
+    if (error) throw error;
+    if (tx && tx.status === 'PENDING') {
+      if (amount !== undefined && !(Number.isFinite(amount) && round2(amount) === round2(tx.fare_amount_kes))) {
+        return { found: true, applied: false, status: tx.status, transaction_id: tx.id, amount_mismatch: true, fare_amount_kes: tx.fare_amount_kes };
+      }
+      // Charge under the rules in force when the passenger started the payment
+      const rules = await getRuleset(tx.sacco_id, tx.created_at);
+      const route = await matatuRoute(tx.matatu_id);
+      parts = computeSplits({ amount: tx.fare_amount_kes, rules, at: tx.created_at, route });
+      rulesetVersionId = rules.ruleset_version_id;
+      const bday = rules.business_day || DEFAULT_BUSINESS_DAY;
+      daily = {
+        types: ['SACCO_FEE', ...(rules.deductions || []).filter((d) => d.frequency === 'DAILY').map((d) => d.code)],
+        from: startOfDayISO(tx.created_at, bday),
+        to: endOfDayISO(tx.created_at, bday),
+      };
+    }
+  }
+  const { data, error } = await sbAdmin.rpc('settle_stk_transaction', {
+    p_checkout_id: checkoutId,
+    p_status: status,
+    p_receipt: receipt,
+    p_parts: parts,
+    p_ruleset_version_id: rulesetVersionId,
+    p_daily_types: daily.types,
+    p_day_from: daily.from,
+    p_day_to: daily.to,
+  });
+  if (error) throw error;
+  return data || { found: false, applied: false };
+}
+
+function auditSettlement(req, out, { checkoutId, receipt = null, system }) {
+  return audit(req, {
+    entity: 'transaction',
+    action: 'settle',
+    entity_id: out.transaction_id,
+    before: { status: 'PENDING' },
+    after: { status: out.status, checkout_id: checkoutId, mpesa_receipt: receipt, daily_skipped: out.daily_skipped || [] },
+    system,
+  });
+}
+
+// Provider callbacks (Daraja, the USSD aggregator) carry a shared secret in ?token=; production refuses them while it is unset
+function callbackTokenOk(req, secret) {
+  if (!secret) return NODE_ENV !== 'production';
+  const got = Buffer.from(String(req.query.token || ''));
+  const want = Buffer.from(secret);
+  return got.length === want.length && timingSafeEqual(got, want);
+}
+
+// Daraja result callback. Always ACK known/unknown/duplicate callbacks so Safaricom stops retrying.
+app.post('/api/pay/stk/callback', async (req, res) => {
+  if (!callbackTokenOk(req, process.env.DARAJA_CALLBACK_TOKEN)) return res.status(401).json({ ResultCode: 1, ResultDesc: 'Unauthorized' });
+  const cb = parseStkCallback(req.body);
+  if (!cb) return res.status(400).json({ ResultCode: 1, ResultDesc: 'Malformed callback' });
+  try {
+    if (!sbAdmin) throw new Error('service role not configured');
+    const status = cb.resultCode === 0 ? 'SUCCESS' : 'FAILED';
+    const out = await settleStkTransaction({ checkoutId: cb.checkoutRequestId, status, receipt: cb.receipt, amount: cb.amount });
+    if (out.amount_mismatch) {
+      // Left PENDING: the sweeper asks Daraja directly
+      req.log.error({ checkout_id: cb.checkoutRequestId, amount: cb.amount, fare_amount_kes: out.fare_amount_kes }, 'stk callback amount does not match the fare');
+      return res.status(400).json({ ResultCode: 1, ResultDesc: 'Amount mismatch' });
+    }
+    if (!out.found) req.log.warn({ checkout_id: cb.checkoutRequestId }, 'stk callback for unknown checkout id');
+    else if (!out.applied) req.log.info({ checkout_id: cb.checkoutRequestId, status: out.status }, 'duplicate stk callback ignored');
+    else await auditSettlement(req, out, { checkoutId: cb.checkoutRequestId, receipt: cb.receipt, system: 'daraja' });
+    res.json({ ResultCode: 0, ResultDesc: 'Accepted' });
+  } catch (e) {
+    req.log.error({ checkout_id: cb.checkoutRequestId, err: sanitizeErr(e) }, 'stk callback settle failed');
+    res.status(500).json({ ResultCode: 1, ResultDesc: 'Temporary failure' });
+  }
+});
+
+// =======================
+// Pending STK sweeper (stale PENDING → SUCCESS / FAILED / TIMEOUT; stale rows with no checkout id → TIMEOUT;
+// anything else unclear stays PENDING)
+// =======================
+const PENDING_TIMEOUT_MINUTES = Math.max(1, Number(process.env.PENDING_TIMEOUT_MINUTES || 10));
+const PENDING_SWEEP_INTERVAL_MS = Number(process.env.PENDING_SWEEP_INTERVAL_MS ?? 60 * 1000);
+let _sweepRunning = false;
+
+async function sweepPendingTransactions({ olderThanMinutes = PENDING_TIMEOUT_MINUTES, limit = 50, log = jobLog } = {}) {
+  await sbReady;
+  if (!sbAdmin) throw new Error('service role not configured');
+  const cutoff = new Date(Date.now() - Math.max(1, Number(olderThanMinutes)) * 60 * 1000).toISOString();
+  const { data, error } = await sbAdmin
+    .from('transactions')
+    .select('id, mpesa_checkout_id, created_at')
+    .eq('status', 'PENDING')
+    .lt('created_at', cutoff)
+    .order('created_at', { ascending: true })
+    .limit(Math.min(Math.max(Number(limit) || 50, 1), 500));
+  if (error) throw error;
+
+  const result = { cutoff, scanned: (data || []).length, SUCCESS: 0, FAILED: 0, TIMEOUT: 0, skipped: 0, errors: 0 };
+  for (const tx of data || []) {
+    // No checkout id (push answer lost, id write failed, crash before the push): no callback or query can ever settle it
+    if (!tx.mpesa_checkout_id) {
+      try {
+        const { data: rows, error: upErr } = await sbAdmin
+          .from('transactions')
+          .update({ status: 'TIMEOUT' })
+          .eq('id', tx.id)
+          .eq('status', 'PENDING')
+          .is('mpesa_checkout_id', null)
+          .select('id');
+        if (upErr) throw upErr;
+        if (!rows?.length) {
+          result.skipped++;
+          continue;
+        }
+        result.TIMEOUT++;
+        log.warn({ transaction_id: tx.id }, 'sweep: PENDING row without a checkout id timed out');
+        await auditSettlement({ log }, { transaction_id: tx.id, status: 'TIMEOUT' }, { checkoutId: null, system: 'stk-sweeper' });
+      } catch (e) {
+        result.errors++;
+        log.warn({ transaction_id: tx.id, err: sanitizeErr(e) }, 'sweep: settle failed');
+      }
+      continue;
+    }
+    let status;
+    try {
+      const q = await stkQuery({ checkoutRequestId: tx.mpesa_checkout_id });
+      status = stkResultStatus(q.resultCode);
+      if (!status) {
+        result.skipped++;
+        log.warn({ checkout_id: tx.mpesa_checkout_id, result_desc: q.resultDesc }, 'sweep: status query returned no result code');
+        continue;
+      }
+    } catch (e) {
+      if (e.details?.errorCode === STK_STILL_PROCESSING) {
+        result.skipped++;
+        continue;
+      }
+      // Only "no such CheckoutRequestID" is final. Any other error (5xx, auth, throttling, network) leaves it PENDING for the next run.
+      if (!stkUnknownCheckout(e)) {
+        result.errors++;
+        log.warn({ checkout_id: tx.mpesa_checkout_id, status: e.status || null, err: sanitizeErr(e) }, 'sweep: status query failed');
+        continue;
+      }
+      status = 'TIMEOUT';
+    }
+    try {
+      const out = await settleStkTransaction({ checkoutId: tx.mpesa_checkout_id, status });
+      if (out.applied) {
+        result[status]++;
+        await auditSettlement({ log }, out, { checkoutId: tx.mpesa_checkout_id, system: 'stk-sweeper' });
+      } else result.skipped++;
+    } catch (e) {
+      result.errors++;
+      log.warn({ checkout_id: tx.mpesa_checkout_id, err: sanitizeErr(e) }, 'sweep: settle failed');
+    }
+  }
+  return result;
+}
+
+// Single-flight wrapper for the in-process timer
+async function runPendingSweep() {
+  if (_sweepRunning) return null;
+  _sweepRunning = true;
+  try {
+    const r = await sweepPendingTransactions();
+    if (r.scanned) jobLog.info({ sweep: r }, 'sweep: pending run');
+    return r;
+  } catch (e) {
+    jobLog.warn({ err: sanitizeErr(e) }, 'sweep: run failed');
+    return null;
+  } finally {
+    _sweepRunning = false;
+  }
+}
+
+// Manual/cron trigger (e.g. Vercel Cron, where no in-process timer runs)
+app.post('/api/admin/transactions/sweep-pending', requireAdmin, async (req, res) => {
+  try {
+    const { older_than_minutes = PENDING_TIMEOUT_MINUTES, limit = 50 } = req.body || {};
+    const data = await sweepPendingTransactions({ olderThanMinutes: older_than_minutes, limit, log: req.log });
+    await audit(req, { entity: 'transaction', action: 'sweep_pending', after: data });
+    return res.json({ success: true, data });
+  } catch (err) {
+    return res.status(500).json({ success: false, error: sanitizeErr(err) });
+  }
+});
+
 // =======================
 // Public lookups
 // =======================
@@ -934,9 +2483,37 @@ app.get('/api/lookup/matatu', async (req, res) => {
 });
 
 // =======================
-// SACCO/Matatu reads (public endpoints)
+// SACCO/Matatu reads (members only; anonymous callers tolerated while ANONYMOUS_READS=log)
 // =======================
-app.get('/api/sacco/:saccoId/matatus', async (req, res) => {
+// log (default): let token-less callers through and warn, so old integrations can be found and moved;
+// deny: 401 like any other member route. A bearer token is always checked.
+const ANONYMOUS_READS = String(process.env.ANONYMOUS_READS || 'log').toLowerCase();
+function memberRead(guard) {
+  return (req, res, next) => {
+    if (!req.headers.authorization) {
+      if (ANONYMOUS_READS === 'deny') return res.status(401).json({ error: 'Unauthorized' });
+      req.log.warn({ path: req.path, ip: req.ip, ua: req.get('user-agent') || null }, 'anonymous read of member data (compatibility period)');
+      res.set('Warning', '299 - "anonymous access is deprecated; send a bearer token"');
+      return next();
+    }
+    requireUser(req, res, () => (req.user.role === 'SYSTEM_ADMIN' ? next() : guard(req, res, next)));
+  };
+}
+const saccoRead = memberRead(requireSaccoRole());
+const matatuRead = memberRead(requireMatatuRole());
+
+// Conductors see passenger numbers as *********123; everyone else gets them whole
+const MASKED_ROLES = new Set(['CONDUCTOR']);
+function maskMsisdn(v) {
+  const s = String(v || '');
+  return s.length > 3 ? '*'.repeat(s.length - 3) + s.slice(-3) : s;
+}
+function maskRows(rows, role) {
+  if (!MASKED_ROLES.has(String(role || '').toUpperCase())) return rows;
+  return rows.map((r) => (r.passenger_msisdn ? { ...r, passenger_msisdn: maskMsisdn(r.passenger_msisdn) } : r));
+}
+
+app.get('/api/sacco/:saccoId/matatus', saccoRead, async (req, res) => {
   try {
     const { saccoId } = req.params;
     const { data, error } = await sb
@@ -951,7 +2528,7 @@ app.get('/api/sacco/:saccoId/matatus', async (req, res) => {
   }
 });
 
-app.get('/api/sacco/:saccoId/cashiers', async (req, res) => {
+app.get('/api/sacco/:saccoId/cashiers', saccoRead, async (req, res) => {
   try {
     const { saccoId } = req.params;
     const { data, error } = await sb.from('cashiers').select('id,name,phone,ussd_code,matatu_id,active,created_at').eq('sacco_id', saccoId).order('created_at', { ascending: false });
@@ -962,7 +2539,7 @@ app.get('/api/sacco/:saccoId/cashiers', async (req, res) => {
   }
 });
 
-app.get('/api/sacco/:saccoId/transactions', async (req, res) => {
+app.get('/api/sacco/:saccoId/transactions', saccoRead, async (req, res) => {
   try {
     const { saccoId } = req.params;
     const { status, limit = 50 } = req.query;
@@ -975,7 +2552,7 @@ app.get('/api/sacco/:saccoId/transactions', async (req, res) => {
     if (status) q = q.eq('status', status);
     const { data, error } = await q;
     if (error) throw error;
-    res.json({ items: data || [] });
+    res.json({ items: maskRows(data || [], req.saccoRole) });
   } catch (e) {
     res.status(500).json({ error: e.message });
   }
@@ -984,22 +2561,8 @@ app.get('/api/sacco/:saccoId/transactions', async (req, res) => {
 // =======================
 // Admin overviews
 // =======================
-function startOfDayISO(d = new Date()) { return new Date(d.getFullYear(), d.getMonth(), d.getDate()).toISOString(); }
-function endOfDayISO(d = new Date()) { return new Date(d.getFullYear(), d.getMonth(), d.getDate() + 1).toISOString(); }
 function getCount(resp) { return (Number.isFinite(resp?.count) ? resp.count : 0); }
 function sanitizeErr(e) { const m = e && e.message ? String(e.message) : 'Unexpected error'; return m.length > 300 ? m.slice(0, 300) + '…' : m; }
-function parseRange(q) {
-  if (q.from || q.to) {
-    const from = q.from ? new Date(q.from) : new Date();
-    const to = q.to ? new Date(q.to) : new Date();
-    return { from: startOfDayISO(from), to: endOfDayISO(to) };
-  }
-  if (q.date) {
-    const d = new Date(q.date);
-    return { from: startOfDayISO(d), to: endOfDayISO(d) };
-  }
-  return { from: startOfDayISO(), to: endOfDayISO() };
-}
 
 app.get('/api/admin/transactions/fees', requireAdmin, async (req, res) => {
   try {
@@ -1013,11 +2576,11 @@ app.get('/api/admin/transactions/fees', requireAdmin, async (req, res) => {
       .order('created_at', { ascending: false });
     if (error) throw error;
     const items = (data || []).map((r) => ({
-      date: (r.created_at || '').slice(0, 10),
+      date: businessDate(r.created_at),
       sacco: r.sacco_id || '',
       amount: Number(r.amount_kes || 0),
       matatu: r.matatu_id || '',
-      time: (r.created_at || '').slice(11, 19),
+      time: businessTime(r.created_at),
     }));
     return res.json({ success: true, data: items });
   } catch (e) {
@@ -1037,11 +2600,11 @@ app.get('/api/admin/transactions/loans', requireAdmin, async (req, res) => {
       .order('created_at', { ascending: false });
     if (error) throw error;
     const items = (data || []).map((r) => ({
-      date: (r.created_at || '').slice(0, 10),
+      date: businessDate(r.created_at),
       sacco: r.sacco_id || '',
       amount: Number(r.amount_kes || 0),
       matatu: r.matatu_id || '',
-      time: (r.created_at || '').slice(11, 19),
+      time: businessTime(r.created_at),
     }));
     return res.json({ success: true, data: items });
   } catch (e) {
@@ -1053,13 +2616,14 @@ app.get('/api/admin/transactions/loans', requireAdmin, async (req, res) => {
 app.get('/api/admin/system-overview', requireUser, requireRole('SYSTEM_ADMIN'), async (_req, res) => {
   try {
     const start = startOfDayISO();
-    const [saccos, matatus, cashiers, tx, poolAll, poolAvail] = await Promise.all([
+    const [saccos, matatus, bodabodas, taxis, cashiers, tx, poolStock] = await Promise.all([
       sb.from('saccos').select('*', { count: 'exact', head: true }),
       sb.from('matatus').select('*', { count: 'exact', head: true }),
+      (sbAdmin || sb).from('bodabodas').select('*', { count: 'exact', head: true }),
+      (sbAdmin || sb).from('taxis').select('*', { count: 'exact', head: true }),
       sb.from('cashiers').select('*', { count: 'exact', head: true }),
       sb.from('transactions').select('*', { count: 'exact', head: true }).gte('created_at', start),
-      sb.from('ussd_pool').select('*', { count: 'exact', head: true }),
-      sb.from('ussd_pool').select('*', { count: 'exact', head: true }).eq('allocated', false),
+      (sbAdmin || sb).from('v_ussd_prefix_stock').select('*').order('code'),
     ]);
 
     const svc = sbAdmin || sb;
@@ -1072,11 +2636,15 @@ app.get('/api/admin/system-overview', requireUser, requireRole('SYSTEM_ADMIN'),
     const tx_yday_total = sum(ydayRows, 'tx_count');
     const fees_today = sum(todayRows, 'fees_sum');
     const fees_yday = sum(ydayRows, 'fees_sum');
+    if (poolStock.error) throw poolStock.error;
+    const prefixStock = (poolStock.data || []).map(ussdStockView);
 
     res.json({
       counts: {
         saccos: getCount(saccos),
         matatus: getCount(matatus),
+        bodabodas: getCount(bodabodas),
+        taxis: getCount(taxis),
         cashiers: getCount(cashiers),
         tx_today: getCount(tx),
       },
@@ -1085,9 +2653,11 @@ app.get('/api/admin/system-overview', requireUser, requireRole('SYSTEM_ADMIN'),
         fees_delta: Number((fees_today - fees_yday).toFixed(2)),
       },
       ussd_pool: {
-        total: getCount(poolAll),
-        available: getCount(poolAvail),
-        allocated: Math.max(0, getCount(poolAll) - getCount(poolAvail)),
+        total: sum(poolStock.data, 'total'),
+        available: sum(poolStock.data, 'available'),
+        allocated: sum(poolStock.data, 'allocated'),
+        prefixes: prefixStock,
+        low_stock: prefixStock.filter((p) => p.low_stock).map((p) => p.code),
       },
     });
   } catch (e) {
@@ -1100,7 +2670,7 @@ app.get('/api/admin/sacco-overview', requireUser, requireRole('SACCO_ADMIN', 'SY
   try {
     const saccoId = req.query.sacco_id;
     if (!saccoId) return res.status(400).json({ error: 'sacco_id required' });
-    const start = startOfDayISO();
+    const start = startOfDayISO(new Date(), await saccoBusinessDay(saccoId));
     const [sacco, matatus, cashiers, tx, feesRows] = await Promise.all([
       sb.from('saccos').select('*').eq('id', saccoId).maybeSingle(),
       sb.from('matatus').select('*', { count: 'exact', head: true }).eq('sacco_id', saccoId),
@@ -1131,31 +2701,159 @@ app.get('/api/admin/sacco-overview', requireUser, requireRole('SACCO_ADMIN', 'SY
   }
 });
 
+// =======================
+// SACCO deductions
+// =======================
+const DEDUCTION_CALCS = ['PERCENT', 'FLAT'];
+const DEDUCTION_FREQUENCIES = ['PER_FARE', 'DAILY'];
+const RESERVED_LEDGER_TYPES = ['FARE', 'SERVICE_FEE', 'SACCO_FEE', 'SAVINGS', 'LOAN_REPAY', 'NET_TO_OWNER'];
+
+// Validate a create/update body; returns { fields } or { error }
+function deductionFields(body, { partial = false } = {}) {
+  const b = body || {};
+  const fields = {};
+  if (!partial || b.code !== undefined) {
+    const code = String(b.code || '').trim().toUpperCase().replace(/[\s-]+/g, '_');
+    if (!/^[A-Z][A-Z0-9_]{1,31}$/.test(code)) return { error: 'code must be 2-32 chars: letters, digits, underscore' };
+    if (RESERVED_LEDGER_TYPES.includes(code)) return { error: `code ${code} is reserved` };
+    fields.code = code;
+  }
+  if (!partial || b.name !== undefined) {
+    if (!String(b.name || '').trim()) return { error: 'name required' };
+    fields.name = String(b.name).trim().slice(0, 60);
+  }
+  if (!partial || b.calc !== undefined) {
+    const calc = String(b.calc || '').toUpperCase();
+    if (!DEDUCTION_CALCS.includes(calc)) return { error: `calc must be one of ${DEDUCTION_CALCS.join(', ')}` };
+    fields.calc = calc;
+  }
+  if (!partial || b.value !== undefined) {
+    const value = Number(b.value);
+    if (!Number.isFinite(value) || value < 0) return { error: 'value must be a number >= 0' };
+    fields.value = round2(value);
+  }
+  if (!partial || b.frequency !== undefined) {
+    const frequency = String(b.frequency || 'PER_FARE').toUpperCase();
+    if (!DEDUCTION_FREQUENCIES.includes(frequency)) return { error: `frequency must be one of ${DEDUCTION_FREQUENCIES.join(', ')}` };
+    fields.frequency = frequency;
+  }
+  if (b.active !== undefined) fields.active = !!b.active;
+  if (fields.calc === 'PERCENT' && fields.value > 100) return { error: 'percentage cannot exceed 100' };
+  return { fields };
+}
+
+app.get('/api/sacco/:saccoId/deductions', requireUser, requireSaccoMember, async (req, res) => {
+  try {
+    const { data, error } = await (sbAdmin || sb)
+      .from('sacco_deductions')
+      .select('*')
+      .eq('sacco_id', req.params.saccoId)
+      .order('created_at', { ascending: true });
+    if (error) throw error;
+    res.json({ success: true, items: data || [] });
+  } catch (e) {
+    res.status(500).json({ success: false, error: e.message });
+  }
+});
+
+app.post('/api/sacco/:saccoId/deductions', requireUser, requireSaccoRole(['SACCO_ADMIN']), writeLimiter, idempotent, async (req, res) => {
+  try {
+    const { fields, error: invalid } = deductionFields(req.body);
+    if (invalid) return res.status(422).json({ success: false, error: invalid });
+    const { data, error } = await sbAdmin
+      .from('sacco_deductions')
+      .insert([{ ...fields, sacco_id: req.params.saccoId, created_by: req.user.id }])
+      .select()
+      .single();
+    if (error) {
+      if (error.code === '23505') return res.status(409).json({ success: false, error: `deduction ${fields.code} already exists` });
+      throw error;
+    }
+    await audit(req, { entity: 'sacco_deduction', action: 'create', entity_id: data.id, after: data });
+    res.json({ success: true, data });
+  } catch (e) {
+    res.status(500).json({ success: false, error: e.message });
+  }
+});
+
+// code is immutable: past ledger rows are posted under it
+app.patch('/api/sacco/:saccoId/deductions/:id', requireUser, requireSaccoRole(['SACCO_ADMIN']), writeLimiter, async (req, res) => {
+  try {
+    if (req.body?.code !== undefined) return res.status(422).json({ success: false, error: 'code cannot be changed; create a new deduction instead' });
+    const { fields, error: invalid } = deductionFields(req.body, { partial: true });
+    if (invalid) return res.status(422).json({ success: false, error: invalid });
+    if (!Object.keys(fields).length) return res.status(400).json({ success: false, error: 'nothing to update' });
+    const { data: cur, error: cErr } = await sbAdmin
+      .from('sacco_deductions')
+      .select('*')
+      .eq('id', req.params.id)
+      .eq('sacco_id', req.params.saccoId)
+      .maybeSingle();
+    if (cErr) throw cErr;
+    if (!cur) return res.status(404).json({ success: false, error: 'deduction not found' });
+    if ((fields.calc || cur.calc) === 'PERCENT' && Number(fields.value ?? cur.value) > 100) {
+      return res.status(422).json({ success: false, error: 'percentage cannot exceed 100' });
+    }
+    const { data, error } = await sbAdmin
+      .from('sacco_deductions')
+      .update({ ...fields, updated_at: new Date().toISOString() })
+      .eq('id', req.params.id)
+      .eq('sacco_id', req.params.saccoId)
+      .select()
+      .maybeSingle();
+    if (error) throw error;
+    if (!data) return res.status(404).json({ success: false, error: 'deduction not found' });
+    await audit(req, { entity: 'sacco_deduction', action: 'update', entity_id: data.id, before: cur, after: data });
+    res.json({ success: true, data });
+  } catch (e) {
+    res.status(500).json({ success: false, error: e.message });
+  }
+});
+
+app.delete('/api/sacco/:saccoId/deductions/:id', requireUser, requireSaccoRole(['SACCO_ADMIN']), writeLimiter, async (req, res) => {
+  try {
+    const { data, error } = await sbAdmin
+      .from('sacco_deductions')
+      .delete()
+      .eq('id', req.params.id)
+      .eq('sacco_id', req.params.saccoId)
+      .select();
+    if (error) throw error;
+    if (!data || !data.length) return res.status(404).json({ success: false, error: 'deduction not found' });
+    await audit(req, { entity: 'sacco_deduction', action: 'delete', entity_id: req.params.id, before: data[0] });
+    res.json({ success: true, deleted: true });
+  } catch (e) {
+    res.status(500).json({ success: false, error: e.message });
+  }
+});
+
 // =======================
 // Summaries & activity
 // =======================
-app.get('/api/sacco/:saccoId/summary', async (req, res) => {
+// Totals per ledger type; everything except FARE and SERVICE_FEE (paid on top by the passenger) comes out of the owner's share
+function ledgerTotals(rows) {
+  const totals = (rows || []).reduce((acc, r) => {
+    acc[r.type] = round2((acc[r.type] || 0) + Number(r.amount_kes));
+    return acc;
+  }, {});
+  const deducted = Object.entries(totals)
+    .filter(([type]) => type !== 'FARE' && type !== 'SERVICE_FEE')
+    .reduce((sum, [, v]) => sum + v, 0);
+  return { ...totals, NET_TO_OWNER: round2((totals.FARE || 0) - deducted) };
+}
+app.get('/api/sacco/:saccoId/summary', saccoRead, async (req, res) => {
   try {
     const { saccoId } = req.params;
-    const { from, to } = parseRange(req.query);
+    const { from, to } = parseRange(req.query, await saccoBusinessDay(saccoId));
     const { data, error } = await sb.from('ledger_entries').select('type,amount_kes').eq('sacco_id', saccoId).gte('created_at', from).lt('created_at', to);
     if (error) throw error;
-    const totals = (data || []).reduce((acc, r) => {
-      acc[r.type] = round2((acc[r.type] || 0) + Number(r.amount_kes));
-      return acc;
-    }, {});
-    const fare = totals.FARE || 0,
-      savings = totals.SAVINGS || 0,
-      loan = totals.LOAN_REPAY || 0,
-      saccofee = totals.SACCO_FEE || 0;
-    const net_owner = round2(fare - savings - loan - saccofee);
-    res.json({ range: { from, to }, totals: { ...totals, NET_TO_OWNER: net_owner } });
+    res.json({ range: { from, to }, totals: ledgerTotals(data) });
   } catch (e) {
     res.status(500).json({ error: e.message });
   }
 });
 
-app.get('/api/matatu/:matatuId/transactions', async (req, res) => {
+app.get('/api/matatu/:matatuId/transactions', matatuRead, async (req, res) => {
   try {
     const { matatuId } = req.params;
     const { limit = 50 } = req.query;
@@ -1166,62 +2864,1149 @@ app.get('/api/matatu/:matatuId/transactions', async (req, res) => {
       .order('created_at', { ascending: false })
       .limit(Number(limit));
     if (error) throw error;
-    res.json({ items: data || [] });
+    res.json({ items: maskRows(data || [], req.matatuRole) });
   } catch (e) {
     res.status(500).json({ error: e.message });
   }
 });
 
-app.get('/api/matatu/:matatuId/summary', async (req, res) => {
+app.get('/api/matatu/:matatuId/summary', matatuRead, async (req, res) => {
   try {
     const { matatuId } = req.params;
-    const { from, to } = parseRange(req.query);
+    const { from, to } = parseRange(req.query, await matatuBusinessDay(matatuId));
     const { data, error } = await sb.from('ledger_entries').select('type,amount_kes').eq('matatu_id', matatuId).gte('created_at', from).lt('created_at', to);
     if (error) throw error;
-    const totals = (data || []).reduce((acc, r) => {
-      acc[r.type] = round2((acc[r.type] || 0) + Number(r.amount_kes));
-      return acc;
-    }, {});
-    const fare = totals.FARE || 0,
-      savings = totals.SAVINGS || 0,
-      loan = totals.LOAN_REPAY || 0,
-      saccofee = totals.SACCO_FEE || 0;
-    const net_owner = round2(fare - savings - loan - saccofee);
-    res.json({ range: { from, to }, totals: { ...totals, NET_TO_OWNER: net_owner } });
-  } catch (e) {
-    res.status(500).json({ error: e.message });
+    res.json({ range: { from, to }, totals: ledgerTotals(data) });
+  } catch (e) {
+    res.status(500).json({ error: e.message });
+  }
+});
+
+// =======================
+// Matatu owner space (requireMatatuRole(['owner']); ?matatu_id= on every call)
+// =======================
+const OWNER_TX_COLUMNS = 'id,passenger_msisdn,fare_amount_kes,service_fee_kes,status,mpesa_receipt,created_at';
+const ownerGuard = [requireUser, requireMatatuRole(['owner'])];
+
+// Crew list with emails (auth users are looked up one by one; crews are small)
+app.get('/api/owner/members', ...ownerGuard, async (req, res) => {
+  try {
+    const svc = sbAdmin || sb;
+    const { data, error } = await svc
+      .from('matatu_members')
+      .select('user_id, member_role, msisdn, created_at')
+      .eq('matatu_id', req.query.matatu_id)
+      .order('created_at', { ascending: true });
+    if (error) throw error;
+    const items = await Promise.all(
+      (data || []).map(async (m) => {
+        let email = null;
+        if (sbAdmin && m.user_id) {
+          const { data: u } = await sbAdmin.auth.admin.getUserById(m.user_id);
+          email = u?.user?.email || null;
+        }
+        return { ...m, email, pending: !m.user_id };
+      })
+    );
+    res.json({ success: true, items });
+  } catch (e) {
+    res.status(500).json({ success: false, error: sanitizeErr(e) });
+  }
+});
+
+// Add a conductor by email or phone. Unknown emails get a Supabase invite and are linked straight away;
+// unknown numbers wait as a pending row (no user_id) until that number first signs in with an OTP.
+app.post('/api/owner/members', ...ownerGuard, writeLimiter, idempotent, async (req, res) => {
+  try {
+    if (!sbAdmin) return res.status(503).json({ success: false, error: 'crew management unavailable (service role not configured)' });
+    const { matatu_id } = req.query.matatu_id ? req.query : req.body;
+    const email = String(req.body?.email || '').trim().toLowerCase();
+    const msisdn = req.body?.msisdn || req.body?.phone ? normalizeMsisdn(req.body.msisdn || req.body.phone) : null;
+    if (!email && !msisdn) {
+      return res.status(422).json({ success: false, error: req.body?.msisdn || req.body?.phone ? 'valid Kenyan mobile number required' : 'valid email or msisdn required' });
+    }
+    if (email && !EMAIL_RE.test(email)) return res.status(422).json({ success: false, error: 'valid email required' });
+    if (req.body?.member_role && req.body.member_role !== 'conductor') return res.status(422).json({ success: false, error: 'owners can only add conductors' });
+
+    let user = null;
+    let invited = false;
+    if (email) {
+      user = await findAuthUserByEmail(email);
+      if (!user) {
+        const redirectTo = appUrl('/auth/login.html');
+        const { data, error } = await sbAdmin.auth.admin.inviteUserByEmail(email, redirectTo ? { redirectTo } : undefined);
+        if (error) throw error;
+        user = data?.user;
+        invited = true;
+      }
+      if (!user?.id) throw new Error('could not resolve user for email');
+    } else {
+      user = await findAuthUserByPhone(msisdn);
+    }
+
+    let exQ = sbAdmin.from('matatu_members').select('member_role').eq('matatu_id', matatu_id);
+    exQ = user && msisdn ? exQ.or(`user_id.eq.${user.id},msisdn.eq.${msisdn}`) : user ? exQ.eq('user_id', user.id) : exQ.eq('msisdn', msisdn);
+    const { data: existing, error: exErr } = await exQ.limit(1);
+    if (exErr) throw exErr;
+    if (existing && existing.length) return res.status(409).json({ success: false, error: `already a ${existing[0].member_role} on this matatu` });
+
+    const { data, error } = await sbAdmin
+      .from('matatu_members')
+      .insert([{ matatu_id, user_id: user?.id || null, msisdn: msisdn || user?.phone || null, member_role: 'conductor' }])
+      .select('user_id, member_role, msisdn, created_at')
+      .single();
+    if (error) throw error;
+    const pending = !data.user_id;
+    req.log?.info({ matatu_id, user_id: data.user_id, invited, pending }, 'conductor added');
+    await audit(req, { entity: 'matatu_member', action: 'add', entity_id: `${matatu_id}:${data.user_id || data.msisdn}`, after: { matatu_id, ...data, email: email || null, invited } });
+    res.json({ success: true, data: { ...data, email: email || null, pending }, invited });
+  } catch (e) {
+    res.status(500).json({ success: false, error: sanitizeErr(e) });
+  }
+});
+
+// Only conductors can be removed here; ownership changes go through the SACCO/admin.
+// :userId may be a phone number to drop a pending (not yet signed-in) conductor.
+app.delete('/api/owner/members/:userId', ...ownerGuard, writeLimiter, async (req, res) => {
+  try {
+    if (!sbAdmin) return res.status(503).json({ success: false, error: 'crew management unavailable (service role not configured)' });
+    const pendingMsisdn = /^\+?\d{9,12}$/.test(req.params.userId) ? normalizeMsisdn(req.params.userId) : null;
+    let q = sbAdmin
+      .from('matatu_members')
+      .delete()
+      .eq('matatu_id', req.query.matatu_id || req.body?.matatu_id)
+      .eq('member_role', 'conductor');
+    q = pendingMsisdn ? q.eq('msisdn', pendingMsisdn).is('user_id', null) : q.eq('user_id', req.params.userId);
+    const { data, error } = await q.select();
+    if (error) throw error;
+    if (!data || !data.length) return res.status(404).json({ success: false, error: 'conductor not found on this matatu' });
+    await audit(req, { entity: 'matatu_member', action: 'remove', entity_id: `${data[0].matatu_id}:${data[0].user_id || data[0].msisdn}`, before: data[0] });
+    res.json({ success: true, deleted: true });
+  } catch (e) {
+    res.status(500).json({ success: false, error: sanitizeErr(e) });
+  }
+});
+
+// ?date | from&to (default today), status, msisdn, receipt, limit=50 (max 200), offset
+app.get('/api/owner/transactions', ...ownerGuard, async (req, res) => {
+  try {
+    const { status, msisdn, receipt } = req.query;
+    const limit = Math.min(Math.max(parseInt(req.query.limit || '50', 10), 1), 200);
+    const offset = Math.max(parseInt(req.query.offset || '0', 10), 0);
+    const { from, to } = parseRange(req.query, await matatuBusinessDay(req.query.matatu_id));
+    let q = (sbAdmin || sb)
+      .from('transactions')
+      .select(OWNER_TX_COLUMNS, { count: 'exact' })
+      .eq('matatu_id', req.query.matatu_id)
+      .gte('created_at', from)
+      .lt('created_at', to)
+      .order('created_at', { ascending: false })
+      .range(offset, offset + limit - 1);
+    if (status) q = q.eq('status', String(status).toUpperCase());
+    if (msisdn) q = q.eq('passenger_msisdn', normalizeMsisdn(msisdn) || String(msisdn));
+    if (receipt) q = q.eq('mpesa_receipt', String(receipt).toUpperCase());
+    const { data, error, count } = await q;
+    if (error) throw error;
+    res.json({ success: true, range: { from, to }, items: data || [], count: count || 0 });
+  } catch (e) {
+    res.status(500).json({ success: false, error: sanitizeErr(e) });
+  }
+});
+
+// Ledger totals per day (same keys as /api/matatu/:id/summary) plus the range total
+app.get('/api/owner/ledger', ...ownerGuard, async (req, res) => {
+  try {
+    const bday = await matatuBusinessDay(req.query.matatu_id);
+    const { from, to } = parseRange(req.query, bday);
+    const byDay = new Map();
+    const all = [];
+    for (let offset = 0; ; offset += LEDGER_PAGE) {
+      const { data, error } = await (sbAdmin || sb)
+        .from('ledger_entries')
+        .select('id, type, amount_kes, created_at')
+        .eq('matatu_id', req.query.matatu_id)
+        .gte('created_at', from)
+        .lt('created_at', to)
+        .order('id', { ascending: true })
+        .range(offset, offset + LEDGER_PAGE - 1);
+      if (error) throw error;
+      for (const r of data || []) {
+        const day = businessDate(r.created_at, bday);
+        if (!byDay.has(day)) byDay.set(day, []);
+        byDay.get(day).push(r);
+        all.push(r);
+      }
+      if (!data || data.length < LEDGER_PAGE) break;
+    }
+    const days = [...byDay.keys()].sort().map((date) => ({ date, totals: ledgerTotals(byDay.get(date)) }));
+    res.json({ success: true, range: { from, to }, days, totals: ledgerTotals(all) });
+  } catch (e) {
+    res.status(500).json({ success: false, error: sanitizeErr(e) });
+  }
+});
+
+// =======================
+// Invitations (signed, expiring, single-use; redeemed at /auth/signup or by a signed-in user)
+// =======================
+const INVITE_SACCO_ROLES = ['SACCO_ADMIN', 'STAFF', 'BRANCH_MANAGER', 'OWNER', 'CONDUCTOR'];
+const INVITE_MATATU_ROLES = ['owner', 'conductor'];
+const INVITE_COLUMNS = 'id, kind, sacco_id, matatu_id, role, email, expires_at, created_by, created_at, redeemed_at, redeemed_by, revoked_at';
+const INVITE_TTL_HOURS = Math.max(1, Number(process.env.INVITE_TTL_HOURS || 72));
+const INVITE_MAX_HOURS = 30 * 24;
+
+// Derived from the Supabase secret when INVITE_SECRET is unset, so an invite is never a valid Supabase JWT
+function inviteSecret() {
+  if (INVITE_SECRET) return INVITE_SECRET;
+  if (SUPABASE_JWT_SECRET) return createHash('sha256').update(`invite:${SUPABASE_JWT_SECRET}`).digest('hex');
+  return null;
+}
+
+function httpError(status, message) {
+  const err = new Error(message);
+  err.status = status;
+  return err;
+}
+
+function inviteStatus(row) {
+  if (row.revoked_at) return 'revoked';
+  if (row.redeemed_at) return 'redeemed';
+  if (Date.parse(row.expires_at) <= Date.now()) return 'expired';
+  return 'open';
+}
+
+// Token → open invitation row; 400 when it does not verify, 410 once revoked/redeemed/expired
+async function readInvite(token) {
+  const secret = inviteSecret();
+  if (!secret || !sbAdmin) throw httpError(503, 'invitations unavailable (INVITE_SECRET/service role not configured)');
+  let claims;
+  try {
+    claims = jwt.verify(String(token || ''), secret, { audience: 'teketeke-invite' });
+  } catch (e) {
+    throw httpError(e.name === 'TokenExpiredError' ? 410 : 400, e.name === 'TokenExpiredError' ? 'invite expired' : 'invalid invite');
+  }
+  const { data, error } = await sbAdmin.from('invitations').select(INVITE_COLUMNS).eq('id', claims.jti).maybeSingle();
+  if (error) throw error;
+  if (!data) throw httpError(400, 'invalid invite');
+  const status = inviteStatus(data);
+  if (status !== 'open') throw httpError(410, `invite ${status}`);
+  return data;
+}
+
+// Marks the invite used (compare-and-swap, so two redemptions cannot both win); returns the claim's timestamp.
+// Signup claims before the account exists (userId null) and fills redeemed_by in once it does.
+async function claimInvite(invite, userId = null) {
+  const at = new Date().toISOString();
+  const { data: won, error } = await sbAdmin
+    .from('invitations')
+    .update({ redeemed_at: at, redeemed_by: userId })
+    .eq('id', invite.id)
+    .is('redeemed_at', null)
+    .is('revoked_at', null)
+    .gt('expires_at', at)
+    .select('id');
+  if (error) throw error;
+  if (!won || !won.length) throw httpError(410, 'invite already used');
+  return at;
+}
+// Hands a claim back so the invite can be retried (only the claim made at `at`)
+async function releaseInvite(invite, at) {
+  const { error } = await sbAdmin.from('invitations').update({ redeemed_at: null, redeemed_by: null }).eq('id', invite.id).eq('redeemed_at', at);
+  if (error) throw error;
+}
+
+// Claims the invite (unless the caller already holds the claim made at `claimedAt`) and grants its membership to req.user
+async function redeemInvite(req, invite, { claimedAt = null } = {}) {
+  const userId = req.user.id;
+  const table = invite.kind === 'SACCO' ? 'sacco_users' : 'matatu_members';
+  const match = invite.kind === 'SACCO' ? { sacco_id: invite.sacco_id } : { matatu_id: invite.matatu_id };
+  const { data: existing, error: exErr } = await sbAdmin.from(table).select('*').match({ ...match, user_id: userId }).limit(1);
+  if (exErr) throw exErr;
+  if (existing && existing.length) throw httpError(409, `already a member (${existing[0].role || existing[0].member_role})`);
+
+  let at = claimedAt;
+  if (at) {
+    const { error: byErr } = await sbAdmin.from('invitations').update({ redeemed_by: userId }).eq('id', invite.id).eq('redeemed_at', at);
+    if (byErr) throw byErr;
+  } else {
+    at = await claimInvite(invite, userId);
+  }
+
+  const row = invite.kind === 'SACCO'
+    ? { sacco_id: invite.sacco_id, user_id: userId, role: invite.role }
+    : { matatu_id: invite.matatu_id, user_id: userId, member_role: invite.role };
+  const { error } = await sbAdmin.from(table).insert([row]);
+  if (error) {
+    await releaseInvite(invite, at).catch((e) => req.log.error({ invite_id: invite.id, err: e.message }, 'invite release failed'));
+    throw error;
+  }
+  _roleCache.delete(userId);
+  const membership = { kind: invite.kind, sacco_id: invite.sacco_id, matatu_id: invite.matatu_id, role: invite.role };
+  await audit(req, { entity: 'invitation', action: 'redeem', entity_id: invite.id, after: { ...membership, user_id: userId } });
+  return membership;
+}
+
+// Insert + sign; the token is only returned here (the table keeps the id, not the token)
+async function issueInvite(req, res, { kind, sacco_id, matatu_id = null, role }) {
+  const secret = inviteSecret();
+  if (!secret || !sbAdmin) return res.status(503).json({ success: false, error: 'invitations unavailable (INVITE_SECRET/service role not configured)' });
+  const email = req.body?.email ? String(req.body.email).trim().toLowerCase() : null;
+  if (email && !EMAIL_RE.test(email)) return res.status(422).json({ success: false, error: 'email must be a valid address' });
+  const hours = req.body?.expires_in_hours === undefined ? INVITE_TTL_HOURS : Number(req.body.expires_in_hours);
+  if (!(hours > 0) || hours > INVITE_MAX_HOURS) return res.status(422).json({ success: false, error: `expires_in_hours must be between 1 and ${INVITE_MAX_HOURS}` });
+
+  const expires_at = new Date(Date.now() + hours * 3600 * 1000).toISOString();
+  const { data, error } = await sbAdmin
+    .from('invitations')
+    .insert([{ kind, sacco_id, matatu_id, role, email, expires_at, created_by: req.user.id }])
+    .select(INVITE_COLUMNS)
+    .single();
+  if (error) throw error;
+  const token = jwt.sign({ kind }, secret, { jwtid: data.id, audience: 'teketeke-invite', expiresIn: Math.round(hours * 3600) });
+  await audit(req, { entity: 'invitation', action: 'create', entity_id: data.id, after: data });
+  res.status(201).json({
+    success: true,
+    data: { ...data, status: 'open', token, link: appUrl(`/auth/signup.html?invite=${encodeURIComponent(token)}`) || null },
+  });
+}
+
+async function listInvites(res, match, status) {
+  let q = (sbAdmin || sb).from('invitations').select(INVITE_COLUMNS).match(match).order('created_at', { ascending: false }).limit(200);
+  if (status === 'open') q = q.is('redeemed_at', null).is('revoked_at', null).gt('expires_at', new Date().toISOString());
+  const { data, error } = await q;
+  if (error) throw error;
+  const items = (data || []).map((r) => ({ ...r, status: inviteStatus(r) }));
+  res.json({ success: true, items, count: items.length });
+}
+
+async function revokeInvite(req, res, match) {
+  if (!sbAdmin) return res.status(503).json({ success: false, error: 'invitations unavailable (service role not configured)' });
+  const { data: before, error: findErr } = await sbAdmin.from('invitations').select(INVITE_COLUMNS).match({ ...match, id: req.params.id }).maybeSingle();
+  if (findErr) throw findErr;
+  if (!before) return res.status(404).json({ success: false, error: 'invite not found' });
+  if (before.redeemed_at || before.revoked_at) return res.status(409).json({ success: false, error: `invite already ${inviteStatus(before)}` });
+  const { data, error } = await sbAdmin
+    .from('invitations')
+    .update({ revoked_at: new Date().toISOString() })
+    .eq('id', before.id)
+    .is('redeemed_at', null)
+    .is('revoked_at', null)
+    .select(INVITE_COLUMNS);
+  if (error) throw error;
+  if (!data || !data.length) return res.status(409).json({ success: false, error: 'invite changed meanwhile; reload' });
+  await audit(req, { entity: 'invitation', action: 'revoke', entity_id: before.id, before, after: data[0] });
+  res.json({ success: true, data: { ...data[0], status: 'revoked' } });
+}
+
+const saccoInviteGuard = [requireUser, requireSaccoRole(['SACCO_ADMIN'])];
+
+// { role } for a SACCO role, or { matatu_id, member_role } for crew on one of the SACCO's matatus; optional email, expires_in_hours
+app.post('/api/sacco/:saccoId/invites', ...saccoInviteGuard, writeLimiter, idempotent, async (req, res) => {
+  try {
+    const { saccoId } = req.params;
+    const matatuId = req.body?.matatu_id;
+    if (!matatuId) {
+      const role = String(req.body?.role || '').toUpperCase();
+      if (!INVITE_SACCO_ROLES.includes(role)) return res.status(422).json({ success: false, error: `role must be one of ${INVITE_SACCO_ROLES.join(', ')}` });
+      return await issueInvite(req, res, { kind: 'SACCO', sacco_id: saccoId, role });
+    }
+    const role = String(req.body?.member_role || req.body?.role || '').toLowerCase();
+    if (!INVITE_MATATU_ROLES.includes(role)) return res.status(422).json({ success: false, error: `member_role must be one of ${INVITE_MATATU_ROLES.join(', ')}` });
+    const { data: m, error } = await (sbAdmin || sb).from('matatus').select('id, sacco_id').eq('id', matatuId).maybeSingle();
+    if (error) throw error;
+    if (!m || m.sacco_id !== saccoId) return res.status(404).json({ success: false, error: 'matatu not found in this SACCO' });
+    return await issueInvite(req, res, { kind: 'MATATU', sacco_id: saccoId, matatu_id: matatuId, role });
+  } catch (e) {
+    res.status(500).json({ success: false, error: String(e.message || e) });
+  }
+});
+
+// ?status=open (default) | all
+app.get('/api/sacco/:saccoId/invites', ...saccoInviteGuard, async (req, res) => {
+  try {
+    await listInvites(res, { sacco_id: req.params.saccoId }, req.query.status === 'all' ? 'all' : 'open');
+  } catch (e) {
+    res.status(500).json({ success: false, error: String(e.message || e) });
+  }
+});
+
+app.delete('/api/sacco/:saccoId/invites/:id', ...saccoInviteGuard, writeLimiter, async (req, res) => {
+  try {
+    await revokeInvite(req, res, { sacco_id: req.params.saccoId });
+  } catch (e) {
+    res.status(500).json({ success: false, error: String(e.message || e) });
+  }
+});
+
+// Owners invite conductors only (?matatu_id=); ownership changes go through the SACCO
+app.post('/api/owner/invites', ...ownerGuard, writeLimiter, idempotent, async (req, res) => {
+  try {
+    if (req.body?.member_role && req.body.member_role !== 'conductor') return res.status(422).json({ success: false, error: 'owners can only invite conductors' });
+    const matatuId = req.query.matatu_id || req.body.matatu_id;
+    const { data: m, error } = await (sbAdmin || sb).from('matatus').select('sacco_id').eq('id', matatuId).maybeSingle();
+    if (error) throw error;
+    if (!m) return res.status(404).json({ success: false, error: 'matatu not found' });
+    await issueInvite(req, res, { kind: 'MATATU', sacco_id: m.sacco_id, matatu_id: matatuId, role: 'conductor' });
+  } catch (e) {
+    res.status(500).json({ success: false, error: sanitizeErr(e) });
+  }
+});
+
+app.get('/api/owner/invites', ...ownerGuard, async (req, res) => {
+  try {
+    await listInvites(res, { matatu_id: req.query.matatu_id }, req.query.status === 'all' ? 'all' : 'open');
+  } catch (e) {
+    res.status(500).json({ success: false, error: sanitizeErr(e) });
+  }
+});
+
+app.delete('/api/owner/invites/:id', ...ownerGuard, writeLimiter, async (req, res) => {
+  try {
+    await revokeInvite(req, res, { matatu_id: req.query.matatu_id || req.body?.matatu_id, role: 'conductor' });
+  } catch (e) {
+    res.status(500).json({ success: false, error: sanitizeErr(e) });
+  }
+});
+
+// What an invite grants, for the signup page (no sign-in needed; the token is the credential)
+app.get('/auth/invites/:token', async (req, res) => {
+  try {
+    const inv = await readInvite(req.params.token);
+    const svc = sbAdmin || sb;
+    const { data: sacco } = await svc.from('saccos').select('name').eq('id', inv.sacco_id).maybeSingle();
+    let plate = null;
+    if (inv.matatu_id) {
+      const { data: m } = await svc.from('matatus').select('number_plate').eq('id', inv.matatu_id).maybeSingle();
+      plate = m?.number_plate || null;
+    }
+    res.json({
+      ok: true,
+      invite: { kind: inv.kind, role: inv.role, sacco_id: inv.sacco_id, sacco_name: sacco?.name || '', matatu_id: inv.matatu_id, plate, email: inv.email, expires_at: inv.expires_at },
+    });
+  } catch (e) {
+    res.status(e.status || 500).json({ ok: false, error: e.message });
+  }
+});
+
+// Existing accounts take an invite here instead of signing up again
+app.post('/auth/invites/redeem', requireUser, idempotent, async (req, res) => {
+  try {
+    if (req.user.role === 'SYSTEM_ADMIN') return res.status(400).json({ ok: false, error: 'sign in as the invited user to redeem' });
+    if (!req.body?.invite_token) return res.status(400).json({ ok: false, error: 'invite_token required' });
+    const invite = await readInvite(req.body.invite_token);
+    if (invite.email && invite.email !== String(req.user.email || '').toLowerCase()) {
+      return res.status(403).json({ ok: false, error: 'this invite is for a different email address' });
+    }
+    res.json({ ok: true, membership: await redeemInvite(req, invite) });
+  } catch (e) {
+    res.status(e.status || 500).json({ ok: false, error: e.message });
+  }
+});
+
+// =======================
+// Settlements (business-day close per SACCO)
+// =======================
+const LEDGER_PAGE = 1000;
+
+// Owner gets NET_TO_OWNER, the platform SERVICE_FEE, the SACCO every other deduction.
+// SACCO-level payments (no matatu) have no owner, so their whole fare is the SACCO's.
+function settlementShares(totals, { hasOwner = true } = {}) {
+  const platform = round2(totals.SERVICE_FEE || 0);
+  const owner = hasOwner ? round2(totals.NET_TO_OWNER || 0) : 0;
+  const sacco = round2((totals.FARE || 0) - owner);
+  return { owner_kes: owner, sacco_kes: sacco, platform_kes: platform };
+}
+
+// Page through the day's ledger (PostgREST caps a single response)
+async function ledgerRowsForRange(sacco_id, from, to) {
+  const rows = [];
+  for (let offset = 0; ; offset += LEDGER_PAGE) {
+    const { data, error } = await sbAdmin
+      .from('ledger_entries')
+      .select('id, transaction_id, matatu_id, type, amount_kes')
+      .eq('sacco_id', sacco_id)
+      .gte('created_at', from)
+      .lt('created_at', to)
+      .order('id', { ascending: true })
+      .range(offset, offset + LEDGER_PAGE - 1);
+    if (error) throw error;
+    rows.push(...(data || []));
+    if (!data || data.length < LEDGER_PAGE) return rows;
+  }
+}
+
+async function buildSettlement({ sacco_id, date, closedBy }) {
+  const { from, to } = parseRange({ date }, await saccoBusinessDay(sacco_id));
+  const rows = await ledgerRowsForRange(sacco_id, from, to);
+
+  const byMatatu = new Map();
+  for (const r of rows) {
+    const k = r.matatu_id || null;
+    if (!byMatatu.has(k)) byMatatu.set(k, []);
+    byMatatu.get(k).push(r);
+  }
+  const ids = [...byMatatu.keys()].filter(Boolean);
+  const plates = new Map();
+  if (ids.length) {
+    const { data, error } = await sbAdmin.from('matatus').select('id, number_plate').in('id', ids);
+    if (error) throw error;
+    for (const m of data || []) plates.set(m.id, m.number_plate);
+  }
+  const txCount = (list) => new Set(list.map((r) => r.transaction_id).filter(Boolean)).size;
+
+  const lines = [...byMatatu.entries()].map(([matatu_id, list]) => {
+    const totals = ledgerTotals(list);
+    return {
+      matatu_id,
+      number_plate: matatu_id ? plates.get(matatu_id) || null : null,
+      totals,
+      ...settlementShares(totals, { hasOwner: !!matatu_id }),
+      tx_count: txCount(list),
+      entry_count: list.length,
+    };
+  });
+  const sum = (k) => round2(lines.reduce((a, l) => a + l[k], 0));
+  const header = {
+    sacco_id,
+    business_date: String(date).slice(0, 10),
+    period_from: from,
+    period_to: to,
+    totals: { ...ledgerTotals(rows), NET_TO_OWNER: sum('owner_kes') },
+    owner_kes: sum('owner_kes'),
+    sacco_kes: sum('sacco_kes'),
+    platform_kes: sum('platform_kes'),
+    tx_count: txCount(rows),
+    entry_count: rows.length,
+    closed_by: closedBy,
+  };
+  return { header, lines };
+}
+
+app.get('/api/admin/settlements', requireAdmin, async (req, res) => {
+  try {
+    const { sacco_id, date, status, from, to, limit = 50, offset = 0 } = req.query;
+    let q = (sbAdmin || sb)
+      .from('settlements')
+      .select('*', { count: 'exact' })
+      .order('business_date', { ascending: false })
+      .range(Number(offset), Number(offset) + Number(limit) - 1);
+    if (sacco_id) q = q.eq('sacco_id', sacco_id);
+    if (date) q = q.eq('business_date', String(date).slice(0, 10));
+    if (from) q = q.gte('business_date', String(from).slice(0, 10));
+    if (to) q = q.lte('business_date', String(to).slice(0, 10));
+    if (status) q = q.eq('status', String(status).toUpperCase());
+    const { data, error, count } = await q;
+    if (error) throw error;
+    return res.json({ success: true, items: data || [], count: count || 0 });
+  } catch (err) {
+    return res.status(500).json({ success: false, error: String(err.message || err) });
+  }
+});
+
+app.get('/api/admin/settlements/:id', requireAdmin, async (req, res) => {
+  try {
+    const svc = sbAdmin || sb;
+    const { data, error } = await svc.from('settlements').select('*').eq('id', req.params.id).maybeSingle();
+    if (error) throw error;
+    if (!data) return res.status(404).json({ success: false, error: 'settlement not found' });
+    const { data: lines, error: lErr } = await svc
+      .from('settlement_lines')
+      .select('*')
+      .eq('settlement_id', data.id)
+      .order('number_plate', { ascending: true });
+    if (lErr) throw lErr;
+    return res.json({ success: true, data: { ...data, lines: lines || [] } });
+  } catch (err) {
+    return res.status(500).json({ success: false, error: String(err.message || err) });
+  }
+});
+
+// Close a business day: snapshot the day's ledger per matatu into a locked settlement
+app.post('/api/admin/settlements/close', requireAdmin, idempotent, async (req, res) => {
+  try {
+    if (!sbAdmin) return res.status(503).json({ success: false, error: 'settlements unavailable (service role not configured)' });
+    const { sacco_id, date } = req.body || {};
+    if (!sacco_id || !/^\d{4}-\d{2}-\d{2}$/.test(String(date || ''))) {
+      return res.status(400).json({ success: false, error: 'sacco_id & date (YYYY-MM-DD) required' });
+    }
+    const { to } = parseRange({ date }, await saccoBusinessDay(sacco_id));
+    if (new Date(to).getTime() > Date.now()) return res.status(422).json({ success: false, error: 'business day has not ended yet' });
+
+    const { header, lines } = await buildSettlement({ sacco_id, date, closedBy: adminActor(req) });
+    const { data: id, error } = await sbAdmin.rpc('create_settlement', { p_settlement: header, p_lines: lines });
+    if (error) {
+      if (error.code === '23505') return res.status(409).json({ success: false, error: `settlement for ${header.business_date} already closed` });
+      throw error;
+    }
+    req.log?.info({ settlement_id: id, sacco_id, date: header.business_date, entries: header.entry_count }, 'settlement closed');
+    await audit(req, { entity: 'settlement', action: 'close', entity_id: id, after: { id, status: 'CLOSED', ...header } });
+    return res.json({ success: true, data: { id, status: 'CLOSED', ...header, lines } });
+  } catch (err) {
+    return res.status(500).json({ success: false, error: String(err.message || err) });
+  }
+});
+
+app.post('/api/admin/settlements/:id/mark-paid', requireAdmin, idempotent, async (req, res) => {
+  try {
+    if (!sbAdmin) return res.status(503).json({ success: false, error: 'settlements unavailable (service role not configured)' });
+    const { reference = null, note = null } = req.body || {};
+    const { data, error } = await sbAdmin
+      .from('settlements')
+      .update({ status: 'PAID', paid_at: new Date().toISOString(), paid_by: adminActor(req), paid_reference: reference, paid_note: note })
+      .eq('id', req.params.id)
+      .eq('status', 'CLOSED')
+      .select();
+    if (error) throw error;
+    if (!data || !data.length) {
+      const { data: cur } = await sbAdmin.from('settlements').select('status').eq('id', req.params.id).maybeSingle();
+      if (!cur) return res.status(404).json({ success: false, error: 'settlement not found' });
+      return res.status(409).json({ success: false, error: `settlement already ${cur.status}` });
+    }
+    await audit(req, { entity: 'settlement', action: 'mark_paid', entity_id: req.params.id, before: { status: 'CLOSED' }, after: data[0] });
+    return res.json({ success: true, data: data[0] });
+  } catch (err) {
+    return res.status(500).json({ success: false, error: String(err.message || err) });
+  }
+});
+
+// =======================
+// Owner payouts (B2C from settlement lines)
+// =======================
+// QUEUED → SENT → CONFIRMED | FAILED | UNKNOWN; only FAILED can be retried (back to QUEUED).
+// FAILED means Safaricom said this attempt did not pay: it refused the request, its result callback failed it, or a
+// Transaction Status query found it failed. A 5xx, a dropped connection or a queue timeout proves nothing, so the
+// payout goes UNKNOWN and stays there until the result callback or a status query (POST …/status-query) settles it.
+// Every state change is a compare-and-set on the current status, so concurrent sends/retries/callbacks
+// cannot double-dispatch, and each attempt gets its own OriginatorConversationID ('<payout id>:<attempt>').
+const PAYOUT_FAILED_STATUSES = new Set(['failed', 'cancelled', 'declined', 'expired']);
+
+function b2cCallbackUrls() {
+  const base = String(API_URL || APP_URL || '').replace(/\/+$/, '');
+  const token = process.env.DARAJA_CALLBACK_TOKEN;
+  const qs = token ? `?token=${encodeURIComponent(token)}` : '';
+  return {
+    resultUrl: process.env.DARAJA_B2C_RESULT_URL || (base ? `${base}/api/pay/b2c/result${qs}` : ''),
+    timeoutUrl: process.env.DARAJA_B2C_TIMEOUT_URL || (base ? `${base}/api/pay/b2c/timeout${qs}` : ''),
+  };
+}
+// Status query answers name the payout and attempt in the URL: Safaricom echoes the query's ids, not the payment's
+function b2cStatusUrl(payout) {
+  const base = String(API_URL || APP_URL || '').replace(/\/+$/, '');
+  if (!base) return '';
+  const qs = new URLSearchParams({ payout: payout.id, attempt: String(payout.attempts) });
+  if (process.env.DARAJA_CALLBACK_TOKEN) qs.set('token', process.env.DARAJA_CALLBACK_TOKEN);
+  return `${base}/api/pay/b2c/status-result?${qs}`;
+}
+
+async function updatePayout(id, fields, where = {}) {
+  let q = sbAdmin.from('owner_payouts').update({ ...fields, updated_at: new Date().toISOString() }).eq('id', id);
+  for (const [k, v] of Object.entries(where)) q = Array.isArray(v) ? q.in(k, v) : q.eq(k, v);
+  const { data, error } = await q.select();
+  if (error) throw error;
+  return (data || [])[0] || null;
+}
+
+// Claim a QUEUED payout and send it. Only a request that never left or that Safaricom refused marks it FAILED;
+// any other error leaves it UNKNOWN.
+async function dispatchPayout(payout, { requestId, log } = {}) {
+  const attempt = Number(payout.attempts || 0) + 1;
+  const originator = `${payout.id}:${attempt}`;
+  const claimed = await updatePayout(
+    payout.id,
+    { status: 'SENT', attempts: attempt, originator_conversation_id: originator, sent_at: new Date().toISOString(), last_error: null, result_code: null, result_desc: null },
+    { status: 'QUEUED', attempts: payout.attempts }
+  );
+  if (!claimed) return { id: payout.id, outcome: 'skipped' };
+  try {
+    const out = await b2cPayment({
+      msisdn: payout.msisdn,
+      amount: payout.amount_kes,
+      originatorConversationId: originator,
+      remarks: 'TekeTeke owner payout',
+      occasion: `settlement ${payout.settlement_id}`,
+      ...b2cCallbackUrls(),
+      requestId,
+    });
+    await updatePayout(payout.id, { conversation_id: out.conversationId }, { originator_conversation_id: originator });
+    return { id: payout.id, outcome: 'SENT' };
+  } catch (e) {
+    const msg = sanitizeErr(e);
+    if (e.sent === false || e.rejected) {
+      log?.error({ payout_id: payout.id, err: msg }, 'b2c send failed');
+      await updatePayout(payout.id, { status: 'FAILED', failed_at: new Date().toISOString(), last_error: msg }, { status: 'SENT', originator_conversation_id: originator });
+      return { id: payout.id, outcome: 'FAILED', error: msg };
+    }
+    log?.warn({ payout_id: payout.id, status: e.status || null, err: msg }, 'b2c send outcome unknown; waiting for the callback or a status query');
+    await updatePayout(payout.id, { status: 'UNKNOWN', last_error: msg }, { status: 'SENT', originator_conversation_id: originator });
+    return { id: payout.id, outcome: 'UNKNOWN', error: msg };
+  }
+}
+
+// Result/timeout callbacks. A success is recorded whichever attempt it belongs to (the money moved);
+// a failure only counts for the current attempt, and a queue timeout only makes it UNKNOWN.
+async function applyB2cResult({ originatorConversationId, resultCode, resultDesc, transactionId, timedOut = false, log }) {
+  const payoutId = String(originatorConversationId || '').split(':')[0];
+  const { data: payout, error } = await sbAdmin.from('owner_payouts').select('*').eq('id', payoutId).maybeSingle();
+  if (error) throw error;
+  if (!payout) return { found: false };
+  const now = new Date().toISOString();
+
+  if (!timedOut && resultCode === 0) {
+    if (payout.status === 'CONFIRMED') {
+      if (payout.mpesa_receipt && transactionId && payout.mpesa_receipt !== transactionId) {
+        log?.error({ payout_id: payout.id, receipts: [payout.mpesa_receipt, transactionId] }, 'owner paid twice for one payout');
+      }
+      return { found: true, applied: false, status: payout.status };
+    }
+    const row = await updatePayout(
+      payout.id,
+      { status: 'CONFIRMED', mpesa_receipt: transactionId, result_code: 0, result_desc: resultDesc, confirmed_at: now },
+      { status: ['SENT', 'UNKNOWN', 'FAILED', 'QUEUED'] }
+    );
+    return { found: true, applied: !!row, id: payout.id, before: payout.status, status: row ? 'CONFIRMED' : payout.status };
+  }
+
+  if (timedOut) {
+    const row = await updatePayout(
+      payout.id,
+      { status: 'UNKNOWN', result_desc: resultDesc, last_error: 'queue timeout' },
+      { status: 'SENT', originator_conversation_id: originatorConversationId }
+    );
+    return { found: true, applied: !!row, id: payout.id, before: payout.status, status: row ? 'UNKNOWN' : payout.status };
+  }
+
+  const row = await updatePayout(
+    payout.id,
+    { status: 'FAILED', result_code: resultCode, result_desc: resultDesc, last_error: resultDesc, failed_at: now },
+    { status: ['SENT', 'UNKNOWN'], originator_conversation_id: originatorConversationId }
+  );
+  return { found: true, applied: !!row, id: payout.id, before: payout.status, status: row ? 'FAILED' : payout.status };
+}
+
+// Transaction Status answer for the attempt named in the callback URL. Completed → CONFIRMED; failed/cancelled/…
+// → FAILED (retry allowed). Anything else (pending, not found, the query's own error) only notes what it said.
+async function applyB2cStatusResult({ payoutId, attempt, resultCode, resultDesc, transactionStatus, receipt, log }) {
+  const { data: payout, error } = await sbAdmin.from('owner_payouts').select('*').eq('id', payoutId).maybeSingle();
+  if (error) throw error;
+  if (!payout) return { found: false };
+  if (String(payout.attempts) !== String(attempt)) return { found: true, applied: false, status: payout.status };
+  const now = new Date().toISOString();
+  const said = resultCode === 0 ? String(transactionStatus || '') : `query failed: ${resultDesc}`;
+
+  if (resultCode === 0 && /^completed$/i.test(said)) {
+    const row = await updatePayout(
+      payout.id,
+      { status: 'CONFIRMED', mpesa_receipt: receipt || payout.mpesa_receipt, result_code: 0, result_desc: `status query: ${said}`, confirmed_at: now },
+      { status: ['SENT', 'UNKNOWN'], attempts: payout.attempts }
+    );
+    return { found: true, applied: !!row, id: payout.id, before: payout.status, status: row ? 'CONFIRMED' : payout.status };
+  }
+  if (resultCode === 0 && PAYOUT_FAILED_STATUSES.has(said.toLowerCase())) {
+    const row = await updatePayout(
+      payout.id,
+      { status: 'FAILED', result_desc: `status query: ${said}`, last_error: `status query: ${said}`, failed_at: now },
+      { status: ['SENT', 'UNKNOWN'], attempts: payout.attempts }
+    );
+    return { found: true, applied: !!row, id: payout.id, before: payout.status, status: row ? 'FAILED' : payout.status };
+  }
+  log?.warn({ payout_id: payout.id, result_code: resultCode, said }, 'b2c status query did not settle the payout');
+  await updatePayout(payout.id, { last_error: `status query: ${said || 'no status'}` }, { status: ['SENT', 'UNKNOWN'], attempts: payout.attempts });
+  return { found: true, applied: false, status: payout.status };
+}
+
+// Queue a payout per settlement line (owner share, whole KES) and send them
+app.post('/api/admin/settlements/:id/payouts', requireAdmin, idempotent, async (req, res) => {
+  try {
+    if (!sbAdmin) return res.status(503).json({ success: false, error: 'payouts unavailable (service role not configured)' });
+    const send = req.body?.send !== false;
+    const { data: st, error: sErr } = await sbAdmin.from('settlements').select('id, sacco_id, status').eq('id', req.params.id).maybeSingle();
+    if (sErr) throw sErr;
+    if (!st) return res.status(404).json({ success: false, error: 'settlement not found' });
+    if (st.status !== 'CLOSED') return res.status(409).json({ success: false, error: `settlement is ${st.status}` });
+
+    const { data: lines, error: lErr } = await sbAdmin.from('settlement_lines').select('id, matatu_id, number_plate, owner_kes').eq('settlement_id', st.id);
+    if (lErr) throw lErr;
+    const payable = (lines || []).filter((l) => l.matatu_id && Math.floor(Number(l.owner_kes)) >= 1);
+    const phones = new Map();
+    if (payable.length) {
+      const { data: ms, error: mErr } = await sbAdmin.from('matatus').select('id, owner_phone').in('id', payable.map((l) => l.matatu_id));
+      if (mErr) throw mErr;
+      for (const m of ms || []) phones.set(m.id, normalizeMsisdn(m.owner_phone));
+    }
+
+    const rows = [];
+    const skipped = [];
+    for (const l of payable) {
+      const msisdn = phones.get(l.matatu_id);
+      if (!msisdn) { skipped.push({ settlement_line_id: l.id, number_plate: l.number_plate, reason: 'owner_phone missing or invalid' }); continue; }
+      rows.push({
+        settlement_id: st.id,
+        settlement_line_id: l.id,
+        sacco_id: st.sacco_id,
+        matatu_id: l.matatu_id,
+        msisdn,
+        amount_kes: Math.floor(Number(l.owner_kes)),
+        created_by: adminActor(req),
+      });
+    }
+    if (rows.length) {
+      // settlement_line_id is unique: re-running never creates a second payout for a line
+      const { error } = await sbAdmin.from('owner_payouts').upsert(rows, { onConflict: 'settlement_line_id', ignoreDuplicates: true });
+      if (error) throw error;
+    }
+
+    const results = [];
+    if (send) {
+      const { data: queued, error: qErr } = await sbAdmin.from('owner_payouts').select('*').eq('settlement_id', st.id).eq('status', 'QUEUED');
+      if (qErr) throw qErr;
+      for (const p of queued || []) results.push(await dispatchPayout(p, { requestId: req.id, log: req.log }));
+    }
+    const { data: items, error: iErr } = await sbAdmin.from('owner_payouts').select('*').eq('settlement_id', st.id).order('created_at', { ascending: true });
+    if (iErr) throw iErr;
+    await audit(req, { entity: 'settlement', action: 'payouts', entity_id: st.id, after: { queued: rows.length, skipped, sent: send, payouts: (items || []).map((p) => ({ id: p.id, matatu_id: p.matatu_id, amount_kes: p.amount_kes, status: p.status })) } });
+    return res.json({ success: true, items: items || [], skipped, dispatched: results });
+  } catch (err) {
+    return res.status(500).json({ success: false, error: String(err.message || err) });
+  }
+});
+
+app.get('/api/admin/payouts', requireAdmin, async (req, res) => {
+  try {
+    const { settlement_id, sacco_id, matatu_id, status, limit = 100, offset = 0 } = req.query;
+    let q = (sbAdmin || sb)
+      .from('owner_payouts')
+      .select('*', { count: 'exact' })
+      .order('created_at', { ascending: false })
+      .range(Number(offset), Number(offset) + Number(limit) - 1);
+    if (settlement_id) q = q.eq('settlement_id', settlement_id);
+    if (sacco_id) q = q.eq('sacco_id', sacco_id);
+    if (matatu_id) q = q.eq('matatu_id', matatu_id);
+    if (status) q = q.eq('status', String(status).toUpperCase());
+    const { data, error, count } = await q;
+    if (error) throw error;
+    return res.json({ success: true, items: data || [], count: count || 0 });
+  } catch (err) {
+    return res.status(500).json({ success: false, error: String(err.message || err) });
+  }
+});
+
+// Retry a FAILED payout with a fresh attempt id
+app.post('/api/admin/payouts/:id/retry', requireAdmin, idempotent, async (req, res) => {
+  try {
+    if (!sbAdmin) return res.status(503).json({ success: false, error: 'payouts unavailable (service role not configured)' });
+    const requeued = await updatePayout(req.params.id, { status: 'QUEUED' }, { status: 'FAILED' });
+    if (!requeued) {
+      const { data: cur } = await sbAdmin.from('owner_payouts').select('status').eq('id', req.params.id).maybeSingle();
+      if (!cur) return res.status(404).json({ success: false, error: 'payout not found' });
+      if (cur.status === 'UNKNOWN') {
+        return res.status(409).json({ success: false, error: 'the last attempt may have paid; run a status query first (POST /api/admin/payouts/:id/status-query)' });
+      }
+      return res.status(409).json({ success: false, error: `only FAILED payouts can be retried (is ${cur.status})` });
+    }
+    const out = await dispatchPayout(requeued, { requestId: req.id, log: req.log });
+    const { data } = await sbAdmin.from('owner_payouts').select('*').eq('id', req.params.id).maybeSingle();
+    await audit(req, { entity: 'owner_payout', action: 'retry', entity_id: req.params.id, before: { status: 'FAILED' }, after: data });
+    return res.json({ success: true, data, dispatched: out });
+  } catch (err) {
+    return res.status(500).json({ success: false, error: String(err.message || err) });
+  }
+});
+
+// Ask Safaricom what became of the current attempt; the answer lands on /api/pay/b2c/status-result
+app.post('/api/admin/payouts/:id/status-query', requireAdmin, idempotent, async (req, res) => {
+  try {
+    if (!sbAdmin) return res.status(503).json({ success: false, error: 'payouts unavailable (service role not configured)' });
+    const { data: payout, error } = await sbAdmin.from('owner_payouts').select('*').eq('id', req.params.id).maybeSingle();
+    if (error) throw error;
+    if (!payout) return res.status(404).json({ success: false, error: 'payout not found' });
+    if (!['SENT', 'UNKNOWN'].includes(payout.status)) {
+      return res.status(409).json({ success: false, error: `only SENT or UNKNOWN payouts need a status query (is ${payout.status})` });
+    }
+    const url = b2cStatusUrl(payout);
+    if (!url) return res.status(503).json({ success: false, error: 'API_URL not configured (status query answers need a callback URL)' });
+    const out = await b2cStatusQuery({ originatorConversationId: payout.originator_conversation_id, resultUrl: url, timeoutUrl: url, requestId: req.id });
+    const data = await updatePayout(payout.id, { status_queried_at: new Date().toISOString() }, { attempts: payout.attempts });
+    await audit(req, { entity: 'owner_payout', action: 'status_query', entity_id: payout.id, before: { status: payout.status }, after: { status: data?.status, conversation_id: out.conversationId } });
+    return res.json({ success: true, data: data || payout, query: out });
+  } catch (err) {
+    const code = err.details ? 502 : 500;
+    return res.status(code).json({ success: false, error: sanitizeErr(err) });
+  }
+});
+
+function b2cCallbackHandler({ timedOut }) {
+  return async (req, res) => {
+    if (!callbackTokenOk(req, process.env.DARAJA_CALLBACK_TOKEN)) return res.status(401).json({ ResultCode: 1, ResultDesc: 'Unauthorized' });
+    const r = parseB2cResult(req.body);
+    if (!r) return res.status(400).json({ ResultCode: 1, ResultDesc: 'Malformed callback' });
+    try {
+      if (!sbAdmin) throw new Error('service role not configured');
+      const out = await applyB2cResult({ ...r, timedOut, log: req.log });
+      if (!out.found) req.log.warn({ originator_id: r.originatorConversationId }, 'b2c callback for unknown payout');
+      else if (!out.applied) req.log.info({ originator_id: r.originatorConversationId, status: out.status }, 'stale or duplicate b2c callback ignored');
+      else {
+        await audit(req, {
+          entity: 'owner_payout',
+          action: timedOut ? 'timeout' : 'result',
+          entity_id: out.id,
+          before: { status: out.before },
+          after: { status: out.status, originator_conversation_id: r.originatorConversationId, result_code: timedOut ? null : r.resultCode, mpesa_receipt: r.transactionId },
+          system: 'daraja',
+        });
+      }
+      res.json({ ResultCode: 0, ResultDesc: 'Accepted' });
+    } catch (e) {
+      req.log.error({ originator_id: r.originatorConversationId, err: sanitizeErr(e) }, 'b2c callback failed');
+      res.status(500).json({ ResultCode: 1, ResultDesc: 'Temporary failure' });
+    }
+  };
+}
+app.post('/api/pay/b2c/result', b2cCallbackHandler({ timedOut: false }));
+app.post('/api/pay/b2c/timeout', b2cCallbackHandler({ timedOut: true }));
+app.post('/api/pay/b2c/status-result', async (req, res) => {
+  if (!callbackTokenOk(req, process.env.DARAJA_CALLBACK_TOKEN)) return res.status(401).json({ ResultCode: 1, ResultDesc: 'Unauthorized' });
+  const r = parseB2cStatusResult(req.body);
+  const { payout, attempt } = req.query;
+  if (!r || !payout || !attempt) return res.status(400).json({ ResultCode: 1, ResultDesc: 'Malformed callback' });
+  try {
+    if (!sbAdmin) throw new Error('service role not configured');
+    const out = await applyB2cStatusResult({ ...r, payoutId: String(payout), attempt: String(attempt), log: req.log });
+    if (!out.found) req.log.warn({ payout_id: payout }, 'b2c status result for unknown payout');
+    else if (out.applied) {
+      await audit(req, {
+        entity: 'owner_payout',
+        action: 'status_result',
+        entity_id: out.id,
+        before: { status: out.before },
+        after: { status: out.status, attempt: Number(attempt), transaction_status: r.transactionStatus, mpesa_receipt: r.receipt },
+        system: 'daraja',
+      });
+    }
+    res.json({ ResultCode: 0, ResultDesc: 'Accepted' });
+  } catch (e) {
+    req.log.error({ payout_id: payout, err: sanitizeErr(e) }, 'b2c status result failed');
+    res.status(500).json({ ResultCode: 1, ResultDesc: 'Temporary failure' });
+  }
+});
+
+// =======================
+// M-Pesa statement reconciliation
+// =======================
+const RECON_TOLERANCE_MINUTES = Math.max(1, Number(process.env.RECON_TIME_TOLERANCE_MINUTES || 15));
+
+async function successTransactionsForRange({ sacco_id, matatu_id, from, to }) {
+  const rows = [];
+  for (let offset = 0; ; offset += LEDGER_PAGE) {
+    let q = sbAdmin
+      .from('transactions')
+      .select('id, matatu_id, fare_amount_kes, mpesa_receipt, created_at')
+      .eq('sacco_id', sacco_id)
+      .eq('status', 'SUCCESS')
+      .gte('created_at', from)
+      .lte('created_at', to)
+      .order('created_at', { ascending: true })
+      .range(offset, offset + LEDGER_PAGE - 1);
+    if (matatu_id) q = q.eq('matatu_id', matatu_id);
+    const { data, error } = await q;
+    if (error) throw error;
+    rows.push(...(data || []));
+    if (!data || data.length < LEDGER_PAGE) return rows;
+  }
+}
+
+async function refreshReconciliationCounts(id) {
+  const count = async (col, val) => {
+    const resp = await sbAdmin.from('reconciliation_items').select('id', { count: 'exact', head: true }).eq('reconciliation_id', id).eq(col, val);
+    if (resp.error) throw resp.error;
+    return getCount(resp);
+  };
+  const counts = {
+    matched_count: await count('kind', 'MATCHED'),
+    statement_only_count: await count('kind', 'STATEMENT_ONLY'),
+    missing_count: await count('kind', 'MISSING_ON_STATEMENT'),
+    open_count: await count('status', 'OPEN'),
+  };
+  const { error: uErr } = await sbAdmin.from('reconciliations').update(counts).eq('id', id);
+  if (uErr) throw uErr;
+  return counts;
+}
+
+// Upload a statement: raw CSV body (Content-Type text/csv, params in the query) or JSON { sacco_id, till_number, csv, filename }
+app.post(
+  '/api/admin/reconciliations',
+  requireAdmin,
+  express.text({ type: ['text/csv', 'text/plain', 'application/csv'], limit: '5mb' }),
+  idempotent, // after the CSV parser, so the statement is part of the request hash
+  async (req, res) => {
+    try {
+      if (!sbAdmin) return res.status(503).json({ success: false, error: 'reconciliation unavailable (service role not configured)' });
+      const isText = typeof req.body === 'string';
+      const params = isText ? req.query : { ...req.query, ...(req.body || {}) };
+      const { sacco_id, till_number, filename = null } = params;
+      if ((params.period_from && !DATE_RE.test(params.period_from)) || (params.period_to && !DATE_RE.test(params.period_to))) {
+        return res.status(400).json({ success: false, error: 'period_from/period_to must be YYYY-MM-DD' });
+      }
+      if (params.period_from && params.period_to && params.period_to < params.period_from) {
+        return res.status(400).json({ success: false, error: 'period_to is before period_from' });
+      }
+      const csv = isText ? req.body : params.csv;
+      if (!sacco_id || !till_number) return res.status(400).json({ success: false, error: 'sacco_id & till_number required' });
+      if (!csv || !String(csv).trim()) return res.status(400).json({ success: false, error: 'statement CSV required' });
+      // Optional statement period in the SACCO's business days, so payments after the last row still count as missing.
+      // period_to defaults to period_from: one whole business day.
+      const bday = await saccoBusinessDay(sacco_id);
+      const lastDay = params.period_to || params.period_from;
+      const periodFrom = params.period_from ? startOfDayISO(params.period_from, bday) : null;
+      const periodTo = lastDay ? new Date(Date.parse(endOfDayISO(lastDay, bday)) - 1).toISOString() : null;
+
+      let parsed;
+      try {
+        parsed = parseStatementCsv(csv);
+      } catch (e) {
+        return res.status(422).json({ success: false, error: e.message });
+      }
+      if (!parsed.rows.length) return res.status(422).json({ success: false, error: 'no completed paid-in rows on the statement', skipped: parsed.skipped.length });
+
+      // A till registered on one matatu narrows the match to that matatu; a shared or unknown till matches the whole SACCO
+      const { data: tills, error: mErr } = await sbAdmin.from('matatus').select('id').eq('sacco_id', sacco_id).eq('till_number', String(till_number)).limit(2);
+      if (mErr) throw mErr;
+      const m = tills?.length === 1 ? tills[0] : null;
+      const tillShared = (tills?.length || 0) > 1;
+      if (tillShared) req.log?.warn({ sacco_id, till_number }, 'till is registered on several matatus; matching against the whole SACCO');
+      const times = parsed.rows.map((r) => Date.parse(r.completed_at));
+      const tol = RECON_TOLERANCE_MINUTES * 60 * 1000;
+      if (periodFrom) times.push(Date.parse(periodFrom));
+      if (periodTo) times.push(Date.parse(periodTo));
+      const transactions = await successTransactionsForRange({
+        sacco_id,
+        matatu_id: m?.id || null,
+        from: new Date(times.reduce((a, b) => Math.min(a, b)) - tol).toISOString(),
+        to: new Date(times.reduce((a, b) => Math.max(a, b)) + tol).toISOString(),
+      });
+      const { items, period_from, period_to } = matchStatement(parsed.rows, transactions, { toleranceMinutes: RECON_TOLERANCE_MINUTES, periodFrom, periodTo });
+
+      // Run, items and counts in one transaction (supabase/029_reconciliation_atomic.sql)
+      const { data: run, error: rErr } = await sbAdmin.rpc('create_reconciliation', {
+        p_run: {
+          sacco_id,
+          till_number: String(till_number),
+          matatu_id: m?.id || null,
+          till_shared: tillShared,
+          filename,
+          period_from,
+          period_to,
+          statement_rows: parsed.rows.length,
+          skipped_rows: parsed.skipped.length,
+          uploaded_by: adminActor(req),
+        },
+        p_items: items,
+      });
+      if (rErr) throw rErr;
+      req.log?.info({ reconciliation_id: run.id, sacco_id, till_number, matched: run.matched_count, open: run.open_count }, 'statement reconciled');
+      await audit(req, { entity: 'reconciliation', action: 'create', entity_id: run.id, after: run });
+      return res.json({ success: true, data: run, skipped: parsed.skipped });
+    } catch (err) {
+      return res.status(500).json({ success: false, error: String(err.message || err) });
+    }
+  }
+);
+
+app.get('/api/admin/reconciliations', requireAdmin, async (req, res) => {
+  try {
+    const { sacco_id, till_number, limit = 50, offset = 0 } = req.query;
+    let q = (sbAdmin || sb)
+      .from('reconciliations')
+      .select('*', { count: 'exact' })
+      .order('created_at', { ascending: false })
+      .range(Number(offset), Number(offset) + Number(limit) - 1);
+    if (sacco_id) q = q.eq('sacco_id', sacco_id);
+    if (till_number) q = q.eq('till_number', String(till_number));
+    const { data, error, count } = await q;
+    if (error) throw error;
+    return res.json({ success: true, items: data || [], count: count || 0 });
+  } catch (err) {
+    return res.status(500).json({ success: false, error: String(err.message || err) });
+  }
+});
+
+app.get('/api/admin/reconciliations/:id', requireAdmin, async (req, res) => {
+  try {
+    const svc = sbAdmin || sb;
+    const { kind, status, limit = 500, offset = 0 } = req.query;
+    const { data, error } = await svc.from('reconciliations').select('*').eq('id', req.params.id).maybeSingle();
+    if (error) throw error;
+    if (!data) return res.status(404).json({ success: false, error: 'reconciliation not found' });
+    let q = svc
+      .from('reconciliation_items')
+      .select('*', { count: 'exact' })
+      .eq('reconciliation_id', data.id)
+      .order('occurred_at', { ascending: true })
+      .range(Number(offset), Number(offset) + Number(limit) - 1);
+    if (kind) q = q.eq('kind', String(kind).toUpperCase());
+    if (status) q = q.eq('status', String(status).toUpperCase());
+    const { data: items, error: iErr, count } = await q;
+    if (iErr) throw iErr;
+    return res.json({ success: true, data: { ...data, items: items || [], items_count: count || 0 } });
+  } catch (err) {
+    return res.status(500).json({ success: false, error: String(err.message || err) });
+  }
+});
+
+// Work an OPEN item: record what was done about it
+app.post('/api/admin/reconciliations/:id/items/:itemId/resolve', requireAdmin, async (req, res) => {
+  try {
+    if (!sbAdmin) return res.status(503).json({ success: false, error: 'reconciliation unavailable (service role not configured)' });
+    const note = String(req.body?.note || '').trim();
+    if (!note) return res.status(400).json({ success: false, error: 'note required' });
+    const { data, error } = await sbAdmin
+      .from('reconciliation_items')
+      .update({ status: 'RESOLVED', note, resolved_by: adminActor(req), resolved_at: new Date().toISOString() })
+      .eq('id', req.params.itemId)
+      .eq('reconciliation_id', req.params.id)
+      .eq('status', 'OPEN')
+      .select();
+    if (error) throw error;
+    if (!data || !data.length) {
+      const { data: cur } = await sbAdmin.from('reconciliation_items').select('status').eq('id', req.params.itemId).eq('reconciliation_id', req.params.id).maybeSingle();
+      if (!cur) return res.status(404).json({ success: false, error: 'item not found' });
+      return res.status(409).json({ success: false, error: `item is ${cur.status}` });
+    }
+    const counts = await refreshReconciliationCounts(req.params.id);
+    await audit(req, { entity: 'reconciliation_item', action: 'resolve', entity_id: req.params.itemId, before: { status: 'OPEN' }, after: data[0] });
+    return res.json({ success: true, data: data[0], counts });
+  } catch (err) {
+    return res.status(500).json({ success: false, error: String(err.message || err) });
   }
 });
 
 // =======================
 // Daily fees
 // =======================
-app.post('/fees/record', requireUser, writeLimiter, async (req, res) => {
+app.post('/fees/record', requireUser, writeLimiter, idempotent, async (req, res) => {
   try {
     const sbr = getSbFor(req);
     const { matatu_id, amount, paid_at } = req.body || {};
     if (!matatu_id || !Number.isFinite(Number(amount))) return res.status(422).json({ ok: false, error: 'matatu_id and numeric amount required' });
-    const payload = { matatu_id, amount: round2(amount) };
-    if (paid_at) payload.paid_at = paid_at; // YYYY-MM-DD
+    // YYYY-MM-DD; defaults to the SACCO's business date rather than the database's (UTC) current_date
+    const payload = { matatu_id, amount: round2(amount), paid_at: paid_at || businessDate(new Date(), await matatuBusinessDay(matatu_id)) };
     const { data, error } = await sbr.from('daily_fees').insert(payload).select().single();
     if (error) return res.status(403).json({ ok: false, error: error.message || String(error) });
+    await audit(req, { entity: 'daily_fee', action: 'record', entity_id: data.id, after: data });
     res.json({ ok: true, data });
   } catch (err) {
     res.status(500).json({ ok: false, error: err.message });
   }
 });
 
-function cutoffDate(days = 30) {
+function cutoffDate(days = 30, bday = DEFAULT_BUSINESS_DAY) {
   const n = Math.max(1, Math.min(365, parseInt(days, 10) || 30));
-  const d = new Date(Date.now() - n * 24 * 60 * 60 * 1000);
-  return d.toISOString().slice(0, 10);
+  return _addDays(businessDate(new Date(), bday), -n);
 }
 app.get('/fees/by-matatu', async (req, res) => {
   try {
     const { matatu_id } = req.query;
     if (!matatu_id) return res.status(400).json({ ok: false, error: 'matatu_id is required' });
     const days = parseInt(req.query.days || '30', 10);
-    const since = cutoffDate(isNaN(days) ? 30 : days);
+    const since = cutoffDate(isNaN(days) ? 30 : days, await matatuBusinessDay(matatu_id));
     const { data, error } = await sb
       .from('daily_fees')
       .select('id, matatu_id, amount, paid_at, created_at')
@@ -1235,11 +4020,11 @@ app.get('/fees/by-matatu', async (req, res) => {
   }
 });
 
-app.get('/reports/sacco/:id/fees/summary', async (req, res) => {
+app.get('/reports/sacco/:saccoId/fees/summary', saccoRead, async (req, res) => {
   try {
-    const saccoId = req.params.id;
+    const { saccoId } = req.params;
     const days = parseInt(req.query.days || '30', 10);
-    const since = cutoffDate(isNaN(days) ? 30 : days);
+    const since = cutoffDate(isNaN(days) ? 30 : days, await saccoBusinessDay(saccoId));
     const { data, error } = await sb.from('daily_fees').select('amount, paid_at, matatus!inner(sacco_id)').eq('matatus.sacco_id', saccoId).gte('paid_at', since);
     if (error) throw error;
     const total = (data || []).reduce((sum, r) => sum + Number(r.amount || 0), 0);
@@ -1249,11 +4034,11 @@ app.get('/reports/sacco/:id/fees/summary', async (req, res) => {
   }
 });
 
-app.get('/reports/matatu/:id/fees/summary', async (req, res) => {
+app.get('/reports/matatu/:matatuId/fees/summary', matatuRead, async (req, res) => {
   try {
-    const matatuId = req.params.id;
+    const { matatuId } = req.params;
     const days = parseInt(req.query.days || '30', 10);
-    const since = cutoffDate(isNaN(days) ? 30 : days);
+    const since = cutoffDate(isNaN(days) ? 30 : days, await matatuBusinessDay(matatuId));
     const { data, error } = await sb.from('daily_fees').select('amount, paid_at').eq('matatu_id', matatuId).gte('paid_at', since);
     if (error) throw error;
     const total = (data || []).reduce((sum, r) => sum + Number(r.amount || 0), 0);
@@ -1270,19 +4055,137 @@ function sumDigits(str) { return (str || '').split('').reduce((a, c) => a + (Num
 function digitalRoot(n) { let s = sumDigits(String(n)); while (s > 9) s = sumDigits(String(s)); return s; }
 function parseUssdDigits(ussd) { const m = String(ussd).match(/(\d{3})(\d)(?=#|$)/); if (!m) return null; return { base: m[1], check: m[2] }; }
 function fullCode(prefix, base, check) { const p = prefix || '*001*'; return `${p}${base}${check}#`; }
+// '*001*1102#' → { prefix:'*001*', base:'110', check:'2' }; a bare '1102' has prefix null
+function parseUssdCode(code) {
+  const m = String(code || '').trim().match(/^(\*\d+(?:\*\d+)*\*)?(\d{3})(\d)#?$/);
+  return m ? { prefix: m[1] || null, base: m[2], check: m[3] } : null;
+}
+
+// Prefixes (024): each owns its pool; rows are keyed (prefix_id, base). Cached like business days, cleared on writes.
+const USSD_PREFIX_RE = /^\*\d+(\*\d+)*\*$/;
+const USSD_PREFIX_COLUMNS = 'id, code, name, low_stock_threshold, is_default, active, created_at';
+const _USSD_PREFIX_TTL_MS = 60 * 1000;
+let _ussdPrefixCache = null;
+async function ussdPrefixes() {
+  if (_ussdPrefixCache && Date.now() - _ussdPrefixCache.at < _USSD_PREFIX_TTL_MS) return _ussdPrefixCache.rows;
+  const { data, error } = await (sbAdmin || sb).from('ussd_prefixes').select(USSD_PREFIX_COLUMNS).order('code');
+  if (error) throw error;
+  _ussdPrefixCache = { rows: data || [], at: Date.now() };
+  return _ussdPrefixCache.rows;
+}
+// code null/'' → the default prefix; unknown code → null
+async function ussdPrefix(code) {
+  const rows = await ussdPrefixes();
+  return code ? rows.find((p) => p.code === code) || null : rows.find((p) => p.is_default) || null;
+}
+async function ussdPrefixById(id) {
+  return (await ussdPrefixes()).find((p) => p.id === id) || null;
+}
+// Body/query prefix → { prefix } | { status, error }
+async function ussdPrefixFrom(code) {
+  const prefix = await ussdPrefix(code);
+  if (prefix) return { prefix };
+  return code ? { status: 400, error: `unknown prefix ${code}` } : { status: 503, error: 'no default USSD prefix configured' };
+}
+
+// Pool level → id field in the request body / target column on ussd_pool
+const USSD_TARGET_COLUMNS = { SACCO: 'sacco_id', MATATU: 'matatu_id', BODA: 'boda_id', TAXI: 'taxi_id' };
 function resolveTarget(level, ids) {
   const L = String(level || '').toUpperCase();
-  if (L === 'MATATU' && ids.matatu_id) return { assigned_type: 'MATATU', assigned_id: ids.matatu_id };
-  if (L === 'SACCO' && ids.sacco_id) return { assigned_type: 'SACCO', assigned_id: ids.sacco_id };
-  throw new Error('level must be SACCO or MATATU (CASHIER no longer supported)');
+  const col = USSD_TARGET_COLUMNS[L];
+  if (col && ids[col]) return { assigned_type: L, assigned_id: ids[col] };
+  throw new Error('level must be SACCO, MATATU, BODA or TAXI with the matching id (CASHIER no longer supported)');
+}
+// Pool RPC errors (022/023) → { status, error }; anything unexpected is rethrown.
+function ussdRpcError(error, assigned_type) {
+  if (error.code === '23505' && error.hint === 'code_taken') return { status: 409, error: 'already allocated' };
+  if (error.code === '23505') return { status: 409, error: `${assigned_type || 'target'} already holds an active USSD code under this prefix` };
+  if (error.code === '55000') return { status: 409, error: error.message };
+  if (error.code === 'P0002') return { status: 400, error: 'base not in pool' };
+  if (error.code === '22P02' || error.code === '22023') return { status: 400, error: 'invalid target id' };
+  throw error;
+}
+// Pick-and-bind in one database call (ussd_allocate, 022): base null = lowest free code of the prefix.
+// Conflicts come back as { status: 409, error } so concurrent admins never share a code or double-bind a target.
+async function allocateUssdCode(prefix, assigned_type, assigned_id, base = null, actor = null) {
+  if (!sbAdmin) return { status: 503, error: 'service role not configured' };
+  if (!prefix.active) return { status: 409, error: `prefix ${prefix.code} is inactive` };
+  const { data, error } = await sbAdmin.rpc('ussd_allocate', { p_prefix_id: prefix.id, p_level: assigned_type, p_target_id: assigned_id, p_base: base, p_actor: actor });
+  if (error) return ussdRpcError(error, assigned_type);
+  const row = Array.isArray(data) ? data[0] : data;
+  if (!row) return { status: 409, error: `no free codes in pool ${prefix.code}` };
+  return { row };
+}
+// Lifecycle RPCs (023) return the updated ussd_pool row
+async function ussdLifecycle(fn, args, assigned_type) {
+  if (!sbAdmin) return { status: 503, error: 'service role not configured' };
+  const { data, error } = await sbAdmin.rpc(fn, args);
+  if (error) return ussdRpcError(error, assigned_type);
+  return { row: Array.isArray(data) ? data[0] : data };
+}
+// Body/query code → { prefix, base } | { status, error }. Accepts a full code (its own prefix wins),
+// or a 3-digit base / base+check digit under `prefix` (default prefix when omitted).
+async function ussdCodeRef({ ussd_code, base, prefix: prefixCode } = {}) {
+  const v = String(base || ussd_code || '').trim();
+  let b = /^\d{3}$/.test(v) ? v : null;
+  let code = prefixCode || null;
+  if (!b) {
+    const parsed = parseUssdCode(v);
+    if (!parsed || String(digitalRoot(parsed.base)) !== parsed.check) return { status: 400, error: 'valid ussd_code or base required' };
+    if (parsed.prefix && code && parsed.prefix !== code) return { status: 400, error: 'ussd_code does not match prefix' };
+    b = parsed.base;
+    code = parsed.prefix || code;
+  }
+  const p = await ussdPrefixFrom(code);
+  return p.error ? p : { prefix: p.prefix, base: b };
+}
+function ussdPoolView(r, prefix) {
+  return {
+    ussd_code: fullCode(prefix.code, r.base, r.checksum),
+    prefix: prefix.code,
+    base: r.base,
+    allocated: r.allocated,
+    level: r.level,
+    sacco_id: r.sacco_id,
+    matatu_id: r.matatu_id,
+    boda_id: r.boda_id,
+    taxi_id: r.taxi_id,
+    allocated_at: r.allocated_at,
+    cooldown_until: r.cooldown_until || null,
+    suspended_at: r.suspended_at || null,
+    suspended_reason: r.suspended_reason || null,
+  };
+}
+
+// ?prefix= narrows the lists to one prefix; otherwise every prefix, each code under its own prefix
+async function ussdListPrefix(req, res) {
+  if (!req.query.prefix) return { prefix: null };
+  const p = await ussdPrefixFrom(req.query.prefix);
+  if (p.error) res.status(p.status).json({ success: false, error: p.error });
+  return p;
 }
 
 app.get('/api/admin/ussd/pool/available', requireAdmin, async (req, res) => {
   try {
-    const prefix = req.query.prefix || '*001*';
-    const { data, error } = await sb.from('ussd_pool').select('base, checksum').eq('allocated', false).order('base');
+    const p = await ussdListPrefix(req, res);
+    if (p.error) return;
+    // free codes that can be handed out now: not suspended, cool-down over
+    let query = (sbAdmin || sb)
+      .from('ussd_pool')
+      .select('prefix_id, base, checksum')
+      .eq('allocated', false)
+      .is('suspended_at', null)
+      .or(`cooldown_until.is.null,cooldown_until.lte.${new Date().toISOString()}`)
+      .order('prefix_id')
+      .order('base');
+    if (p.prefix) query = query.eq('prefix_id', p.prefix.id);
+    const { data, error } = await query;
     if (error) throw error;
-    const items = (data || []).map((r) => ({ base: r.base, checksum: r.checksum, full_code: fullCode(prefix, r.base, r.checksum) }));
+    const prefixes = await ussdPrefixes();
+    const items = (data || []).map((r) => {
+      const code = prefixes.find((x) => x.id === r.prefix_id)?.code;
+      return { prefix: code, base: r.base, checksum: r.checksum, full_code: fullCode(code, r.base, r.checksum) };
+    });
     return res.json({ success: true, items });
   } catch (err) {
     return res.status(500).json({ success: false, error: sanitizeErr(err) });
@@ -1291,198 +4194,755 @@ app.get('/api/admin/ussd/pool/available', requireAdmin, async (req, res) => {
 
 app.get('/api/admin/ussd/pool/allocated', requireAdmin, async (req, res) => {
   try {
-    const prefix = req.query.prefix || '*001*';
-    const { data, error } = await sb
+    const p = await ussdListPrefix(req, res);
+    if (p.error) return;
+    let query = (sbAdmin || sb)
       .from('ussd_pool')
-      .select('base, checksum, level, sacco_id, matatu_id, allocated_at')
+      .select('prefix_id, base, checksum, level, sacco_id, matatu_id, boda_id, taxi_id, allocated_at, suspended_at')
       .eq('allocated', true)
       .order('allocated_at', { ascending: false });
+    if (p.prefix) query = query.eq('prefix_id', p.prefix.id);
+    const { data, error } = await query;
     if (error) throw error;
-    const items = (data || []).map((r) => ({
-      full_code: fullCode(prefix, r.base, r.checksum),
-      level: r.level,
-      sacco_id: r.sacco_id,
-      matatu_id: r.matatu_id,
-      allocated_at: r.allocated_at,
-    }));
+    const prefixes = await ussdPrefixes();
+    const items = (data || []).map((r) => {
+      const code = prefixes.find((x) => x.id === r.prefix_id)?.code;
+      return {
+        full_code: fullCode(code, r.base, r.checksum),
+        prefix: code,
+        level: r.level,
+        sacco_id: r.sacco_id,
+        matatu_id: r.matatu_id,
+        boda_id: r.boda_id,
+        taxi_id: r.taxi_id,
+        allocated_at: r.allocated_at,
+        suspended_at: r.suspended_at || null,
+      };
+    });
     return res.json({ success: true, items });
   } catch (err) {
     return res.status(500).json({ success: false, error: sanitizeErr(err) });
   }
 });
 
-app.post('/api/admin/ussd/pool/assign-next', requireAdmin, async (req, res) => {
+app.post('/api/admin/ussd/pool/assign-next', requireAdmin, idempotent, async (req, res) => {
   try {
-    const { level, sacco_id, matatu_id, cashier_id, prefix = '*001*' } = req.body || {};
+    const { level } = req.body || {};
     const L = String(level || '').toUpperCase();
     if (L === 'CASHIER') return res.status(400).json({ success: false, error: 'CASHIER level no longer supported' });
-    const { assigned_type, assigned_id } = resolveTarget(level, { sacco_id, matatu_id, cashier_id });
-
-    const { data: nextFree, error: qErr } = await sb
-      .from('ussd_pool')
-      .select('base, checksum')
-      .eq('allocated', false)
-      .order('base', { ascending: true })
-      .limit(1)
-      .maybeSingle();
-    if (qErr) throw qErr;
-    if (!nextFree) return res.status(400).json({ success: false, error: 'no free codes in pool' });
+    const { assigned_type, assigned_id } = resolveTarget(level, req.body || {});
+    const p = await ussdPrefixFrom(req.body?.prefix);
+    if (p.error) return res.status(p.status).json({ success: false, error: p.error });
 
-    const { error: upErr } = await sbAdmin
-      .from('ussd_pool')
-      .update({
-        allocated: true,
-        level: assigned_type,
-        sacco_id: assigned_type === 'SACCO' ? assigned_id : null,
-        matatu_id: assigned_type === 'MATATU' ? assigned_id : null,
-        cashier_id: assigned_type === 'CASHIER' ? assigned_id : null,
-        allocated_at: new Date().toISOString(),
-      })
-      .eq('base', nextFree.base);
-    if (upErr) throw upErr;
+    const { row, status, error } = await allocateUssdCode(p.prefix, assigned_type, assigned_id, null, adminActor(req));
+    if (error) return res.status(status).json({ success: false, error });
+    const ussd_code = fullCode(p.prefix.code, row.base, row.checksum);
+    await audit(req, { entity: 'ussd_code', action: 'assign', entity_id: ussd_code, after: { ussd_code, target_type: assigned_type, target_id: assigned_id } });
 
-    res.json({ success: true, ussd_code: fullCode(prefix, nextFree.base, nextFree.checksum) });
+    res.json({ success: true, ussd_code });
   } catch (err) {
     res.status(500).json({ success: false, error: err.message });
   }
 });
 
-app.post('/api/admin/ussd/bind-from-pool', requireAdmin, async (req, res) => {
+app.post('/api/admin/ussd/bind-from-pool', requireAdmin, idempotent, async (req, res) => {
   try {
-    const { level, sacco_id, matatu_id, cashier_id, ussd_code, prefix = '*001*' } = req.body || {};
+    const { level, ussd_code, prefix } = req.body || {};
     const L = String(level || '').toUpperCase();
     if (L === 'CASHIER') return res.status(400).json({ success: false, error: 'CASHIER level no longer supported' });
-    const { assigned_type, assigned_id } = resolveTarget(level, { sacco_id, matatu_id, cashier_id });
+    const { assigned_type, assigned_id } = resolveTarget(level, req.body || {});
 
-    const parsed = parseUssdDigits(ussd_code);
+    const parsed = parseUssdCode(ussd_code);
     if (!parsed) return res.status(400).json({ success: false, error: 'invalid code format' });
 
     const want = String(digitalRoot(parsed.base));
     if (want !== parsed.check) return res.status(400).json({ success: false, error: `checksum mismatch; expected ${want}` });
+    if (parsed.prefix && prefix && parsed.prefix !== prefix) return res.status(400).json({ success: false, error: 'ussd_code does not match prefix' });
+    const p = await ussdPrefixFrom(parsed.prefix || prefix);
+    if (p.error) return res.status(p.status).json({ success: false, error: p.error });
+
+    const { status, error } = await allocateUssdCode(p.prefix, assigned_type, assigned_id, parsed.base, adminActor(req));
+    if (error) return res.status(status).json({ success: false, error });
+    const code = fullCode(p.prefix.code, parsed.base, parsed.check);
+    await audit(req, { entity: 'ussd_code', action: 'bind', entity_id: code, after: { ussd_code: code, target_type: assigned_type, target_id: assigned_id } });
+
+    return res.json({ success: true, data: { ussd_code: code } });
+  } catch (err) {
+    return res.status(500).json({ success: false, error: sanitizeErr(err) });
+  }
+});
+
+// Lifecycle: release (optional cool-down), reassign, suspend/unsuspend, history. Codes are addressed by
+// ussd_code (full code) or base (+ prefix); every change is recorded in ussd_code_history by a trigger (023).
+app.post('/api/admin/ussd/release', requireAdmin, idempotent, async (req, res) => {
+  try {
+    const { cooldown_days = 0, reason } = req.body || {};
+    const ref = await ussdCodeRef(req.body);
+    if (ref.error) return res.status(ref.status).json({ success: false, error: ref.error });
+    const days = Number(cooldown_days);
+    if (!Number.isInteger(days) || days < 0 || days > 365) return res.status(400).json({ success: false, error: 'cooldown_days must be a whole number 0-365' });
+
+    const before = await auditSnapshot('ussd_pool', { prefix_id: ref.prefix.id, base: ref.base });
+    const { row, status, error } = await ussdLifecycle('ussd_release', {
+      p_prefix_id: ref.prefix.id,
+      p_base: ref.base,
+      p_cooldown_days: days,
+      p_reason: reason || null,
+      p_actor: adminActor(req),
+    });
+    if (error) return res.status(status).json({ success: false, error });
+    const data = ussdPoolView(row, ref.prefix);
+    await audit(req, { entity: 'ussd_code', action: 'release', entity_id: data.ussd_code, before, after: row });
+    return res.json({ success: true, data });
+  } catch (err) {
+    return res.status(500).json({ success: false, error: sanitizeErr(err) });
+  }
+});
 
-    const { data, error } = await sb.from('ussd_pool').select('allocated, checksum').eq('base', parsed.base).maybeSingle();
+app.post('/api/admin/ussd/reassign', requireAdmin, idempotent, async (req, res) => {
+  try {
+    const { level, reason } = req.body || {};
+    const ref = await ussdCodeRef(req.body);
+    if (ref.error) return res.status(ref.status).json({ success: false, error: ref.error });
+    const { assigned_type, assigned_id } = resolveTarget(level, req.body || {});
+
+    const before = await auditSnapshot('ussd_pool', { prefix_id: ref.prefix.id, base: ref.base });
+    const { row, status, error } = await ussdLifecycle(
+      'ussd_reassign',
+      { p_prefix_id: ref.prefix.id, p_base: ref.base, p_level: assigned_type, p_target_id: assigned_id, p_reason: reason || null, p_actor: adminActor(req) },
+      assigned_type,
+    );
+    if (error) return res.status(status).json({ success: false, error });
+    const data = ussdPoolView(row, ref.prefix);
+    await audit(req, { entity: 'ussd_code', action: 'reassign', entity_id: data.ussd_code, before, after: row });
+    return res.json({ success: true, data });
+  } catch (err) {
+    if (/^level must be/.test(err.message)) return res.status(400).json({ success: false, error: err.message });
+    return res.status(500).json({ success: false, error: sanitizeErr(err) });
+  }
+});
+
+for (const [path, suspend] of [['suspend', true], ['unsuspend', false]]) {
+  app.post(`/api/admin/ussd/${path}`, requireAdmin, async (req, res) => {
+    try {
+      const { reason } = req.body || {};
+      const ref = await ussdCodeRef(req.body);
+      if (ref.error) return res.status(ref.status).json({ success: false, error: ref.error });
+
+      const before = await auditSnapshot('ussd_pool', { prefix_id: ref.prefix.id, base: ref.base });
+      const { row, status, error } = await ussdLifecycle('ussd_set_suspended', {
+        p_prefix_id: ref.prefix.id,
+        p_base: ref.base,
+        p_suspend: suspend,
+        p_reason: reason || null,
+        p_actor: adminActor(req),
+      });
+      if (error) return res.status(status).json({ success: false, error });
+      const data = ussdPoolView(row, ref.prefix);
+      await audit(req, { entity: 'ussd_code', action: path, entity_id: data.ussd_code, before, after: row });
+      return res.json({ success: true, data });
+    } catch (err) {
+      return res.status(500).json({ success: false, error: sanitizeErr(err) });
+    }
+  });
+}
+
+// ?ussd_code= | ?base=(&prefix=) for one code; ?target_id= for everything a SACCO/vehicle has held. Newest first.
+app.get('/api/admin/ussd/history', requireAdmin, async (req, res) => {
+  try {
+    const { ussd_code, base, target_id, limit = 200, offset = 0 } = req.query;
+    let ref = null;
+    if (base || ussd_code) {
+      ref = await ussdCodeRef(req.query);
+      if (ref.error) return res.status(ref.status).json({ success: false, error: ref.error });
+    }
+    if (!ref && !target_id) return res.status(400).json({ success: false, error: 'ussd_code, base or target_id required' });
+    if (target_id && !/^[0-9a-f-]{36}$/i.test(target_id)) return res.status(400).json({ success: false, error: 'invalid target_id' });
+    let query = (sbAdmin || sb)
+      .from('ussd_code_history')
+      .select('*', { count: 'exact' })
+      .order('created_at', { ascending: false })
+      .order('id', { ascending: false })
+      .range(Number(offset), Number(offset) + Number(limit) - 1);
+    if (ref) query = query.eq('prefix_id', ref.prefix.id).eq('base', ref.base);
+    if (target_id) query = query.or(`target_id.eq.${target_id},from_target_id.eq.${target_id}`);
+    const { data, error, count } = await query;
     if (error) throw error;
-    if (!data) return res.status(400).json({ success: false, error: 'base not in pool' });
-    if (data.allocated) return res.status(400).json({ success: false, error: 'already allocated' });
+    const prefixes = await ussdPrefixes();
+    const items = (data || []).map((h) => ({ ...h, prefix: prefixes.find((x) => x.id === h.prefix_id)?.code || null }));
+    return res.json({ success: true, items, count: count || 0 });
+  } catch (err) {
+    return res.status(500).json({ success: false, error: sanitizeErr(err) });
+  }
+});
 
-    const { error: upErr } = await sbAdmin
-      .from('ussd_pool')
-      .update({
-        allocated: true,
-        level: assigned_type,
-        sacco_id: assigned_type === 'SACCO' ? assigned_id : null,
-        matatu_id: assigned_type === 'MATATU' ? assigned_id : null,
-        cashier_id: assigned_type === 'CASHIER' ? assigned_id : null,
-        allocated_at: new Date().toISOString(),
-      })
-      .eq('base', parsed.base);
-    if (upErr) throw upErr;
+// Prefix records: stock per prefix comes from v_ussd_prefix_stock (024)
+function ussdStockView(r) {
+  return { ...r, low_stock: Boolean(r.active) && Number(r.available) <= Number(r.low_stock_threshold) };
+}
+// Validated prefix fields from a create/update body → { fields } | { error }
+function ussdPrefixFields(body, { create = false } = {}) {
+  const fields = {};
+  if (create || body.code !== undefined) {
+    const code = String(body.code || '').trim();
+    if (!USSD_PREFIX_RE.test(code)) return { error: "code must look like '*001*' (digits between stars)" };
+    fields.code = code;
+  }
+  if (body.name !== undefined) fields.name = body.name ? String(body.name).trim() : null;
+  if (body.low_stock_threshold !== undefined) {
+    const n = Number(body.low_stock_threshold);
+    if (!Number.isInteger(n) || n < 0 || n > 999) return { error: 'low_stock_threshold must be a whole number 0-999' };
+    fields.low_stock_threshold = n;
+  }
+  for (const k of ['active', 'is_default']) {
+    if (body[k] === undefined) continue;
+    if (typeof body[k] !== 'boolean') return { error: `${k} must be true or false` };
+    fields[k] = body[k];
+  }
+  if (fields.is_default === false) return { error: 'make another prefix the default instead' };
+  return { fields };
+}
+
+app.get('/api/admin/ussd/prefixes', requireAdmin, async (req, res) => {
+  try {
+    const { data, error } = await (sbAdmin || sb).from('v_ussd_prefix_stock').select('*').order('code');
+    if (error) throw error;
+    const items = (data || []).map(ussdStockView);
+    return res.json({ success: true, items, count: items.length });
+  } catch (err) {
+    return res.status(500).json({ success: false, error: sanitizeErr(err) });
+  }
+});
+
+// Clear the old default and set the new one in one transaction (ussd_set_default_prefix, 031) → the new default row
+async function setDefaultUssdPrefix(id) {
+  const { data, error } = await sbAdmin.rpc('ussd_set_default_prefix', { p_id: id });
+  _ussdPrefixCache = null;
+  if (error) throw error;
+  const row = Array.isArray(data) ? data[0] : data;
+  return Object.fromEntries(USSD_PREFIX_COLUMNS.split(', ').map((c) => [c, row[c]]));
+}
+
+app.post('/api/admin/ussd/prefixes', requireAdmin, idempotent, async (req, res) => {
+  try {
+    if (!sbAdmin) return res.status(503).json({ success: false, error: 'service role not configured' });
+    const { fields, error: bad } = ussdPrefixFields(req.body || {}, { create: true });
+    if (bad) return res.status(400).json({ success: false, error: bad });
+    // written as a plain prefix first; the old default is only cleared once it exists
+    const { data: created, error } = await sbAdmin.from('ussd_prefixes').insert([{ ...fields, is_default: false }]).select(USSD_PREFIX_COLUMNS).single();
+    _ussdPrefixCache = null;
+    if (error?.code === '23505') return res.status(409).json({ success: false, error: `prefix ${fields.code} already exists` });
+    if (error) throw error;
+    let data = created;
+    if (fields.is_default) {
+      try {
+        data = await setDefaultUssdPrefix(created.id);
+      } catch (e) {
+        const { error: undoErr } = await sbAdmin.from('ussd_prefixes').delete().eq('id', created.id);
+        if (undoErr) req.log.error({ err: String(undoErr.message || undoErr), prefix_id: created.id }, 'prefix rollback: new prefix not removed');
+        throw e;
+      }
+    }
+    await audit(req, { entity: 'ussd_prefix', action: 'create', entity_id: data.id, after: data });
+    return res.json({ success: true, data });
+  } catch (err) {
+    return res.status(500).json({ success: false, error: sanitizeErr(err) });
+  }
+});
+
+app.patch('/api/admin/ussd/prefixes/:id', requireAdmin, async (req, res) => {
+  try {
+    if (!sbAdmin) return res.status(503).json({ success: false, error: 'service role not configured' });
+    const { code: _code, ...body } = req.body || {};
+    if (_code !== undefined) return res.status(400).json({ success: false, error: 'code cannot change (it is printed on stickers); add a new prefix' });
+    const { fields, error: bad } = ussdPrefixFields(body);
+    if (bad) return res.status(400).json({ success: false, error: bad });
+    if (!Object.keys(fields).length) return res.status(400).json({ success: false, error: 'nothing to update' });
+    const before = await auditSnapshot('ussd_prefixes', { id: req.params.id });
+    if (!before) return res.status(404).json({ success: false, error: 'prefix not found' });
+    const { is_default, ...rest } = fields;
+    const makeDefault = is_default && !before.is_default;
+    if (!makeDefault && is_default !== undefined) rest.is_default = is_default;
+    let data = before;
+    if (Object.keys(rest).length) {
+      const { data: updated, error } = await sbAdmin.from('ussd_prefixes').update(rest).eq('id', req.params.id).select(USSD_PREFIX_COLUMNS).single();
+      _ussdPrefixCache = null;
+      if (error) throw error;
+      data = updated;
+    }
+    if (makeDefault) data = await setDefaultUssdPrefix(req.params.id);
+    await audit(req, { entity: 'ussd_prefix', action: 'update', entity_id: data.id, before, after: data });
+    return res.json({ success: true, data });
+  } catch (err) {
+    return res.status(500).json({ success: false, error: sanitizeErr(err) });
+  }
+});
+
+// Seed a prefix's pool: { from, to } (inclusive, 1-999) or { codes:[...] } with 3-digit bases, base+check digit
+// or full codes. Bases whose check digit fails (wrong digit given, or 000 which has none) are skipped and
+// reported; bases already in the pool are left untouched.
+const USSD_SEED_MAX = 999;
+app.post('/api/admin/ussd/prefixes/:id/seed', requireAdmin, idempotent, async (req, res) => {
+  try {
+    if (!sbAdmin) return res.status(503).json({ success: false, error: 'service role not configured' });
+    const prefix = await ussdPrefixById(req.params.id);
+    if (!prefix) return res.status(404).json({ success: false, error: 'prefix not found' });
+    const { from, to, codes } = req.body || {};
+
+    const candidates = [];
+    if (Array.isArray(codes)) {
+      for (const c of codes) candidates.push(String(c ?? '').trim());
+    } else {
+      const lo = Number(from);
+      const hi = Number(to);
+      if (!Number.isInteger(lo) || !Number.isInteger(hi) || lo < 0 || hi > 999 || lo > hi) {
+        return res.status(400).json({ success: false, error: 'from and to must be whole numbers with 0 <= from <= to <= 999 (or send codes)' });
+      }
+      for (let i = lo; i <= hi; i++) candidates.push(String(i).padStart(3, '0'));
+    }
+    if (!candidates.length || candidates.length > USSD_SEED_MAX) {
+      return res.status(400).json({ success: false, error: `send between 1 and ${USSD_SEED_MAX} codes` });
+    }
+
+    const rows = new Map();
+    const skipped_invalid = [];
+    for (const value of candidates) {
+      const parsed = /^\d{3}$/.test(value) ? { prefix: null, base: value, check: null } : parseUssdCode(value);
+      if (!parsed) { skipped_invalid.push({ value, reason: 'not a base or code' }); continue; }
+      if (parsed.prefix && parsed.prefix !== prefix.code) { skipped_invalid.push({ value, reason: `belongs to ${parsed.prefix}` }); continue; }
+      const check = String(digitalRoot(parsed.base));
+      if (check === '0') { skipped_invalid.push({ value, reason: 'base has no check digit' }); continue; }
+      if (parsed.check !== null && parsed.check !== check) { skipped_invalid.push({ value, reason: `check digit should be ${check}` }); continue; }
+      rows.set(parsed.base, { prefix_id: prefix.id, base: parsed.base, checksum: check, allocated: false });
+    }
 
-    return res.json({ success: true, data: { ussd_code: fullCode(prefix, parsed.base, parsed.check) } });
+    let inserted = [];
+    if (rows.size) {
+      const { data, error } = await sbAdmin
+        .from('ussd_pool')
+        .upsert([...rows.values()], { onConflict: 'prefix_id,base', ignoreDuplicates: true })
+        .select('base');
+      if (error) throw error;
+      inserted = (data || []).map((r) => r.base).sort();
+    }
+    const result = {
+      prefix: prefix.code,
+      inserted_count: inserted.length,
+      skipped_existing: rows.size - inserted.length,
+      skipped_invalid,
+      inserted,
+    };
+    await audit(req, { entity: 'ussd_prefix', action: 'seed', entity_id: prefix.id, after: { prefix: prefix.code, inserted_count: inserted.length, skipped_existing: result.skipped_existing, skipped_invalid: skipped_invalid.length } });
+    return res.json({ success: true, data: result });
   } catch (err) {
     return res.status(500).json({ success: false, error: sanitizeErr(err) });
   }
 });
 
+// =======================
+// USSD gateway (aggregator callback: sessionId, serviceCode, phoneNumber, text)
+// =======================
+// Replies are plain text: "CON ..." keeps the session open, "END ..." closes it.
+// State lives in ussd_sessions so multi-step menus survive serverless instance hops.
+const USSD_SESSION_TTL_MS = 5 * 60 * 1000;
+const SPLIT_LABELS = { FARE: 'Fare', SERVICE_FEE: 'Service fee', SACCO_FEE: 'SACCO fee', SAVINGS: 'Savings', LOAN_REPAY: 'Loan repay' };
+
+async function loadUssdSession(sessionId) {
+  const { data, error } = await sbAdmin.from('ussd_sessions').select('*').eq('session_id', sessionId).maybeSingle();
+  if (error) throw error;
+  if (!data || Date.now() - new Date(data.updated_at).getTime() > USSD_SESSION_TTL_MS) return null;
+  return data;
+}
+async function saveUssdSession(row) {
+  const { error } = await sbAdmin.from('ussd_sessions').upsert({ ...row, updated_at: new Date().toISOString() }, { onConflict: 'session_id' });
+  if (error) throw error;
+}
+
+function formatSplits(parts) {
+  return parts.map((p) => `${SPLIT_LABELS[p.type] || p.label || p.type}: KES ${Number(p.amount_kes).toFixed(2)}`).join('\n');
+}
+
+const USSD_ALREADY_SENT = 'END Payment request already sent. Check your phone for the M-Pesa prompt.';
+
+async function ussdStep({ sessionId, serviceCode, phoneNumber, text, requestId, log }) {
+  const inputs = String(text || '').split('*').map((s) => s.trim());
+  if (inputs.length === 1 && inputs[0] === '') inputs.pop();
+  const input = inputs.length ? inputs[inputs.length - 1] : '';
+
+  let session = await loadUssdSession(sessionId);
+  if (!session) {
+    // The pool code is either dialed directly (*001*1102#) or typed as the first input on a shared shortcode.
+    // A typed code belongs to the prefix registered for that shortcode (*001# → *001*), else the default prefix.
+    let code = parseUssdDigits(serviceCode) ? String(serviceCode) : null;
+    let consumed = 0;
+    if (!code && inputs.length && parseUssdDigits(inputs[0])) {
+      const p = parseUssdDigits(inputs[0]);
+      const shared = String(serviceCode || '').replace(/#$/, '*');
+      const prefix = (USSD_PREFIX_RE.test(shared) && (await ussdPrefix(shared))) || (await ussdPrefix(null));
+      code = fullCode(prefix?.code, p.base, p.check);
+      consumed = 1;
+    }
+    if (!code) return inputs.length ? 'END Session expired. Please dial again.' : 'CON Enter the matatu/SACCO code:';
+    if (inputs.length > consumed) return 'END Session expired. Please dial again.';
+
+    const parsed = parseUssdDigits(code);
+    if (String(digitalRoot(parsed.base)) !== parsed.check) return 'END Invalid code. Please check and dial again.';
+    const target = await resolveUssdTarget(code);
+    if (!target) return 'END This code is not active.';
+    const msisdn = normalizeMsisdn(phoneNumber);
+    if (!msisdn) return 'END Phone number not supported for M-Pesa.';
+
+    await saveUssdSession({
+      session_id: sessionId,
+      phone: msisdn,
+      ussd_code: code,
+      sacco_id: target.sacco_id,
+      matatu_id: target.matatu_id,
+      state: 'AMOUNT',
+      data: { label: target.label, account_ref: target.account_ref },
+    });
+    return `CON Pay ${target.label}\nEnter amount (KES):`;
+  }
+
+  const data = session.data || {};
+  if (session.state === 'AMOUNT') {
+    const fare = Number(input);
+    if (!Number.isInteger(fare) || fare < 1) return 'CON Invalid amount.\nEnter amount (KES):';
+    const rules = await getRuleset(session.sacco_id);
+    const dailyDone = await dailyChargesTakenToday(session.matatu_id, rules);
+    const route = await matatuRoute(session.matatu_id);
+    const parts = computeSplits({ amount: fare, rules, dailyDone, route });
+    await saveUssdSession({ ...session, state: 'CONFIRM', data: { ...data, amount: fare } });
+    return `CON ${data.label}\n${formatSplits(parts)}\nPay KES ${fare} via M-Pesa?\n1. Confirm\n2. Cancel`;
+  }
+
+  if (session.state === 'CONFIRM') {
+    if (input === '2') {
+      await saveUssdSession({ ...session, state: 'DONE', data: { ...data, outcome: 'CANCELLED' } });
+      return 'END Payment cancelled.';
+    }
+    if (input !== '1') return 'CON Reply 1 to confirm or 2 to cancel.';
+    // Aggregators resend slow requests: only the request that moves the session off CONFIRM sends the push
+    const { data: claimed, error: claimErr } = await sbAdmin
+      .from('ussd_sessions')
+      .update({ state: 'PUSHING', updated_at: new Date().toISOString() })
+      .eq('session_id', sessionId)
+      .eq('state', 'CONFIRM')
+      .select('session_id');
+    if (claimErr) throw claimErr;
+    if (claimed?.length !== 1) return USSD_ALREADY_SENT;
+    const target = { sacco_id: session.sacco_id, matatu_id: session.matatu_id, account_ref: data.account_ref, label: data.label };
+    try {
+      const out = await initiateStkPayment({ target, msisdn: session.phone, fare: data.amount, ussd_code: session.ussd_code, requestId, log });
+      await audit({ id: requestId, log }, {
+        entity: 'transaction',
+        action: 'stk_push',
+        entity_id: out.transaction_id,
+        after: { sacco_id: target.sacco_id, matatu_id: target.matatu_id, ussd_code: session.ussd_code, fare_amount_kes: data.amount, checkout_id: out.checkoutRequestId },
+        system: 'ussd-gateway',
+      });
+      await saveUssdSession({ ...session, state: 'DONE', data: { ...data, outcome: 'PUSHED', transaction_id: out.transaction_id } });
+      return 'END Enter your M-Pesa PIN on the prompt to complete payment.';
+    } catch (e) {
+      log?.error({ session_id: sessionId, err: sanitizeErr(e) }, 'ussd payment trigger failed');
+      await saveUssdSession({ ...session, state: 'DONE', data: { ...data, outcome: 'ERROR' } });
+      return 'END Payment could not be started. Please try again.';
+    }
+  }
+
+  if (session.state === 'PUSHING' || data.outcome === 'PUSHED') return USSD_ALREADY_SENT;
+  return 'END Session complete.';
+}
+
+app.post('/api/ussd/gateway', async (req, res) => {
+  res.type('text/plain');
+  if (!callbackTokenOk(req, process.env.USSD_GATEWAY_TOKEN)) return res.status(401).send('END Unauthorized');
+  const { sessionId, serviceCode = '', phoneNumber = '', text = '' } = req.body || {};
+  if (!sessionId) return res.status(400).send('END Bad request');
+  try {
+    if (!sbAdmin) throw new Error('service role not configured');
+    const reply = await ussdStep({ sessionId: String(sessionId), serviceCode, phoneNumber, text, requestId: req.id, log: req.log });
+    res.send(reply);
+  } catch (e) {
+    req.log.error({ session_id: sessionId, err: sanitizeErr(e) }, 'ussd gateway failed');
+    res.send('END Service temporarily unavailable. Please try again.');
+  }
+});
+
 // =======================
 // RLS-scoped activity feed
 // =======================
+// TX + ledger events merged newest-first, keyset-paged on created_at
+async function activityFeed(sbr, { saccoId = null, limit = 20, cursor = null }) {
+  let txq = sbr.from('transactions').select('id, sacco_id, created_at, fare_amount_kes, status').order('created_at', { ascending: false }).limit(limit);
+  let leq = sbr.from('ledger_entries').select('id, sacco_id, created_at, amount_kes, type').order('created_at', { ascending: false }).limit(limit);
+  if (saccoId) {
+    txq = txq.eq('sacco_id', saccoId);
+    leq = leq.eq('sacco_id', saccoId);
+  }
+  if (cursor) {
+    txq = txq.lt('created_at', cursor);
+    leq = leq.lt('created_at', cursor);
+  }
+  const [tx, le] = await Promise.all([txq, leq]);
+  if (tx.error) throw tx.error;
+  if (le.error) throw le.error;
+  const events = [
+    ...(tx.data || []).map((r) => ({ kind: 'TX', id: r.id, sacco_id: r.sacco_id, created_at: r.created_at, amount_kes: r.fare_amount_kes, status: r.status })),
+    ...(le.data || []).map((r) => ({ kind: 'FEE', id: r.id, sacco_id: r.sacco_id, created_at: r.created_at, amount_kes: r.amount_kes, type: r.type })),
+  ]
+    .sort((a, b) => (a.created_at > b.created_at ? -1 : 1))
+    .slice(0, limit);
+  const next_cursor = events.length ? events[events.length - 1].created_at : null;
+  return { events, next_cursor };
+}
+const activityLimit = (q) => Math.min(Math.max(parseInt(q.limit || '20', 10), 1), 100);
+
 app.get('/api/sacco/activity', requireUser, async (req, res) => {
   try {
-    const sbr = getSbFor(req);
-    const saccoId = req.query.sacco_id || null;
-    const limit = Math.min(Math.max(parseInt(req.query.limit || '20', 10), 1), 100);
     const cursor = req.query.cursor || null; // ISO timestamp keyset
-    let txq = sbr.from('transactions').select('id, sacco_id, created_at, fare_amount_kes, status').order('created_at', { ascending: false }).limit(limit);
-    let leq = sbr.from('ledger_entries').select('id, sacco_id, created_at, amount_kes, type').order('created_at', { ascending: false }).limit(limit);
-    if (saccoId) {
-      txq = txq.eq('sacco_id', saccoId);
-      leq = leq.eq('sacco_id', saccoId);
-    }
-    if (cursor) {
-      txq = txq.lt('created_at', cursor);
-      leq = leq.lt('created_at', cursor);
-    }
-    const [tx, le] = await Promise.all([txq, leq]);
-    if (tx.error) return res.status(500).json({ error: String(tx.error.message || tx.error) });
-    if (le.error) return res.status(500).json({ error: String(le.error.message || le.error) });
-    const events = [
-      ...(tx.data || []).map((r) => ({ kind: 'TX', id: r.id, sacco_id: r.sacco_id, created_at: r.created_at, amount_kes: r.fare_amount_kes, status: r.status })),
-      ...(le.data || []).map((r) => ({ kind: 'FEE', id: r.id, sacco_id: r.sacco_id, created_at: r.created_at, amount_kes: r.amount_kes, type: r.type })),
-    ]
-      .sort((a, b) => (a.created_at > b.created_at ? -1 : 1))
-      .slice(0, limit);
-    const next_cursor = events.length ? events[events.length - 1].created_at : null;
-    res.json({ events, next_cursor });
+    res.json(await activityFeed(getSbFor(req), { saccoId: req.query.sacco_id || null, limit: activityLimit(req.query), cursor }));
   } catch (e) {
     res.status(500).json({ error: String(e.message || e) });
   }
 });
 
 // =======================
-// Taxi & Boda minimal endpoints for UI (in-memory store)
+// Member space (/u): the caller's RLS client, membership checked up front
 // =======================
-const _mem = {
-  taxi: { cash: [], expenses: [] },
-  boda: { cash: [], expenses: [] },
-};
-function _todayStr(d = new Date()) { return d.toISOString().slice(0, 10); }
-function _isSameDay(iso, day) { return String(iso || '').slice(0, 10) === day; }
-function _mkRow(kind, body) {
-  return {
-    id: randomUUID(),
-    kind,
-    amount: round2(body.amount),
-    name: (body.name || '').trim() || null,
-    phone: (body.phone || '').trim() || null,
-    category: (body.category || '').trim() || null,
-    notes: (body.notes || '').trim() || null,
-    created_at: new Date().toISOString(),
-  };
+app.get('/u/my-saccos', requireUser, async (req, res) => {
+  try {
+    const { data, error } = await getSbFor(req)
+      .from('sacco_users')
+      .select('sacco_id, role, saccos(name, default_till)')
+      .eq('user_id', req.user.id);
+    if (error) throw error;
+    const items = (data || []).map((r) => ({ sacco_id: r.sacco_id, role: r.role, name: r.saccos?.name || '', default_till: r.saccos?.default_till || null }));
+    res.json({ items });
+  } catch (e) {
+    res.status(500).json({ error: e.message });
+  }
+});
+
+app.get('/u/sacco/:saccoId/summary', requireUser, requireSaccoMember, async (req, res) => {
+  try {
+    const { from, to } = parseRange(req.query, await saccoBusinessDay(req.params.saccoId));
+    const sbr = getSbFor(req);
+    const rows = [];
+    for (let offset = 0; ; offset += LEDGER_PAGE) {
+      const { data, error } = await sbr
+        .from('ledger_entries')
+        .select('id,type,amount_kes')
+        .eq('sacco_id', req.params.saccoId)
+        .gte('created_at', from)
+        .lt('created_at', to)
+        .order('id', { ascending: true })
+        .range(offset, offset + LEDGER_PAGE - 1);
+      if (error) throw error;
+      rows.push(...(data || []));
+      if (!data || data.length < LEDGER_PAGE) break;
+    }
+    res.json({ range: { from, to }, totals: ledgerTotals(rows) });
+  } catch (e) {
+    res.status(500).json({ error: e.message });
+  }
+});
+
+// ?status&matatu_id&date|from&to (optional) &limit=50 (max 200) &offset
+app.get('/u/sacco/:saccoId/transactions', requireUser, requireSaccoMember, async (req, res) => {
+  try {
+    const { status, matatu_id } = req.query;
+    const limit = Math.min(Math.max(parseInt(req.query.limit || '50', 10), 1), 200);
+    const offset = Math.max(parseInt(req.query.offset || '0', 10), 0);
+    let q = getSbFor(req)
+      .from('transactions')
+      .select('id,matatu_id,passenger_msisdn,fare_amount_kes,service_fee_kes,status,mpesa_receipt,created_at', { count: 'exact' })
+      .eq('sacco_id', req.params.saccoId)
+      .order('created_at', { ascending: false })
+      .range(offset, offset + limit - 1);
+    if (status) q = q.eq('status', String(status).toUpperCase());
+    if (matatu_id) q = q.eq('matatu_id', matatu_id);
+    if (req.query.date || req.query.from || req.query.to) {
+      const { from, to } = parseRange(req.query, await saccoBusinessDay(req.params.saccoId));
+      q = q.gte('created_at', from).lt('created_at', to);
+    }
+    const { data, error, count } = await q;
+    if (error) throw error;
+    res.json({ items: maskRows(data || [], req.saccoRole), count: count || 0 });
+  } catch (e) {
+    res.status(500).json({ error: e.message });
+  }
+});
+
+app.get('/u/sacco/:saccoId/matatus', requireUser, requireSaccoMember, async (req, res) => {
+  try {
+    const { data, error } = await getSbFor(req)
+      .from('matatus')
+      .select('id,number_plate,owner_name,owner_phone,vehicle_type,tlb_number,till_number,route,created_at')
+      .eq('sacco_id', req.params.saccoId)
+      .order('created_at', { ascending: false });
+    if (error) throw error;
+    res.json({ items: data || [] });
+  } catch (e) {
+    res.status(500).json({ error: e.message });
+  }
+});
+
+app.get('/u/sacco/:saccoId/cashiers', requireUser, requireSaccoMember, async (req, res) => {
+  try {
+    const { data, error } = await getSbFor(req)
+      .from('cashiers')
+      .select('id,name,phone,ussd_code,matatu_id,active,created_at')
+      .eq('sacco_id', req.params.saccoId)
+      .order('created_at', { ascending: false });
+    if (error) throw error;
+    res.json({ items: data || [] });
+  } catch (e) {
+    res.status(500).json({ error: e.message });
+  }
+});
+
+app.get('/u/sacco/:saccoId/activity', requireUser, requireSaccoMember, async (req, res) => {
+  try {
+    const cursor = req.query.cursor || null;
+    res.json(await activityFeed(getSbFor(req), { saccoId: req.params.saccoId, limit: activityLimit(req.query), cursor }));
+  } catch (e) {
+    res.status(500).json({ error: String(e.message || e) });
+  }
+});
+
+// =======================
+// Taxi & Boda cashbooks (simple_cashbook, one book per rider via RLS)
+// =======================
+const CASHBOOK_KINDS = { cash: 'CASH', expenses: 'EXPENSE' };
+const CASHBOOK_COLUMNS = 'id, namespace, kind, amount, name, phone, category, notes, created_at, updated_at';
+const _trimOrNull = (v) => (v === undefined || v === null ? null : String(v).trim() || null);
+// Editable fields only; the boda UI posts the payer as payer_name
+function _cashbookFields(body, { partial = false } = {}) {
+  const out = {};
+  if (!partial || body.amount !== undefined) {
+    const amount = Number(body.amount);
+    if (!Number.isFinite(amount) || amount < 0) throw new Error('numeric amount required');
+    out.amount = round2(amount);
+  }
+  const name = body.name !== undefined ? body.name : body.payer_name;
+  if (!partial || name !== undefined) out.name = _trimOrNull(name);
+  for (const k of ['phone', 'category', 'notes']) {
+    if (!partial || body[k] !== undefined) out[k] = _trimOrNull(body[k]);
+  }
+  return out;
 }
-function _bindSimpleBook(namespace) {
-  const book = _mem[namespace];
+const _cashbookRow = (r) => ({ ...r, amount: Number(r.amount), payer_name: r.name });
 
-  app.get(`/api/${namespace}/cash`, requireUser, async (req, res) => {
-    const limit = Math.min(Math.max(parseInt(req.query.limit || '20', 10), 1), 200);
-    const day = (req.query.date || _todayStr()).slice(0, 10);
-    const rows = book.cash.filter(r => _isSameDay(r.created_at, day)).slice(-limit).reverse();
-    res.json({ items: rows });
-  });
+function _bindSimpleBook(namespace) {
+  for (const [path, kind] of Object.entries(CASHBOOK_KINDS)) {
+    app.get(`/api/${namespace}/${path}`, requireUser, async (req, res) => {
+      try {
+        const limit = Math.min(Math.max(parseInt(req.query.limit || '20', 10), 1), 200);
+        const { from, to } = parseRange(req.query);
+        const { data, error } = await getSbFor(req)
+          .from('simple_cashbook')
+          .select(CASHBOOK_COLUMNS)
+          .eq('namespace', namespace)
+          .eq('kind', kind)
+          .eq('created_by', req.user.id)
+          .gte('created_at', from)
+          .lt('created_at', to)
+          .order('created_at', { ascending: false })
+          .limit(limit);
+        if (error) throw error;
+        res.json({ items: (data || []).map(_cashbookRow) });
+      } catch (e) { res.status(500).json({ success: false, error: sanitizeErr(e) }); }
+    });
 
-  app.get(`/api/${namespace}/expenses`, requireUser, async (req, res) => {
-    const limit = Math.min(Math.max(parseInt(req.query.limit || '20', 10), 1), 200);
-    const day = (req.query.date || _todayStr()).slice(0, 10);
-    const rows = book.expenses.filter(r => _isSameDay(r.created_at, day)).slice(-limit).reverse();
-    res.json({ items: rows });
-  });
+    app.post(`/api/${namespace}/${path}`, requireUser, writeLimiter, idempotent, async (req, res) => {
+      let fields;
+      try { fields = _cashbookFields(req.body || {}); } catch (e) { return res.status(422).json({ success: false, error: e.message }); }
+      try {
+        const { data, error } = await getSbFor(req)
+          .from('simple_cashbook')
+          .insert({ ...fields, namespace, kind, created_by: req.user.id })
+          .select(CASHBOOK_COLUMNS)
+          .single();
+        if (error) return res.status(403).json({ success: false, error: error.message || String(error) });
+        res.json({ success: true, item: _cashbookRow(data) });
+      } catch (e) { res.status(500).json({ success: false, error: sanitizeErr(e) }); }
+    });
 
-  app.get(`/api/${namespace}/summary`, requireUser, async (req, res) => {
-    const day = (req.query.date || _todayStr()).slice(0, 10);
-    const cash = book.cash.filter(r => _isSameDay(r.created_at, day)).reduce((a, r) => a + Number(r.amount || 0), 0);
-    const expenses = book.expenses.filter(r => _isSameDay(r.created_at, day)).reduce((a, r) => a + Number(r.amount || 0), 0);
-    res.json({ date: day, cash: round2(cash), expenses: round2(expenses), net: round2(cash - expenses) });
-  });
+    app.patch(`/api/${namespace}/${path}/:id`, requireUser, writeLimiter, async (req, res) => {
+      let fields;
+      try { fields = _cashbookFields(req.body || {}, { partial: true }); } catch (e) { return res.status(422).json({ success: false, error: e.message }); }
+      if (!Object.keys(fields).length) return res.status(400).json({ success: false, error: 'nothing to update' });
+      try {
+        const { data, error } = await getSbFor(req)
+          .from('simple_cashbook')
+          .update({ ...fields, updated_at: new Date().toISOString() })
+          .eq('id', req.params.id)
+          .eq('namespace', namespace)
+          .eq('kind', kind)
+          .eq('created_by', req.user.id)
+          .select(CASHBOOK_COLUMNS);
+        if (error) return res.status(403).json({ success: false, error: error.message || String(error) });
+        if (!data || !data.length) return res.status(404).json({ success: false, error: 'entry not found' });
+        res.json({ success: true, item: _cashbookRow(data[0]) });
+      } catch (e) { res.status(500).json({ success: false, error: sanitizeErr(e) }); }
+    });
 
-  app.post(`/api/${namespace}/cash`, requireUser, writeLimiter, async (req, res) => {
-    try {
-      const { amount } = req.body || {};
-      if (!Number.isFinite(Number(amount))) return res.status(422).json({ success: false, error: 'numeric amount required' });
-      const row = _mkRow('CASH', req.body || {});
-      book.cash.push(row);
-      // TODO: persist into Supabase: `${namespace}_cash` table
-      res.json({ success: true, item: row });
-    } catch (e) { res.status(500).json({ success: false, error: sanitizeErr(e) }); }
-  });
+    app.delete(`/api/${namespace}/${path}/:id`, requireUser, writeLimiter, async (req, res) => {
+      try {
+        const { data, error } = await getSbFor(req)
+          .from('simple_cashbook')
+          .delete()
+          .eq('id', req.params.id)
+          .eq('namespace', namespace)
+          .eq('kind', kind)
+          .eq('created_by', req.user.id)
+          .select('id');
+        if (error) return res.status(403).json({ success: false, error: error.message || String(error) });
+        if (!data || !data.length) return res.status(404).json({ success: false, error: 'entry not found' });
+        res.json({ success: true, id: data[0].id });
+      } catch (e) { res.status(500).json({ success: false, error: sanitizeErr(e) }); }
+    });
+  }
 
-  app.post(`/api/${namespace}/expenses`, requireUser, writeLimiter, async (req, res) => {
+  // ?date=YYYY-MM-DD (default today) or ?from&to → totals plus one row per day with entries
+  app.get(`/api/${namespace}/summary`, requireUser, async (req, res) => {
     try {
-      const { amount } = req.body || {};
-      if (!Number.isFinite(Number(amount))) return res.status(422).json({ success: false, error: 'numeric amount required' });
-      const row = _mkRow('EXPENSE', req.body || {});
-      book.expenses.push(row);
-      // TODO: persist into Supabase: `${namespace}_expenses` table
-      res.json({ success: true, item: row });
+      const { from, to } = parseRange(req.query);
+      const sbr = getSbFor(req);
+      const byDay = new Map();
+      let cash = 0;
+      let expenses = 0;
+      for (let offset = 0; ; offset += LEDGER_PAGE) {
+        const { data, error } = await sbr
+          .from('simple_cashbook')
+          .select('kind, amount, created_at')
+          .eq('namespace', namespace)
+          .eq('created_by', req.user.id)
+          .gte('created_at', from)
+          .lt('created_at', to)
+          .order('created_at', { ascending: true })
+          .range(offset, offset + LEDGER_PAGE - 1);
+        if (error) throw error;
+        for (const r of data || []) {
+          const day = businessDate(r.created_at);
+          const d = byDay.get(day) || { date: day, cash: 0, expenses: 0 };
+          const amt = Number(r.amount || 0);
+          if (r.kind === 'CASH') { d.cash += amt; cash += amt; } else { d.expenses += amt; expenses += amt; }
+          byDay.set(day, d);
+        }
+        if (!data || data.length < LEDGER_PAGE) break;
+      }
+      const days = [...byDay.values()].map((d) => ({ date: d.date, cash: round2(d.cash), expenses: round2(d.expenses), net: round2(d.cash - d.expenses) }));
+      res.json({
+        date: req.query.from || req.query.to ? null : businessDate(from),
+        from,
+        to,
+        cash: round2(cash),
+        expenses: round2(expenses),
+        net: round2(cash - expenses),
+        days,
+      });
     } catch (e) { res.status(500).json({ success: false, error: sanitizeErr(e) }); }
   });
 }
@@ -1536,12 +4996,38 @@ app.use((err, req, res, _next) => {
   });
 });
 
+// ---- Callback secrets: in production a callback or gateway is refused while its secret is unset ----
+if (NODE_ENV === 'production') {
+  for (const name of ['DARAJA_CALLBACK_TOKEN', 'USSD_GATEWAY_TOKEN']) {
+    if (!process.env[name]) console.error(`[ENV] ${name} is not set; requests that need it are refused until it is`);
+  }
+}
+
 // ---- Start server locally; Vercel will import the app ----
-if (!process.env.VERCEL) {
+// Scripts (e.g. scripts/sweep-pending.js) require this file for its jobs without starting a listener.
+if (!process.env.VERCEL && require.main === module) {
   app.listen(PORT, () => {
     console.log(`[TekeTeke] Listening on :${PORT}`);
     console.log('[ENV] URL:', !!SUPABASE_URL, 'ANON:', !!SUPABASE_ANON_KEY, 'SRV:', !!SUPABASE_SERVICE_ROLE);
   });
+  if (PENDING_SWEEP_INTERVAL_MS > 0) {
+    setInterval(runPendingSweep, PENDING_SWEEP_INTERVAL_MS).unref();
+  }
 }
 
 module.exports = app;
+module.exports.sweepPendingTransactions = sweepPendingTransactions;
+module.exports.idempotent = idempotent;
+// Pure helpers, exported for test/
+Object.assign(module.exports, {
+  canonicalJson,
+  businessDate,
+  startOfDayISO,
+  endOfDayISO,
+  parseRange,
+  normalizeFeeRules,
+  feeRuleMatches,
+  computeSplits,
+  digitalRoot,
+  parseUssdCode,
+});
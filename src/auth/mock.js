@@ -0,0 +1,429 @@
+// Local Supabase Auth (GoTrue) stand-in: the /auth/v1 calls TekeTeke makes, with an email outbox instead of SMTP.
+// Phone OTPs go to the Send SMS hook when MOCK_AUTH_SMS_HOOK_URL is set (like Supabase's hook), else to the outbox.
+// Everything outside /auth/v1 is forwarded to `upstream` (MOCK_AUTH_UPSTREAM) so PostgREST still works.
+const express = require('express');
+const jwt = require('jsonwebtoken');
+const { randomUUID, randomBytes, randomInt, createHash } = require('crypto');
+const { signWebhook } = require('./webhook');
+
+function createMockAuth(opts = {}) {
+  const app = express();
+  const jwtSecret = opts.jwtSecret || process.env.SUPABASE_JWT_SECRET || 'mock-jwt-secret';
+  const accessTtl = () => Number(opts.accessTtlSeconds ?? process.env.MOCK_AUTH_ACCESS_TTL_S ?? 3600);
+  // 1 (default): signups get a session straight away; 0: they must click the confirmation mail first
+  const autoConfirm = () => String(opts.autoConfirm ?? process.env.MOCK_AUTH_AUTOCONFIRM ?? '1') !== '0';
+  const upstream = String(opts.upstream ?? process.env.MOCK_AUTH_UPSTREAM ?? '').replace(/\/+$/, '');
+  const smsHookUrl = () => opts.smsHookUrl ?? process.env.MOCK_AUTH_SMS_HOOK_URL ?? '';
+  const smsHookSecret = () => opts.smsHookSecret ?? process.env.MOCK_AUTH_SMS_HOOK_SECRET ?? process.env.SEND_SMS_HOOK_SECRET ?? '';
+
+  const state = {
+    users: new Map(), // id → user (password stored as sha256; this is a test double)
+    sessions: new Map(), // session id → { user_id }
+    refresh: new Map(), // refresh token → { session_id, used }
+    links: new Map(), // token hash → { type, user_id, email, expires }
+    otps: new Map(), // `${type}:${phone}` → { code, user_id, expires }
+    outbox: [],
+    opts,
+  };
+  const hashPw = (pw) => createHash('sha256').update(String(pw)).digest('hex');
+  const now = () => new Date().toISOString();
+  const byEmail = (email) => [...state.users.values()].find((u) => u.email && u.email === String(email || '').trim().toLowerCase()) || null;
+  // GoTrue stores phones as digits only (2547XXXXXXXX)
+  const digits = (phone) => String(phone || '').replace(/\D/g, '');
+  const byPhone = (phone) => [...state.users.values()].find((u) => u.phone && u.phone === digits(phone)) || null;
+
+  function fail(res, status, error_code, msg) {
+    return res.status(status).json({ code: status, error_code, msg });
+  }
+
+  function publicUser(u) {
+    return {
+      id: u.id,
+      aud: 'authenticated',
+      role: 'authenticated',
+      email: u.email || '',
+      email_confirmed_at: u.email_confirmed_at,
+      new_email: u.new_email || undefined,
+      phone: u.phone || '',
+      phone_confirmed_at: u.phone_confirmed_at || null,
+      phone_change: u.phone_change || undefined,
+      created_at: u.created_at,
+      updated_at: u.updated_at,
+      app_metadata: { provider: u.email ? 'email' : 'phone', providers: [u.email ? 'email' : 'phone'] },
+      user_metadata: u.user_metadata || {},
+      identities: [{ id: u.id, provider: u.email ? 'email' : 'phone' }],
+    };
+  }
+
+  function createUser({ email, phone, password, confirmed, user_metadata }) {
+    const u = {
+      id: randomUUID(),
+      email: email ? String(email).trim().toLowerCase() : null,
+      phone: phone ? digits(phone) : null,
+      password: password ? hashPw(password) : null,
+      email_confirmed_at: confirmed && email ? now() : null,
+      phone_confirmed_at: confirmed && phone ? now() : null,
+      new_email: null,
+      phone_change: null,
+      user_metadata: user_metadata || {},
+      created_at: now(),
+      updated_at: now(),
+    };
+    state.users.set(u.id, u);
+    return u;
+  }
+
+  function issueSession(u, sessionId = randomUUID()) {
+    state.sessions.set(sessionId, { user_id: u.id });
+    const refresh_token = randomBytes(16).toString('hex');
+    state.refresh.set(refresh_token, { session_id: sessionId, used: false });
+    const expires_in = accessTtl();
+    const access_token = jwt.sign(
+      { sub: u.id, email: u.email || '', phone: u.phone || '', aud: 'authenticated', role: 'authenticated', session_id: sessionId },
+      jwtSecret,
+      { expiresIn: expires_in }
+    );
+    return {
+      access_token,
+      token_type: 'bearer',
+      expires_in,
+      expires_at: Math.floor(Date.now() / 1000) + expires_in,
+      refresh_token,
+      user: publicUser(u),
+    };
+  }
+
+  function endSessions(userId, keepSessionId = null) {
+    for (const [id, s] of state.sessions) if (s.user_id === userId && id !== keepSessionId) state.sessions.delete(id);
+  }
+
+  // Bearer JWT → { user, claims } when the token verifies and its session is still alive
+  function bearer(req) {
+    const auth = String(req.headers.authorization || '');
+    if (!auth.startsWith('Bearer ')) return null;
+    try {
+      const claims = jwt.verify(auth.slice(7), jwtSecret);
+      const user = state.users.get(claims.sub);
+      if (!user || (claims.session_id && !state.sessions.has(claims.session_id))) return null;
+      return { user, claims };
+    } catch {
+      return null;
+    }
+  }
+
+  function sendMail(req, u, type, to) {
+    const token_hash = randomBytes(20).toString('hex');
+    state.links.set(token_hash, { type, user_id: u.id, email: to, expires: Date.now() + 60 * 60 * 1000 });
+    const base = String(opts.publicUrl || `${req.protocol}://${req.headers.host}`).replace(/\/+$/, '');
+    const redirect = req.query.redirect_to ? `&redirect_to=${encodeURIComponent(req.query.redirect_to)}` : '';
+    const mail = {
+      id: state.outbox.length + 1,
+      to,
+      type,
+      token_hash,
+      link: `${base}/auth/v1/verify?token=${token_hash}&type=${type}${redirect}`,
+      redirect_to: req.query.redirect_to || null,
+      sent_at: now(),
+    };
+    state.outbox.push(mail);
+    console.log(`[mock-auth] ${type} mail to ${to}: ${mail.link}`);
+    return mail;
+  }
+
+  // Apply a mailed link; returns the user or null when unknown/expired/used
+  function consumeLink(tokenHash, type) {
+    const link = state.links.get(String(tokenHash || ''));
+    if (!link || link.expires < Date.now()) return null;
+    const want = type === 'email' ? ['signup', 'email', 'magiclink'] : [type];
+    if (!want.includes(link.type)) return null;
+    state.links.delete(tokenHash);
+    const u = state.users.get(link.user_id);
+    if (!u) return null;
+    if (link.type === 'email_change') {
+      u.email = link.email;
+      u.new_email = null;
+    }
+    if (!u.email_confirmed_at) u.email_confirmed_at = now();
+    u.updated_at = now();
+    return u;
+  }
+
+  // 6-digit code for sms (login) or phone_change; → false when the hook refused it
+  async function sendOtp(u, type, phone) {
+    const code = String(randomInt(0, 1e6)).padStart(6, '0');
+    state.otps.set(`${type}:${phone}`, { code, user_id: u.id, expires: Date.now() + 5 * 60 * 1000 });
+    const url = smsHookUrl();
+    if (!url) {
+      state.outbox.push({ id: state.outbox.length + 1, to: phone, type, otp: code, sent_at: now() });
+      console.log(`[mock-auth] ${type} code for ${phone}: ${code}`);
+      return true;
+    }
+    const body = JSON.stringify({ user: publicUser(u), sms: { otp: code } });
+    const id = `msg_${randomUUID()}`;
+    const timestamp = String(Math.floor(Date.now() / 1000));
+    try {
+      const r = await fetch(url, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          'webhook-id': id,
+          'webhook-timestamp': timestamp,
+          'webhook-signature': signWebhook(smsHookSecret(), { id, timestamp, body }),
+        },
+        body,
+      });
+      return r.ok;
+    } catch (e) {
+      console.warn('[mock-auth] sms hook failed:', e.message || e);
+      return false;
+    }
+  }
+
+  function consumeOtp(type, phone, code) {
+    const key = `${type}:${digits(phone)}`;
+    const otp = state.otps.get(key);
+    if (!otp || otp.expires < Date.now() || otp.code !== String(code || '')) return null;
+    state.otps.delete(key);
+    const u = state.users.get(otp.user_id);
+    if (!u) return null;
+    if (type === 'phone_change') {
+      u.phone = u.phone_change;
+      u.phone_change = null;
+    }
+    u.phone_confirmed_at = u.phone_confirmed_at || now();
+    u.updated_at = now();
+    return u;
+  }
+
+  function requireServiceKey(req, res, next) {
+    const key = opts.serviceKey || process.env.MOCK_AUTH_SERVICE_KEY || '';
+    const auth = String(req.headers.authorization || '');
+    if (key && auth !== `Bearer ${key}`) return fail(res, 403, 'not_admin', 'User not allowed');
+    next();
+  }
+
+  // ---- passthrough for everything that is not auth ----
+  if (upstream) {
+    app.use(async (req, res, next) => {
+      if (req.path.startsWith('/auth/v1/') || req.path.startsWith('/__mock/')) return next();
+      try {
+        const chunks = [];
+        for await (const c of req) chunks.push(c);
+        const headers = { ...req.headers };
+        delete headers.host;
+        delete headers['content-length'];
+        const r = await fetch(`${upstream}${req.originalUrl}`, {
+          method: req.method,
+          headers,
+          body: ['GET', 'HEAD'].includes(req.method) ? undefined : Buffer.concat(chunks),
+        });
+        res.status(r.status);
+        r.headers.forEach((v, k) => {
+          if (!['content-encoding', 'content-length', 'transfer-encoding', 'connection'].includes(k)) res.setHeader(k, v);
+        });
+        res.send(Buffer.from(await r.arrayBuffer()));
+      } catch (e) {
+        res.status(502).json({ error: `upstream unreachable: ${e.message || e}` });
+      }
+    });
+  }
+  app.use(express.json({ limit: '256kb' }));
+
+  app.get('/auth/v1/health', (_req, res) => res.json({ name: 'mock-gotrue', description: 'TekeTeke local auth stand-in' }));
+  app.get('/auth/v1/settings', (_req, res) => res.json({ external: { email: true, phone: false }, mailer_autoconfirm: autoConfirm() }));
+
+  app.post('/auth/v1/signup', (req, res) => {
+    const { email, password, data } = req.body || {};
+    if (!email || !password) return fail(res, 422, 'validation_failed', 'Signup requires a valid password');
+    if (String(password).length < 6) return fail(res, 422, 'weak_password', 'Password should be at least 6 characters.');
+    if (byEmail(email)) return fail(res, 422, 'user_already_exists', 'User already registered');
+    const u = createUser({ email, password, confirmed: autoConfirm(), user_metadata: data });
+    if (autoConfirm()) return res.json(issueSession(u));
+    sendMail(req, u, 'signup', u.email);
+    res.json(publicUser(u));
+  });
+
+  app.post('/auth/v1/token', (req, res) => {
+    const grant = req.query.grant_type;
+    if (grant === 'password') {
+      const u = byEmail(req.body?.email);
+      if (!u || !u.password || u.password !== hashPw(req.body?.password || '')) {
+        return fail(res, 400, 'invalid_credentials', 'Invalid login credentials');
+      }
+      if (!u.email_confirmed_at) return fail(res, 400, 'email_not_confirmed', 'Email not confirmed');
+      return res.json(issueSession(u));
+    }
+    if (grant === 'refresh_token') {
+      const rt = state.refresh.get(String(req.body?.refresh_token || ''));
+      const sess = rt && state.sessions.get(rt.session_id);
+      if (!rt || rt.used || !sess) return fail(res, 400, 'refresh_token_not_found', 'Invalid Refresh Token: Refresh Token Not Found');
+      rt.used = true;
+      const u = state.users.get(sess.user_id);
+      if (!u) return fail(res, 400, 'user_not_found', 'User not found');
+      return res.json(issueSession(u, rt.session_id));
+    }
+    return fail(res, 400, 'unsupported_grant_type', `unsupported grant_type ${grant}`);
+  });
+
+  // scope: local (default) | global | others
+  app.post('/auth/v1/logout', (req, res) => {
+    const who = bearer(req);
+    if (!who) return fail(res, 401, 'no_authorization', 'This endpoint requires a valid Bearer token');
+    const scope = req.query.scope || 'local';
+    if (scope === 'local') state.sessions.delete(who.claims.session_id);
+    else endSessions(who.user.id, scope === 'others' ? who.claims.session_id : null);
+    res.status(204).end();
+  });
+
+  // Phone sign-in: { phone, create_user } (email magic links are not mocked)
+  app.post('/auth/v1/otp', async (req, res) => {
+    const phone = digits(req.body?.phone);
+    if (!phone) return fail(res, 422, 'validation_failed', 'Only phone OTP is supported by the mock');
+    let u = byPhone(phone);
+    if (!u) {
+      if (req.body?.create_user === false) return fail(res, 422, 'otp_disabled', 'Signups not allowed for otp');
+      u = createUser({ phone, user_metadata: req.body?.data });
+    }
+    if (!(await sendOtp(u, 'sms', phone))) return fail(res, 500, 'sms_send_failed', 'Error sending sms OTP');
+    res.json({});
+  });
+
+  app.post('/auth/v1/recover', (req, res) => {
+    const u = byEmail(req.body?.email);
+    if (u) sendMail(req, u, 'recovery', u.email);
+    res.json({});
+  });
+
+  // Clicked link: apply it, then bounce to redirect_to with the session in the fragment (like GoTrue's implicit flow)
+  app.get('/auth/v1/verify', (req, res) => {
+    const type = String(req.query.type || '');
+    const u = consumeLink(req.query.token, type);
+    const to = String(req.query.redirect_to || '');
+    if (!u) {
+      const err = 'error=access_denied&error_code=otp_expired&error_description=Email+link+is+invalid+or+has+expired';
+      return to ? res.redirect(303, `${to}#${err}`) : fail(res, 403, 'otp_expired', 'Email link is invalid or has expired');
+    }
+    const s = issueSession(u);
+    const frag = new URLSearchParams({
+      access_token: s.access_token,
+      refresh_token: s.refresh_token,
+      expires_in: String(s.expires_in),
+      expires_at: String(s.expires_at),
+      token_type: 'bearer',
+      type,
+    });
+    return to ? res.redirect(303, `${to}#${frag}`) : res.json(s);
+  });
+
+  app.post('/auth/v1/verify', (req, res) => {
+    const { type, token_hash, phone, token } = req.body || {};
+    const u = phone ? consumeOtp(String(type || ''), phone, token) : consumeLink(token_hash, String(type || ''));
+    if (!u) return fail(res, 403, 'otp_expired', 'Token has expired or is invalid');
+    res.json(issueSession(u));
+  });
+
+  app.get('/auth/v1/user', (req, res) => {
+    const who = bearer(req);
+    if (!who) return fail(res, 403, 'bad_jwt', 'invalid JWT: unable to parse or verify signature');
+    res.json(publicUser(who.user));
+  });
+
+  // Email changes are confirmed from the new address only (GoTrue's "secure email change" off)
+  app.put('/auth/v1/user', async (req, res) => {
+    const who = bearer(req);
+    if (!who) return fail(res, 403, 'bad_jwt', 'invalid JWT: unable to parse or verify signature');
+    const u = who.user;
+    const { email, phone, password, data } = req.body || {};
+    if (phone !== undefined) {
+      const next = digits(phone);
+      const other = byPhone(next);
+      if (other && other.id !== u.id) return fail(res, 422, 'phone_exists', 'A user with this phone number has already been registered');
+      if (next !== u.phone) {
+        u.phone_change = next;
+        if (!(await sendOtp(u, 'phone_change', next))) return fail(res, 500, 'sms_send_failed', 'Error sending phone change OTP');
+      }
+    }
+    if (password !== undefined) {
+      if (String(password).length < 6) return fail(res, 422, 'weak_password', 'Password should be at least 6 characters.');
+      if (u.password === hashPw(password)) return fail(res, 422, 'same_password', 'New password should be different from the old password.');
+      u.password = hashPw(password);
+    }
+    if (email !== undefined) {
+      const next = String(email).trim().toLowerCase();
+      const other = byEmail(next);
+      if (other && other.id !== u.id) return fail(res, 422, 'email_exists', 'A user with this email address has already been registered');
+      if (next !== u.email) {
+        u.new_email = next;
+        sendMail(req, u, 'email_change', next);
+      }
+    }
+    if (data) u.user_metadata = { ...u.user_metadata, ...data };
+    u.updated_at = now();
+    res.json(publicUser(u));
+  });
+
+  // ---- admin (service role) ----
+  app.get('/auth/v1/admin/users', requireServiceKey, (req, res) => {
+    const page = Math.max(Number(req.query.page) || 1, 1);
+    const perPage = Math.max(Number(req.query.per_page) || 50, 1);
+    const all = [...state.users.values()];
+    res.setHeader('x-total-count', String(all.length));
+    res.json({ aud: 'authenticated', users: all.slice((page - 1) * perPage, page * perPage).map(publicUser) });
+  });
+
+  app.post('/auth/v1/admin/users', requireServiceKey, (req, res) => {
+    const { email, phone, password, email_confirm, phone_confirm, user_metadata } = req.body || {};
+    if (!email && !phone) return fail(res, 422, 'validation_failed', 'email or phone required');
+    if (email && byEmail(email)) return fail(res, 422, 'email_exists', 'A user with this email address has already been registered');
+    if (phone && byPhone(phone)) return fail(res, 422, 'phone_exists', 'A user with this phone number has already been registered');
+    res.json(publicUser(createUser({ email, phone, password, confirmed: !!(email_confirm || phone_confirm), user_metadata })));
+  });
+
+  app.get('/auth/v1/admin/users/:id', requireServiceKey, (req, res) => {
+    const u = state.users.get(req.params.id);
+    if (!u) return fail(res, 404, 'user_not_found', 'User not found');
+    res.json(publicUser(u));
+  });
+
+  app.put('/auth/v1/admin/users/:id', requireServiceKey, (req, res) => {
+    const u = state.users.get(req.params.id);
+    if (!u) return fail(res, 404, 'user_not_found', 'User not found');
+    const { email, phone, password, email_confirm, phone_confirm, user_metadata } = req.body || {};
+    if (email) u.email = String(email).trim().toLowerCase();
+    if (phone) u.phone = digits(phone);
+    if (phone_confirm && !u.phone_confirmed_at) u.phone_confirmed_at = now();
+    if (password) u.password = hashPw(password);
+    if (email_confirm && !u.email_confirmed_at) u.email_confirmed_at = now();
+    if (user_metadata) u.user_metadata = { ...u.user_metadata, ...user_metadata };
+    u.updated_at = now();
+    res.json(publicUser(u));
+  });
+
+  app.post('/auth/v1/invite', requireServiceKey, (req, res) => {
+    const email = req.body?.email;
+    if (!email) return fail(res, 422, 'validation_failed', 'email required');
+    if (byEmail(email)) return fail(res, 422, 'email_exists', 'A user with this email address has already been registered');
+    const u = createUser({ email, confirmed: false, user_metadata: req.body?.data });
+    sendMail(req, u, 'invite', u.email);
+    res.json(publicUser(u));
+  });
+
+  // ---- test helpers ----
+  // ?to= filters by recipient (email, or phone digits), ?type= by signup | recovery | email_change | invite | sms | phone_change
+  app.get('/__mock/outbox', (req, res) => {
+    let items = state.outbox;
+    if (req.query.to) items = items.filter((m) => m.to === String(req.query.to).toLowerCase() || m.to === digits(req.query.to));
+    if (req.query.type) items = items.filter((m) => m.type === req.query.type);
+    res.json({ items });
+  });
+  app.delete('/__mock/outbox', (_req, res) => {
+    state.outbox.length = 0;
+    res.json({ ok: true });
+  });
+  app.get('/__mock/users', (_req, res) => res.json({ items: [...state.users.values()].map(publicUser) }));
+
+  app.locals.state = state;
+  return app;
+}
+
+module.exports = { createMockAuth };
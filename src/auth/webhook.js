@@ -0,0 +1,30 @@
+// Standard Webhooks signing, as used by Supabase Auth hooks (Send SMS hook).
+// Secret format: v1,whsec_<base64 key>; header webhook-signature: "v1,<base64 hmac>" (space separated when rotated).
+const { createHmac, timingSafeEqual } = require('crypto');
+
+const TOLERANCE_S = 5 * 60;
+
+function hookKey(secret) {
+  const raw = String(secret || '').replace(/^v1,/, '').replace(/^whsec_/, '');
+  return Buffer.from(raw, 'base64');
+}
+
+function signWebhook(secret, { id, timestamp, body }) {
+  return 'v1,' + createHmac('sha256', hookKey(secret)).update(`${id}.${timestamp}.${body}`).digest('base64');
+}
+
+// headers: lower-cased request headers; body: the raw request body string
+function verifyWebhook(secret, headers, body, now = Date.now()) {
+  const id = headers['webhook-id'];
+  const timestamp = headers['webhook-timestamp'];
+  const sigs = String(headers['webhook-signature'] || '').split(' ');
+  if (!secret || !id || !timestamp || !sigs[0]) return false;
+  if (Math.abs(now / 1000 - Number(timestamp)) > TOLERANCE_S) return false;
+  const want = Buffer.from(signWebhook(secret, { id, timestamp, body }));
+  return sigs.some((s) => {
+    const got = Buffer.from(s);
+    return got.length === want.length && timingSafeEqual(got, want);
+  });
+}
+
+module.exports = { signWebhook, verifyWebhook };
@@ -0,0 +1,149 @@
+const { darajaConfig, getAccessToken, authedPost } = require('./stk');
+
+// B2C (business → customer) settings live apart from the STK paybill: payouts usually go out of a separate shortcode.
+function b2cConfig() {
+  const env = process.env;
+  return {
+    shortcode: env.DARAJA_B2C_SHORTCODE || darajaConfig().shortcode,
+    initiator: env.DARAJA_B2C_INITIATOR || '',
+    securityCredential: env.DARAJA_B2C_SECURITY_CREDENTIAL || '',
+    resultUrl: env.DARAJA_B2C_RESULT_URL || '',
+    timeoutUrl: env.DARAJA_B2C_TIMEOUT_URL || '',
+  };
+}
+
+// Errors say how far a request got: `sent: false` when nothing reached Safaricom (config, OAuth), `rejected: true`
+// when Safaricom refused it outright (4xx, or a non-zero ResponseCode). Any other error (5xx, dropped connection,
+// timeout) may have been acted on, so the disbursement's outcome is unknown until a callback or status query says.
+const notSent = (e) => Object.assign(e, { sent: false });
+
+async function b2cPost(path, body, { requestId }) {
+  try {
+    await getAccessToken({ requestId });
+  } catch (e) {
+    throw notSent(e);
+  }
+  let json;
+  try {
+    json = await authedPost(path, body, { requestId });
+  } catch (e) {
+    if (e.details && e.status >= 400 && e.status < 500) e.rejected = true;
+    throw e;
+  }
+  if (String(json?.ResponseCode) !== '0') {
+    const err = new Error(json?.errorMessage || json?.ResponseDescription || 'B2C request rejected');
+    err.status = 502;
+    err.details = json;
+    err.rejected = true;
+    throw err;
+  }
+  return json;
+}
+
+// Send one disbursement. originatorConversationId is ours (one per attempt) and comes back on the callbacks.
+async function b2cPayment({ msisdn, amount, originatorConversationId, remarks, occasion, resultUrl, timeoutUrl, requestId }) {
+  const cfg = b2cConfig();
+  if (!cfg.shortcode || !cfg.initiator || !cfg.securityCredential) {
+    throw notSent(new Error('Daraja B2C shortcode/initiator/security credential not configured'));
+  }
+  const result = resultUrl || cfg.resultUrl;
+  const timeout = timeoutUrl || cfg.timeoutUrl;
+  if (!result || !timeout) throw notSent(new Error('DARAJA_B2C_RESULT_URL / DARAJA_B2C_TIMEOUT_URL not configured'));
+  const json = await b2cPost(
+    '/mpesa/b2c/v3/paymentrequest',
+    {
+      OriginatorConversationID: originatorConversationId,
+      InitiatorName: cfg.initiator,
+      SecurityCredential: cfg.securityCredential,
+      CommandID: 'BusinessPayment',
+      Amount: Math.floor(Number(amount)),
+      PartyA: cfg.shortcode,
+      PartyB: msisdn,
+      Remarks: String(remarks || 'Payout').slice(0, 100),
+      QueueTimeOutURL: timeout,
+      ResultURL: result,
+      Occasion: String(occasion || '').slice(0, 100),
+    },
+    { requestId }
+  );
+  return {
+    conversationId: json.ConversationID || null,
+    originatorConversationId: json.OriginatorConversationID || originatorConversationId,
+    responseDescription: json.ResponseDescription || '',
+  };
+}
+
+// Transaction Status query for an earlier disbursement (by its OriginatorConversationID, or the receipt when known).
+// Asynchronous like the payment: the answer arrives on resultUrl (parseB2cStatusResult).
+async function b2cStatusQuery({ originatorConversationId, transactionId = null, resultUrl, timeoutUrl, requestId }) {
+  const cfg = b2cConfig();
+  if (!cfg.shortcode || !cfg.initiator || !cfg.securityCredential) {
+    throw notSent(new Error('Daraja B2C shortcode/initiator/security credential not configured'));
+  }
+  const json = await b2cPost(
+    '/mpesa/transactionstatus/v1/query',
+    {
+      Initiator: cfg.initiator,
+      SecurityCredential: cfg.securityCredential,
+      CommandID: 'TransactionStatusQuery',
+      TransactionID: transactionId || '',
+      OriginalConversationID: originatorConversationId,
+      PartyA: cfg.shortcode,
+      IdentifierType: '4',
+      ResultURL: resultUrl,
+      QueueTimeOutURL: timeoutUrl,
+      Remarks: 'Payout status',
+      Occasion: '',
+    },
+    { requestId }
+  );
+  return { conversationId: json.ConversationID || null };
+}
+
+function resultParams(r) {
+  const params = {};
+  const list = r.ResultParameters?.ResultParameter;
+  for (const it of Array.isArray(list) ? list : list ? [list] : []) {
+    if (it && it.Key) params[it.Key] = it.Value;
+  }
+  return params;
+}
+
+// Flatten { Result: { ..., ResultParameters: { ResultParameter: [...] } } }
+function parseB2cResult(body) {
+  const r = body?.Result;
+  if (!r || !r.OriginatorConversationID) return null;
+  const params = resultParams(r);
+  return {
+    originatorConversationId: r.OriginatorConversationID,
+    conversationId: r.ConversationID || null,
+    resultCode: Number(r.ResultCode),
+    resultDesc: r.ResultDesc || '',
+    transactionId: r.TransactionID || null,
+    amount: params.TransactionAmount !== undefined ? Number(params.TransactionAmount) : null,
+    receiver: params.ReceiverPartyPublicName || null,
+  };
+}
+
+// Transaction Status answer. resultCode 0 means the query itself worked; transactionStatus is the disbursement's state
+// ('Completed', 'Failed', ...). A non-zero code (incl. the query's own queue timeout) says nothing about the payment.
+function parseB2cStatusResult(body) {
+  const r = body?.Result;
+  if (!r || r.ResultCode === undefined) return null;
+  const params = resultParams(r);
+  return {
+    resultCode: Number(r.ResultCode),
+    resultDesc: r.ResultDesc || '',
+    transactionStatus: params.TransactionStatus != null ? String(params.TransactionStatus) : null,
+    receipt: params.ReceiptNo || r.TransactionID || null,
+    amount: params.Amount !== undefined ? Number(params.Amount) : null,
+  };
+}
+
+module.exports = {
+  b2cConfig,
+  b2cPayment,
+  b2cStatusQuery,
+  parseB2cResult,
+  parseB2cStatusResult,
+};
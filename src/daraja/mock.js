@@ -0,0 +1,247 @@
+// Local Daraja stand-in: enough of Safaricom's API surface to drive TekeTeke flows offline.
+const express = require('express');
+const { randomUUID } = require('crypto');
+
+function createMockDaraja(opts = {}) {
+  const tokens = new Set();
+  const app = express();
+  app.use(express.json({ limit: '256kb' }));
+
+  const state = { stk: new Map(), b2c: new Map(), opts };
+  // success | cancel | none (no callback, e.g. phone off) | error (prompt sent, then answered 500 — outcome unknown)
+  const stkResult = () => String(opts.stkResult || process.env.MOCK_STK_RESULT || 'success').toLowerCase();
+  // success | fail | timeout (QueueTimeOutURL fires) | none | error (accepted, then answered 500 — outcome unknown)
+  const b2cResult = () => String(opts.b2cResult || process.env.MOCK_B2C_RESULT || 'success').toLowerCase();
+  const callbackDelayMs = () => Number(opts.callbackDelayMs ?? process.env.MOCK_CALLBACK_DELAY_MS ?? 1500);
+
+  function stkCallbackBody(checkoutRequestId, resultCode) {
+    const rec = state.stk.get(checkoutRequestId);
+    const b = rec.body;
+    const cb = {
+      MerchantRequestID: rec.merchantRequestId,
+      CheckoutRequestID: checkoutRequestId,
+      ResultCode: resultCode,
+      ResultDesc: resultCode === 0 ? 'The service request is processed successfully.' : 'Request cancelled by user',
+    };
+    if (resultCode === 0) {
+      cb.CallbackMetadata = {
+        Item: [
+          { Name: 'Amount', Value: Number(b.Amount) },
+          { Name: 'MpesaReceiptNumber', Value: rec.receipt },
+          { Name: 'TransactionDate', Value: Number(b.Timestamp) },
+          { Name: 'PhoneNumber', Value: Number(b.PhoneNumber) },
+        ],
+      };
+    }
+    return { Body: { stkCallback: cb } };
+  }
+
+  async function fireStkCallback(checkoutRequestId, resultCode) {
+    const rec = state.stk.get(checkoutRequestId);
+    if (!rec) return;
+    rec.resultCode = resultCode;
+    try {
+      await fetch(rec.body.CallBackURL, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(stkCallbackBody(checkoutRequestId, resultCode)),
+      });
+    } catch (e) {
+      console.warn('[mock-daraja] callback failed:', e.message || e);
+    }
+  }
+
+  function mockReceipt() {
+    const abc = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ0123456789';
+    let r = 'T';
+    for (let i = 0; i < 9; i++) r += abc[Math.floor(Math.random() * abc.length)];
+    return r;
+  }
+
+  app.get('/oauth/v1/generate', (req, res) => {
+    const auth = String(req.headers.authorization || '');
+    if (!auth.startsWith('Basic ') || !Buffer.from(auth.slice(6), 'base64').toString().includes(':')) {
+      return res.status(400).json({ errorCode: '400.008.01', errorMessage: 'Invalid Authentication passed' });
+    }
+    const token = 'mock-' + randomUUID().replace(/-/g, '');
+    tokens.add(token);
+    res.json({ access_token: token, expires_in: '3599' });
+  });
+
+  function requireToken(req, res, next) {
+    const auth = String(req.headers.authorization || '');
+    if (!auth.startsWith('Bearer ') || !tokens.has(auth.slice(7))) {
+      return res.status(401).json({ errorCode: '404.001.03', errorMessage: 'Invalid Access Token' });
+    }
+    next();
+  }
+
+  app.post('/mpesa/stkpush/v1/processrequest', requireToken, (req, res) => {
+    const b = req.body || {};
+    const missing = ['BusinessShortCode', 'Password', 'Timestamp', 'Amount', 'PhoneNumber', 'CallBackURL'].filter((k) => !b[k]);
+    if (missing.length) {
+      return res.status(400).json({ errorCode: '400.002.02', errorMessage: `Bad Request - Invalid ${missing[0]}` });
+    }
+    const merchantRequestId = `${Date.now()}-mock`;
+    const checkoutRequestId = `ws_CO_${Date.now()}${Math.floor(Math.random() * 1e6)}`;
+    state.stk.set(checkoutRequestId, { merchantRequestId, body: b, receipt: mockReceipt(), resultCode: null, created_at: Date.now() });
+    const outcome = stkResult();
+    if (outcome === 'error') {
+      return res.status(500).json({ errorCode: '500.001.1001', errorMessage: 'System is busy. Please try again in few minutes.' });
+    }
+    if (outcome !== 'none') {
+      const timer = setTimeout(() => fireStkCallback(checkoutRequestId, outcome === 'cancel' ? 1032 : 0), callbackDelayMs());
+      if (timer.unref) timer.unref();
+    }
+    res.json({
+      MerchantRequestID: merchantRequestId,
+      CheckoutRequestID: checkoutRequestId,
+      ResponseCode: '0',
+      ResponseDescription: 'Success. Request accepted for processing',
+      CustomerMessage: 'Success. Request accepted for processing',
+    });
+  });
+
+  app.post('/mpesa/stkpushquery/v1/query', requireToken, (req, res) => {
+    const id = req.body?.CheckoutRequestID;
+    const rec = id && state.stk.get(id);
+    if (!rec) return res.status(400).json({ errorCode: '400.002.02', errorMessage: 'Bad Request - Invalid CheckoutRequestID' });
+    // No callback fired yet: report the handset as unreachable, like Safaricom does once the prompt expires
+    const code = rec.resultCode === null ? 1037 : rec.resultCode;
+    res.json({
+      ResponseCode: '0',
+      ResponseDescription: 'The service request has been accepted successsfully',
+      MerchantRequestID: rec.merchantRequestId,
+      CheckoutRequestID: id,
+      ResultCode: String(code),
+      ResultDesc: code === 0 ? 'The service request is processed successfully.' : code === 1037 ? 'DS timeout user cannot be reached' : 'Request cancelled by user',
+    });
+  });
+
+  // Manually settle a push (handy with MOCK_STK_RESULT=none): { result_code: 0 | 1032 | ... }
+  app.post('/__mock/stk/:checkoutRequestId/complete', async (req, res) => {
+    const id = req.params.checkoutRequestId;
+    if (!state.stk.has(id)) return res.status(404).json({ error: 'unknown CheckoutRequestID' });
+    await fireStkCallback(id, Number(req.body?.result_code ?? 0));
+    res.json({ ok: true });
+  });
+
+  function b2cResultBody(rec, resultCode) {
+    const r = {
+      ResultType: 0,
+      ResultCode: resultCode,
+      ResultDesc: resultCode === 0 ? 'The service request is processed successfully.' : 'The balance is insufficient for the transaction.',
+      OriginatorConversationID: rec.body.OriginatorConversationID,
+      ConversationID: rec.conversationId,
+      TransactionID: resultCode === 0 ? rec.receipt : null,
+    };
+    if (resultCode === 0) {
+      r.ResultParameters = {
+        ResultParameter: [
+          { Key: 'TransactionAmount', Value: Number(rec.body.Amount) },
+          { Key: 'TransactionReceipt', Value: rec.receipt },
+          { Key: 'ReceiverPartyPublicName', Value: `${rec.body.PartyB} - Mock Owner` },
+          { Key: 'B2CRecipientIsRegisteredCustomer', Value: 'Y' },
+        ],
+      };
+    }
+    return { Result: r };
+  }
+
+  async function fireB2cCallback(id, outcome) {
+    const rec = state.b2c.get(id);
+    if (!rec) return;
+    rec.outcome = outcome;
+    const timedOut = outcome === 'timeout';
+    const url = timedOut ? rec.body.QueueTimeOutURL : rec.body.ResultURL;
+    const body = timedOut
+      ? { Result: { ResultType: 1, ResultCode: 1, ResultDesc: 'The request timed out in the queue', OriginatorConversationID: id, ConversationID: rec.conversationId } }
+      : b2cResultBody(rec, outcome === 'fail' ? 1 : 0);
+    try {
+      await fetch(url, { method: 'POST', headers: { 'Content-Type': 'application/json' }, body: JSON.stringify(body) });
+    } catch (e) {
+      console.warn('[mock-daraja] b2c callback failed:', e.message || e);
+    }
+  }
+
+  app.post('/mpesa/b2c/v3/paymentrequest', requireToken, (req, res) => {
+    const b = req.body || {};
+    const missing = ['OriginatorConversationID', 'InitiatorName', 'SecurityCredential', 'Amount', 'PartyA', 'PartyB', 'ResultURL', 'QueueTimeOutURL'].filter((k) => !b[k]);
+    if (missing.length) {
+      return res.status(400).json({ errorCode: '400.002.02', errorMessage: `Bad Request - Invalid ${missing[0]}` });
+    }
+    const id = b.OriginatorConversationID;
+    // Same OriginatorConversationID twice is rejected, like Safaricom's duplicate check
+    if (state.b2c.has(id)) {
+      return res.status(409).json({ errorCode: '409.001.01', errorMessage: 'Duplicate OriginatorConversationID' });
+    }
+    const rec = { body: b, conversationId: `AG_${Date.now()}_mock`, receipt: mockReceipt(), outcome: null, created_at: Date.now() };
+    state.b2c.set(id, rec);
+    const outcome = b2cResult();
+    if (outcome === 'error') {
+      rec.outcome = 'success';
+      return res.status(500).json({ errorCode: '500.003.02', errorMessage: 'System is busy. Please try again in few minutes.' });
+    }
+    if (outcome !== 'none') {
+      const timer = setTimeout(() => fireB2cCallback(id, outcome), callbackDelayMs());
+      if (timer.unref) timer.unref();
+    }
+    res.json({
+      ConversationID: rec.conversationId,
+      OriginatorConversationID: id,
+      ResponseCode: '0',
+      ResponseDescription: 'Accept the service request successfully.',
+    });
+  });
+
+  // Manually finish a disbursement: { outcome: success | fail | timeout }
+  app.post('/__mock/b2c/:originatorConversationId/complete', async (req, res) => {
+    const id = req.params.originatorConversationId;
+    if (!state.b2c.has(id)) return res.status(404).json({ error: 'unknown OriginatorConversationID' });
+    await fireB2cCallback(id, String(req.body?.outcome || 'success').toLowerCase());
+    res.json({ ok: true });
+  });
+
+  // Transaction Status: answers on ResultURL with the disbursement's state (null outcome = no result yet)
+  const TRANSACTION_STATUS = { success: 'Completed', fail: 'Failed', timeout: 'Expired' };
+  app.post('/mpesa/transactionstatus/v1/query', requireToken, (req, res) => {
+    const b = req.body || {};
+    const missing = ['Initiator', 'SecurityCredential', 'PartyA', 'ResultURL', 'QueueTimeOutURL'].filter((k) => !b[k]);
+    if (missing.length || (!b.TransactionID && !b.OriginalConversationID)) {
+      return res.status(400).json({ errorCode: '400.002.02', errorMessage: `Bad Request - Invalid ${missing[0] || 'TransactionID'}` });
+    }
+    const rec = state.b2c.get(b.OriginalConversationID);
+    const conversationId = `AG_${Date.now()}_mockq`;
+    const result = rec
+      ? {
+          ResultType: 0,
+          ResultCode: 0,
+          ResultDesc: 'The service request is processed successfully.',
+          OriginatorConversationID: b.OriginalConversationID,
+          ConversationID: conversationId,
+          TransactionID: rec.outcome === 'success' ? rec.receipt : null,
+          ResultParameters: {
+            ResultParameter: [
+              { Key: 'TransactionStatus', Value: TRANSACTION_STATUS[rec.outcome] || 'Pending' },
+              { Key: 'ReceiptNo', Value: rec.outcome === 'success' ? rec.receipt : '' },
+              { Key: 'Amount', Value: Number(rec.body.Amount) },
+            ],
+          },
+        }
+      : { ResultType: 0, ResultCode: 2001, ResultDesc: 'The transaction could not be found.', OriginatorConversationID: b.OriginalConversationID, ConversationID: conversationId };
+    const timer = setTimeout(async () => {
+      try {
+        await fetch(b.ResultURL, { method: 'POST', headers: { 'Content-Type': 'application/json' }, body: JSON.stringify({ Result: result }) });
+      } catch (e) {
+        console.warn('[mock-daraja] status callback failed:', e.message || e);
+      }
+    }, callbackDelayMs());
+    if (timer.unref) timer.unref();
+    res.json({ ConversationID: conversationId, OriginatorConversationID: b.OriginalConversationID, ResponseCode: '0', ResponseDescription: 'Accept the service request successfully.' });
+  });
+
+  app.locals.state = state;
+  return app;
+}
+
+module.exports = { createMockDaraja };
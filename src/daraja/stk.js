@@ -0,0 +1,200 @@
+const { callDaraja } = require('./client');
+
+// Env is read per call so a local stand-in can be swapped in without a restart.
+function darajaConfig() {
+  const env = process.env;
+  return {
+    baseUrl: String(env.DARAJA_BASE_URL || 'https://sandbox.safaricom.co.ke').replace(/\/+$/, ''),
+    consumerKey: env.DARAJA_CONSUMER_KEY || '',
+    consumerSecret: env.DARAJA_CONSUMER_SECRET || '',
+    passkey: env.DARAJA_PASSKEY || '',
+    shortcode: env.DARAJA_SHORTCODE || '',
+    callbackUrl: env.DARAJA_CALLBACK_URL || '',
+  };
+}
+
+// ---- OAuth token cache (one token per base URL + consumer key) ----
+const _tokenCache = new Map();
+const _TOKEN_SKEW_MS = 60 * 1000;
+
+async function getAccessToken({ requestId } = {}) {
+  const cfg = darajaConfig();
+  if (!cfg.consumerKey || !cfg.consumerSecret) throw new Error('Daraja consumer key/secret not configured');
+  const key = `${cfg.baseUrl}|${cfg.consumerKey}`;
+  const hit = _tokenCache.get(key);
+  if (hit && hit.expiresAt > Date.now()) return hit.token;
+
+  const basic = Buffer.from(`${cfg.consumerKey}:${cfg.consumerSecret}`).toString('base64');
+  const json = await callDaraja({
+    url: `${cfg.baseUrl}/oauth/v1/generate?grant_type=client_credentials`,
+    method: 'GET',
+    headers: { Authorization: `Basic ${basic}` },
+    requestId,
+  });
+  if (!json?.access_token) throw new Error('Daraja token response missing access_token');
+  const ttlMs = (Number(json.expires_in) || 3599) * 1000;
+  _tokenCache.set(key, { token: json.access_token, expiresAt: Date.now() + Math.max(0, ttlMs - _TOKEN_SKEW_MS) });
+  return json.access_token;
+}
+
+function clearTokenCache() {
+  _tokenCache.clear();
+}
+
+// Daraja wants yyyyMMddHHmmss in Nairobi time (EAT, UTC+3, no DST)
+function darajaTimestamp(d = new Date()) {
+  const eat = new Date(d.getTime() + 3 * 60 * 60 * 1000);
+  return eat.toISOString().replace(/[-:T]/g, '').slice(0, 14);
+}
+
+function stkPassword(shortcode, passkey, timestamp) {
+  return Buffer.from(`${shortcode}${passkey}${timestamp}`).toString('base64');
+}
+
+// 07XXXXXXXX / 7XXXXXXXX / +2547XXXXXXXX → 2547XXXXXXXX (null when not a Kenyan mobile)
+function normalizeMsisdn(raw) {
+  const digits = String(raw || '').replace(/\D/g, '');
+  let m = null;
+  if (/^254[17]\d{8}$/.test(digits)) m = digits;
+  else if (/^0[17]\d{8}$/.test(digits)) m = '254' + digits.slice(1);
+  else if (/^[17]\d{8}$/.test(digits)) m = '254' + digits;
+  return m;
+}
+
+async function authedPost(path, body, { requestId } = {}) {
+  const cfg = darajaConfig();
+  const token = await getAccessToken({ requestId });
+  return callDaraja({
+    url: `${cfg.baseUrl}${path}`,
+    method: 'POST',
+    headers: { Authorization: `Bearer ${token}`, 'Content-Type': 'application/json' },
+    body,
+    requestId,
+  });
+}
+
+// stkPush errors say whether the passenger can have been prompted: `sent: false` when nothing reached Safaricom
+// (config, OAuth), `rejected: true` when Safaricom refused the push (4xx, or a non-zero ResponseCode). Any other
+// error (5xx, dropped connection, our 30 s abort) may have reached the handset; only a callback or query can tell.
+const notSent = (e) => Object.assign(e, { sent: false });
+
+async function stkPush({ msisdn, amount, accountRef, description, callbackUrl, requestId }) {
+  const cfg = darajaConfig();
+  if (!cfg.shortcode || !cfg.passkey) throw notSent(new Error('Daraja shortcode/passkey not configured'));
+  const cb = callbackUrl || cfg.callbackUrl;
+  if (!cb) throw notSent(new Error('DARAJA_CALLBACK_URL not configured'));
+  try {
+    await getAccessToken({ requestId });
+  } catch (e) {
+    throw notSent(e);
+  }
+  const timestamp = darajaTimestamp();
+  let json;
+  try {
+    json = await authedPost(
+      '/mpesa/stkpush/v1/processrequest',
+      {
+        BusinessShortCode: cfg.shortcode,
+        Password: stkPassword(cfg.shortcode, cfg.passkey, timestamp),
+        Timestamp: timestamp,
+        TransactionType: 'CustomerPayBillOnline',
+        Amount: Math.round(Number(amount)),
+        PartyA: msisdn,
+        PartyB: cfg.shortcode,
+        PhoneNumber: msisdn,
+        CallBackURL: cb,
+        AccountReference: String(accountRef || 'TekeTeke').slice(0, 12),
+        TransactionDesc: String(description || 'Fare').slice(0, 13),
+      },
+      { requestId }
+    );
+  } catch (e) {
+    if (e.details && e.status >= 400 && e.status < 500) e.rejected = true;
+    throw e;
+  }
+  if (String(json?.ResponseCode) !== '0' || !json?.CheckoutRequestID) {
+    const err = new Error(json?.errorMessage || json?.ResponseDescription || 'STK push rejected');
+    err.status = 502;
+    err.details = json;
+    err.rejected = true;
+    throw err;
+  }
+  return {
+    merchantRequestId: json.MerchantRequestID,
+    checkoutRequestId: json.CheckoutRequestID,
+    customerMessage: json.CustomerMessage || '',
+  };
+}
+
+// Ask Daraja for the final state of an STK push (used when the callback never arrived)
+async function stkQuery({ checkoutRequestId, requestId }) {
+  const cfg = darajaConfig();
+  if (!cfg.shortcode || !cfg.passkey) throw new Error('Daraja shortcode/passkey not configured');
+  const timestamp = darajaTimestamp();
+  const json = await authedPost(
+    '/mpesa/stkpushquery/v1/query',
+    {
+      BusinessShortCode: cfg.shortcode,
+      Password: stkPassword(cfg.shortcode, cfg.passkey, timestamp),
+      Timestamp: timestamp,
+      CheckoutRequestID: checkoutRequestId,
+    },
+    { requestId }
+  );
+  // null when Daraja left ResultCode out: that says nothing about the payment
+  const code = json?.ResultCode == null || json.ResultCode === '' ? null : Number(json.ResultCode);
+  return { resultCode: Number.isFinite(code) ? code : null, resultDesc: json?.ResultDesc || '' };
+}
+
+// Daraja answered but is still waiting on the handset
+const STK_STILL_PROCESSING = '500.001.1001';
+
+// Daraja has no push with this CheckoutRequestID, so no result will ever come. Every other error says nothing final.
+function stkUnknownCheckout(err) {
+  const d = err?.details;
+  return d?.errorCode === '400.002.02' && /CheckoutRequestID/i.test(String(d.errorMessage || ''));
+}
+
+// 0 = paid, 1037 = handset unreachable / no PIN entered, any other code is a definitive failure; no code → null (unknown)
+function stkResultStatus(resultCode) {
+  if (resultCode == null || !Number.isFinite(resultCode)) return null;
+  if (resultCode === 0) return 'SUCCESS';
+  if (resultCode === 1037) return 'TIMEOUT';
+  return 'FAILED';
+}
+
+// Flatten Daraja's { Body: { stkCallback: { ..., CallbackMetadata: { Item: [...] } } } } envelope
+function parseStkCallback(body) {
+  const cb = body?.Body?.stkCallback;
+  if (!cb || !cb.CheckoutRequestID) return null;
+  const meta = {};
+  for (const it of cb.CallbackMetadata?.Item || []) {
+    if (it && it.Name) meta[it.Name] = it.Value;
+  }
+  return {
+    merchantRequestId: cb.MerchantRequestID || null,
+    checkoutRequestId: cb.CheckoutRequestID,
+    resultCode: Number(cb.ResultCode),
+    resultDesc: cb.ResultDesc || '',
+    amount: meta.Amount !== undefined ? Number(meta.Amount) : null,
+    receipt: meta.MpesaReceiptNumber || null,
+    phone: meta.PhoneNumber !== undefined ? String(meta.PhoneNumber) : null,
+    transactionDate: meta.TransactionDate !== undefined ? String(meta.TransactionDate) : null,
+  };
+}
+
+module.exports = {
+  darajaConfig,
+  getAccessToken,
+  clearTokenCache,
+  darajaTimestamp,
+  stkPassword,
+  normalizeMsisdn,
+  authedPost,
+  stkPush,
+  stkQuery,
+  STK_STILL_PROCESSING,
+  stkUnknownCheckout,
+  stkResultStatus,
+  parseStkCallback,
+};
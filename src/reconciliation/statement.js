@@ -0,0 +1,159 @@
+// M-Pesa till/paybill statement CSV (org portal export) → normalized rows.
+// The export starts with a few account-info lines; the real header is the row containing "Receipt No".
+
+// RFC 4180-ish: quoted fields, doubled quotes, CRLF or LF
+function parseCsv(text) {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let quoted = false;
+  const src = String(text || '').replace(/^\uFEFF/, '');
+  for (let i = 0; i < src.length; i++) {
+    const ch = src[i];
+    if (quoted) {
+      if (ch === '"' && src[i + 1] === '"') { field += '"'; i++; }
+      else if (ch === '"') quoted = false;
+      else field += ch;
+      continue;
+    }
+    if (ch === '"') quoted = true;
+    else if (ch === ',') { row.push(field); field = ''; }
+    else if (ch === '\n' || ch === '\r') {
+      if (ch === '\r' && src[i + 1] === '\n') i++;
+      row.push(field); field = '';
+      rows.push(row); row = [];
+    } else field += ch;
+  }
+  if (field || row.length) { row.push(field); rows.push(row); }
+  return rows.filter((r) => r.some((c) => String(c).trim() !== ''));
+}
+
+const norm = (h) => String(h || '').toLowerCase().replace(/[^a-z]/g, '');
+const COLUMNS = {
+  receipt: ['receiptno', 'receipt', 'receiptnumber', 'transactionid'],
+  completed: ['completiontime', 'completiondate', 'transactiontime', 'date'],
+  initiated: ['initiationtime'],
+  details: ['details', 'description'],
+  status: ['transactionstatus', 'status'],
+  paidIn: ['paidin', 'credit', 'amount'],
+  otherParty: ['otherpartyinfo', 'otherparty'],
+  account: ['acno', 'accountno', 'accountnumber', 'billrefnumber'],
+};
+
+// Statement times are Nairobi wall-clock (EAT, UTC+3, no DST): 2025-01-15 14:23:05 | 15/01/2025 14:23:05 | 15-01-2025 14:23
+function parseStatementTime(v) {
+  const s = String(v || '').trim();
+  let m = /^(\d{4})-(\d{2})-(\d{2})[ T](\d{1,2}):(\d{2})(?::(\d{2}))?$/.exec(s);
+  let y, mo, d, h, mi, se;
+  if (m) [, y, mo, d, h, mi, se] = m;
+  else {
+    m = /^(\d{1,2})[/-](\d{1,2})[/-](\d{4})[ T](\d{1,2}):(\d{2})(?::(\d{2}))?$/.exec(s);
+    if (!m) return null;
+    [, d, mo, y, h, mi, se] = m;
+  }
+  const t = Date.UTC(Number(y), Number(mo) - 1, Number(d), Number(h) - 3, Number(mi), Number(se || 0));
+  return isNaN(t) ? null : new Date(t).toISOString();
+}
+
+const money = (v) => {
+  const n = Number(String(v ?? '').replace(/[,\s]/g, '').replace(/^KES/i, ''));
+  return Number.isFinite(n) ? Math.round(n * 100) / 100 : 0;
+};
+
+// → { rows:[{ line, receipt, completed_at, amount_kes, status, details, other_party, account }], skipped:[{ line, reason }] }
+// Only completed money-in rows are kept; withdrawals/charges are reported as skipped.
+function parseStatementCsv(text) {
+  const table = parseCsv(text);
+  const headerIdx = table.findIndex((r) => r.some((c) => COLUMNS.receipt.includes(norm(c))));
+  if (headerIdx < 0) throw new Error('statement header row (Receipt No.) not found');
+  const header = table[headerIdx].map(norm);
+  const col = {};
+  for (const [key, names] of Object.entries(COLUMNS)) {
+    col[key] = header.findIndex((h) => names.includes(h));
+  }
+  if (col.completed < 0) col.completed = col.initiated;
+  if (col.completed < 0 || col.paidIn < 0) throw new Error('statement needs completion time and paid-in columns');
+
+  const rows = [];
+  const skipped = [];
+  table.slice(headerIdx + 1).forEach((r, i) => {
+    const line = headerIdx + i + 2;
+    const get = (k) => (col[k] >= 0 ? String(r[col[k]] ?? '').trim() : '');
+    const receipt = get('receipt').toUpperCase();
+    const completed_at = parseStatementTime(get('completed'));
+    const amount = money(get('paidIn'));
+    const status = get('status');
+    if (!receipt) return skipped.push({ line, reason: 'no receipt' });
+    if (!completed_at) return skipped.push({ line, receipt, reason: 'unparseable time' });
+    if (status && !/^completed$/i.test(status)) return skipped.push({ line, receipt, reason: `status ${status}` });
+    if (!(amount > 0)) return skipped.push({ line, receipt, reason: 'not a payment in' });
+    rows.push({
+      line,
+      receipt,
+      completed_at,
+      amount_kes: amount,
+      status: status || 'Completed',
+      details: get('details') || null,
+      other_party: get('otherParty') || null,
+      account: get('account') || null,
+    });
+  });
+  return { rows, skipped };
+}
+
+// Pair statement rows with SUCCESS transactions.
+//   1. same receipt → MATCHED (OK, or OPEN with discrepancy 'amount' / 'time')
+//   2. no receipt hit → nearest unmatched receipt-less tx with the same amount inside the window
+//      → MATCHED, OPEN, 'matched_by_amount_time'; otherwise STATEMENT_ONLY
+//   3. SUCCESS tx inside the statement period that nothing matched → MISSING_ON_STATEMENT
+// The period defaults to the first..last statement row; pass periodFrom/periodTo (ISO) when the export covers more.
+function matchStatement(rows, transactions, { toleranceMinutes = 15, periodFrom = null, periodTo = null } = {}) {
+  const tol = toleranceMinutes * 60 * 1000;
+  const byReceipt = new Map();
+  for (const tx of transactions) if (tx.mpesa_receipt) byReceipt.set(String(tx.mpesa_receipt).toUpperCase(), tx);
+  const used = new Set();
+  const items = [];
+  const txFields = (tx) => ({ transaction_id: tx.id, tx_amount_kes: Number(tx.fare_amount_kes), tx_created_at: tx.created_at });
+  const rowFields = (r) => ({ receipt: r.receipt, amount_kes: r.amount_kes, occurred_at: r.completed_at, raw: r });
+
+  for (const r of rows) {
+    const t = Date.parse(r.completed_at);
+    const tx = byReceipt.get(r.receipt);
+    if (tx && !used.has(tx.id)) {
+      used.add(tx.id);
+      const issues = [];
+      if (Math.abs(Number(tx.fare_amount_kes) - r.amount_kes) > 0.005) issues.push('amount');
+      if (Math.abs(Date.parse(tx.created_at) - t) > tol) issues.push('time');
+      items.push({ kind: 'MATCHED', status: issues.length ? 'OPEN' : 'OK', discrepancy: issues.join(',') || null, ...rowFields(r), ...txFields(tx) });
+      continue;
+    }
+    let best = null;
+    for (const c of transactions) {
+      if (used.has(c.id) || c.mpesa_receipt || Math.abs(Number(c.fare_amount_kes) - r.amount_kes) > 0.005) continue;
+      const gap = Math.abs(Date.parse(c.created_at) - t);
+      if (gap <= tol && (!best || gap < best.gap)) best = { tx: c, gap };
+    }
+    if (best) {
+      used.add(best.tx.id);
+      items.push({ kind: 'MATCHED', status: 'OPEN', discrepancy: 'matched_by_amount_time', ...rowFields(r), ...txFields(best.tx) });
+    } else {
+      items.push({ kind: 'STATEMENT_ONLY', status: 'OPEN', discrepancy: null, ...rowFields(r), transaction_id: null, tx_amount_kes: null, tx_created_at: null });
+    }
+  }
+
+  const times = rows.map((r) => Date.parse(r.completed_at));
+  const from = periodFrom ? Date.parse(periodFrom) : times.length ? times.reduce((a, b) => Math.min(a, b)) : null;
+  const to = periodTo ? Date.parse(periodTo) : times.length ? times.reduce((a, b) => Math.max(a, b)) : null;
+  for (const tx of transactions) {
+    const t = Date.parse(tx.created_at);
+    if (used.has(tx.id) || from === null || t < from || t > to) continue;
+    items.push({ kind: 'MISSING_ON_STATEMENT', status: 'OPEN', discrepancy: null, receipt: tx.mpesa_receipt || null, amount_kes: null, occurred_at: null, raw: null, ...txFields(tx) });
+  }
+  return {
+    items,
+    period_from: from === null ? null : new Date(from).toISOString(),
+    period_to: to === null ? null : new Date(to).toISOString(),
+  };
+}
+
+module.exports = { parseCsv, parseStatementTime, parseStatementCsv, matchStatement };
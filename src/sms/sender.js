@@ -0,0 +1,75 @@
+const fs = require('fs');
+const path = require('path');
+const { request } = require('undici');
+const TIMEOUT_MS = 15_000;
+
+// Env is read per call so the transport can be switched without a restart.
+//   console        print the message (default outside production)
+//   file           append one JSON line per message to SMS_OUTBOX_FILE
+//   africastalking Africa's Talking bulk SMS (AT_USERNAME=sandbox uses their sandbox)
+function smsConfig() {
+  const env = process.env;
+  return {
+    provider: String(env.SMS_PROVIDER || (env.NODE_ENV === 'production' ? '' : 'console')).toLowerCase(),
+    outboxFile: env.SMS_OUTBOX_FILE || path.join(process.cwd(), '.sms-outbox.jsonl'),
+    atUsername: env.AT_USERNAME || '',
+    atApiKey: env.AT_API_KEY || '',
+    atSenderId: env.AT_SENDER_ID || '',
+  };
+}
+
+async function sendViaAfricasTalking(cfg, to, message, requestId) {
+  if (!cfg.atUsername || !cfg.atApiKey) throw new Error("Africa's Talking AT_USERNAME/AT_API_KEY not configured");
+  const host = cfg.atUsername === 'sandbox' ? 'https://api.sandbox.africastalking.com' : 'https://api.africastalking.com';
+  const form = new URLSearchParams({ username: cfg.atUsername, to, message });
+  if (cfg.atSenderId) form.set('from', cfg.atSenderId);
+  const controller = new AbortController();
+  const timeout = setTimeout(() => controller.abort(), TIMEOUT_MS);
+  try {
+    const res = await request(`${host}/version1/messaging`, {
+      method: 'POST',
+      headers: { apiKey: cfg.atApiKey, Accept: 'application/json', 'Content-Type': 'application/x-www-form-urlencoded' },
+      body: form.toString(),
+      signal: controller.signal,
+    });
+    const text = await res.body.text();
+    let json;
+    try {
+      json = JSON.parse(text);
+    } catch {
+      json = { raw: text };
+    }
+    // 100 Processed, 101 Sent, 102 Queued; anything else (or an HTTP error) means it did not go out
+    const rcpt = json?.SMSMessageData?.Recipients?.[0];
+    if (res.statusCode >= 400 || !rcpt || ![100, 101, 102].includes(Number(rcpt.statusCode))) {
+      const err = new Error(`SMS not accepted: ${rcpt?.status || json?.SMSMessageData?.Message || res.statusCode}`);
+      err.status = 502;
+      err.details = json;
+      err.requestId = requestId;
+      throw err;
+    }
+    return rcpt.messageId || null;
+  } finally {
+    clearTimeout(timeout);
+  }
+}
+
+// to: 2547XXXXXXXX or +2547XXXXXXXX → { provider, id }
+async function sendSms({ to, message, requestId }) {
+  const cfg = smsConfig();
+  const msisdn = '+' + String(to || '').replace(/^\+/, '');
+  if (cfg.provider === 'console') {
+    console.log(`[sms] to ${msisdn}: ${message}`);
+    return { provider: 'console', id: null };
+  }
+  if (cfg.provider === 'file') {
+    fs.appendFileSync(cfg.outboxFile, JSON.stringify({ to: msisdn, message, request_id: requestId || null, sent_at: new Date().toISOString() }) + '\n');
+    return { provider: 'file', id: null };
+  }
+  if (cfg.provider === 'africastalking') {
+    return { provider: 'africastalking', id: await sendViaAfricasTalking(cfg, msisdn, message, requestId) };
+  }
+  throw new Error(cfg.provider ? `unknown SMS_PROVIDER ${cfg.provider}` : 'SMS_PROVIDER not configured');
+}
+
+module.exports = { smsConfig, sendSms };
@@ -0,0 +1,57 @@
+-- STK callback settlement: status flip + ledger splits in one write (idempotent)
+
+-- One ledger row per split type per transaction (guards against double posting)
+do $$ begin
+  if not exists (select 1 from pg_indexes where tablename='ledger_entries' and indexname='uq_ledger_tx_type') then
+    create unique index uq_ledger_tx_type on ledger_entries(transaction_id, type) where transaction_id is not null;
+  end if;
+end $$;
+
+create index if not exists transactions_receipt_idx on transactions(mpesa_receipt);
+
+-- Settle a PENDING transaction found by mpesa_checkout_id.
+--   p_status  : 'SUCCESS' | 'FAILED' | 'TIMEOUT'
+--   p_parts   : [{ "type": "FARE", "amount_kes": 100 }, ...] (only posted on SUCCESS)
+-- Returns { found, applied, transaction_id, status }. A row that is no longer
+-- PENDING is left untouched (applied=false), so duplicate callbacks are no-ops.
+create or replace function settle_stk_transaction(
+  p_checkout_id text,
+  p_status text,
+  p_receipt text default null,
+  p_parts jsonb default '[]'::jsonb
+) returns jsonb
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  t transactions%rowtype;
+begin
+  if p_status not in ('SUCCESS','FAILED','TIMEOUT') then
+    raise exception 'invalid status %', p_status;
+  end if;
+
+  select * into t from transactions where mpesa_checkout_id = p_checkout_id for update;
+  if not found then
+    return jsonb_build_object('found', false, 'applied', false);
+  end if;
+  if t.status <> 'PENDING' then
+    return jsonb_build_object('found', true, 'applied', false, 'transaction_id', t.id, 'status', t.status);
+  end if;
+
+  update transactions
+     set status = p_status,
+         mpesa_receipt = coalesce(p_receipt, mpesa_receipt)
+   where id = t.id;
+
+  if p_status = 'SUCCESS' then
+    insert into ledger_entries (transaction_id, sacco_id, matatu_id, type, amount_kes)
+    select t.id, t.sacco_id, t.matatu_id, p->>'type', round((p->>'amount_kes')::numeric, 2)
+      from jsonb_array_elements(coalesce(p_parts, '[]'::jsonb)) as p
+     where (p->>'amount_kes')::numeric > 0;
+  end if;
+
+  return jsonb_build_object('found', true, 'applied', true, 'transaction_id', t.id, 'status', p_status);
+end $$;
+
+revoke all on function settle_stk_transaction(text, text, text, jsonb) from public, anon, authenticated;
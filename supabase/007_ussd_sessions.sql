@@ -0,0 +1,17 @@
+-- USSD gateway session state (multi-step menus across serverless instances)
+
+create table if not exists ussd_sessions (
+  session_id text primary key,          -- aggregator sessionId
+  phone      text not null,             -- normalized 2547XXXXXXXX
+  ussd_code  text not null,             -- e.g. *001*1102#
+  sacco_id   uuid,
+  matatu_id  uuid,
+  state      text not null check (state in ('AMOUNT','CONFIRM','DONE')),
+  data       jsonb not null default '{}'::jsonb,
+  created_at timestamptz default now(),
+  updated_at timestamptz default now()
+);
+create index if not exists ussd_sessions_updated_idx on ussd_sessions(updated_at);
+
+-- service role only (no policies)
+alter table ussd_sessions enable row level security;
@@ -0,0 +1,76 @@
+-- Versioned rulesets with effective dates (replaces overwrite-in-place on sacco_settings)
+
+create table if not exists sacco_ruleset_versions (
+  id uuid primary key default gen_random_uuid(),
+  sacco_id uuid not null references saccos(id) on delete cascade,
+  version  int  not null,
+  fare_fee_flat_kes   numeric(10,2) not null default 2.50,
+  savings_percent     numeric(5,2)  not null default 5.00,
+  sacco_daily_fee_kes numeric(10,2) not null default 50.00,
+  loan_repay_percent  numeric(5,2)  not null default 0.00,
+  effective_from timestamptz not null default now(),
+  created_by text,                 -- user id or admin credential that made the change
+  note       text,
+  created_at timestamptz default now(),
+  unique (sacco_id, version)
+);
+create index if not exists ruleset_versions_eff_idx on sacco_ruleset_versions(sacco_id, effective_from desc);
+
+alter table sacco_ruleset_versions enable row level security;
+
+-- Backfill: current sacco_settings become version 1, in force since the epoch so old fares resolve
+insert into sacco_ruleset_versions (sacco_id, version, fare_fee_flat_kes, savings_percent, sacco_daily_fee_kes, loan_repay_percent, effective_from, created_by, note)
+select s.sacco_id, 1, s.fare_fee_flat_kes, s.savings_percent, s.sacco_daily_fee_kes, s.loan_repay_percent, 'epoch'::timestamptz, 'migration', 'backfilled from sacco_settings'
+from sacco_settings s
+on conflict (sacco_id, version) do nothing;
+
+-- Which version a transaction was charged under
+alter table if exists transactions
+  add column if not exists ruleset_version_id uuid references sacco_ruleset_versions(id) on delete set null;
+
+-- settle_stk_transaction now also stamps the ruleset version (replaces the 006 signature)
+drop function if exists settle_stk_transaction(text, text, text, jsonb);
+
+create or replace function settle_stk_transaction(
+  p_checkout_id text,
+  p_status text,
+  p_receipt text default null,
+  p_parts jsonb default '[]'::jsonb,
+  p_ruleset_version_id uuid default null
+) returns jsonb
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  t transactions%rowtype;
+begin
+  if p_status not in ('SUCCESS','FAILED','TIMEOUT') then
+    raise exception 'invalid status %', p_status;
+  end if;
+
+  select * into t from transactions where mpesa_checkout_id = p_checkout_id for update;
+  if not found then
+    return jsonb_build_object('found', false, 'applied', false);
+  end if;
+  if t.status <> 'PENDING' then
+    return jsonb_build_object('found', true, 'applied', false, 'transaction_id', t.id, 'status', t.status);
+  end if;
+
+  update transactions
+     set status = p_status,
+         mpesa_receipt = coalesce(p_receipt, mpesa_receipt),
+         ruleset_version_id = coalesce(p_ruleset_version_id, ruleset_version_id)
+   where id = t.id;
+
+  if p_status = 'SUCCESS' then
+    insert into ledger_entries (transaction_id, sacco_id, matatu_id, type, amount_kes)
+    select t.id, t.sacco_id, t.matatu_id, p->>'type', round((p->>'amount_kes')::numeric, 2)
+      from jsonb_array_elements(coalesce(p_parts, '[]'::jsonb)) as p
+     where (p->>'amount_kes')::numeric > 0;
+  end if;
+
+  return jsonb_build_object('found', true, 'applied', true, 'transaction_id', t.id, 'status', p_status);
+end $$;
+
+revoke all on function settle_stk_transaction(text, text, text, jsonb, uuid) from public, anon, authenticated;
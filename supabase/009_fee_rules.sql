@@ -0,0 +1,22 @@
+-- Tiered / time-of-day / route-based service fees and caps on SAVINGS + LOAN_REPAY
+
+-- fee_rules: ordered list, first match wins; falls back to fare_fee_flat_kes.
+--   [{ "name": "peak", "min_fare_kes": 0, "max_fare_kes": 50, "from": "06:00", "to": "09:30",
+--      "days": [1,2,3,4,5], "routes": ["CBD-Rongai"], "fee_kes": 5 }, ...]
+--   every condition is optional; times are business-local (Africa/Nairobi), days 0=Sun..6=Sat.
+alter table if exists sacco_ruleset_versions
+  add column if not exists fee_rules jsonb not null default '[]'::jsonb,
+  add column if not exists savings_min_kes    numeric(10,2),
+  add column if not exists savings_max_kes    numeric(10,2),
+  add column if not exists loan_repay_min_kes numeric(10,2),
+  add column if not exists loan_repay_max_kes numeric(10,2);
+
+do $$ begin
+  if not exists (select 1 from pg_constraint where conname = 'ruleset_fee_rules_is_array') then
+    alter table sacco_ruleset_versions
+      add constraint ruleset_fee_rules_is_array check (jsonb_typeof(fee_rules) = 'array');
+  end if;
+end $$;
+
+-- Route label used by route-based fee rules (free text, e.g. 'CBD-Rongai')
+alter table if exists matatus add column if not exists route text;
@@ -0,0 +1,46 @@
+-- Per-SACCO named deductions (insurance, welfare, stage marshal, ...) posted as their own ledger types
+
+create table if not exists sacco_deductions (
+  id uuid primary key default gen_random_uuid(),
+  sacco_id uuid not null references saccos(id) on delete cascade,
+  code  text not null check (code ~ '^[A-Z][A-Z0-9_]{1,31}$'),   -- becomes ledger_entries.type
+  name  text not null,
+  calc  text not null check (calc in ('PERCENT','FLAT')),       -- PERCENT of fare, or FLAT KES
+  value numeric(10,2) not null check (value >= 0),
+  frequency text not null default 'PER_FARE' check (frequency in ('PER_FARE','DAILY')),  -- DAILY = once per matatu per day
+  active boolean not null default true,
+  created_by text,
+  created_at timestamptz default now(),
+  updated_at timestamptz default now(),
+  unique (sacco_id, code),
+  check (code not in ('FARE','SERVICE_FEE','SACCO_FEE','SAVINGS','LOAN_REPAY','NET_TO_OWNER'))
+);
+create index if not exists sacco_deductions_sacco_idx on sacco_deductions(sacco_id) where active;
+
+alter table sacco_deductions enable row level security;
+
+-- Members can read their SACCO's deductions; writes go through the API (service role)
+do $$ begin
+  if not exists (select 1 from pg_policies where tablename='sacco_deductions' and policyname='sacco_deductions_select_by_membership') then
+    create policy sacco_deductions_select_by_membership
+      on sacco_deductions for select
+      using (
+        sacco_id in (select sacco_id from sacco_users where user_id = auth.uid())
+      );
+  end if;
+end $$;
+
+-- ledger_entries.type: built-in types plus any SACCO deduction code
+do $$
+declare c text;
+begin
+  for c in
+    select conname from pg_constraint
+     where conrelid = 'ledger_entries'::regclass and contype = 'c' and pg_get_constraintdef(oid) ilike '%type%FARE%'
+  loop
+    execute format('alter table ledger_entries drop constraint %I', c);
+  end loop;
+  if not exists (select 1 from pg_constraint where conname = 'ledger_entries_type_format') then
+    alter table ledger_entries add constraint ledger_entries_type_format check (type ~ '^[A-Z][A-Z0-9_]{1,31}$');
+  end if;
+end $$;
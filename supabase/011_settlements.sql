@@ -0,0 +1,97 @@
+-- Business-day settlements per SACCO: locked once closed; only the CLOSED -> PAID flip is allowed afterwards
+
+create table if not exists settlements (
+  id uuid primary key default gen_random_uuid(),
+  sacco_id uuid not null references saccos(id),          -- no cascade: financial record
+  business_date date not null,
+  period_from timestamptz not null,
+  period_to   timestamptz not null,
+  status text not null default 'CLOSED' check (status in ('CLOSED','PAID')),
+  totals jsonb not null default '{}'::jsonb,              -- per ledger type, whole SACCO
+  owner_kes    numeric(12,2) not null default 0,          -- owed to matatu owners
+  sacco_kes    numeric(12,2) not null default 0,          -- SACCO_FEE, SAVINGS, LOAN_REPAY, custom deductions (+ SACCO-level fares)
+  platform_kes numeric(12,2) not null default 0,          -- SERVICE_FEE
+  tx_count    int not null default 0,
+  entry_count int not null default 0,
+  closed_by text,
+  closed_at timestamptz not null default now(),
+  paid_at timestamptz,
+  paid_by text,
+  paid_reference text,
+  paid_note text,
+  unique (sacco_id, business_date)
+);
+create index if not exists settlements_status_idx on settlements(status, business_date desc);
+
+create table if not exists settlement_lines (
+  id uuid primary key default gen_random_uuid(),
+  settlement_id uuid not null references settlements(id),
+  matatu_id uuid,                                         -- null = SACCO-level payments
+  number_plate text,
+  totals jsonb not null default '{}'::jsonb,
+  owner_kes    numeric(12,2) not null default 0,
+  sacco_kes    numeric(12,2) not null default 0,
+  platform_kes numeric(12,2) not null default 0,
+  tx_count    int not null default 0,
+  entry_count int not null default 0,
+  unique (settlement_id, matatu_id)
+);
+create index if not exists settlement_lines_matatu_idx on settlement_lines(matatu_id);
+
+alter table settlements enable row level security;
+alter table settlement_lines enable row level security;
+
+-- Lock: figures never change after close; the only update is marking a CLOSED settlement PAID
+create or replace function settlements_lock() returns trigger
+language plpgsql as $$
+begin
+  if tg_op = 'DELETE' then
+    raise exception 'settlement % is locked', old.id;
+  end if;
+  if old.status <> 'CLOSED' or new.status <> 'PAID'
+     or (to_jsonb(new) - array['status','paid_at','paid_by','paid_reference','paid_note'])
+        is distinct from (to_jsonb(old) - array['status','paid_at','paid_by','paid_reference','paid_note']) then
+    raise exception 'settlement % is locked', old.id;
+  end if;
+  return new;
+end $$;
+
+create or replace function settlement_lines_lock() returns trigger
+language plpgsql as $$
+begin
+  raise exception 'settlement lines are locked';
+end $$;
+
+drop trigger if exists trg_settlements_lock on settlements;
+create trigger trg_settlements_lock before update or delete on settlements
+  for each row execute function settlements_lock();
+
+drop trigger if exists trg_settlement_lines_lock on settlement_lines;
+create trigger trg_settlement_lines_lock before update or delete on settlement_lines
+  for each row execute function settlement_lines_lock();
+
+-- Header + lines in one transaction; a second close for the same SACCO/day fails on the unique key
+create or replace function create_settlement(p_settlement jsonb, p_lines jsonb default '[]'::jsonb)
+returns uuid
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  s_id uuid;
+begin
+  insert into settlements (sacco_id, business_date, period_from, period_to, totals, owner_kes, sacco_kes, platform_kes, tx_count, entry_count, closed_by)
+  select r.sacco_id, r.business_date, r.period_from, r.period_to, coalesce(r.totals, '{}'::jsonb),
+         r.owner_kes, r.sacco_kes, r.platform_kes, coalesce(r.tx_count, 0), coalesce(r.entry_count, 0), r.closed_by
+    from jsonb_populate_record(null::settlements, p_settlement) r
+  returning id into s_id;
+
+  insert into settlement_lines (settlement_id, matatu_id, number_plate, totals, owner_kes, sacco_kes, platform_kes, tx_count, entry_count)
+  select s_id, l.matatu_id, l.number_plate, coalesce(l.totals, '{}'::jsonb), l.owner_kes, l.sacco_kes, l.platform_kes,
+         coalesce(l.tx_count, 0), coalesce(l.entry_count, 0)
+    from jsonb_populate_recordset(null::settlement_lines, coalesce(p_lines, '[]'::jsonb)) l;
+
+  return s_id;
+end $$;
+
+revoke all on function create_settlement(jsonb, jsonb) from public, anon, authenticated;
@@ -0,0 +1,29 @@
+-- B2C owner payouts driven by settlement lines (one payout per line, so a line can never be paid twice)
+
+create table if not exists owner_payouts (
+  id uuid primary key default gen_random_uuid(),
+  settlement_id uuid not null references settlements(id),
+  settlement_line_id uuid not null unique references settlement_lines(id),
+  sacco_id  uuid not null,
+  matatu_id uuid not null,
+  msisdn text not null,
+  amount_kes numeric(12,2) not null check (amount_kes > 0),   -- whole KES (B2C has no cents)
+  status text not null default 'QUEUED' check (status in ('QUEUED','SENT','CONFIRMED','FAILED')),
+  attempts int not null default 0,
+  originator_conversation_id text unique,                     -- current attempt: '<id>:<attempt>'
+  conversation_id text,
+  mpesa_receipt text,
+  result_code int,
+  result_desc text,
+  last_error text,
+  created_by text,
+  created_at timestamptz default now(),
+  updated_at timestamptz default now(),
+  sent_at timestamptz,
+  confirmed_at timestamptz,
+  failed_at timestamptz
+);
+create index if not exists owner_payouts_settlement_idx on owner_payouts(settlement_id);
+create index if not exists owner_payouts_status_idx on owner_payouts(status, updated_at);
+
+alter table owner_payouts enable row level security;
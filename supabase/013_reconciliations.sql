@@ -0,0 +1,43 @@
+-- M-Pesa statement reconciliation runs, stored per SACCO + till, with workable mismatch items
+
+create table if not exists reconciliations (
+  id uuid primary key default gen_random_uuid(),
+  sacco_id uuid not null references saccos(id) on delete cascade,
+  till_number text not null,
+  matatu_id uuid,                       -- set when the till belongs to one matatu
+  filename text,
+  period_from timestamptz,
+  period_to   timestamptz,
+  statement_rows int not null default 0,
+  skipped_rows   int not null default 0,
+  matched_count        int not null default 0,
+  statement_only_count int not null default 0,
+  missing_count        int not null default 0,
+  open_count           int not null default 0,
+  uploaded_by text,
+  created_at timestamptz default now()
+);
+create index if not exists reconciliations_sacco_till_idx on reconciliations(sacco_id, till_number, created_at desc);
+
+create table if not exists reconciliation_items (
+  id uuid primary key default gen_random_uuid(),
+  reconciliation_id uuid not null references reconciliations(id) on delete cascade,
+  kind text not null check (kind in ('MATCHED','STATEMENT_ONLY','MISSING_ON_STATEMENT')),
+  status text not null check (status in ('OK','OPEN','RESOLVED')),
+  receipt text,
+  amount_kes numeric(12,2),             -- statement amount
+  occurred_at timestamptz,              -- statement completion time
+  transaction_id uuid references transactions(id) on delete set null,
+  tx_amount_kes numeric(12,2),
+  tx_created_at timestamptz,
+  discrepancy text,                     -- e.g. 'amount', 'time', 'matched_by_amount_time'
+  raw jsonb,
+  note text,
+  resolved_by text,
+  resolved_at timestamptz
+);
+create index if not exists reconciliation_items_run_idx on reconciliation_items(reconciliation_id, kind, status);
+create index if not exists reconciliation_items_receipt_idx on reconciliation_items(receipt);
+
+alter table reconciliations enable row level security;
+alter table reconciliation_items enable row level security;
@@ -0,0 +1,24 @@
+-- Taxi/Boda cashbooks move off the in-process store: riders can now edit and delete their own entries
+
+alter table if exists simple_cashbook
+  add column if not exists updated_at timestamptz;
+
+-- Per-rider reads by namespace + time range
+create index if not exists simple_cashbook_user_ns_day_idx on simple_cashbook(created_by, namespace, created_at desc);
+
+do $$
+begin
+  if not exists (
+    select 1 from pg_policies where schemaname = 'public' and tablename = 'simple_cashbook' and policyname = 'scb_update_own'
+  ) then
+    create policy scb_update_own on simple_cashbook
+      for update using (created_by = auth.uid()) with check (created_by = auth.uid());
+  end if;
+
+  if not exists (
+    select 1 from pg_policies where schemaname = 'public' and tablename = 'simple_cashbook' and policyname = 'scb_delete_own'
+  ) then
+    create policy scb_delete_own on simple_cashbook
+      for delete using (created_by = auth.uid());
+  end if;
+end $$;
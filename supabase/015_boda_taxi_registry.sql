@@ -0,0 +1,56 @@
+-- Bodaboda + taxi registries (same shape as matatus) and USSD pool binding for BODA / TAXI levels
+
+create table if not exists bodabodas (
+  id uuid primary key default gen_random_uuid(),
+  sacco_id uuid not null references saccos(id) on delete cascade,
+  number_plate text not null,
+  owner_name   text,
+  owner_phone  text,
+  till_number  text,
+  created_at   timestamptz default now(),
+  unique(number_plate)
+);
+create index if not exists bodabodas_sacco_idx on bodabodas(sacco_id);
+create unique index if not exists bodabodas_till_unique on bodabodas(till_number) where till_number is not null;
+
+create table if not exists taxis (
+  id uuid primary key default gen_random_uuid(),
+  sacco_id uuid not null references saccos(id) on delete cascade,
+  number_plate text not null,
+  owner_name   text,
+  owner_phone  text,
+  till_number  text,
+  created_at   timestamptz default now(),
+  unique(number_plate)
+);
+create index if not exists taxis_sacco_idx on taxis(sacco_id);
+create unique index if not exists taxis_till_unique on taxis(till_number) where till_number is not null;
+
+-- Admin-only via service role (no policies)
+alter table bodabodas enable row level security;
+alter table taxis enable row level security;
+
+-- ussd_pool: two more targets
+alter table if exists ussd_pool
+  add column if not exists boda_id uuid,
+  add column if not exists taxi_id uuid;
+
+alter table ussd_pool drop constraint if exists ussd_pool_level_check;
+alter table ussd_pool
+  add constraint ussd_pool_level_check check (level in ('MATATU','SACCO','CASHIER','BODA','TAXI'));
+
+-- exactly one target column set for the allocated level (CASHIER kept for legacy rows)
+alter table ussd_pool drop constraint if exists ussd_allocated_fields;
+alter table ussd_pool
+  add constraint ussd_allocated_fields
+  check (
+    (allocated = false and level is null and sacco_id is null and matatu_id is null and cashier_id is null and boda_id is null and taxi_id is null)
+    or
+    (allocated = true and num_nonnulls(sacco_id, matatu_id, cashier_id, boda_id, taxi_id) = 1 and (
+        (level = 'SACCO'   and sacco_id   is not null) or
+        (level = 'MATATU'  and matatu_id  is not null) or
+        (level = 'CASHIER' and cashier_id is not null) or
+        (level = 'BODA'    and boda_id    is not null) or
+        (level = 'TAXI'    and taxi_id    is not null)
+    ))
+  );
@@ -0,0 +1,19 @@
+-- Scoped admin API keys (replace sharing ADMIN_TOKEN). Only the sha256 of a key is stored; the key itself is shown once.
+
+create table if not exists api_keys (
+  id uuid primary key default gen_random_uuid(),
+  name       text not null,
+  prefix     text not null,              -- first characters of the key, to tell keys apart in listings
+  key_hash   text not null unique,       -- sha256 hex of the full key
+  scopes     text[] not null default '{}',
+  expires_at   timestamptz,
+  last_used_at timestamptz,
+  revoked_at   timestamptz,
+  created_by text,                       -- admin credential that minted it
+  created_at timestamptz default now(),
+  constraint api_keys_scopes_nonempty check (cardinality(scopes) > 0)
+);
+create index if not exists api_keys_active_idx on api_keys(created_at desc) where revoked_at is null;
+
+-- Service role only (no policies)
+alter table api_keys enable row level security;
@@ -0,0 +1,38 @@
+-- Append-only audit trail for admin and financial writes (written by the API with the service role)
+
+create table if not exists audit_log (
+  id bigserial primary key,
+  created_at timestamptz not null default now(),
+  actor      text not null,           -- user id, api_keys.id, or 'admin-token'
+  actor_type text not null check (actor_type in ('user','api_key','admin_token')),
+  entity     text not null,           -- sacco, matatu, ruleset_version, ussd_code, settlement, ...
+  entity_id  text,
+  action     text not null,           -- create, update, delete, assign, close, ...
+  request_id text,                    -- req.id / x-request-id, to join with request logs
+  ip         text,
+  before     jsonb,
+  after      jsonb
+);
+create index if not exists audit_log_created_idx on audit_log(created_at desc);
+create index if not exists audit_log_entity_idx on audit_log(entity, entity_id, created_at desc);
+create index if not exists audit_log_actor_idx on audit_log(actor, created_at desc);
+
+-- Service role only (no policies)
+alter table audit_log enable row level security;
+
+-- Append-only, whoever connects: rows can be inserted and read, never changed or removed
+create or replace function audit_log_immutable() returns trigger
+language plpgsql
+as $$
+begin
+  raise exception 'audit_log is append-only (% not allowed)', tg_op;
+end $$;
+
+drop trigger if exists audit_log_no_update on audit_log;
+create trigger audit_log_no_update before update or delete on audit_log
+  for each row execute function audit_log_immutable();
+drop trigger if exists audit_log_no_truncate on audit_log;
+create trigger audit_log_no_truncate before truncate on audit_log
+  for each statement execute function audit_log_immutable();
+
+revoke update, delete, truncate on audit_log from public, anon, authenticated, service_role;
@@ -0,0 +1,27 @@
+-- Invitations replace the open sacco_id/matatu_id fields on /auth/signup.
+-- A SACCO admin (any SACCO role, or a crew role on one of its matatus) or a matatu owner (conductors)
+-- issues an invite; the signed token handed out carries only the id, the row decides what it grants.
+
+create table if not exists invitations (
+  id uuid primary key default gen_random_uuid(),
+  kind text not null check (kind in ('SACCO','MATATU')),
+  sacco_id  uuid not null references saccos(id) on delete cascade,
+  matatu_id uuid references matatus(id) on delete cascade,
+  role text not null,
+  email text,                      -- when set, only this address can redeem
+  expires_at timestamptz not null,
+  created_by text not null,        -- user id of the issuer
+  created_at timestamptz not null default now(),
+  redeemed_at timestamptz,
+  redeemed_by uuid,                -- auth.users.id
+  revoked_at timestamptz,
+  check (
+    (kind = 'SACCO' and matatu_id is null and role in ('SACCO_ADMIN','STAFF','OWNER','BRANCH_MANAGER','CONDUCTOR'))
+    or (kind = 'MATATU' and matatu_id is not null and role in ('owner','conductor'))
+  )
+);
+create index if not exists invitations_sacco_idx  on invitations(sacco_id, created_at desc);
+create index if not exists invitations_matatu_idx on invitations(matatu_id, created_at desc) where matatu_id is not null;
+
+-- service role only
+alter table invitations enable row level security;
@@ -0,0 +1,13 @@
+-- Phone (OTP) login for crew: matatu_members carries the member's MSISDN (2547XXXXXXXX).
+-- Owners can add a conductor by phone before the conductor has an account (user_id null);
+-- the row is claimed by whoever first signs in with that number via OTP.
+
+alter table if exists matatu_members add column if not exists msisdn text;
+alter table if exists matatu_members alter column user_id drop not null;
+
+alter table if exists matatu_members drop constraint if exists matatu_members_user_or_msisdn;
+alter table if exists matatu_members
+  add constraint matatu_members_user_or_msisdn check (user_id is not null or msisdn is not null);
+
+create unique index if not exists matatu_members_matatu_msisdn_uniq on matatu_members(matatu_id, msisdn) where msisdn is not null;
+create index if not exists matatu_members_msisdn_idx on matatu_members(msisdn) where msisdn is not null;
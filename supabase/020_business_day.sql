@@ -0,0 +1,95 @@
+-- Per-SACCO business day: day D runs from D day_cutoff_hour:00 to D+1 day_cutoff_hour:00 in business_tz.
+-- The views below used the database clock (UTC on Supabase), so "today" was off by three hours in Nairobi.
+
+alter table saccos add column if not exists business_tz text not null default 'Africa/Nairobi';
+alter table saccos add column if not exists day_cutoff_hour smallint not null default 0;
+alter table saccos drop constraint if exists saccos_day_cutoff_hour_chk;
+alter table saccos add constraint saccos_day_cutoff_hour_chk check (day_cutoff_hour between 0 and 23);
+
+-- Business date an instant falls on
+create or replace function business_date(p_at timestamptz, p_tz text, p_cutoff int)
+returns date language sql stable as $$
+  select ((p_at at time zone p_tz) - make_interval(hours => p_cutoff))::date
+$$;
+
+-- [day_start, day_end) of the business day p_offset days from today (0 = today, -1 = yesterday)
+create or replace function business_day_bounds(p_tz text, p_cutoff int, p_offset int default 0)
+returns table (day date, day_start timestamptz, day_end timestamptz) language sql stable as $$
+  select d, (d + make_interval(hours => p_cutoff)) at time zone p_tz, (d + 1 + make_interval(hours => p_cutoff)) at time zone p_tz
+  from (select business_date(now(), p_tz, p_cutoff) + p_offset as d) x
+$$;
+
+-- Same columns as before; only the day boundaries change
+drop view if exists v_tx_today_by_sacco;
+create view v_tx_today_by_sacco as
+select
+  t.sacco_id,
+  count(*)::bigint as tx_count,
+  coalesce(sum(le.amount_kes), 0)::numeric(12,2) as fees_sum
+from saccos s
+cross join lateral business_day_bounds(s.business_tz, s.day_cutoff_hour, 0) b
+join transactions t
+  on t.sacco_id = s.id and t.created_at >= b.day_start and t.created_at < b.day_end
+left join ledger_entries le
+  on le.transaction_id = t.id and le.type = 'SERVICE_FEE'
+where t.status = 'SUCCESS'
+group by t.sacco_id;
+
+drop view if exists v_tx_yesterday_by_sacco;
+create view v_tx_yesterday_by_sacco as
+select
+  t.sacco_id,
+  count(*)::bigint as tx_count,
+  coalesce(sum(le.amount_kes), 0)::numeric(12,2) as fees_sum
+from saccos s
+cross join lateral business_day_bounds(s.business_tz, s.day_cutoff_hour, -1) b
+join transactions t
+  on t.sacco_id = s.id and t.created_at >= b.day_start and t.created_at < b.day_end
+left join ledger_entries le
+  on le.transaction_id = t.id and le.type = 'SERVICE_FEE'
+where t.status = 'SUCCESS'
+group by t.sacco_id;
+
+drop view if exists v_tx_daily_by_sacco;
+create view v_tx_daily_by_sacco as
+select
+  t.sacco_id,
+  business_date(t.created_at, s.business_tz, s.day_cutoff_hour) as day,
+  count(*)::bigint as tx_count,
+  coalesce(sum(le.amount_kes), 0)::numeric(12,2) as fees_sum
+from transactions t
+join saccos s on s.id = t.sacco_id
+left join ledger_entries le
+  on le.transaction_id = t.id and le.type = 'SERVICE_FEE'
+where t.status = 'SUCCESS'
+group by t.sacco_id, business_date(t.created_at, s.business_tz, s.day_cutoff_hour);
+
+drop view if exists v_sacco_fee_today;
+create view v_sacco_fee_today as
+select
+  le.matatu_id,
+  b.day,
+  count(*) as cnt
+from saccos s
+cross join lateral business_day_bounds(s.business_tz, s.day_cutoff_hour, 0) b
+join ledger_entries le
+  on le.sacco_id = s.id and le.created_at >= b.day_start and le.created_at < b.day_end
+where le.type = 'SACCO_FEE'
+group by le.matatu_id, b.day;
+
+-- daily_fees.paid_at defaulted to the database's current_date; use the SACCO's business date instead
+create or replace function daily_fees_business_date() returns trigger
+language plpgsql security definer set search_path = public as $$
+begin
+  if new.paid_at is null then
+    select business_date(now(), s.business_tz, s.day_cutoff_hour) into new.paid_at
+    from matatus m join saccos s on s.id = m.sacco_id
+    where m.id = new.matatu_id;
+    new.paid_at := coalesce(new.paid_at, business_date(now(), 'Africa/Nairobi', 0));
+  end if;
+  return new;
+end $$;
+alter table daily_fees alter column paid_at drop default;
+drop trigger if exists daily_fees_business_date on daily_fees;
+create trigger daily_fees_business_date before insert on daily_fees
+  for each row execute function daily_fees_business_date();
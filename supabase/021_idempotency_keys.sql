@@ -0,0 +1,19 @@
+-- Idempotency-Key storage: the first response per caller + route + key, replayed to retries until expires_at.
+-- Written by the API with the service role; rows past expires_at are free to delete.
+
+create table if not exists idempotency_keys (
+  caller text not null,               -- user id, 'api-key:<id>' or 'admin-token'
+  route  text not null,               -- 'POST /fees/record'
+  key    text not null,               -- the Idempotency-Key header
+  request_hash text not null,         -- sha256 of query string + canonical JSON body
+  status_code int,                    -- null while the first request is still running
+  response jsonb,
+  locked_at  timestamptz not null default now(),
+  created_at timestamptz not null default now(),
+  expires_at timestamptz not null,
+  primary key (caller, route, key)
+);
+create index if not exists idempotency_keys_expiry_idx on idempotency_keys(caller, expires_at);
+
+-- service role only
+alter table idempotency_keys enable row level security;
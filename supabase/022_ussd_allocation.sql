@@ -0,0 +1,73 @@
+-- Atomic USSD code allocation. assign-next used to read the lowest free base and update it in a second call,
+-- so two admins could be handed the same code and a matatu could end up bound twice.
+-- The indexes are the guarantee (one active code per target per level); ussd_allocate picks and binds in one statement.
+--
+-- Before applying, clear any duplicates the old flow left behind (each query must return no rows):
+--   select level, coalesce(sacco_id, matatu_id, boda_id, taxi_id) as target, array_agg(base) from ussd_pool
+--    where allocated group by 1, 2 having count(*) > 1;
+
+create unique index if not exists ussd_pool_one_sacco_uniq  on ussd_pool(sacco_id)  where allocated and level = 'SACCO';
+create unique index if not exists ussd_pool_one_matatu_uniq on ussd_pool(matatu_id) where allocated and level = 'MATATU';
+create unique index if not exists ussd_pool_one_boda_uniq   on ussd_pool(boda_id)   where allocated and level = 'BODA';
+create unique index if not exists ussd_pool_one_taxi_uniq   on ussd_pool(taxi_id)   where allocated and level = 'TAXI';
+
+-- p_base null: the lowest free base (rows another allocation has locked are skipped, never handed out twice).
+-- p_base set: that base only. Returns no row when the pool is empty.
+-- Errors (PostgREST passes code and hint through):
+--   23505 hint 'target_has_code'  the target already holds an active code at this level
+--   23505 hint 'code_taken'       p_base is already allocated
+--   P0002                         p_base is not in the pool
+create or replace function ussd_allocate(p_level text, p_target_id uuid, p_base text default null)
+returns table (base text, checksum text)
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  v_level text := upper(coalesce(p_level, ''));
+  v_held text;
+  v_pick ussd_pool%rowtype;
+begin
+  if v_level not in ('SACCO','MATATU','BODA','TAXI') or p_target_id is null then
+    raise exception 'level must be SACCO, MATATU, BODA or TAXI with a target id' using errcode = '22023';
+  end if;
+
+  select p.base into v_held from ussd_pool p
+   where p.allocated and p.level = v_level and coalesce(p.sacco_id, p.matatu_id, p.boda_id, p.taxi_id) = p_target_id
+   limit 1;
+  if v_held is not null then
+    raise exception '% % already holds code base %', v_level, p_target_id, v_held
+      using errcode = '23505', hint = 'target_has_code';
+  end if;
+
+  if p_base is null then
+    select * into v_pick from ussd_pool p where not p.allocated order by p.base limit 1 for update skip locked;
+    if not found then return; end if;
+  else
+    select * into v_pick from ussd_pool p where p.base = p_base for update;
+    if not found then
+      raise exception 'base % not in pool', p_base using errcode = 'P0002';
+    end if;
+    if v_pick.allocated then
+      raise exception 'base % already allocated', p_base using errcode = '23505', hint = 'code_taken';
+    end if;
+  end if;
+
+  -- a concurrent allocation for the same target that committed first trips the unique index here (23505)
+  update ussd_pool p
+     set allocated = true,
+         level = v_level,
+         allocated_at = now(),
+         cashier_id = null,
+         sacco_id  = case when v_level = 'SACCO'  then p_target_id end,
+         matatu_id = case when v_level = 'MATATU' then p_target_id end,
+         boda_id   = case when v_level = 'BODA'   then p_target_id end,
+         taxi_id   = case when v_level = 'TAXI'   then p_target_id end
+   where p.base = v_pick.base;
+
+  base := v_pick.base;
+  checksum := v_pick.checksum;
+  return next;
+end $$;
+
+revoke all on function ussd_allocate(text, uuid, text) from public, anon, authenticated;
@@ -0,0 +1,273 @@
+-- USSD code lifecycle: release (optional cool-down before reuse), reassign, suspend/unsuspend and a per-code history.
+-- Every state change on ussd_pool is recorded by a trigger, so allocations from any path (routes, cascades) land in history.
+-- Deleting a SACCO, matatu, boda or taxi releases its codes (cascaded deletes included).
+
+alter table if exists ussd_pool
+  add column if not exists cooldown_until timestamptz,   -- free but not handed out before this
+  add column if not exists suspended_at timestamptz,     -- not resolved by USSD and not handed out while set
+  add column if not exists suspended_reason text;
+
+create table if not exists ussd_code_history (
+  id bigserial primary key,
+  base text not null,
+  action text not null check (action in ('ALLOCATE','RELEASE','REASSIGN','SUSPEND','UNSUSPEND')),
+  level text,                 -- ALLOCATE/REASSIGN: new holder; RELEASE: the holder it was taken from
+  target_id uuid,
+  from_level text,            -- REASSIGN only
+  from_target_id uuid,
+  cooldown_until timestamptz, -- RELEASE only
+  reason text,
+  actor text,                 -- adminActor() of the route; null for cascades from deletes
+  created_at timestamptz not null default now()
+);
+create index if not exists ussd_code_history_base_idx on ussd_code_history(base, created_at desc);
+create index if not exists ussd_code_history_target_idx on ussd_code_history(target_id, created_at desc) where target_id is not null;
+
+-- service role only
+alter table ussd_code_history enable row level security;
+
+-- Actor and reason for the history trigger, scoped to the calling transaction
+create or replace function ussd_set_context(p_actor text, p_reason text)
+returns void
+language sql
+as $$
+  select set_config('ussd.actor', coalesce(p_actor, ''), true), set_config('ussd.reason', coalesce(p_reason, ''), true);
+$$;
+
+create or replace function ussd_pool_history() returns trigger
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  v_actor  text := nullif(current_setting('ussd.actor', true), '');
+  v_reason text := nullif(current_setting('ussd.reason', true), '');
+  v_old_target uuid := coalesce(old.sacco_id, old.matatu_id, old.cashier_id, old.boda_id, old.taxi_id);
+  v_new_target uuid := coalesce(new.sacco_id, new.matatu_id, new.cashier_id, new.boda_id, new.taxi_id);
+begin
+  if new.allocated and not old.allocated then
+    insert into ussd_code_history (base, action, level, target_id, reason, actor)
+    values (new.base, 'ALLOCATE', new.level, v_new_target, v_reason, v_actor);
+  elsif old.allocated and not new.allocated then
+    insert into ussd_code_history (base, action, level, target_id, cooldown_until, reason, actor)
+    values (new.base, 'RELEASE', old.level, v_old_target, new.cooldown_until, v_reason, v_actor);
+  elsif new.allocated and (new.level, v_new_target) is distinct from (old.level, v_old_target) then
+    insert into ussd_code_history (base, action, level, target_id, from_level, from_target_id, reason, actor)
+    values (new.base, 'REASSIGN', new.level, v_new_target, old.level, v_old_target, v_reason, v_actor);
+  end if;
+
+  if new.suspended_at is not null and old.suspended_at is null then
+    insert into ussd_code_history (base, action, level, target_id, reason, actor)
+    values (new.base, 'SUSPEND', new.level, v_new_target, new.suspended_reason, v_actor);
+  elsif new.suspended_at is null and old.suspended_at is not null then
+    insert into ussd_code_history (base, action, level, target_id, reason, actor)
+    values (new.base, 'UNSUSPEND', new.level, v_new_target, v_reason, v_actor);
+  end if;
+  return null;
+end $$;
+
+drop trigger if exists ussd_pool_history_trg on ussd_pool;
+create trigger ussd_pool_history_trg after update on ussd_pool
+  for each row execute function ussd_pool_history();
+
+-- Codes allocated before this migration start their history at allocated_at
+insert into ussd_code_history (base, action, level, target_id, reason, created_at)
+select p.base, 'ALLOCATE', p.level, coalesce(p.sacco_id, p.matatu_id, p.cashier_id, p.boda_id, p.taxi_id), 'allocated before history', coalesce(p.allocated_at, now())
+  from ussd_pool p
+ where p.allocated
+   and not exists (select 1 from ussd_code_history h where h.base = p.base);
+
+-- Allocation (022) now skips suspended and cooling-down codes and records the actor.
+-- Extra errors: 55000 the code is suspended or cooling down (p_base set).
+drop function if exists ussd_allocate(text, uuid, text);
+create or replace function ussd_allocate(p_level text, p_target_id uuid, p_base text default null, p_actor text default null)
+returns table (base text, checksum text)
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  v_level text := upper(coalesce(p_level, ''));
+  v_held text;
+  v_pick ussd_pool%rowtype;
+begin
+  if v_level not in ('SACCO','MATATU','BODA','TAXI') or p_target_id is null then
+    raise exception 'level must be SACCO, MATATU, BODA or TAXI with a target id' using errcode = '22023';
+  end if;
+
+  select p.base into v_held from ussd_pool p
+   where p.allocated and p.level = v_level and coalesce(p.sacco_id, p.matatu_id, p.boda_id, p.taxi_id) = p_target_id
+   limit 1;
+  if v_held is not null then
+    raise exception '% % already holds code base %', v_level, p_target_id, v_held
+      using errcode = '23505', hint = 'target_has_code';
+  end if;
+
+  if p_base is null then
+    select * into v_pick from ussd_pool p
+     where not p.allocated and p.suspended_at is null and (p.cooldown_until is null or p.cooldown_until <= now())
+     order by p.base limit 1 for update skip locked;
+    if not found then return; end if;
+  else
+    select * into v_pick from ussd_pool p where p.base = p_base for update;
+    if not found then
+      raise exception 'base % not in pool', p_base using errcode = 'P0002';
+    end if;
+    if v_pick.allocated then
+      raise exception 'base % already allocated', p_base using errcode = '23505', hint = 'code_taken';
+    end if;
+    if v_pick.suspended_at is not null then
+      raise exception 'code is suspended' using errcode = '55000';
+    end if;
+    if v_pick.cooldown_until > now() then
+      raise exception 'code is cooling down until %', to_char(v_pick.cooldown_until at time zone 'UTC', 'YYYY-MM-DD"T"HH24:MI"Z"')
+        using errcode = '55000';
+    end if;
+  end if;
+
+  perform ussd_set_context(p_actor, null);
+  -- a concurrent allocation for the same target that committed first trips the unique index here (23505)
+  update ussd_pool p
+     set allocated = true,
+         level = v_level,
+         allocated_at = now(),
+         cooldown_until = null,
+         cashier_id = null,
+         sacco_id  = case when v_level = 'SACCO'  then p_target_id end,
+         matatu_id = case when v_level = 'MATATU' then p_target_id end,
+         boda_id   = case when v_level = 'BODA'   then p_target_id end,
+         taxi_id   = case when v_level = 'TAXI'   then p_target_id end
+   where p.base = v_pick.base;
+
+  base := v_pick.base;
+  checksum := v_pick.checksum;
+  return next;
+end $$;
+
+-- Free an allocated code; with p_cooldown_days > 0 it is not handed out again until the cool-down ends.
+-- Errors: P0002 not in pool, 55000 not allocated.
+create or replace function ussd_release(p_base text, p_cooldown_days int default 0, p_reason text default null, p_actor text default null)
+returns setof ussd_pool
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  v_row ussd_pool%rowtype;
+begin
+  select * into v_row from ussd_pool p where p.base = p_base for update;
+  if not found then raise exception 'base % not in pool', p_base using errcode = 'P0002'; end if;
+  if not v_row.allocated then raise exception 'code is not allocated' using errcode = '55000'; end if;
+
+  perform ussd_set_context(p_actor, p_reason);
+  update ussd_pool p
+     set allocated = false, level = null, allocated_at = null,
+         sacco_id = null, matatu_id = null, cashier_id = null, boda_id = null, taxi_id = null,
+         cooldown_until = case when coalesce(p_cooldown_days, 0) > 0 then now() + make_interval(days => p_cooldown_days) end
+   where p.base = p_base
+  returning p.* into v_row;
+  return next v_row;
+end $$;
+
+-- Move an allocated code to another target (level may change); the code keeps its suspension state.
+-- Errors: P0002 not in pool, 55000 not allocated, 23505 the new target already holds a code at that level.
+create or replace function ussd_reassign(p_base text, p_level text, p_target_id uuid, p_reason text default null, p_actor text default null)
+returns setof ussd_pool
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  v_level text := upper(coalesce(p_level, ''));
+  v_row ussd_pool%rowtype;
+  v_held text;
+begin
+  if v_level not in ('SACCO','MATATU','BODA','TAXI') or p_target_id is null then
+    raise exception 'level must be SACCO, MATATU, BODA or TAXI with a target id' using errcode = '22023';
+  end if;
+  select * into v_row from ussd_pool p where p.base = p_base for update;
+  if not found then raise exception 'base % not in pool', p_base using errcode = 'P0002'; end if;
+  if not v_row.allocated then raise exception 'code is not allocated' using errcode = '55000'; end if;
+
+  select p.base into v_held from ussd_pool p
+   where p.allocated and p.level = v_level and coalesce(p.sacco_id, p.matatu_id, p.boda_id, p.taxi_id) = p_target_id
+   limit 1;
+  if v_held is not null then
+    raise exception '% % already holds code base %', v_level, p_target_id, v_held
+      using errcode = '23505', hint = 'target_has_code';
+  end if;
+
+  perform ussd_set_context(p_actor, p_reason);
+  update ussd_pool p
+     set level = v_level,
+         allocated_at = now(),
+         cashier_id = null,
+         sacco_id  = case when v_level = 'SACCO'  then p_target_id end,
+         matatu_id = case when v_level = 'MATATU' then p_target_id end,
+         boda_id   = case when v_level = 'BODA'   then p_target_id end,
+         taxi_id   = case when v_level = 'TAXI'   then p_target_id end
+   where p.base = p_base
+  returning p.* into v_row;
+  return next v_row;
+end $$;
+
+-- Suspend (p_suspend true) or unsuspend a code, allocated or free.
+-- Errors: P0002 not in pool, 55000 already in the requested state.
+create or replace function ussd_set_suspended(p_base text, p_suspend boolean, p_reason text default null, p_actor text default null)
+returns setof ussd_pool
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  v_row ussd_pool%rowtype;
+begin
+  select * into v_row from ussd_pool p where p.base = p_base for update;
+  if not found then raise exception 'base % not in pool', p_base using errcode = 'P0002'; end if;
+  if p_suspend and v_row.suspended_at is not null then raise exception 'code is already suspended' using errcode = '55000'; end if;
+  if not p_suspend and v_row.suspended_at is null then raise exception 'code is not suspended' using errcode = '55000'; end if;
+
+  perform ussd_set_context(p_actor, p_reason);
+  update ussd_pool p
+     set suspended_at = case when p_suspend then now() end,
+         suspended_reason = case when p_suspend then p_reason end
+   where p.base = p_base
+  returning p.* into v_row;
+  return next v_row;
+end $$;
+
+-- Release the codes of a deleted target. tg_argv[0] is the level the table binds at.
+create or replace function ussd_release_deleted_target() returns trigger
+language plpgsql
+security definer
+set search_path = public
+as $$
+begin
+  perform ussd_set_context(null, initcap(tg_argv[0]) || ' deleted');
+  update ussd_pool p
+     set allocated = false, level = null, allocated_at = null,
+         sacco_id = null, matatu_id = null, cashier_id = null, boda_id = null, taxi_id = null
+   where p.allocated and p.level = tg_argv[0]
+     and coalesce(p.sacco_id, p.matatu_id, p.boda_id, p.taxi_id) = old.id;
+  perform ussd_set_context(null, null);
+  return old;
+end $$;
+
+drop trigger if exists saccos_release_ussd on saccos;
+create trigger saccos_release_ussd after delete on saccos
+  for each row execute function ussd_release_deleted_target('SACCO');
+drop trigger if exists matatus_release_ussd on matatus;
+create trigger matatus_release_ussd after delete on matatus
+  for each row execute function ussd_release_deleted_target('MATATU');
+drop trigger if exists bodabodas_release_ussd on bodabodas;
+create trigger bodabodas_release_ussd after delete on bodabodas
+  for each row execute function ussd_release_deleted_target('BODA');
+drop trigger if exists taxis_release_ussd on taxis;
+create trigger taxis_release_ussd after delete on taxis
+  for each row execute function ussd_release_deleted_target('TAXI');
+
+revoke all on function ussd_set_context(text, text) from public, anon, authenticated;
+revoke all on function ussd_allocate(text, uuid, text, text) from public, anon, authenticated;
+revoke all on function ussd_release(text, int, text, text) from public, anon, authenticated;
+revoke all on function ussd_reassign(text, text, uuid, text, text) from public, anon, authenticated;
+revoke all on function ussd_set_suspended(text, boolean, text, text) from public, anon, authenticated;
@@ -0,0 +1,246 @@
+-- USSD prefixes (shortcodes such as *001*) become records that own their pools.
+-- ussd_pool rows carry prefix_id and the key becomes (prefix_id, base), so the same base can live under several prefixes.
+-- Existing rows (and their history) move to *001*, which stays the default prefix.
+
+create table if not exists ussd_prefixes (
+  id uuid primary key default gen_random_uuid(),
+  code text not null unique check (code ~ '^\*[0-9]+(\*[0-9]+)*\*$'),  -- '*001*', '*384*12*'
+  name text,
+  low_stock_threshold int not null default 20 check (low_stock_threshold >= 0),  -- system-overview flags the prefix at or below this
+  is_default boolean not null default false,
+  active boolean not null default true,   -- inactive: no new allocations; bound codes keep working
+  created_at timestamptz not null default now()
+);
+create unique index if not exists ussd_prefixes_one_default on ussd_prefixes(is_default) where is_default;
+
+-- service role only
+alter table ussd_prefixes enable row level security;
+
+insert into ussd_prefixes (code, name, is_default)
+select '*001*', 'Default', not exists (select 1 from ussd_prefixes where is_default)
+on conflict (code) do nothing;
+
+alter table if exists ussd_pool add column if not exists prefix_id uuid references ussd_prefixes(id);
+update ussd_pool set prefix_id = (select id from ussd_prefixes where code = '*001*') where prefix_id is null;
+alter table ussd_pool alter column prefix_id set not null;
+alter table ussd_pool drop constraint if exists ussd_pool_pkey;
+alter table ussd_pool add constraint ussd_pool_pkey primary key (prefix_id, base);
+
+alter table if exists ussd_code_history add column if not exists prefix_id uuid references ussd_prefixes(id);
+update ussd_code_history set prefix_id = (select id from ussd_prefixes where code = '*001*') where prefix_id is null;
+drop index if exists ussd_code_history_base_idx;
+create index if not exists ussd_code_history_code_idx on ussd_code_history(prefix_id, base, created_at desc);
+
+-- Pool counts per prefix (system-overview, GET /api/admin/ussd/prefixes). Available = can be handed out now.
+create or replace view v_ussd_prefix_stock as
+select x.id as prefix_id, x.code, x.name, x.low_stock_threshold, x.is_default, x.active,
+       count(p.base)::int as total,
+       (count(p.base) filter (where not p.allocated and p.suspended_at is null
+                                and (p.cooldown_until is null or p.cooldown_until <= now())))::int as available,
+       (count(p.base) filter (where p.allocated))::int as allocated,
+       (count(p.base) filter (where p.suspended_at is not null))::int as suspended,
+       (count(p.base) filter (where not p.allocated and p.cooldown_until > now()))::int as cooling_down
+  from ussd_prefixes x
+  left join ussd_pool p on p.prefix_id = x.id
+ group by x.id;
+revoke all on v_ussd_prefix_stock from anon, authenticated;
+
+create or replace function ussd_pool_history() returns trigger
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  v_actor  text := nullif(current_setting('ussd.actor', true), '');
+  v_reason text := nullif(current_setting('ussd.reason', true), '');
+  v_old_target uuid := coalesce(old.sacco_id, old.matatu_id, old.cashier_id, old.boda_id, old.taxi_id);
+  v_new_target uuid := coalesce(new.sacco_id, new.matatu_id, new.cashier_id, new.boda_id, new.taxi_id);
+begin
+  if new.allocated and not old.allocated then
+    insert into ussd_code_history (prefix_id, base, action, level, target_id, reason, actor)
+    values (new.prefix_id, new.base, 'ALLOCATE', new.level, v_new_target, v_reason, v_actor);
+  elsif old.allocated and not new.allocated then
+    insert into ussd_code_history (prefix_id, base, action, level, target_id, cooldown_until, reason, actor)
+    values (new.prefix_id, new.base, 'RELEASE', old.level, v_old_target, new.cooldown_until, v_reason, v_actor);
+  elsif new.allocated and (new.level, v_new_target) is distinct from (old.level, v_old_target) then
+    insert into ussd_code_history (prefix_id, base, action, level, target_id, from_level, from_target_id, reason, actor)
+    values (new.prefix_id, new.base, 'REASSIGN', new.level, v_new_target, old.level, v_old_target, v_reason, v_actor);
+  end if;
+
+  if new.suspended_at is not null and old.suspended_at is null then
+    insert into ussd_code_history (prefix_id, base, action, level, target_id, reason, actor)
+    values (new.prefix_id, new.base, 'SUSPEND', new.level, v_new_target, new.suspended_reason, v_actor);
+  elsif new.suspended_at is null and old.suspended_at is not null then
+    insert into ussd_code_history (prefix_id, base, action, level, target_id, reason, actor)
+    values (new.prefix_id, new.base, 'UNSUSPEND', new.level, v_new_target, v_reason, v_actor);
+  end if;
+  return null;
+end $$;
+
+drop function if exists ussd_allocate(text, uuid, text, text);
+drop function if exists ussd_release(text, int, text, text);
+drop function if exists ussd_reassign(text, text, uuid, text, text);
+drop function if exists ussd_set_suspended(text, boolean, text, text);
+
+-- The pool functions (022/023) now work inside one prefix; errors are unchanged.
+drop function if exists ussd_allocate(text, uuid, text);
+create or replace function ussd_allocate(p_prefix_id uuid, p_level text, p_target_id uuid, p_base text default null, p_actor text default null)
+returns table (base text, checksum text)
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  v_level text := upper(coalesce(p_level, ''));
+  v_held text;
+  v_pick ussd_pool%rowtype;
+begin
+  if v_level not in ('SACCO','MATATU','BODA','TAXI') or p_target_id is null then
+    raise exception 'level must be SACCO, MATATU, BODA or TAXI with a target id' using errcode = '22023';
+  end if;
+
+  select p.base into v_held from ussd_pool p
+   where p.allocated and p.level = v_level and coalesce(p.sacco_id, p.matatu_id, p.boda_id, p.taxi_id) = p_target_id
+   limit 1;
+  if v_held is not null then
+    raise exception '% % already holds code base %', v_level, p_target_id, v_held
+      using errcode = '23505', hint = 'target_has_code';
+  end if;
+
+  if p_base is null then
+    select * into v_pick from ussd_pool p
+     where p.prefix_id = p_prefix_id and not p.allocated and p.suspended_at is null and (p.cooldown_until is null or p.cooldown_until <= now())
+     order by p.base limit 1 for update skip locked;
+    if not found then return; end if;
+  else
+    select * into v_pick from ussd_pool p where p.prefix_id = p_prefix_id and p.base = p_base for update;
+    if not found then
+      raise exception 'base % not in pool', p_base using errcode = 'P0002';
+    end if;
+    if v_pick.allocated then
+      raise exception 'base % already allocated', p_base using errcode = '23505', hint = 'code_taken';
+    end if;
+    if v_pick.suspended_at is not null then
+      raise exception 'code is suspended' using errcode = '55000';
+    end if;
+    if v_pick.cooldown_until > now() then
+      raise exception 'code is cooling down until %', to_char(v_pick.cooldown_until at time zone 'UTC', 'YYYY-MM-DD"T"HH24:MI"Z"')
+        using errcode = '55000';
+    end if;
+  end if;
+
+  perform ussd_set_context(p_actor, null);
+  -- a concurrent allocation for the same target that committed first trips the unique index here (23505)
+  update ussd_pool p
+     set allocated = true,
+         level = v_level,
+         allocated_at = now(),
+         cooldown_until = null,
+         cashier_id = null,
+         sacco_id  = case when v_level = 'SACCO'  then p_target_id end,
+         matatu_id = case when v_level = 'MATATU' then p_target_id end,
+         boda_id   = case when v_level = 'BODA'   then p_target_id end,
+         taxi_id   = case when v_level = 'TAXI'   then p_target_id end
+   where p.prefix_id = p_prefix_id and p.base = v_pick.base;
+
+  base := v_pick.base;
+  checksum := v_pick.checksum;
+  return next;
+end $$;
+
+-- Free an allocated code; with p_cooldown_days > 0 it is not handed out again until the cool-down ends.
+-- Errors: P0002 not in pool, 55000 not allocated.
+create or replace function ussd_release(p_prefix_id uuid, p_base text, p_cooldown_days int default 0, p_reason text default null, p_actor text default null)
+returns setof ussd_pool
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  v_row ussd_pool%rowtype;
+begin
+  select * into v_row from ussd_pool p where p.prefix_id = p_prefix_id and p.base = p_base for update;
+  if not found then raise exception 'base % not in pool', p_base using errcode = 'P0002'; end if;
+  if not v_row.allocated then raise exception 'code is not allocated' using errcode = '55000'; end if;
+
+  perform ussd_set_context(p_actor, p_reason);
+  update ussd_pool p
+     set allocated = false, level = null, allocated_at = null,
+         sacco_id = null, matatu_id = null, cashier_id = null, boda_id = null, taxi_id = null,
+         cooldown_until = case when coalesce(p_cooldown_days, 0) > 0 then now() + make_interval(days => p_cooldown_days) end
+   where p.prefix_id = p_prefix_id and p.base = p_base
+  returning p.* into v_row;
+  return next v_row;
+end $$;
+
+-- Move an allocated code to another target (level may change); the code keeps its suspension state.
+-- Errors: P0002 not in pool, 55000 not allocated, 23505 the new target already holds a code at that level.
+create or replace function ussd_reassign(p_prefix_id uuid, p_base text, p_level text, p_target_id uuid, p_reason text default null, p_actor text default null)
+returns setof ussd_pool
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  v_level text := upper(coalesce(p_level, ''));
+  v_row ussd_pool%rowtype;
+  v_held text;
+begin
+  if v_level not in ('SACCO','MATATU','BODA','TAXI') or p_target_id is null then
+    raise exception 'level must be SACCO, MATATU, BODA or TAXI with a target id' using errcode = '22023';
+  end if;
+  select * into v_row from ussd_pool p where p.prefix_id = p_prefix_id and p.base = p_base for update;
+  if not found then raise exception 'base % not in pool', p_base using errcode = 'P0002'; end if;
+  if not v_row.allocated then raise exception 'code is not allocated' using errcode = '55000'; end if;
+
+  select p.base into v_held from ussd_pool p
+   where p.allocated and p.level = v_level and coalesce(p.sacco_id, p.matatu_id, p.boda_id, p.taxi_id) = p_target_id
+   limit 1;
+  if v_held is not null then
+    raise exception '% % already holds code base %', v_level, p_target_id, v_held
+      using errcode = '23505', hint = 'target_has_code';
+  end if;
+
+  perform ussd_set_context(p_actor, p_reason);
+  update ussd_pool p
+     set level = v_level,
+         allocated_at = now(),
+         cashier_id = null,
+         sacco_id  = case when v_level = 'SACCO'  then p_target_id end,
+         matatu_id = case when v_level = 'MATATU' then p_target_id end,
+         boda_id   = case when v_level = 'BODA'   then p_target_id end,
+         taxi_id   = case when v_level = 'TAXI'   then p_target_id end
+   where p.prefix_id = p_prefix_id and p.base = p_base
+  returning p.* into v_row;
+  return next v_row;
+end $$;
+
+-- Suspend (p_suspend true) or unsuspend a code, allocated or free.
+-- Errors: P0002 not in pool, 55000 already in the requested state.
+create or replace function ussd_set_suspended(p_prefix_id uuid, p_base text, p_suspend boolean, p_reason text default null, p_actor text default null)
+returns setof ussd_pool
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  v_row ussd_pool%rowtype;
+begin
+  select * into v_row from ussd_pool p where p.prefix_id = p_prefix_id and p.base = p_base for update;
+  if not found then raise exception 'base % not in pool', p_base using errcode = 'P0002'; end if;
+  if p_suspend and v_row.suspended_at is not null then raise exception 'code is already suspended' using errcode = '55000'; end if;
+  if not p_suspend and v_row.suspended_at is null then raise exception 'code is not suspended' using errcode = '55000'; end if;
+
+  perform ussd_set_context(p_actor, p_reason);
+  update ussd_pool p
+     set suspended_at = case when p_suspend then now() end,
+         suspended_reason = case when p_suspend then p_reason end
+   where p.prefix_id = p_prefix_id and p.base = p_base
+  returning p.* into v_row;
+  return next v_row;
+end $$;
+
+revoke all on function ussd_allocate(uuid, text, uuid, text, text) from public, anon, authenticated;
+revoke all on function ussd_release(uuid, text, int, text, text) from public, anon, authenticated;
+revoke all on function ussd_reassign(uuid, text, text, uuid, text, text) from public, anon, authenticated;
+revoke all on function ussd_set_suspended(uuid, text, boolean, text, text) from public, anon, authenticated;
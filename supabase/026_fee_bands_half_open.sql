@@ -0,0 +1,17 @@
+-- Fee rule fare bands become half-open [min_fare_kes, max_fare_kes). Inclusive bands such as 0-50 then 51-100
+-- left fares between them (50.50) to the flat fee.
+-- Stored maxima move up one step so every whole-shilling fare keeps the fee it was charged:
+-- a whole-number max gains 1 (50 → 51), any other max gains 0.01 (49.99 → 50.00).
+
+update sacco_ruleset_versions v
+   set fee_rules = (
+     select jsonb_agg(
+              case when jsonb_typeof(r->'max_fare_kes') = 'number'
+                   then jsonb_set(r, '{max_fare_kes}', to_jsonb(
+                          (r->>'max_fare_kes')::numeric
+                          + case when (r->>'max_fare_kes')::numeric = trunc((r->>'max_fare_kes')::numeric) then 1 else 0.01 end))
+                   else r end
+              order by ord)
+       from jsonb_array_elements(v.fee_rules) with ordinality as e(r, ord)
+   )
+ where exists (select 1 from jsonb_array_elements(v.fee_rules) r where jsonb_typeof(r->'max_fare_kes') = 'number');
@@ -0,0 +1,50 @@
+-- SACCO deductions are edited in place, but a fare must be charged under the deductions in force when it was paid
+-- (like sacco_ruleset_versions). Every insert/update/delete of sacco_deductions now closes the open version row and,
+-- unless it was a delete, opens a new one; pricing reads the row whose [valid_from, valid_to) holds the fare's time.
+
+create table if not exists sacco_deduction_versions (
+  id bigserial primary key,
+  deduction_id uuid not null,                 -- no FK: the history outlives a deleted deduction
+  sacco_id uuid not null references saccos(id) on delete cascade,
+  code text not null,
+  name text not null,
+  calc text not null,
+  value numeric(10,2) not null,
+  frequency text not null,
+  active boolean not null,
+  deduction_created_at timestamptz,           -- keeps the parts in the order the deductions were created
+  valid_from timestamptz not null,
+  valid_to timestamptz                        -- null = still in force
+);
+create index if not exists sacco_deduction_versions_at_idx on sacco_deduction_versions(sacco_id, valid_from);
+create unique index if not exists sacco_deduction_versions_open_uniq on sacco_deduction_versions(deduction_id) where valid_to is null;
+
+alter table sacco_deduction_versions enable row level security;
+
+create or replace function sacco_deduction_version() returns trigger
+language plpgsql
+security definer
+set search_path = public
+as $$
+begin
+  if tg_op in ('UPDATE', 'DELETE') then
+    update sacco_deduction_versions set valid_to = now() where deduction_id = old.id and valid_to is null;
+  end if;
+  if tg_op = 'DELETE' then
+    return old;
+  end if;
+  insert into sacco_deduction_versions (deduction_id, sacco_id, code, name, calc, value, frequency, active, deduction_created_at, valid_from)
+  values (new.id, new.sacco_id, new.code, new.name, new.calc, new.value, new.frequency, new.active, new.created_at, now());
+  return new;
+end $$;
+
+drop trigger if exists sacco_deductions_version on sacco_deductions;
+create trigger sacco_deductions_version
+  after insert or update or delete on sacco_deductions
+  for each row execute function sacco_deduction_version();
+
+-- Backfill: each existing deduction as it is now, in force since it was created (earlier edits were not kept)
+insert into sacco_deduction_versions (deduction_id, sacco_id, code, name, calc, value, frequency, active, deduction_created_at, valid_from)
+select d.id, d.sacco_id, d.code, d.name, d.calc, d.value, d.frequency, d.active, d.created_at, coalesce(d.created_at, 'epoch'::timestamptz)
+  from sacco_deductions d
+ where not exists (select 1 from sacco_deduction_versions v where v.deduction_id = d.id);
@@ -0,0 +1,14 @@
+-- A B2C send that hit a 5xx, a dropped connection or a queue timeout was marked FAILED, and retry then paid again
+-- when Safaricom had in fact processed the first attempt. Those outcomes are now UNKNOWN: only the result callback
+-- or a Transaction Status query (status_queried_at records the last one) moves the payout on, and only FAILED retries.
+
+alter table owner_payouts drop constraint if exists owner_payouts_status_check;
+alter table owner_payouts add constraint owner_payouts_status_check
+  check (status in ('QUEUED','SENT','CONFIRMED','FAILED','UNKNOWN'));
+
+alter table owner_payouts add column if not exists status_queried_at timestamptz;
+
+-- Failures without a result code never had Safaricom's answer (refusals included: the old code did not tell them
+-- apart), so they wait for a status query before they can be retried
+update owner_payouts set status = 'UNKNOWN', failed_at = null
+ where status = 'FAILED' and result_code is null;
@@ -0,0 +1,52 @@
+-- A statement upload wrote the run, then its items in chunks, then the counts: a failure part way left a run with
+-- some of its items and stale counts. create_reconciliation writes all three in one transaction.
+-- till_shared marks runs whose till is registered on more than one matatu (matched against the whole SACCO).
+
+alter table reconciliations add column if not exists till_shared boolean not null default false;
+
+-- p_run   : { sacco_id, till_number, matatu_id, till_shared, filename, period_from, period_to, statement_rows, skipped_rows, uploaded_by }
+-- p_items : reconciliation_items rows without reconciliation_id
+-- Returns the run with its counts.
+create or replace function create_reconciliation(p_run jsonb, p_items jsonb default '[]'::jsonb)
+returns jsonb
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  r reconciliations%rowtype;
+begin
+  insert into reconciliations (sacco_id, till_number, matatu_id, till_shared, filename, period_from, period_to, statement_rows, skipped_rows, uploaded_by)
+  values (
+    (p_run->>'sacco_id')::uuid,
+    p_run->>'till_number',
+    nullif(p_run->>'matatu_id', '')::uuid,
+    coalesce((p_run->>'till_shared')::boolean, false),
+    p_run->>'filename',
+    (p_run->>'period_from')::timestamptz,
+    (p_run->>'period_to')::timestamptz,
+    coalesce((p_run->>'statement_rows')::int, 0),
+    coalesce((p_run->>'skipped_rows')::int, 0),
+    p_run->>'uploaded_by'
+  )
+  returning * into r;
+
+  insert into reconciliation_items (reconciliation_id, kind, status, receipt, amount_kes, occurred_at, transaction_id, tx_amount_kes, tx_created_at, discrepancy, raw)
+  select r.id, i.kind, i.status, i.receipt, i.amount_kes, i.occurred_at, i.transaction_id, i.tx_amount_kes, i.tx_created_at, i.discrepancy, i.raw
+    from jsonb_to_recordset(coalesce(p_items, '[]'::jsonb)) as i(
+      kind text, status text, receipt text, amount_kes numeric, occurred_at timestamptz,
+      transaction_id uuid, tx_amount_kes numeric, tx_created_at timestamptz, discrepancy text, raw jsonb
+    );
+
+  update reconciliations c
+     set matched_count        = (select count(*) from reconciliation_items where reconciliation_id = r.id and kind = 'MATCHED'),
+         statement_only_count = (select count(*) from reconciliation_items where reconciliation_id = r.id and kind = 'STATEMENT_ONLY'),
+         missing_count        = (select count(*) from reconciliation_items where reconciliation_id = r.id and kind = 'MISSING_ON_STATEMENT'),
+         open_count           = (select count(*) from reconciliation_items where reconciliation_id = r.id and status = 'OPEN')
+   where c.id = r.id
+  returning * into r;
+
+  return to_jsonb(r);
+end $$;
+
+revoke all on function create_reconciliation(jsonb, jsonb) from public, anon, authenticated;
@@ -0,0 +1,7 @@
+-- Money moved by Daraja callbacks, the pending sweeper and passenger-started payments had no audit row:
+-- nobody signed in made them. They are written with actor_type 'system' and the caller's name as actor
+-- ('daraja', 'stk-sweeper', 'passenger', 'ussd-gateway').
+
+alter table audit_log drop constraint if exists audit_log_actor_type_check;
+alter table audit_log add constraint audit_log_actor_type_check
+  check (actor_type in ('user','api_key','admin_token','system'));
@@ -0,0 +1,144 @@
+-- Prefix-scoped targets and an atomic default switch.
+-- 022's one-code-per-target indexes (and the "already holds a code" checks in ussd_allocate/ussd_reassign) ignored
+-- the prefix, so a matatu bound under *001* could not get a code under *002*. A target now holds at most one active
+-- code per level per prefix.
+-- The prefix routes cleared the old default and then wrote the new one in a second call; a failed write left no
+-- default. ussd_set_default_prefix does both in one transaction.
+
+drop index if exists ussd_pool_one_sacco_uniq;
+drop index if exists ussd_pool_one_matatu_uniq;
+drop index if exists ussd_pool_one_boda_uniq;
+drop index if exists ussd_pool_one_taxi_uniq;
+create unique index if not exists ussd_pool_one_sacco_uniq  on ussd_pool(prefix_id, sacco_id)  where allocated and level = 'SACCO';
+create unique index if not exists ussd_pool_one_matatu_uniq on ussd_pool(prefix_id, matatu_id) where allocated and level = 'MATATU';
+create unique index if not exists ussd_pool_one_boda_uniq   on ussd_pool(prefix_id, boda_id)   where allocated and level = 'BODA';
+create unique index if not exists ussd_pool_one_taxi_uniq   on ussd_pool(prefix_id, taxi_id)   where allocated and level = 'TAXI';
+
+-- Same as 024 with the held-code check scoped to p_prefix_id.
+create or replace function ussd_allocate(p_prefix_id uuid, p_level text, p_target_id uuid, p_base text default null, p_actor text default null)
+returns table (base text, checksum text)
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  v_level text := upper(coalesce(p_level, ''));
+  v_held text;
+  v_pick ussd_pool%rowtype;
+begin
+  if v_level not in ('SACCO','MATATU','BODA','TAXI') or p_target_id is null then
+    raise exception 'level must be SACCO, MATATU, BODA or TAXI with a target id' using errcode = '22023';
+  end if;
+
+  select p.base into v_held from ussd_pool p
+   where p.prefix_id = p_prefix_id and p.allocated and p.level = v_level
+     and coalesce(p.sacco_id, p.matatu_id, p.boda_id, p.taxi_id) = p_target_id
+   limit 1;
+  if v_held is not null then
+    raise exception '% % already holds code base % under this prefix', v_level, p_target_id, v_held
+      using errcode = '23505', hint = 'target_has_code';
+  end if;
+
+  if p_base is null then
+    select * into v_pick from ussd_pool p
+     where p.prefix_id = p_prefix_id and not p.allocated and p.suspended_at is null and (p.cooldown_until is null or p.cooldown_until <= now())
+     order by p.base limit 1 for update skip locked;
+    if not found then return; end if;
+  else
+    select * into v_pick from ussd_pool p where p.prefix_id = p_prefix_id and p.base = p_base for update;
+    if not found then
+      raise exception 'base % not in pool', p_base using errcode = 'P0002';
+    end if;
+    if v_pick.allocated then
+      raise exception 'base % already allocated', p_base using errcode = '23505', hint = 'code_taken';
+    end if;
+    if v_pick.suspended_at is not null then
+      raise exception 'code is suspended' using errcode = '55000';
+    end if;
+    if v_pick.cooldown_until > now() then
+      raise exception 'code is cooling down until %', to_char(v_pick.cooldown_until at time zone 'UTC', 'YYYY-MM-DD"T"HH24:MI"Z"')
+        using errcode = '55000';
+    end if;
+  end if;
+
+  perform ussd_set_context(p_actor, null);
+  -- a concurrent allocation for the same target that committed first trips the unique index here (23505)
+  update ussd_pool p
+     set allocated = true,
+         level = v_level,
+         allocated_at = now(),
+         cooldown_until = null,
+         cashier_id = null,
+         sacco_id  = case when v_level = 'SACCO'  then p_target_id end,
+         matatu_id = case when v_level = 'MATATU' then p_target_id end,
+         boda_id   = case when v_level = 'BODA'   then p_target_id end,
+         taxi_id   = case when v_level = 'TAXI'   then p_target_id end
+   where p.prefix_id = p_prefix_id and p.base = v_pick.base;
+
+  base := v_pick.base;
+  checksum := v_pick.checksum;
+  return next;
+end $$;
+
+create or replace function ussd_reassign(p_prefix_id uuid, p_base text, p_level text, p_target_id uuid, p_reason text default null, p_actor text default null)
+returns setof ussd_pool
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  v_level text := upper(coalesce(p_level, ''));
+  v_row ussd_pool%rowtype;
+  v_held text;
+begin
+  if v_level not in ('SACCO','MATATU','BODA','TAXI') or p_target_id is null then
+    raise exception 'level must be SACCO, MATATU, BODA or TAXI with a target id' using errcode = '22023';
+  end if;
+  select * into v_row from ussd_pool p where p.prefix_id = p_prefix_id and p.base = p_base for update;
+  if not found then raise exception 'base % not in pool', p_base using errcode = 'P0002'; end if;
+  if not v_row.allocated then raise exception 'code is not allocated' using errcode = '55000'; end if;
+
+  select p.base into v_held from ussd_pool p
+   where p.prefix_id = p_prefix_id and p.allocated and p.level = v_level
+     and coalesce(p.sacco_id, p.matatu_id, p.boda_id, p.taxi_id) = p_target_id
+   limit 1;
+  if v_held is not null then
+    raise exception '% % already holds code base % under this prefix', v_level, p_target_id, v_held
+      using errcode = '23505', hint = 'target_has_code';
+  end if;
+
+  perform ussd_set_context(p_actor, p_reason);
+  update ussd_pool p
+     set level = v_level,
+         allocated_at = now(),
+         cashier_id = null,
+         sacco_id  = case when v_level = 'SACCO'  then p_target_id end,
+         matatu_id = case when v_level = 'MATATU' then p_target_id end,
+         boda_id   = case when v_level = 'BODA'   then p_target_id end,
+         taxi_id   = case when v_level = 'TAXI'   then p_target_id end
+   where p.prefix_id = p_prefix_id and p.base = p_base
+  returning p.* into v_row;
+  return next v_row;
+end $$;
+
+-- Make p_id the only default prefix. Errors: P0002 unknown prefix.
+create or replace function ussd_set_default_prefix(p_id uuid)
+returns setof ussd_prefixes
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  v_row ussd_prefixes%rowtype;
+begin
+  select * into v_row from ussd_prefixes where id = p_id for update;
+  if not found then raise exception 'prefix % not found', p_id using errcode = 'P0002'; end if;
+  -- two statements: the one-default index is checked row by row, so clear first
+  update ussd_prefixes set is_default = false where is_default and id <> p_id;
+  update ussd_prefixes set is_default = true where id = p_id returning * into v_row;
+  return next v_row;
+end $$;
+
+revoke all on function ussd_allocate(uuid, text, uuid, text, text) from public, anon, authenticated;
+revoke all on function ussd_reassign(uuid, text, text, uuid, text, text) from public, anon, authenticated;
+revoke all on function ussd_set_default_prefix(uuid) from public, anon, authenticated;
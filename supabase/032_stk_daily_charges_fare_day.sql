@@ -0,0 +1,67 @@
+-- settle_stk_transaction (025) looked for the day's once-only charges by ledger_entries.created_at, which is the
+-- settlement time. A fare started before the day cutoff and settled after it had its SACCO_FEE and DAILY deductions
+-- counted on the next day: the next day's first fare skipped its fee and another fare on the earlier day could take it
+-- again. The check now dates each ledger row by its transaction's created_at (rows without one keep their own).
+-- Same signature as 025; apply after it.
+
+create or replace function settle_stk_transaction(
+  p_checkout_id text,
+  p_status text,
+  p_receipt text default null,
+  p_parts jsonb default '[]'::jsonb,
+  p_ruleset_version_id uuid default null,
+  p_daily_types text[] default '{}',
+  p_day_from timestamptz default null,
+  p_day_to timestamptz default null
+) returns jsonb
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  t transactions%rowtype;
+  v_skipped text[] := '{}';
+begin
+  if p_status not in ('SUCCESS','FAILED','TIMEOUT') then
+    raise exception 'invalid status %', p_status;
+  end if;
+
+  select * into t from transactions where mpesa_checkout_id = p_checkout_id for update;
+  if not found then
+    return jsonb_build_object('found', false, 'applied', false);
+  end if;
+  if t.status <> 'PENDING' then
+    return jsonb_build_object('found', true, 'applied', false, 'transaction_id', t.id, 'status', t.status);
+  end if;
+
+  update transactions
+     set status = p_status,
+         mpesa_receipt = coalesce(p_receipt, mpesa_receipt),
+         ruleset_version_id = coalesce(p_ruleset_version_id, ruleset_version_id)
+   where id = t.id;
+
+  if p_status = 'SUCCESS' then
+    -- Held to commit: a second settlement for the same matatu and day waits here, then sees this one's rows
+    if t.matatu_id is not null and p_day_from is not null and cardinality(p_daily_types) > 0 then
+      perform pg_advisory_xact_lock(hashtextextended('settle_daily:' || t.matatu_id::text || ':' || p_day_from::text, 0));
+      -- a fare's rows are posted when it settles, which can be after the cutoff: date them by their transaction
+      select coalesce(array_agg(distinct le.type), '{}') into v_skipped
+        from ledger_entries le
+        left join transactions tx on tx.id = le.transaction_id
+       where le.matatu_id = t.matatu_id
+         and le.type = any(p_daily_types)
+         and coalesce(tx.created_at, le.created_at) >= p_day_from
+         and coalesce(tx.created_at, le.created_at) < p_day_to;
+    end if;
+
+    insert into ledger_entries (transaction_id, sacco_id, matatu_id, type, amount_kes)
+    select t.id, t.sacco_id, t.matatu_id, p->>'type', round((p->>'amount_kes')::numeric, 2)
+      from jsonb_array_elements(coalesce(p_parts, '[]'::jsonb)) as p
+     where (p->>'amount_kes')::numeric > 0
+       and not (p->>'type' = any(v_skipped));
+  end if;
+
+  return jsonb_build_object('found', true, 'applied', true, 'transaction_id', t.id, 'status', p_status, 'daily_skipped', to_jsonb(v_skipped));
+end $$;
+
+revoke all on function settle_stk_transaction(text, text, text, jsonb, uuid, text[], timestamptz, timestamptz) from public, anon, authenticated;
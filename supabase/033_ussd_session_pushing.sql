@@ -0,0 +1,6 @@
+-- USSD confirm ran the STK push while the session still said CONFIRM, so an aggregator resending a slow "1"
+-- (or a second request racing the first) pushed twice. The gateway now moves CONFIRM → PUSHING with a
+-- compare-and-set before pushing; only the request that wins it sends the prompt.
+
+alter table ussd_sessions drop constraint if exists ussd_sessions_state_check;
+alter table ussd_sessions add constraint ussd_sessions_state_check check (state in ('AMOUNT','CONFIRM','PUSHING','DONE'));
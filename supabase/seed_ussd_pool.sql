@@ -1,5 +1,5 @@
--- Seed 30 free USSD bases (three-digit bases 110..139)
--- Schema assumed: ussd_pool(base text, checksum text, allocated bool default false, level text, sacco_id uuid, matatu_id uuid, allocated_at timestamptz)
+-- Seed 30 free USSD bases (three-digit bases 110..139) under the default prefix (024_ussd_prefixes.sql)
+-- Schema assumed: ussd_pool(prefix_id uuid, base text, checksum text, allocated bool default false, level text, sacco_id uuid, matatu_id uuid, allocated_at timestamptz)
 
 with bases as (
   select lpad(g::text, 3, '0') as base_txt
@@ -18,10 +18,10 @@ digital_root as (
          end as checksum
   from bases
 )
-insert into ussd_pool (base, checksum, allocated)
-select base_txt, checksum, false
+insert into ussd_pool (prefix_id, base, checksum, allocated)
+select (select id from ussd_prefixes where is_default), base_txt, checksum, false
 from digital_root
-on conflict (base) do nothing;
+on conflict (prefix_id, base) do nothing;
 
 -- Verify
 select base, checksum, allocated
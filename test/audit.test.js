@@ -0,0 +1,36 @@
+// audit(): a failed insert never fails the request, but it is counted on /metrics/prom
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { boot } = require('./helpers/boot');
+
+let failAudit = false;
+let h;
+test.before(async () => {
+  h = await boot({
+    defaults: {
+      audit_log: () => {
+        if (failAudit) throw Object.assign(new Error('new row violates check constraint "audit_log_actor_type_check"'), { code: '23514' });
+        return {};
+      },
+    },
+  });
+});
+test.after(() => h.close());
+
+const failures = async () => {
+  const r = await h.call('GET', '/metrics/prom', undefined, h.admin);
+  return Number(/^teketeke_audit_write_failures_total (\d+)$/m.exec(r.body)[1]);
+};
+
+test('a failed audit insert is counted and the write still succeeds', async () => {
+  assert.equal(await failures(), 0);
+  failAudit = true;
+  try {
+    const r = await h.call('POST', '/api/admin/bodabodas', { sacco_id: 's1', number_plate: 'kmea1' }, h.admin);
+    assert.equal(r.status, 200);
+  } finally {
+    failAudit = false;
+  }
+  assert.equal(await failures(), 1);
+  assert.equal(h.T('audit_log').length, 0);
+});
@@ -0,0 +1,38 @@
+// Business-day bounds (SACCO time zone + day cutoff)
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { businessDate, startOfDayISO, endOfDayISO, parseRange } = require('../server');
+
+const NAIROBI = { tz: 'Africa/Nairobi', cutoff: 0 };
+const NAIROBI_4AM = { tz: 'Africa/Nairobi', cutoff: 4 };
+
+test('businessDate rolls over at local midnight by default', () => {
+  assert.equal(businessDate('2025-01-15T20:59:59Z', NAIROBI), '2025-01-15');
+  assert.equal(businessDate('2025-01-15T21:00:00Z', NAIROBI), '2025-01-16');
+});
+
+test('businessDate keeps the small hours on the previous day before the cutoff', () => {
+  // 03:30 EAT on the 16th
+  assert.equal(businessDate('2025-01-16T00:30:00Z', NAIROBI_4AM), '2025-01-15');
+  // 04:00 EAT on the 16th
+  assert.equal(businessDate('2025-01-16T01:00:00Z', NAIROBI_4AM), '2025-01-16');
+});
+
+test('day bounds are [cutoff, next cutoff) in UTC', () => {
+  assert.equal(startOfDayISO('2025-01-15', NAIROBI), '2025-01-14T21:00:00.000Z');
+  assert.equal(endOfDayISO('2025-01-15', NAIROBI), '2025-01-15T21:00:00.000Z');
+  assert.equal(startOfDayISO('2025-01-15', NAIROBI_4AM), '2025-01-15T01:00:00.000Z');
+  // an instant resolves to the business day it falls on
+  assert.equal(startOfDayISO(new Date('2025-01-16T00:30:00Z'), NAIROBI_4AM), '2025-01-15T01:00:00.000Z');
+});
+
+test('a DST change gives a short day', () => {
+  const london = { tz: 'Europe/London', cutoff: 0 };
+  assert.equal(startOfDayISO('2025-03-30', london), '2025-03-30T00:00:00.000Z');
+  assert.equal(endOfDayISO('2025-03-30', london), '2025-03-30T23:00:00.000Z');
+});
+
+test('parseRange covers whole business days', () => {
+  assert.deepEqual(parseRange({ date: '2025-01-15' }, NAIROBI), { from: '2025-01-14T21:00:00.000Z', to: '2025-01-15T21:00:00.000Z' });
+  assert.deepEqual(parseRange({ from: '2025-01-01', to: '2025-01-31' }, NAIROBI), { from: '2024-12-31T21:00:00.000Z', to: '2025-01-31T21:00:00.000Z' });
+});
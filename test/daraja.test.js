@@ -0,0 +1,29 @@
+// Daraja STK result helpers
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { stkResultStatus, stkUnknownCheckout, parseStkCallback } = require('../src/daraja/stk');
+
+test('stkResultStatus: 0 paid, 1037 timeout, other codes failed, no code unknown', () => {
+  assert.equal(stkResultStatus(0), 'SUCCESS');
+  assert.equal(stkResultStatus(1037), 'TIMEOUT');
+  assert.equal(stkResultStatus(1032), 'FAILED');
+  assert.equal(stkResultStatus(null), null);
+  assert.equal(stkResultStatus(NaN), null);
+});
+
+test('stkUnknownCheckout only matches Daraja\'s invalid CheckoutRequestID answer', () => {
+  const err = (status, details) => Object.assign(new Error('Daraja error'), { status, details });
+  assert.equal(stkUnknownCheckout(err(400, { errorCode: '400.002.02', errorMessage: 'Bad Request - Invalid CheckoutRequestID' })), true);
+  assert.equal(stkUnknownCheckout(err(400, { errorCode: '400.002.02', errorMessage: 'Bad Request - Invalid Timestamp' })), false);
+  assert.equal(stkUnknownCheckout(err(500, { errorCode: '500.001.1001', errorMessage: 'The transaction is being processed' })), false);
+  assert.equal(stkUnknownCheckout(err(503, { raw: 'Service Unavailable' })), false);
+  assert.equal(stkUnknownCheckout(new Error('ECONNRESET')), false);
+});
+
+test('parseStkCallback flattens the metadata items', () => {
+  const cb = parseStkCallback({
+    Body: { stkCallback: { CheckoutRequestID: 'ws_1', ResultCode: 0, CallbackMetadata: { Item: [{ Name: 'Amount', Value: 100 }, { Name: 'MpesaReceiptNumber', Value: 'SAB1' }] } } },
+  });
+  assert.deepEqual([cb.checkoutRequestId, cb.resultCode, cb.amount, cb.receipt], ['ws_1', 0, 100, 'SAB1']);
+  assert.equal(parseStkCallback({ Body: {} }), null);
+});
@@ -0,0 +1,57 @@
+// Boots server.js against the in-memory PostgREST and the Daraja stand-in (src/daraja/mock.js) on free ports.
+// Each test file runs in its own process, so env is set here before server.js is first required.
+const { createFakePostgrest } = require('./fake-postgrest');
+const { createMockDaraja } = require('../../src/daraja/mock');
+
+const listen = (server) => new Promise((resolve) => server.listen(0, '127.0.0.1', () => resolve(server.address().port)));
+
+async function boot({ rpc = {}, defaults = {}, env = {}, daraja = {} } = {}) {
+  const fake = createFakePostgrest({ rpc, defaults });
+  const pgPort = await listen(fake.server);
+  const mock = createMockDaraja({ stkResult: 'none', b2cResult: 'none', ...daraja });
+  const darajaServer = require('http').createServer(mock);
+  const darajaPort = await listen(darajaServer);
+  // The app's own port is known before server.js loads, so API_URL-derived callback URLs reach it
+  const appServer = require('http').createServer();
+  const port = await listen(appServer);
+  Object.assign(process.env, {
+    VERCEL: '1',
+    LOG_LEVEL: 'silent',
+    SUPABASE_URL: `http://127.0.0.1:${pgPort}`,
+    SUPABASE_ANON_KEY: 'anon',
+    SUPABASE_SERVICE_ROLE: 'service',
+    SUPABASE_JWT_SECRET: 'test-jwt-secret',
+    ADMIN_TOKEN: 'test-admin',
+    DARAJA_BASE_URL: `http://127.0.0.1:${darajaPort}`,
+    DARAJA_CONSUMER_KEY: 'key',
+    DARAJA_CONSUMER_SECRET: 'secret',
+    DARAJA_SHORTCODE: '174379',
+    DARAJA_PASSKEY: 'passkey',
+    DARAJA_CALLBACK_URL: 'http://127.0.0.1/api/pay/stk/callback',
+    API_URL: `http://127.0.0.1:${port}`,
+    ...env,
+  });
+  const app = require('../../server');
+  appServer.on('request', app);
+
+  async function call(method, url, body, headers = {}) {
+    const r = await fetch(`http://127.0.0.1:${port}${url}`, {
+      method,
+      headers: { 'content-type': 'application/json', ...headers },
+      body: body === undefined ? undefined : typeof body === 'string' ? body : JSON.stringify(body),
+    });
+    const text = await r.text();
+    let json;
+    try { json = JSON.parse(text); } catch { json = text; }
+    return { status: r.status, body: json, headers: r.headers };
+  }
+  const admin = { 'x-admin-token': 'test-admin' };
+  function close() {
+    appServer.close();
+    darajaServer.close();
+    fake.server.close();
+  }
+  return { app, db: fake.db, T: fake.T, log: fake.log, daraja: mock.locals.state, call, admin, close };
+}
+
+module.exports = { boot };
@@ -0,0 +1,186 @@
+// In-memory PostgREST stand-in for route tests: the table reads/writes supabase-js makes, plus RPCs as JS functions.
+// rpc: { fn_name(args, db, T) → result }; throw an Error with .code to return a PostgREST error.
+// defaults: { table: {...} | () => {...} } column defaults; defaults.__unique: { table: ['col', 'a,b'] } unique keys.
+// No RLS, triggers or database defaults beyond these; the SQL behind each RPC is the migration's job.
+const http = require('http');
+const { randomUUID } = require('crypto');
+
+function createFakePostgrest({ rpc = {}, defaults = {} } = {}) {
+  const db = {};
+  const T = (n) => (db[n] = db[n] || []);
+  const log = [];
+
+  function parseVal(v) {
+    if (v === 'null') return null;
+    if (v === 'true') return true;
+    if (v === 'false') return false;
+    return v;
+  }
+  function cmp(a, b) {
+    if (a == null && b == null) return 0;
+    if (a == null) return -1;
+    if (b == null) return 1;
+    const na = Number(a), nb = Number(b);
+    if (!isNaN(na) && !isNaN(nb) && String(a).trim() !== '' && String(b).trim() !== '') return na - nb;
+    return String(a) < String(b) ? -1 : String(a) > String(b) ? 1 : 0;
+  }
+  function match(row, col, expr) {
+    let neg = false;
+    if (expr.startsWith('not.')) { neg = true; expr = expr.slice(4); }
+    const i = expr.indexOf('.');
+    const op = expr.slice(0, i), raw = expr.slice(i + 1);
+    const v = row[col];
+    let r;
+    switch (op) {
+      case 'eq': r = String(v) === String(parseVal(raw)) || (parseVal(raw) === true && v === true) || (parseVal(raw) === false && v === false); break;
+      case 'neq': r = String(v) !== String(parseVal(raw)); break;
+      case 'gt': r = v != null && cmp(v, raw) > 0; break;
+      case 'gte': r = v != null && cmp(v, raw) >= 0; break;
+      case 'lt': r = v != null && cmp(v, raw) < 0; break;
+      case 'lte': r = v != null && cmp(v, raw) <= 0; break;
+      case 'is': r = raw === 'null' ? v == null : v === parseVal(raw); break;
+      case 'in': { const list = raw.replace(/^\(|\)$/g, '').split(',').map((x) => x.replace(/^"|"$/g, '')); r = list.includes(String(v)); break; }
+      case 'ilike': { const rx = new RegExp('^' + raw.replace(/[.+?^${}()|[\]\\]/g, '\\$&').replace(/[%*]/g, '.*') + '$', 'i'); r = rx.test(String(v ?? '')); break; }
+      case 'like': { const rx = new RegExp('^' + raw.replace(/[.+?^${}()|[\]\\]/g, '\\$&').replace(/[%*]/g, '.*') + '$'); r = rx.test(String(v ?? '')); break; }
+      default: throw new Error('unsupported op ' + op);
+    }
+    return neg ? !r : r;
+  }
+  function orMatch(row, expr) {
+    const inner = expr.replace(/^\(|\)$/g, '');
+    return inner.split(',').some((part) => {
+      const [col, ...rest] = part.split('.');
+      return match(row, col, rest.join('.'));
+    });
+  }
+  function project(row, select) {
+    if (!select || select === '*') return { ...row };
+    const out = {};
+    let depth = 0, cur = '', parts = [];
+    for (const ch of select) { if (ch === '(') depth++; if (ch === ')') depth--; if (ch === ',' && depth === 0) { parts.push(cur); cur = ''; } else cur += ch; }
+    if (cur) parts.push(cur);
+    for (let p of parts) {
+      p = p.trim();
+      if (p === '*') { Object.assign(out, row); continue; }
+      const m = p.match(/^([\w]+)(?:!inner)?\((.*)\)$/);
+      if (m) {
+        const emb = m[1];
+        const fk = emb.replace(/s$/, '') + '_id';
+        const target = (db[emb] || []).find((r) => r.id === row[fk]);
+        out[emb] = target ? project(target, m[2]) : null;
+        continue;
+      }
+      const [name, alias] = p.includes(':') ? p.split(':').reverse() : [p, p];
+      out[alias] = row[name];
+    }
+    return out;
+  }
+  function filterRows(table, params) {
+    let rows = T(table).slice();
+    for (const [k, v] of params) {
+      if (['select', 'order', 'limit', 'offset', 'on_conflict', 'columns'].includes(k)) continue;
+      if (k === 'or') { rows = rows.filter((r) => orMatch(r, v)); continue; }
+      if (k.includes('.')) {
+        // embedded filter like matatus.sacco_id
+        const [emb, col] = k.split('.');
+        const fk = emb.replace(/s$/, '') + '_id';
+        rows = rows.filter((r) => { const t = (db[emb] || []).find((x) => x.id === r[fk]); return t && match(t, col, v); });
+        continue;
+      }
+      rows = rows.filter((r) => match(r, k, v));
+    }
+    return rows;
+  }
+  function order(rows, spec) {
+    if (!spec) return rows;
+    const keys = spec.split(',').map((s) => { const [c, dir] = s.split('.'); return { c, desc: dir === 'desc' }; });
+    return rows.sort((a, b) => { for (const k of keys) { const d = cmp(a[k.c], b[k.c]); if (d) return k.desc ? -d : d; } return 0; });
+  }
+  function send(res, status, body, headers = {}) {
+    res.writeHead(status, { 'Content-Type': 'application/json', ...headers });
+    res.end(body === undefined ? '' : JSON.stringify(body));
+  }
+
+  const server = http.createServer(async (req, res) => {
+    let raw = '';
+    for await (const c of req) raw += c;
+    const url = new URL(req.url, 'http://x');
+    const body = raw ? JSON.parse(raw) : null;
+    const prefer = String(req.headers.prefer || '');
+    const accept = String(req.headers.accept || '');
+    const single = accept.includes('vnd.pgrst.object');
+    log.push({ method: req.method, path: url.pathname, search: url.search, body, key: req.headers.apikey });
+    try {
+      if (url.pathname.startsWith('/auth/v1')) {
+        if (rpc.__auth) return rpc.__auth(req, res, url, body, send);
+        return send(res, 404, { msg: 'no auth' });
+      }
+      const m = url.pathname.match(/^\/rest\/v1\/(rpc\/)?(\w+)$/);
+      if (!m) return send(res, 404, { message: 'not found' });
+      if (m[1]) {
+        const fn = rpc[m[2]];
+        if (!fn) return send(res, 404, { code: 'PGRST202', message: 'no fn ' + m[2] });
+        const out = await fn(body || Object.fromEntries(url.searchParams), db, T);
+        return send(res, 200, out);
+      }
+      const table = m[2];
+      const params = [...url.searchParams.entries()];
+      const sel = url.searchParams.get('select');
+      if (req.method === 'GET' || req.method === 'HEAD') {
+        let rows = order(filterRows(table, params), url.searchParams.get('order'));
+        const total = rows.length;
+        const off = Number(url.searchParams.get('offset') || 0);
+        const lim = url.searchParams.get('limit');
+        rows = rows.slice(off, lim ? off + Number(lim) : undefined).map((r) => project(r, sel));
+        // inner joins: drop rows whose !inner embed is null
+        if (sel && /!inner/.test(sel)) { const embs = [...sel.matchAll(/(\w+)!inner/g)].map((x) => x[1]); rows = rows.filter((r) => embs.every((e) => r[e])); }
+        const hdr = { 'Content-Range': `${off}-${off + rows.length - 1}/${total}` };
+        if (req.method === 'HEAD') { res.writeHead(200, hdr); return res.end(); }
+        if (single) { if (rows.length !== 1) return send(res, 406, { code: 'PGRST116', message: 'JSON object requested, multiple (or no) rows returned' }); return send(res, 200, rows[0], hdr); }
+        return send(res, 200, rows, hdr);
+      }
+      if (req.method === 'POST') {
+        const items = Array.isArray(body) ? body : [body];
+        const upsert = prefer.includes('resolution=merge-duplicates');
+        const ignore = prefer.includes('resolution=ignore-duplicates');
+        const conflict = (url.searchParams.get('on_conflict') || 'id').split(',');
+        const uniques = (defaults.__unique || {})[table] || [];
+        const out = [];
+        for (const it of items) {
+          const existing = (upsert || ignore) ? T(table).find((r) => conflict.every((c) => r[c] !== undefined && String(r[c]) === String(it[c]))) : null;
+          if (existing) { if (upsert) Object.assign(existing, it); out.push(existing); continue; }
+          for (const u of uniques) {
+            const cols = u.split(',');
+            if (cols.every((c) => it[c] != null) && T(table).some((r) => cols.every((c) => String(r[c]) === String(it[c])))) return send(res, 409, { code: '23505', message: `duplicate key value violates unique constraint (${u})` });
+          }
+          const row = { ...(typeof defaults[table] === 'function' ? defaults[table]() : defaults[table] || {}), id: randomUUID(), created_at: new Date().toISOString(), ...it };
+          T(table).push(row);
+          out.push(row);
+        }
+        if (!prefer.includes('return=representation')) return send(res, 201, undefined);
+        const proj = out.map((r) => project(r, sel));
+        if (single) return send(res, 201, proj[0]);
+        return send(res, 201, proj);
+      }
+      if (req.method === 'PATCH') {
+        const rows = filterRows(table, params);
+        rows.forEach((r) => Object.assign(r, body));
+        if (!prefer.includes('return=representation')) return send(res, 204, undefined);
+        const proj = rows.map((r) => project(r, sel));
+        if (single) { if (proj.length !== 1) return send(res, 406, { code: 'PGRST116', message: 'JSON object requested, multiple (or no) rows returned' }); return send(res, 200, proj[0]); }
+        return send(res, 200, proj);
+      }
+      if (req.method === 'DELETE') {
+        const rows = filterRows(table, params);
+        db[table] = T(table).filter((r) => !rows.includes(r));
+        if (!prefer.includes('return=representation')) return send(res, 204, undefined);
+        return send(res, 200, rows.map((r) => project(r, sel)));
+      }
+      send(res, 405, { message: 'method' });
+    } catch (e) {
+      send(res, 400, { message: e.message, code: e.code || 'XX000' });
+    }
+  });
+  return { server, db, T, log };
+}
+module.exports = { createFakePostgrest };
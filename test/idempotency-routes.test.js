@@ -0,0 +1,59 @@
+// Idempotency-Key against the in-memory PostgREST: what the first response stores and the retry gets back
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const express = require('express');
+const { boot } = require('./helpers/boot');
+
+const MATATU = '22222222-2222-4222-8222-222222222222';
+
+let h;
+let probe;
+test.before(async () => {
+  h = await boot({ defaults: { __unique: { idempotency_keys: ['caller,route,key'] } } });
+  h.T('matatus').push({ id: MATATU, sacco_id: '11111111-1111-4111-8111-111111111111', number_plate: 'KDA123A' });
+  // A stand-alone app behind the same middleware, for response shapes no real route produces
+  const { idempotent } = require('../server');
+  const runs = { text: 0, empty: 0 };
+  const app = express();
+  app.use(express.json());
+  app.post('/text', idempotent, (req, res) => { runs.text++; res.type('text/csv').send('a,b\n1,2\n'); });
+  app.post('/empty', idempotent, (req, res) => { runs.empty++; res.sendStatus(204); });
+  const server = app.listen(0, '127.0.0.1');
+  await new Promise((r) => server.once('listening', r));
+  const post = (path, key) => fetch(`http://127.0.0.1:${server.address().port}${path}`, {
+    method: 'POST', headers: { 'content-type': 'application/json', 'idempotency-key': key }, body: '{}',
+  });
+  probe = { runs, post, close: () => server.close() };
+});
+test.after(() => { h.close(); probe.close(); });
+
+test('a retried STK push replays the first answer instead of charging the passenger twice', async () => {
+  const body = { matatu_id: MATATU, msisdn: '254712345678', amount: 100 };
+  const key = { 'idempotency-key': 'pay-1' };
+  const first = await h.call('POST', '/api/pay/stk', body, key);
+  assert.equal(first.status, 200);
+  const again = await h.call('POST', '/api/pay/stk', body, key);
+  assert.equal(again.headers.get('idempotent-replayed'), 'true');
+  assert.deepEqual(again.body, first.body);
+  assert.equal(h.daraja.stk.size, 1);
+  assert.equal(h.T('transactions').length, 1);
+  assert.equal(h.T('idempotency_keys').find((k) => k.key === 'pay-1').caller, 'anonymous');
+});
+
+test('a response that is not JSON is stored as a 409 and the handler does not run again', async () => {
+  const first = await probe.post('/text', 'csv-1');
+  assert.equal(first.status, 200);
+  assert.equal(await first.text(), 'a,b\n1,2\n');
+  const again = await probe.post('/text', 'csv-1');
+  assert.equal(again.status, 409);
+  assert.match((await again.json()).error, /cannot be replayed/);
+  assert.equal(probe.runs.text, 1);
+});
+
+test('a response with no body replays its status', async () => {
+  assert.equal((await probe.post('/empty', 'empty-1')).status, 204);
+  const again = await probe.post('/empty', 'empty-1');
+  assert.equal(again.status, 204);
+  assert.equal(again.headers.get('idempotent-replayed'), 'true');
+  assert.equal(probe.runs.empty, 1);
+});
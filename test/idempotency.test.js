@@ -0,0 +1,16 @@
+// Idempotency-Key request fingerprint
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { canonicalJson } = require('../server');
+
+test('canonicalJson ignores key order at every depth', () => {
+  assert.equal(canonicalJson({ b: 1, a: { d: [1, { y: 2, x: 1 }], c: 'x' } }), canonicalJson({ a: { c: 'x', d: [1, { x: 1, y: 2 }] }, b: 1 }));
+  assert.equal(canonicalJson({ b: 1, a: 2 }), '{"a":2,"b":1}');
+});
+
+test('canonicalJson keeps array order and value types apart', () => {
+  assert.notEqual(canonicalJson([1, 2]), canonicalJson([2, 1]));
+  assert.notEqual(canonicalJson({ a: 1 }), canonicalJson({ a: '1' }));
+  assert.equal(canonicalJson(undefined), 'null');
+  assert.equal(canonicalJson({}), '{}');
+});
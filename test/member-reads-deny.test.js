@@ -0,0 +1,22 @@
+// ANONYMOUS_READS=deny: token-less reads of member data get 401. ANONYMOUS_READS is read when server.js loads,
+// so this mode needs its own process.
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { boot } = require('./helpers/boot');
+
+const SACCO = '11111111-1111-4111-8111-111111111111';
+
+let h;
+test.before(async () => {
+  h = await boot({ env: { ANONYMOUS_READS: 'deny' } });
+  h.T('transactions').push({ id: 't1', sacco_id: SACCO, passenger_msisdn: '254712345678', status: 'SUCCESS', created_at: '2025-01-15T08:00:00Z' });
+});
+test.after(() => h.close());
+
+test('a token-less read returns 401 and reads nothing', async () => {
+  h.log.length = 0;
+  const r = await h.call('GET', `/api/sacco/${SACCO}/transactions`);
+  assert.equal(r.status, 401);
+  assert.equal(r.headers.get('warning'), null);
+  assert.equal(h.log.filter((l) => l.path === '/rest/v1/transactions').length, 0);
+});
@@ -0,0 +1,51 @@
+// SACCO reads: bearer callers must be members, conductors get passenger numbers masked, and token-less callers
+// still get through (with a Warning) while ANONYMOUS_READS=log. The deny mode is in member-reads-deny.test.js.
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const jwt = require('jsonwebtoken');
+const { boot } = require('./helpers/boot');
+
+const SACCO = '11111111-1111-4111-8111-111111111111';
+const CONDUCTOR = '55555555-5555-4555-8555-000000000001';
+const STAFF = '55555555-5555-4555-8555-000000000002';
+const OUTSIDER = '55555555-5555-4555-8555-000000000003';
+
+const bearer = (sub) => ({ authorization: `Bearer ${jwt.sign({ sub }, 'test-jwt-secret')}` });
+
+let h;
+test.before(async () => {
+  h = await boot();
+  h.T('saccos').push({ id: SACCO, name: 'Test SACCO' });
+  h.T('sacco_users').push(
+    { user_id: CONDUCTOR, sacco_id: SACCO, role: 'CONDUCTOR' },
+    { user_id: STAFF, sacco_id: SACCO, role: 'STAFF' }
+  );
+  h.T('transactions').push({
+    id: 't1', sacco_id: SACCO, passenger_msisdn: '254712345678', fare_amount_kes: 100, status: 'SUCCESS', created_at: '2025-01-15T08:00:00Z',
+  });
+});
+test.after(() => h.close());
+
+const transactions = (headers) => h.call('GET', `/api/sacco/${SACCO}/transactions`, undefined, headers);
+
+test('a bearer token from outside the SACCO gets 403', async () => {
+  const r = await transactions(bearer(OUTSIDER));
+  assert.equal(r.status, 403);
+});
+
+test('a conductor gets passenger numbers masked; other members get them whole', async () => {
+  const conductor = await transactions(bearer(CONDUCTOR));
+  assert.equal(conductor.status, 200);
+  assert.equal(conductor.body.items[0].passenger_msisdn, '*********678');
+
+  const staff = await transactions(bearer(STAFF));
+  assert.equal(staff.status, 200);
+  assert.equal(staff.body.items[0].passenger_msisdn, '254712345678');
+});
+
+test('in log mode a token-less read still works and carries a Warning header', async () => {
+  const r = await transactions();
+  assert.equal(r.status, 200);
+  assert.equal(r.body.items.length, 1);
+  assert.match(r.headers.get('warning'), /^299 - "anonymous access is deprecated/);
+});
@@ -0,0 +1,98 @@
+// Owner payouts: only a confirmed failure can be retried; unclear sends and queue timeouts wait for a status query
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { boot } = require('./helpers/boot');
+
+const PAYOUT = '33333333-3333-4333-8333-333333333333';
+
+let h;
+test.before(async () => {
+  h = await boot({
+    env: { DARAJA_B2C_INITIATOR: 'api-op', DARAJA_B2C_SECURITY_CREDENTIAL: 'cred', DARAJA_CALLBACK_TOKEN: 'cb-secret' },
+    daraja: { callbackDelayMs: 0 },
+  });
+});
+test.after(() => h.close());
+test.beforeEach(() => {
+  h.daraja.b2c.clear();
+  h.T('audit_log').length = 0;
+  h.T('owner_payouts').length = 0;
+  h.T('owner_payouts').push({ id: PAYOUT, settlement_id: 'st-1', msisdn: '254712345678', amount_kes: 500, status: 'FAILED', attempts: 1, originator_conversation_id: `${PAYOUT}:1` });
+});
+
+const payout = () => h.T('owner_payouts').find((p) => p.id === PAYOUT);
+const retry = () => h.call('POST', `/api/admin/payouts/${PAYOUT}/retry`, {}, h.admin);
+const statusQuery = () => h.call('POST', `/api/admin/payouts/${PAYOUT}/status-query`, {}, h.admin);
+async function until(check, ms = 2000) {
+  const end = Date.now() + ms;
+  while (!check()) {
+    if (Date.now() > end) throw new Error('timed out waiting');
+    await new Promise((r) => setTimeout(r, 10));
+  }
+}
+
+test('a 5xx on send leaves the payout UNKNOWN and retry refuses it', async () => {
+  h.daraja.opts.b2cResult = 'error';
+  const r = await retry();
+  assert.equal(r.status, 200);
+  assert.equal(r.body.dispatched.outcome, 'UNKNOWN');
+  assert.equal(payout().status, 'UNKNOWN');
+  assert.equal(payout().attempts, 2);
+
+  const again = await retry();
+  assert.equal(again.status, 409);
+  assert.match(again.body.error, /status query/);
+  assert.equal(h.daraja.b2c.size, 1);
+});
+
+test('a status query that finds the unclear send completed confirms it', async () => {
+  h.daraja.opts.b2cResult = 'error';
+  await retry();
+  const q = await statusQuery();
+  assert.equal(q.status, 200);
+  await until(() => payout().status === 'CONFIRMED');
+  assert.equal(payout().mpesa_receipt, h.daraja.b2c.get(`${PAYOUT}:2`).receipt);
+  assert.ok(payout().status_queried_at);
+  await until(() => h.T('audit_log').some((a) => a.action === 'status_result' && a.actor === 'daraja' && a.after.status === 'CONFIRMED'));
+});
+
+test('a queue timeout makes the attempt UNKNOWN; retry waits until a status query finds it failed', async () => {
+  h.daraja.opts.b2cResult = 'timeout';
+  await retry();
+  await until(() => payout().status === 'UNKNOWN');
+  assert.equal(payout().last_error, 'queue timeout');
+  assert.equal((await retry()).status, 409);
+
+  await statusQuery();
+  await until(() => payout().status === 'FAILED');
+  const byDaraja = () => h.T('audit_log').filter((a) => a.entity_id === PAYOUT && a.actor === 'daraja');
+  await until(() => byDaraja().length === 2);
+  assert.deepEqual(byDaraja().map((a) => a.action).sort(), ['status_result', 'timeout']);
+  h.daraja.opts.b2cResult = 'none';
+  const r = await retry();
+  assert.equal(r.status, 200);
+  assert.equal(r.body.dispatched.outcome, 'SENT');
+  assert.equal(payout().attempts, 3);
+});
+
+test('a status answer for an earlier attempt or with no final state changes nothing', async () => {
+  Object.assign(payout(), { status: 'UNKNOWN', attempts: 2, originator_conversation_id: `${PAYOUT}:2` });
+  const body = (status) => ({ Result: { ResultCode: 0, ResultDesc: 'ok', ResultParameters: { ResultParameter: [{ Key: 'TransactionStatus', Value: status }] } } });
+  const url = (attempt) => `/api/pay/b2c/status-result?payout=${PAYOUT}&attempt=${attempt}&token=cb-secret`;
+
+  assert.equal((await h.call('POST', url(1), body('Failed'))).status, 200);
+  assert.equal(payout().status, 'UNKNOWN');
+  assert.equal((await h.call('POST', url(2), body('Pending'))).status, 200);
+  assert.equal(payout().status, 'UNKNOWN');
+  assert.equal((await h.call('POST', `/api/pay/b2c/status-result?payout=${PAYOUT}&attempt=2`, body('Failed'))).status, 401);
+  assert.equal(payout().status, 'UNKNOWN');
+});
+
+test('a synchronous rejection is a confirmed failure', async () => {
+  h.daraja.opts.b2cResult = 'none';
+  // Safaricom refuses a reused OriginatorConversationID with a 409
+  h.daraja.b2c.set(`${PAYOUT}:2`, { body: {}, outcome: null });
+  const r = await retry();
+  assert.equal(r.body.dispatched.outcome, 'FAILED');
+  assert.equal(payout().status, 'FAILED');
+});
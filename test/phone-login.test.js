@@ -0,0 +1,67 @@
+// OTP login links crew rows an owner added by phone, with an audit row per claim
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { boot } = require('./helpers/boot');
+
+const USER = '55555555-5555-4555-8555-000000000001';
+const PHONE = '254712345678';
+
+// GoTrue stand-in: any 6-digit code verifies as USER
+function __auth(req, res, url, body, send) {
+  if (req.method === 'POST' && url.pathname === '/auth/v1/verify') {
+    const user = { id: USER, phone: body.phone.replace('+', '') };
+    return send(res, 200, { access_token: 'at', refresh_token: 'rt', token_type: 'bearer', expires_in: 3600, user });
+  }
+  return send(res, 404, { msg: 'not found' });
+}
+
+let h;
+test.before(async () => {
+  h = await boot({ rpc: { __auth } });
+});
+test.after(() => h.close());
+test.beforeEach(() => {
+  h.T('audit_log').length = 0;
+  h.T('matatu_members').length = 0;
+  h.T('matatu_members').push(
+    { id: 'm-own', matatu_id: 'mat-1', member_role: 'conductor', user_id: USER, msisdn: null },
+    { id: 'm-dup', matatu_id: 'mat-1', member_role: 'conductor', user_id: null, msisdn: PHONE },
+    { id: 'm-new', matatu_id: 'mat-2', member_role: 'conductor', user_id: null, msisdn: PHONE }
+  );
+});
+
+const verify = () => h.call('POST', '/auth/otp/verify', { phone: PHONE, code: '123456' });
+
+test('claimed rows are audited as the signed-in user and duplicates are dropped', async () => {
+  const r = await verify();
+  assert.equal(r.status, 200);
+  const rows = Object.fromEntries(h.T('matatu_members').map((m) => [m.id, m]));
+  assert.equal(rows['m-new'].user_id, USER);
+  assert.equal(rows['m-dup'], undefined);
+  assert.equal(rows['m-own'].msisdn, PHONE);
+
+  const claim = h.T('audit_log').find((a) => a.action === 'claim');
+  assert.deepEqual([claim.entity, claim.entity_id, claim.actor, claim.actor_type], ['matatu_member', 'm-new', USER, 'user']);
+  assert.equal(claim.after.user_id, USER);
+  assert.ok(h.T('audit_log').some((a) => a.action === 'delete' && a.entity_id === 'm-dup'));
+});
+
+test('a failed write while linking fails the login instead of passing silently', async () => {
+  const rows = h.T('matatu_members');
+  // The fake swaps the table array on DELETE; refusing the swap makes the duplicate's delete fail
+  Object.defineProperty(h.db, 'matatu_members', {
+    configurable: true,
+    get: () => rows,
+    set: () => {
+      throw Object.assign(new Error('permission denied for table matatu_members'), { code: '42501' });
+    },
+  });
+  try {
+    const r = await verify();
+    assert.equal(r.status, 500);
+    assert.equal(h.T('audit_log').length, 0);
+  } finally {
+    delete h.db.matatu_members;
+    h.db.matatu_members = rows;
+  }
+});
@@ -0,0 +1,99 @@
+// Fare split computation (computeSplits / normalizeFeeRules / feeRuleMatches)
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { computeSplits, normalizeFeeRules } = require('../server');
+
+const BASE = { fare_fee_flat_kes: 2.5, savings_percent: 5, sacco_daily_fee_kes: 50, loan_repay_percent: 0 };
+const byType = (parts) => Object.fromEntries(parts.map((p) => [p.type, p]));
+
+test('flat fee, savings and the first daily SACCO fee', () => {
+  const s = byType(computeSplits({ amount: 100, rules: BASE }));
+  assert.equal(s.FARE.amount_kes, 100);
+  assert.deepEqual([s.SERVICE_FEE.amount_kes, s.SERVICE_FEE.rule], [2.5, 'flat']);
+  assert.equal(s.SACCO_FEE.amount_kes, 50);
+  assert.equal(s.SAVINGS.amount_kes, 5);
+  assert.equal(s.LOAN_REPAY, undefined);
+});
+
+test('once-a-day charges already taken are not charged again', () => {
+  const rules = { ...BASE, deductions: [
+    { code: 'WELFARE', name: 'Welfare', calc: 'FLAT', value: 20, frequency: 'DAILY' },
+    { code: 'INSURANCE', name: 'Insurance', calc: 'PERCENT', value: 1, frequency: 'PER_TRIP' },
+  ] };
+  const first = byType(computeSplits({ amount: 200, rules }));
+  assert.equal(first.SACCO_FEE.amount_kes, 50);
+  assert.equal(first.WELFARE.amount_kes, 20);
+  assert.equal(first.INSURANCE.amount_kes, 2);
+
+  const later = byType(computeSplits({ amount: 200, rules, dailyDone: new Set(['SACCO_FEE', 'WELFARE']) }));
+  assert.equal(later.SACCO_FEE, undefined);
+  assert.equal(later.WELFARE, undefined);
+  assert.equal(later.INSURANCE.amount_kes, 2);
+});
+
+test('percentage caps only apply when the percentage is on', () => {
+  const rules = { ...BASE, savings_min_kes: 10, loan_repay_percent: 50, loan_repay_max_kes: 30 };
+  const s = byType(computeSplits({ amount: 100, rules, takeDailyFee: false }));
+  assert.deepEqual([s.SAVINGS.amount_kes, s.SAVINGS.rule], [10, 'percent:min_cap']);
+  assert.deepEqual([s.LOAN_REPAY.amount_kes, s.LOAN_REPAY.rule], [30, 'percent:max_cap']);
+  const off = byType(computeSplits({ amount: 100, rules: { ...rules, savings_percent: 0 }, takeDailyFee: false }));
+  assert.equal(off.SAVINGS, undefined);
+});
+
+test('fee rules: first match wins, on the business clock, by route', () => {
+  const rules = {
+    ...BASE,
+    business_day: { tz: 'Africa/Nairobi', cutoff: 0 },
+    fee_rules: normalizeFeeRules([
+      { name: 'peak', fee_kes: 5, from: '06:00', to: '09:00', days: [1, 2, 3, 4, 5] },
+      { name: 'night', fee_kes: 4, from: '22:00', to: '05:00' },
+      { fee_kes: 3, routes: ['CBD-Rongai'] },
+    ]),
+  };
+  const fee = (at, route = null) => byType(computeSplits({ amount: 80, rules, at, route })).SERVICE_FEE;
+  // Wed 07:00 EAT
+  assert.deepEqual([fee('2025-01-15T04:00:00Z').amount_kes, fee('2025-01-15T04:00:00Z').rule], [5, 'fee_rules[0]:peak']);
+  // Sat 07:00 EAT: peak is weekdays only
+  assert.equal(fee('2025-01-18T04:00:00Z').rule, 'flat');
+  // Wed 23:30 and Thu 04:59 EAT: the night window wraps midnight
+  assert.equal(fee('2025-01-15T20:30:00Z').rule, 'fee_rules[1]:night');
+  assert.equal(fee('2025-01-16T01:59:00Z').rule, 'fee_rules[1]:night');
+  assert.equal(fee('2025-01-16T02:00:00Z').rule, 'flat');
+  // route match ignores case and padding
+  assert.equal(fee('2025-01-15T10:00:00Z', ' cbd-rongai ').rule, 'fee_rules[2]');
+});
+
+test('normalizeFeeRules rejects bad input with a message naming the rule', () => {
+  assert.deepEqual(normalizeFeeRules(null), []);
+  assert.throws(() => normalizeFeeRules({}), /must be an array/);
+  assert.throws(() => normalizeFeeRules([{ fee_kes: -1 }]), /fee_rules\[0\]\.fee_kes/);
+  assert.throws(() => normalizeFeeRules([{ fee_kes: 1, min_fare_kes: 100, max_fare_kes: 50 }]), /min_fare_kes must be below max_fare_kes/);
+  assert.throws(() => normalizeFeeRules([{ fee_kes: 1, min_fare_kes: 50, max_fare_kes: 50 }]), /must be below/);
+  assert.throws(() => normalizeFeeRules([{ fee_kes: 1, from: '6am', to: '09:00' }]), /HH:MM/);
+  assert.throws(() => normalizeFeeRules([{ fee_kes: 1, days: [7] }]), /days/);
+});
+
+test('fare bands are half-open, so every fare between two bands lands in one', () => {
+  const rules = { ...BASE, fee_rules: normalizeFeeRules([
+    { name: 'short', fee_kes: 1, min_fare_kes: 0, max_fare_kes: 50 },
+    { name: 'long', fee_kes: 3, min_fare_kes: 50, max_fare_kes: 100 },
+  ]) };
+  const rule = (amount) => computeSplits({ amount, rules, takeDailyFee: false }).find((p) => p.type === 'SERVICE_FEE').rule;
+  assert.equal(rule(49.99), 'fee_rules[0]:short');
+  assert.equal(rule(50), 'fee_rules[1]:long');
+  assert.equal(rule(50.5), 'fee_rules[1]:long');
+  assert.equal(rule(100), 'flat');
+});
+
+test('bands under the same conditions must meet', () => {
+  assert.throws(
+    () => normalizeFeeRules([{ fee_kes: 1, min_fare_kes: 0, max_fare_kes: 50 }, { fee_kes: 3, min_fare_kes: 51, max_fare_kes: 100 }]),
+    /fee_rules\[0\] and fee_rules\[1\] leave fares from 50 up to 51 uncovered/
+  );
+  // overlapping bands and bands under different windows are fine
+  assert.equal(normalizeFeeRules([{ fee_kes: 1, max_fare_kes: 60 }, { fee_kes: 3, min_fare_kes: 50 }]).length, 2);
+  assert.equal(normalizeFeeRules([
+    { fee_kes: 5, max_fare_kes: 50, from: '06:00', to: '09:00' },
+    { fee_kes: 3, min_fare_kes: 80 },
+  ]).length, 2);
+});
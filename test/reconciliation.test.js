@@ -0,0 +1,92 @@
+// Statement upload: business-day period, shared tills, and the run written through create_reconciliation
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { randomUUID } = require('node:crypto');
+const { boot } = require('./helpers/boot');
+
+const SACCO = '11111111-1111-4111-8111-111111111111';
+const M1 = '22222222-2222-4222-8222-222222222222';
+const M2 = '22222222-2222-4222-8222-333333333333';
+
+// JS stand-in for create_reconciliation (supabase/029): run, items and counts together
+function create_reconciliation({ p_run, p_items }, db, T) {
+  const run = { id: randomUUID(), ...p_run };
+  const items = p_items.map((it) => ({ id: randomUUID(), ...it, reconciliation_id: run.id }));
+  Object.assign(run, {
+    matched_count: items.filter((i) => i.kind === 'MATCHED').length,
+    statement_only_count: items.filter((i) => i.kind === 'STATEMENT_ONLY').length,
+    missing_count: items.filter((i) => i.kind === 'MISSING_ON_STATEMENT').length,
+    open_count: items.filter((i) => i.status === 'OPEN').length,
+  });
+  T('reconciliations').push(run);
+  T('reconciliation_items').push(...items);
+  return run;
+}
+
+const CSV = [
+  'Receipt No.,Completion Time,Initiation Time,Details,Transaction Status,Paid In,Withdrawn,Balance',
+  'SAB1,2025-01-15 08:00:00,,Pay Bill,Completed,100.00,,100.00',
+].join('\n');
+
+let h;
+test.before(async () => {
+  h = await boot({ rpc: { create_reconciliation }, defaults: { __unique: { idempotency_keys: ['caller,route,key'] } } });
+  // Business day 04:00–04:00 Nairobi
+  h.T('saccos').push({ id: SACCO, name: 'Demo', business_tz: 'Africa/Nairobi', day_cutoff_hour: 4 });
+  h.T('transactions').push(
+    { id: 't1', sacco_id: SACCO, matatu_id: M1, status: 'SUCCESS', mpesa_receipt: 'SAB1', fare_amount_kes: 100, created_at: '2025-01-15T05:00:00.000Z' },
+    // 01:30 Nairobi on the 16th: still business day 2025-01-15
+    { id: 't2', sacco_id: SACCO, matatu_id: M2, status: 'SUCCESS', mpesa_receipt: 'SAB2', fare_amount_kes: 70, created_at: '2025-01-15T22:30:00.000Z' },
+    // 04:30 Nairobi on the 16th: the next business day
+    { id: 't3', sacco_id: SACCO, matatu_id: M1, status: 'SUCCESS', mpesa_receipt: 'SAB3', fare_amount_kes: 70, created_at: '2025-01-16T01:30:00.000Z' }
+  );
+});
+test.after(() => h.close());
+test.beforeEach(() => {
+  h.T('matatus').length = 0;
+  h.T('reconciliations').length = 0;
+  h.T('reconciliation_items').length = 0;
+});
+
+const upload = (query, headers = {}) =>
+  h.call('POST', `/api/admin/reconciliations?sacco_id=${SACCO}&till_number=555&${query}`, CSV, { ...h.admin, 'content-type': 'text/csv', ...headers });
+
+test('period_from alone covers that whole business day, cutoff included', async () => {
+  const r = await upload('period_from=2025-01-15');
+  assert.equal(r.status, 200);
+  assert.equal(r.body.data.period_from, '2025-01-15T01:00:00.000Z');
+  assert.equal(r.body.data.period_to, '2025-01-16T00:59:59.999Z');
+  const missing = h.T('reconciliation_items').filter((i) => i.kind === 'MISSING_ON_STATEMENT').map((i) => i.transaction_id);
+  assert.deepEqual(missing, ['t2']);
+  assert.deepEqual([r.body.data.matched_count, r.body.data.missing_count, r.body.data.till_shared], [1, 1, false]);
+});
+
+test('a till on one matatu narrows the match to it', async () => {
+  h.T('matatus').push({ id: M1, sacco_id: SACCO, till_number: '555' });
+  const r = await upload('period_from=2025-01-15');
+  assert.equal(r.body.data.matatu_id, M1);
+  assert.equal(r.body.data.missing_count, 0);
+});
+
+test('a till shared by two matatus is reported and matched against the whole SACCO', async () => {
+  h.T('matatus').push({ id: M1, sacco_id: SACCO, till_number: '555' }, { id: M2, sacco_id: SACCO, till_number: '555' });
+  const r = await upload('period_from=2025-01-15');
+  assert.equal(r.status, 200);
+  assert.deepEqual([r.body.data.matatu_id, r.body.data.till_shared, r.body.data.missing_count], [null, true, 1]);
+});
+
+test('bad periods are refused before anything is written', async () => {
+  assert.equal((await upload('period_from=15-01-2025')).status, 400);
+  assert.equal((await upload('period_from=2025-01-16&period_to=2025-01-15')).status, 400);
+  assert.equal(h.T('reconciliations').length, 0);
+});
+
+test('a retried upload with the same Idempotency-Key creates one run', async () => {
+  const key = { 'idempotency-key': 'recon-upload-1' };
+  const first = await upload('period_from=2025-01-15', key);
+  const again = await upload('period_from=2025-01-15', key);
+  assert.equal(again.headers.get('idempotent-replayed'), 'true');
+  assert.equal(again.body.data.id, first.body.data.id);
+  assert.equal(h.T('reconciliations').length, 1);
+  assert.equal((await upload('period_from=2025-01-16', key)).status, 422);
+});
@@ -0,0 +1,37 @@
+// Ruleset + deduction lookup at a point in time, through /api/fees/quote
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { boot } = require('./helpers/boot');
+
+const SACCO = '11111111-1111-4111-8111-111111111111';
+const WELFARE = 'dddddddd-dddd-4ddd-8ddd-dddddddddddd';
+
+let h;
+test.before(async () => {
+  h = await boot();
+  h.T('sacco_ruleset_versions').push({
+    id: 'v1', sacco_id: SACCO, version: 1, fare_fee_flat_kes: 2.5, savings_percent: 0, sacco_daily_fee_kes: 0, loan_repay_percent: 0,
+    fee_rules: [], effective_from: '2025-01-01T00:00:00.000Z',
+  });
+  // WELFARE was 10 KES until 2025-02-01, then 20 KES, and was switched off on 2025-03-01
+  const base = { deduction_id: WELFARE, sacco_id: SACCO, code: 'WELFARE', name: 'Welfare', calc: 'FLAT', frequency: 'PER_FARE', deduction_created_at: '2025-01-01T00:00:00.000Z' };
+  h.T('sacco_deduction_versions').push(
+    { ...base, value: 10, active: true, valid_from: '2025-01-01T00:00:00.000Z', valid_to: '2025-02-01T00:00:00.000Z' },
+    { ...base, value: 20, active: true, valid_from: '2025-02-01T00:00:00.000Z', valid_to: '2025-03-01T00:00:00.000Z' },
+    { ...base, value: 20, active: false, valid_from: '2025-03-01T00:00:00.000Z', valid_to: null }
+  );
+});
+test.after(() => h.close());
+
+const welfareAt = async (at) => {
+  const r = await h.call('POST', '/api/fees/quote', { sacco_id: SACCO, amount: 100, at });
+  assert.equal(r.status, 200);
+  return r.body.splits.find((p) => p.type === 'WELFARE')?.amount_kes ?? null;
+};
+
+test('a quote uses the deductions in force at `at`', async () => {
+  assert.equal(await welfareAt('2025-01-15T08:00:00Z'), 10);
+  assert.equal(await welfareAt('2025-02-01T00:00:00Z'), 20);
+  assert.equal(await welfareAt('2025-02-20T08:00:00Z'), 20);
+  assert.equal(await welfareAt('2025-03-05T08:00:00Z'), null);
+});
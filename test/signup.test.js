@@ -0,0 +1,88 @@
+// /auth/signup claims the invite before creating the account and undoes both when the redemption fails
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const jwt = require('jsonwebtoken');
+const { boot } = require('./helpers/boot');
+
+const SACCO = '11111111-1111-4111-8111-111111111111';
+const MATATU = '22222222-2222-4222-8222-222222222222';
+const INVITE = '44444444-4444-4444-8444-444444444444';
+
+// GoTrue stand-in: signup hands out a new user, admin delete removes it
+const USER_1 = '55555555-5555-4555-8555-000000000001';
+const signups = [];
+const deleted = [];
+function __auth(req, res, url, body, send) {
+  if (req.method === 'POST' && url.pathname === '/auth/v1/signup') {
+    const user = { id: `55555555-5555-4555-8555-${String(signups.length + 1).padStart(12, '0')}`, email: body.email, identities: [{ id: 'identity' }] };
+    signups.push(user);
+    return send(res, 200, user);
+  }
+  const del = /^\/auth\/v1\/admin\/users\/([^/]+)$/.exec(url.pathname);
+  if (req.method === 'DELETE' && del) {
+    deleted.push(del[1]);
+    return send(res, 200, { id: del[1] });
+  }
+  return send(res, 404, { msg: 'not found' });
+}
+
+let failMembership = false;
+let h;
+test.before(async () => {
+  h = await boot({
+    rpc: { __auth },
+    env: { INVITE_SECRET: 'invite-secret' },
+    defaults: {
+      matatu_members: () => {
+        if (failMembership) throw Object.assign(new Error('insert or update on table "matatu_members" violates foreign key constraint'), { code: '23503' });
+        return {};
+      },
+    },
+  });
+});
+test.after(() => h.close());
+test.beforeEach(() => {
+  signups.length = 0;
+  deleted.length = 0;
+  h.T('matatu_members').length = 0;
+  h.T('invitations').length = 0;
+  h.T('invitations').push({
+    id: INVITE, kind: 'MATATU', sacco_id: SACCO, matatu_id: MATATU, role: 'conductor', email: null,
+    expires_at: new Date(Date.now() + 3600 * 1000).toISOString(), created_by: 'owner-1', redeemed_at: null, redeemed_by: null, revoked_at: null,
+  });
+});
+
+const token = jwt.sign({ kind: 'MATATU' }, 'invite-secret', { jwtid: INVITE, audience: 'teketeke-invite', expiresIn: 3600 });
+const signup = (email = 'crew@example.com') => h.call('POST', '/auth/signup', { email, password: 'long-enough-pw', invite_token: token });
+const invite = () => h.T('invitations')[0];
+
+test('a successful signup redeems the invite for the new account', async () => {
+  const r = await signup();
+  assert.equal(r.status, 200);
+  assert.deepEqual(r.body.membership, { kind: 'MATATU', sacco_id: SACCO, matatu_id: MATATU, role: 'conductor' });
+  assert.equal(invite().redeemed_by, USER_1);
+  assert.ok(invite().redeemed_at);
+  assert.equal(h.T('matatu_members').length, 1);
+});
+
+test('two signups racing for one invite create one account', async () => {
+  const [a, b] = await Promise.all([signup('a@example.com'), signup('b@example.com')]);
+  assert.deepEqual([a.status, b.status].sort(), [200, 410]);
+  assert.equal(signups.length, 1);
+  assert.equal(h.T('matatu_members').length, 1);
+});
+
+test('a failed redemption deletes the new account and hands the invite back', async () => {
+  failMembership = true;
+  try {
+    const r = await signup();
+    assert.equal(r.status, 500);
+  } finally {
+    failMembership = false;
+  }
+  assert.deepEqual(deleted, [USER_1]);
+  assert.deepEqual([invite().redeemed_at, invite().redeemed_by], [null, null]);
+
+  const again = await signup();
+  assert.equal(again.status, 200);
+});
@@ -0,0 +1,67 @@
+// M-Pesa statement CSV parsing and matching
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { parseStatementCsv, parseStatementTime, matchStatement } = require('../src/reconciliation/statement');
+
+const CSV = [
+  'Account Name,TekeTeke Till',
+  'Time Period,2025-01-15 - 2025-01-15',
+  '',
+  'Receipt No.,Completion Time,Initiation Time,Details,Transaction Status,Paid In,Withdrawn,Balance,Other Party Info,A/C No.',
+  'SAB1,2025-01-15 08:00:00,2025-01-15 07:59:58,Pay Bill from 2547...,Completed,100.00,,100.00,"254712345678 - JANE, DOE",KDA123A',
+  'sab2,15/01/2025 08:10:00,,Pay Bill,Completed,"1,050.00",,1150.00,,KDA123A',
+  'SAB3,2025-01-15 08:20:00,,Charge,Completed,,5.00,1145.00,,',
+  'SAB4,2025-01-15 08:30:00,,Pay Bill,Failed,40.00,,1145.00,,',
+  ',2025-01-15 08:40:00,,Pay Bill,Completed,40.00,,1185.00,,',
+  'SAB6,yesterday,,Pay Bill,Completed,40.00,,1225.00,,',
+].join('\r\n');
+
+test('statement times are read as Nairobi wall clock', () => {
+  assert.equal(parseStatementTime('2025-01-15 08:00:00'), '2025-01-15T05:00:00.000Z');
+  assert.equal(parseStatementTime('15/01/2025 08:10'), '2025-01-15T05:10:00.000Z');
+  assert.equal(parseStatementTime('soon'), null);
+});
+
+test('parseStatementCsv keeps completed money-in rows and says why others were skipped', () => {
+  const { rows, skipped } = parseStatementCsv(CSV);
+  assert.deepEqual(rows.map((r) => [r.receipt, r.amount_kes, r.completed_at]), [
+    ['SAB1', 100, '2025-01-15T05:00:00.000Z'],
+    ['SAB2', 1050, '2025-01-15T05:10:00.000Z'],
+  ]);
+  assert.equal(rows[0].other_party, '254712345678 - JANE, DOE');
+  assert.equal(rows[0].account, 'KDA123A');
+  assert.deepEqual(skipped.map((s) => s.reason), ['not a payment in', 'status Failed', 'no receipt', 'unparseable time']);
+});
+
+test('parseStatementCsv needs the Receipt No. header', () => {
+  assert.throws(() => parseStatementCsv('a,b\n1,2\n'), /header row/);
+});
+
+test('matchStatement pairs by receipt, then by amount and time, and reports the rest', () => {
+  const { rows } = parseStatementCsv(CSV);
+  const txs = [
+    { id: 't1', mpesa_receipt: 'sab1', fare_amount_kes: 100, created_at: '2025-01-15T04:59:30Z' },
+    { id: 't2', mpesa_receipt: null, fare_amount_kes: 1050, created_at: '2025-01-15T05:05:00Z' },
+    { id: 't3', mpesa_receipt: 'SAB9', fare_amount_kes: 70, created_at: '2025-01-15T05:06:00Z' },
+    { id: 't4', mpesa_receipt: 'SAB8', fare_amount_kes: 70, created_at: '2025-01-15T09:00:00Z' },
+  ];
+  const out = matchStatement(rows, txs);
+  const by = Object.fromEntries(out.items.map((i) => [i.transaction_id || i.receipt, i]));
+  assert.deepEqual([by.t1.kind, by.t1.status, by.t1.discrepancy], ['MATCHED', 'OK', null]);
+  assert.deepEqual([by.t2.kind, by.t2.discrepancy], ['MATCHED', 'matched_by_amount_time']);
+  assert.equal(by.t3.kind, 'MISSING_ON_STATEMENT');
+  // t4 falls after the last statement row, so the default period leaves it out
+  assert.equal(by.t4, undefined);
+  assert.deepEqual([out.period_from, out.period_to], ['2025-01-15T05:00:00.000Z', '2025-01-15T05:10:00.000Z']);
+
+  const wide = matchStatement(rows, txs, { periodTo: '2025-01-15T21:00:00Z' });
+  assert.equal(wide.items.find((i) => i.transaction_id === 't4').kind, 'MISSING_ON_STATEMENT');
+});
+
+test('matchStatement flags amount and time discrepancies on a receipt match', () => {
+  const rows = [{ receipt: 'X1', amount_kes: 100, completed_at: '2025-01-15T05:00:00.000Z' }];
+  const [item] = matchStatement(rows, [{ id: 't', mpesa_receipt: 'X1', fare_amount_kes: 90, created_at: '2025-01-15T06:00:00Z' }]).items;
+  assert.deepEqual([item.status, item.discrepancy], ['OPEN', 'amount,time']);
+  const [none] = matchStatement(rows, []).items;
+  assert.equal(none.kind, 'STATEMENT_ONLY');
+});
@@ -0,0 +1,243 @@
+// STK push initiation, callback settlement and the pending sweeper, against the in-memory PostgREST + Daraja stand-in
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('node:http');
+const { boot } = require('./helpers/boot');
+
+const SACCO = '11111111-1111-4111-8111-111111111111';
+const MATATU = '22222222-2222-4222-8222-222222222222';
+
+// JS stand-in for settle_stk_transaction (supabase/025, 032): flips PENDING rows and drops daily parts already posted
+// for a fare of that day. Ledger rows are posted at settle time and dated by their transaction, like the SQL.
+const settleCalls = [];
+function settle_stk_transaction(args, db, T) {
+  settleCalls.push(args);
+  const t = T('transactions').find((r) => r.mpesa_checkout_id === args.p_checkout_id);
+  if (!t) return { found: false, applied: false };
+  if (t.status !== 'PENDING') return { found: true, applied: false, transaction_id: t.id, status: t.status };
+  Object.assign(t, { status: args.p_status, mpesa_receipt: args.p_receipt || t.mpesa_receipt });
+  const dayOf = (le) => T('transactions').find((x) => x.id === le.transaction_id)?.created_at || le.created_at;
+  const skipped = [...new Set(T('ledger_entries')
+    .filter((le) => le.matatu_id === t.matatu_id && args.p_daily_types.includes(le.type) && dayOf(le) >= args.p_day_from && dayOf(le) < args.p_day_to)
+    .map((le) => le.type))];
+  if (args.p_status === 'SUCCESS') {
+    for (const p of args.p_parts) {
+      if (p.amount_kes > 0 && !skipped.includes(p.type)) {
+        T('ledger_entries').push({ transaction_id: t.id, matatu_id: t.matatu_id, type: p.type, amount_kes: p.amount_kes, created_at: new Date().toISOString() });
+      }
+    }
+  }
+  return { found: true, applied: true, transaction_id: t.id, status: args.p_status, daily_skipped: skipped };
+}
+
+let h;
+test.before(async () => {
+  h = await boot({
+    rpc: { settle_stk_transaction },
+    env: { DARAJA_CALLBACK_TOKEN: 'cb-secret' },
+    defaults: { __unique: { idempotency_keys: ['caller,route,key'] } },
+  });
+  h.T('matatus').push({ id: MATATU, sacco_id: SACCO, number_plate: 'KDA123A', route: 'CBD-Rongai' });
+});
+test.after(() => h.close());
+
+const pay = (body, headers) => h.call('POST', '/api/pay/stk', { matatu_id: MATATU, msisdn: '254712345678', amount: 100, ...body }, headers);
+
+test('the PENDING row is written before the push and carries the checkout id after it', async () => {
+  let rowsAtPush = null;
+  const pushes = h.daraja.stk;
+  const set = pushes.set.bind(pushes);
+  pushes.set = (k, v) => { rowsAtPush = h.T('transactions').map((t) => ({ ...t })); return set(k, v); };
+  try {
+    const r = await pay();
+    assert.equal(r.status, 200);
+    assert.equal(rowsAtPush.length, 1);
+    assert.deepEqual([rowsAtPush[0].status, rowsAtPush[0].mpesa_checkout_id], ['PENDING', undefined]);
+    const tx = h.T('transactions').find((t) => t.id === r.body.data.transaction_id);
+    assert.equal(tx.status, 'PENDING');
+    assert.equal(tx.mpesa_checkout_id, r.body.data.checkout_request_id);
+    assert.equal(tx.fare_amount_kes, 100);
+    const row = h.T('audit_log').find((a) => a.entity_id === tx.id);
+    assert.deepEqual([row.action, row.actor, row.actor_type], ['stk_push', 'passenger', 'system']);
+  } finally {
+    pushes.set = set;
+    h.T('transactions').length = 0;
+  }
+});
+
+test('a rejected push leaves the row FAILED', async () => {
+  const shortcode = process.env.DARAJA_SHORTCODE;
+  process.env.DARAJA_SHORTCODE = '';
+  try {
+    const r = await pay();
+    assert.equal(r.body.success, false);
+    const [tx] = h.T('transactions');
+    assert.deepEqual([tx.status, tx.mpesa_checkout_id], ['FAILED', undefined]);
+  } finally {
+    process.env.DARAJA_SHORTCODE = shortcode;
+    h.T('transactions').length = 0;
+  }
+});
+
+test('a push whose answer is lost stays PENDING and is not reported as an error', async () => {
+  h.daraja.opts.stkResult = 'error';
+  try {
+    const r = await pay();
+    assert.equal(r.status, 202);
+    assert.deepEqual([r.body.success, r.body.data.status, r.body.data.checkout_request_id], [true, 'PENDING', null]);
+    const [tx] = h.T('transactions');
+    assert.deepEqual([tx.status, tx.mpesa_checkout_id], ['PENDING', undefined]);
+  } finally {
+    h.daraja.opts.stkResult = 'none';
+    h.T('transactions').length = 0;
+  }
+});
+
+test('a checkout id that cannot be written is retried, and a retried request never pushes twice', async () => {
+  const pushes = h.daraja.stk;
+  const set = pushes.set.bind(pushes);
+  let refused = 0;
+  // Refuse every write of the checkout id onto the row
+  pushes.set = (k, v) => {
+    const [tx] = h.T('transactions');
+    Object.defineProperty(tx, 'mpesa_checkout_id', {
+      enumerable: true,
+      set: () => {
+        refused++;
+        throw Object.assign(new Error('canceling statement due to statement timeout'), { code: '57014' });
+      },
+    });
+    return set(k, v);
+  };
+  const key = { 'idempotency-key': 'stk-unrecorded-1' };
+  try {
+    const r = await pay({}, key);
+    assert.equal(r.status, 200);
+    assert.equal(refused, 3);
+    assert.ok(r.body.data.checkout_request_id);
+    const again = await pay({}, key);
+    assert.equal(again.headers.get('idempotent-replayed'), 'true');
+    assert.equal(again.body.data.checkout_request_id, r.body.data.checkout_request_id);
+    assert.equal(h.T('transactions').length, 1);
+    assert.ok(pushes.has(r.body.data.checkout_request_id));
+  } finally {
+    pushes.set = set;
+    h.T('transactions').length = 0;
+  }
+});
+
+const callback = (checkoutId, { amount = 100, code = 0, token = 'cb-secret' } = {}) =>
+  h.call('POST', `/api/pay/stk/callback?token=${token}`, {
+    Body: {
+      stkCallback: {
+        CheckoutRequestID: checkoutId,
+        ResultCode: code,
+        CallbackMetadata: code === 0 ? { Item: [{ Name: 'Amount', Value: amount }, { Name: 'MpesaReceiptNumber', Value: `R${checkoutId}` }] } : undefined,
+      },
+    },
+  });
+function pendingTx(checkoutId, created_at = '2025-01-15T05:00:00.000Z') {
+  const tx = { id: `tx-${checkoutId}`, sacco_id: SACCO, matatu_id: MATATU, fare_amount_kes: 100, status: 'PENDING', mpesa_checkout_id: checkoutId, created_at };
+  h.T('transactions').push(tx);
+  return tx;
+}
+
+test('callbacks without the shared token are refused', async () => {
+  const tx = pendingTx('ws_tok');
+  assert.equal((await callback('ws_tok', { token: 'guess' })).status, 401);
+  assert.equal(tx.status, 'PENDING');
+  h.T('transactions').length = 0;
+});
+
+test('a success whose amount is not the fare is refused and left PENDING', async () => {
+  const tx = pendingTx('ws_amt');
+  settleCalls.length = 0;
+  const r = await callback('ws_amt', { amount: 1 });
+  assert.equal(r.status, 400);
+  assert.equal(r.body.ResultDesc, 'Amount mismatch');
+  assert.equal(settleCalls.length, 0);
+  assert.equal(tx.status, 'PENDING');
+  h.T('transactions').length = 0;
+});
+
+test('the day\'s once-only charges go to the settlement with the business-day bounds', async () => {
+  pendingTx('ws_a');
+  pendingTx('ws_b', '2025-01-15T06:00:00.000Z');
+  settleCalls.length = 0;
+  const [a, b] = await Promise.all([callback('ws_a'), callback('ws_b')]);
+  assert.deepEqual([a.status, b.status], [200, 200]);
+  assert.equal(settleCalls.length, 2);
+  for (const c of settleCalls) {
+    assert.deepEqual(c.p_daily_types, ['SACCO_FEE']);
+    // 2025-01-15 in Nairobi (default business day)
+    assert.deepEqual([c.p_day_from, c.p_day_to], ['2025-01-14T21:00:00.000Z', '2025-01-15T21:00:00.000Z']);
+  }
+  const fees = h.T('ledger_entries').filter((le) => le.type === 'SACCO_FEE');
+  assert.equal(fees.length, 1);
+  assert.equal(h.T('ledger_entries').filter((le) => le.type === 'FARE').length, 2);
+  const settled = h.T('audit_log').filter((a) => a.action === 'settle' && ['tx-ws_a', 'tx-ws_b'].includes(a.entity_id));
+  assert.equal(settled.length, 2);
+  assert.ok(settled.every((a) => a.actor === 'daraja' && a.actor_type === 'system' && a.after.status === 'SUCCESS'));
+  h.T('transactions').length = 0;
+  h.T('ledger_entries').length = 0;
+});
+
+test('a fare settled after the day cutoff still counts its daily fee on the day it started', async () => {
+  // 23:30 and 23:50 Nairobi on the 15th; both settle long after midnight
+  pendingTx('ws_late1', '2025-01-15T20:30:00.000Z');
+  pendingTx('ws_late2', '2025-01-15T20:50:00.000Z');
+  assert.equal((await callback('ws_late1')).status, 200);
+  assert.equal((await callback('ws_late2')).status, 200);
+  assert.equal(h.T('ledger_entries').filter((le) => le.type === 'SACCO_FEE').length, 1);
+  pendingTx('ws_next', '2025-01-15T21:10:00.000Z'); // 00:10 on the 16th: a new day, a new fee
+  await callback('ws_next');
+  assert.equal(h.T('ledger_entries').filter((le) => le.type === 'SACCO_FEE').length, 2);
+  h.T('transactions').length = 0;
+  h.T('ledger_entries').length = 0;
+});
+
+const quiet = { warn() {}, info() {}, error() {} };
+const stale = (checkoutId) => pendingTx(checkoutId, new Date(Date.now() - 60 * 60 * 1000).toISOString());
+
+test('the sweeper times out only pushes Daraja does not know', async () => {
+  const tx = stale('ws_unknown');
+  const r = await h.app.sweepPendingTransactions({ log: quiet });
+  assert.deepEqual([r.scanned, r.TIMEOUT, r.errors], [1, 1, 0]);
+  assert.equal(tx.status, 'TIMEOUT');
+  const row = h.T('audit_log').find((a) => a.entity_id === tx.id);
+  assert.deepEqual([row.action, row.actor, row.after.status], ['settle', 'stk-sweeper', 'TIMEOUT']);
+  h.T('transactions').length = 0;
+});
+
+test('the sweeper times out stale rows that never got a checkout id and leaves fresh ones', async () => {
+  const old = stale(null);
+  const fresh = pendingTx(null, new Date().toISOString());
+  fresh.id = 'tx-fresh';
+  const r = await h.app.sweepPendingTransactions({ log: quiet });
+  assert.deepEqual([r.scanned, r.TIMEOUT, r.errors], [1, 1, 0]);
+  assert.deepEqual([old.status, fresh.status], ['TIMEOUT', 'PENDING']);
+  const row = h.T('audit_log').find((a) => a.entity_id === old.id);
+  assert.deepEqual([row.actor, row.after.status, row.after.checkout_id], ['stk-sweeper', 'TIMEOUT', null]);
+  h.T('transactions').length = 0;
+});
+
+test('the sweeper leaves rows PENDING when Daraja answers with any other error', async () => {
+  const down = http.createServer((req, res) => {
+    if (req.url.startsWith('/oauth/')) return res.end(JSON.stringify({ access_token: 'tok', expires_in: '3599' }));
+    res.writeHead(503, { 'content-type': 'text/plain' });
+    res.end('Service Unavailable');
+  });
+  await new Promise((resolve) => down.listen(0, '127.0.0.1', resolve));
+  const base = process.env.DARAJA_BASE_URL;
+  process.env.DARAJA_BASE_URL = `http://127.0.0.1:${down.address().port}`;
+  const tx = stale('ws_down');
+  try {
+    const r = await h.app.sweepPendingTransactions({ log: quiet });
+    assert.deepEqual([r.scanned, r.TIMEOUT, r.errors], [1, 0, 1]);
+    assert.equal(tx.status, 'PENDING');
+  } finally {
+    process.env.DARAJA_BASE_URL = base;
+    down.close();
+    h.T('transactions').length = 0;
+  }
+});
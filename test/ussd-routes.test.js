@@ -0,0 +1,91 @@
+// USSD gateway and pool routes, against the in-memory PostgREST
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { boot } = require('./helpers/boot');
+
+// JS stand-in for ussd_set_default_prefix (supabase/031): clears the old default and sets the new one together
+let failDefault = false;
+function ussd_set_default_prefix({ p_id }, db, T) {
+  if (failDefault) throw Object.assign(new Error('canceling statement due to statement timeout'), { code: '57014' });
+  const row = T('ussd_prefixes').find((p) => p.id === p_id);
+  if (!row) throw Object.assign(new Error(`prefix ${p_id} not found`), { code: 'P0002' });
+  for (const p of T('ussd_prefixes')) p.is_default = p.id === p_id;
+  return [row];
+}
+
+let h;
+test.before(async () => {
+  h = await boot({
+    env: { USSD_GATEWAY_TOKEN: 'gw-secret' },
+    rpc: { ussd_set_default_prefix },
+    defaults: { __unique: { ussd_prefixes: ['code'] } },
+  });
+});
+test.after(() => h.close());
+
+test('the gateway refuses calls without its token', async () => {
+  const body = { sessionId: 's1', serviceCode: '*001*1102#', phoneNumber: '+254712345678', text: '' };
+  const r = await h.call('POST', '/api/ussd/gateway?token=nope', body);
+  assert.equal(r.status, 401);
+  assert.equal(r.body, 'END Unauthorized');
+  assert.equal((await h.call('POST', '/api/ussd/gateway', body)).status, 401);
+});
+
+test('a confirm the aggregator sends twice pushes once and answers the duplicate', async () => {
+  const SACCO = '11111111-1111-4111-8111-111111111111';
+  const MATATU = '22222222-2222-4222-8222-222222222222';
+  h.T('matatus').push({ id: MATATU, sacco_id: SACCO, number_plate: 'KDA123A' });
+  h.T('ussd_sessions').push({
+    session_id: 'dup-1', phone: '254712345678', ussd_code: '*001*1102#', sacco_id: SACCO, matatu_id: MATATU,
+    state: 'CONFIRM', data: { amount: 100, label: 'KDA123A', account_ref: 'KDA123A' }, updated_at: new Date().toISOString(),
+  });
+  const confirm = () => h.call('POST', '/api/ussd/gateway?token=gw-secret', { sessionId: 'dup-1', serviceCode: '*001*1102#', phoneNumber: '+254712345678', text: '100*1' });
+  const replies = (await Promise.all([confirm(), confirm()])).map((r) => r.body).sort();
+  assert.match(replies[0], /^END Enter your M-Pesa PIN/);
+  assert.match(replies[1], /^END Payment request already sent/);
+  assert.equal(h.daraja.stk.size, 1);
+  assert.equal(h.T('transactions').length, 1);
+  // a resend after the push finished gets the same answer
+  assert.match((await confirm()).body, /^END Payment request already sent/);
+  assert.equal(h.daraja.stk.size, 1);
+});
+
+const defaults = () => h.T('ussd_prefixes').filter((p) => p.is_default).map((p) => p.code);
+function resetPrefixes() {
+  h.T('ussd_prefixes').length = 0;
+  h.T('ussd_prefixes').push({ id: 'px-1', code: '*001*', name: 'Default', low_stock_threshold: 20, is_default: true, active: true });
+}
+
+test('a new default prefix takes over from the old one only once it is written', async () => {
+  resetPrefixes();
+  const dup = await h.call('POST', '/api/admin/ussd/prefixes', { code: '*001*', is_default: true }, h.admin);
+  assert.equal(dup.status, 409);
+  assert.deepEqual(defaults(), ['*001*']);
+
+  const r = await h.call('POST', '/api/admin/ussd/prefixes', { code: '*002*', is_default: true }, h.admin);
+  assert.equal(r.status, 200);
+  assert.equal(r.body.data.is_default, true);
+  assert.deepEqual(defaults(), ['*002*']);
+});
+
+test('a failed default switch keeps the old default and drops the half-made prefix', async () => {
+  resetPrefixes();
+  failDefault = true;
+  try {
+    const r = await h.call('POST', '/api/admin/ussd/prefixes', { code: '*003*', is_default: true }, h.admin);
+    assert.equal(r.status, 500);
+  } finally {
+    failDefault = false;
+  }
+  assert.deepEqual(h.T('ussd_prefixes').map((p) => p.code), ['*001*']);
+  assert.deepEqual(defaults(), ['*001*']);
+});
+
+test('PATCH switches the default in one call and still applies the other fields', async () => {
+  resetPrefixes();
+  h.T('ussd_prefixes').push({ id: 'px-2', code: '*002*', name: 'Second', low_stock_threshold: 20, is_default: false, active: true });
+  const r = await h.call('PATCH', '/api/admin/ussd/prefixes/px-2', { is_default: true, low_stock_threshold: 5 }, h.admin);
+  assert.equal(r.status, 200);
+  assert.deepEqual([r.body.data.is_default, r.body.data.low_stock_threshold], [true, 5]);
+  assert.deepEqual(defaults(), ['*002*']);
+});
@@ -0,0 +1,22 @@
+// USSD code parsing and check digits
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { parseUssdCode, digitalRoot } = require('../server');
+
+test('parseUssdCode splits prefix, base and check digit', () => {
+  assert.deepEqual(parseUssdCode('*001*1102#'), { prefix: '*001*', base: '110', check: '2' });
+  assert.deepEqual(parseUssdCode('*384*12*1102#'), { prefix: '*384*12*', base: '110', check: '2' });
+  assert.deepEqual(parseUssdCode(' 1102 '), { prefix: null, base: '110', check: '2' });
+});
+
+test('parseUssdCode rejects anything else', () => {
+  for (const bad of ['', null, '*001*110#', '*001*11020#', '001*1102#', '*001*abc2#', '*001**1102#']) {
+    assert.equal(parseUssdCode(bad), null, String(bad));
+  }
+});
+
+test('the check digit is the digital root of the base', () => {
+  assert.equal(digitalRoot('110'), 2);
+  assert.equal(digitalRoot('999'), 9);
+  assert.equal(digitalRoot('000'), 0);
+});
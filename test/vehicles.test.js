@@ -0,0 +1,35 @@
+// Boda/taxi registries: RLS has no anon policy on these tables, so every read must use the service role
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { boot } = require('./helpers/boot');
+
+const SACCO = '11111111-1111-4111-8111-111111111111';
+
+let h;
+test.before(async () => {
+  h = await boot();
+  h.T('bodabodas').push({ id: 'b1', sacco_id: SACCO, number_plate: 'KMEA123B', till_number: '777', created_at: '2025-01-01T00:00:00Z' });
+  h.T('taxis').push({ id: 'x1', sacco_id: SACCO, number_plate: 'KDA555T', till_number: '888', created_at: '2025-01-01T00:00:00Z' });
+});
+test.after(() => h.close());
+
+const readsOf = (table) => h.log.filter((l) => l.method === 'GET' && l.path === `/rest/v1/${table}`);
+
+for (const [table, path, lookup, id, plate] of [
+  ['bodabodas', 'bodabodas', 'boda', 'b1', 'KMEA123B'],
+  ['taxis', 'taxis', 'taxi', 'x1', 'KDA555T'],
+]) {
+  test(`${table}: the admin list and the lookup read with the service role`, async () => {
+    h.log.length = 0;
+    const list = await h.call('GET', `/api/admin/${path}?sacco_id=${SACCO}`, undefined, h.admin);
+    assert.equal(list.status, 200);
+    assert.deepEqual(list.body.items.map((v) => v.id), [id]);
+
+    const byPlate = await h.call('GET', `/api/lookup/${lookup}?plate=${plate.toLowerCase()}`);
+    assert.equal(byPlate.status, 200);
+    assert.equal(byPlate.body.id, id);
+
+    assert.equal(readsOf(table).length, 2);
+    assert.ok(readsOf(table).every((l) => l.key === 'service'));
+  });
+}
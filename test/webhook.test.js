@@ -0,0 +1,25 @@
+// Standard Webhooks signatures (Supabase Auth hooks)
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { signWebhook, verifyWebhook } = require('../src/auth/webhook');
+
+const SECRET = 'v1,whsec_' + Buffer.from('test-secret-key').toString('base64');
+const NOW = 1736935200000;
+const body = JSON.stringify({ user: { phone: '254712345678' }, sms: { otp: '123456' } });
+const headers = (sig, ts = String(NOW / 1000)) => ({ 'webhook-id': 'msg_1', 'webhook-timestamp': ts, 'webhook-signature': sig });
+
+test('accepts a signature made with the same secret', () => {
+  const sig = signWebhook(SECRET, { id: 'msg_1', timestamp: String(NOW / 1000), body });
+  assert.equal(verifyWebhook(SECRET, headers(sig), body, NOW), true);
+  // rotated secrets send several space-separated signatures
+  assert.equal(verifyWebhook(SECRET, headers(`v1,bm9wZQ== ${sig}`), body, NOW), true);
+});
+
+test('rejects a changed body, another secret, a stale timestamp or missing headers', () => {
+  const sig = signWebhook(SECRET, { id: 'msg_1', timestamp: String(NOW / 1000), body });
+  assert.equal(verifyWebhook(SECRET, headers(sig), body + ' ', NOW), false);
+  assert.equal(verifyWebhook('v1,whsec_' + Buffer.from('other').toString('base64'), headers(sig), body, NOW), false);
+  assert.equal(verifyWebhook(SECRET, headers(sig), body, NOW + 6 * 60 * 1000), false);
+  assert.equal(verifyWebhook(SECRET, { 'webhook-signature': sig }, body, NOW), false);
+  assert.equal(verifyWebhook('', headers(sig), body, NOW), false);
+});